@@ -0,0 +1,62 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+/**
+ * Hash security PINs saved in plain text, and give admins a password of their own
+ * (safe to run more than once).
+ *
+ *   node migrate-credentials.js                  hash plain-text PINs, list admins without a password
+ *   ADMIN_PASSWORD=... node migrate-credentials.js --admin 9876543210
+ *                                                also set that admin's password (making the
+ *                                                number an admin if it is not one yet)
+ */
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/wecare');
+  const User = require('./src/models/User');
+  const CredentialService = require('./src/services/credentialService');
+  const { hashSecret, isHashed } = require('./src/utils/passwords');
+
+  const withPins = await User.find({ 'privacySettings.securityPin': { $nin: ['', null] } })
+    .select('privacySettings.securityPin');
+  let hashed = 0;
+  for (const user of withPins) {
+    const pin = user.privacySettings.securityPin;
+    if (isHashed(pin)) continue;
+    // Only swap the value that was read, in case the PIN changed meanwhile
+    const result = await User.updateOne(
+      { _id: user._id, 'privacySettings.securityPin': pin },
+      { $set: { 'privacySettings.securityPin': await hashSecret(pin) } }
+    );
+    hashed += result.modifiedCount;
+  }
+  console.log('PINs hashed:', hashed, 'of', withPins.length);
+
+  const adminIndex = process.argv.indexOf('--admin');
+  if (adminIndex !== -1) {
+    const phoneNumber = process.argv[adminIndex + 1];
+    const password = process.env.ADMIN_PASSWORD;
+    if (!phoneNumber || !password) {
+      console.error('Usage: ADMIN_PASSWORD=... node migrate-credentials.js --admin <phoneNumber>');
+      process.exit(1);
+    }
+
+    let admin = await User.findOne({ phoneNumber });
+    if (!admin) {
+      admin = await User.create({ phoneNumber, name: 'Admin', role: 'admin', isVerified: true, isProfileComplete: true });
+    } else if (admin.role !== 'admin') {
+      admin.role = 'admin';
+      await admin.save();
+    }
+    await CredentialService.setAdminPassword(admin, password);
+    console.log('Admin password set for', phoneNumber);
+  }
+
+  const admins = await User.find({ role: 'admin' }).select('name phoneNumber +adminCredentials.passwordHash');
+  const withoutPassword = admins.filter(a => !a.adminCredentials?.passwordHash);
+  console.log('\n=== ADMINS WITHOUT A PASSWORD (cannot sign in to the admin panel) ===');
+  withoutPassword.forEach(a => console.log(a.name, '|', a.phoneNumber));
+  if (!withoutPassword.length) console.log('none');
+
+  process.exit(0);
+}
+migrate().catch(e => { console.error(e.message || e); process.exit(1); });
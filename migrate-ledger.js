@@ -0,0 +1,122 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+/**
+ * Build the ledger from existing records (safe to run more than once).
+ *
+ *   node migrate-ledger.js                    post entries, report differences
+ *
+ * Bookings credited twice before the { bookingId, type } unique index on
+ * Transaction existed keep their first earning/fee/cash row; the others are
+ * moved to the transactions_duplicates collection, then the index is built.
+ *   node migrate-ledger.js --opening-balance  also carry over the difference between each
+ *                                             nanny's old availableBalance counter and the
+ *                                             ledger as an opening balance
+ */
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/wecare');
+  const User = require('./src/models/User');
+  const Booking = require('./src/models/Booking');
+  const Refund = require('./src/models/Refund');
+  const Transaction = require('./src/models/Transaction');
+  const LedgerService = require('./src/services/ledgerService');
+  const { ACCOUNTS } = LedgerService;
+
+  const withOpening = process.argv.includes('--opening-balance');
+  const counts = { duplicates: 0, payments: 0, earnings: 0, fees: 0, refunds: 0, withdrawals: 0, skipped: 0 };
+
+  // Types the unique index allows once per booking (see src/models/Transaction.js)
+  const duplicateGroups = await Transaction.aggregate([
+    { $match: { type: { $in: ['earning', 'cancellation-fee', 'cash-collected'] }, bookingId: { $exists: true } } },
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: { bookingId: '$bookingId', type: '$type' }, rows: { $push: { id: '$_id', status: '$status' } } } },
+    { $match: { 'rows.1': { $exists: true } } },
+  ]);
+  for (const group of duplicateGroups) {
+    // Keep the first completed row, else the first one
+    const kept = group.rows.find(row => row.status === 'completed') || group.rows[0];
+    const extraIds = group.rows.filter(row => row !== kept).map(row => row.id);
+    const extra = await Transaction.find({ _id: { $in: extraIds } }).lean();
+    await mongoose.connection.db.collection('transactions_duplicates').insertMany(extra);
+    await Transaction.deleteMany({ _id: { $in: extraIds } });
+    console.log('Moved duplicate', group._id.type, 'of booking', group._id.bookingId.toString(), extraIds.map(String));
+    counts.duplicates += extraIds.length;
+  }
+  await Transaction.createIndexes();
+
+  // Bookings completed before payments were tracked were paid in cash on site
+  const postPayment = async (booking) => {
+    if (['paid', 'refunded'].includes(booking.payment?.status)) {
+      return LedgerService.recordBookingPayment(booking);
+    }
+    return LedgerService.post('booking-payment', `booking-payment:${booking._id}`, [
+      { account: ACCOUNTS.cashWithProviders, debit: booking.totalAmount, credit: 0 },
+      { account: ACCOUNTS.prepayments, debit: 0, credit: booking.totalAmount },
+    ], { bookingId: booking._id, description: `Payment for booking ${booking.bookingId} (carried over)` });
+  };
+
+  const paid = await Booking.find({ 'payment.status': { $in: ['paid', 'refunded'] } });
+  for (const booking of paid) {
+    if (await LedgerService.recordBookingPayment(booking)) counts.payments++;
+  }
+
+  const transactions = await Transaction.find({}).sort({ createdAt: 1 });
+  for (const t of transactions) {
+    const booking = t.bookingId ? await Booking.findById(t.bookingId) : null;
+
+    if (t.type === 'earning' && t.status === 'completed' && booking) {
+      await postPayment(booking);
+      // Also posts the cash a nanny collected for a cash booking
+      await LedgerService.recordSettlement(booking, {
+        providerEarning: t.amount,
+        taxTotal: booking.settlement?.split?.taxTotal ?? booking.pricing?.taxTotal ?? 0,
+      }, t._id);
+      counts.earnings++;
+    } else if (t.type === 'cancellation-fee' && booking) {
+      await LedgerService.recordCancellationFee(booking, {
+        cancellationFee: booking.cancellation?.cancellationFee ?? t.amount,
+        nannyCompensation: t.amount,
+      }, t._id);
+      counts.fees++;
+    } else if (t.type === 'withdrawal' && ['pending', 'completed'].includes(t.status)) {
+      await LedgerService.recordWithdrawal('nanny', t.userId, t);
+      if (t.status === 'completed') await LedgerService.recordWithdrawalPaid('nanny', t.userId, t);
+      counts.withdrawals++;
+    } else if (!['refund', 'cash-collected'].includes(t.type)) {
+      console.log('Skipped transaction', t._id.toString(), t.type, t.status, t.amount);
+      counts.skipped++;
+    }
+  }
+
+  const refunds = await Refund.find({ status: 'processed' });
+  for (const refund of refunds) {
+    const booking = await Booking.findById(refund.bookingId);
+    if (booking) {
+      await LedgerService.recordRefund(refund, booking);
+      counts.refunds++;
+    }
+  }
+
+  console.log('Posted:', counts);
+
+  const nannies = await User.find({ role: 'nanny' }).select('name phoneNumber nannyProfile');
+  const balances = await LedgerService.providerBalances('nanny', nannies.map(n => n._id));
+
+  console.log('\n=== NANNY BALANCES (old counter → ledger) ===');
+  for (const n of nannies) {
+    const ledger = balances.get(n._id.toString());
+    const counter = n.nannyProfile?.availableBalance || 0;
+    const difference = Math.round((counter - ledger.availableBalance) * 100) / 100;
+    console.log(n.name, '|', n.phoneNumber, '| balance:', counter, '→', ledger.availableBalance, difference ? `(difference ${difference})` : '');
+
+    if (withOpening && difference) {
+      await LedgerService.recordOpeningBalance('nanny', n._id, difference, `Balance carried over for ${n.name || n.phoneNumber}`);
+    }
+  }
+
+  const trial = await LedgerService.trialBalance();
+  console.log('\nTrial balance:', trial.balanced ? 'balanced' : 'NOT balanced', trial.totalDebit, trial.totalCredit);
+
+  process.exit(0);
+}
+migrate().catch(e => { console.error(e); process.exit(1); });
@@ -0,0 +1,11 @@
+// Legal details of the platform printed on invoices and statements
+const platform = {
+  name: process.env.PLATFORM_LEGAL_NAME || 'WeCare',
+  gstin: process.env.PLATFORM_GSTIN || '',
+  address: process.env.PLATFORM_ADDRESS || '',
+  // State the platform is registered in; decides CGST/SGST vs IGST
+  state: process.env.PLATFORM_STATE || 'Karnataka',
+  email: process.env.PLATFORM_SUPPORT_EMAIL || '',
+};
+
+module.exports = { platform };
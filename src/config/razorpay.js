@@ -0,0 +1,16 @@
+const Razorpay = require('razorpay');
+
+// Test keys are used unless the environment provides live ones
+const keyId = process.env.RAZORPAY_KEY_ID || 'rzp_test_SCt5S1U8G3ksDV';
+const keySecret = process.env.RAZORPAY_KEY_SECRET || 'Ge6iU1m7KkaYIU0amxIo65sp';
+// Set in the Razorpay dashboard when adding the webhook; webhooks are refused without it
+const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET || '';
+// RazorpayX business account payouts are sent from
+const payoutAccountNumber = process.env.RAZORPAYX_ACCOUNT_NUMBER || '';
+
+const razorpay = new Razorpay({
+  key_id: keyId,
+  key_secret: keySecret,
+});
+
+module.exports = { razorpay, keyId, keySecret, webhookSecret, payoutAccountNumber };
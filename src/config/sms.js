@@ -0,0 +1,26 @@
+// SMS delivery (see services/smsProvider.js). Indian SMS must go out under a
+// DLT-registered sender ID and template, so every template has its own ID.
+const sms = {
+  // 'msg91', 'twilio', 'console' or 'file' (local sinks for development and tests)
+  provider: process.env.SMS_PROVIDER || 'console',
+  senderId: process.env.SMS_SENDER_ID || 'WECARE',
+  dltTemplates: {
+    login: process.env.SMS_DLT_TEMPLATE_LOGIN || '',
+    bookingCompletion: process.env.SMS_DLT_TEMPLATE_BOOKING_COMPLETION || '',
+    phoneChange: process.env.SMS_DLT_TEMPLATE_PHONE_CHANGE || '',
+    pinReset: process.env.SMS_DLT_TEMPLATE_PIN_RESET || '',
+  },
+  msg91AuthKey: process.env.MSG91_AUTH_KEY || '',
+  twilioAccountSid: process.env.TWILIO_ACCOUNT_SID || '',
+  twilioAuthToken: process.env.TWILIO_AUTH_TOKEN || '',
+  // A Twilio number, or a messaging service SID (MG...)
+  twilioFrom: process.env.TWILIO_FROM || '',
+  // Where the file sink appends messages, one JSON object per line
+  filePath: process.env.SMS_FILE_PATH || 'sms-outbox.log',
+  // Delivery reports are refused unless they carry this token (?token=)
+  statusToken: process.env.SMS_STATUS_TOKEN || '',
+  // Public base URL of this server, for delivery report callbacks
+  publicUrl: process.env.PUBLIC_API_URL || '',
+};
+
+module.exports = { sms };
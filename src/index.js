@@ -9,6 +9,7 @@ const User = require('./models/User');
 const DaycareProvider = require('./models/DaycareProvider');
 const authRoutes = require('./routes/auth');
 const bookingRoutes = require('./routes/bookings');
+const bookingSeriesRoutes = require('./routes/bookingSeries');
 const userRoutes = require('./routes/users');
 const paymentRoutes = require('./routes/payments');
 const reviewRoutes = require('./routes/reviews');
@@ -18,6 +19,15 @@ const notificationRoutes = require('./routes/notifications');
 const adminRoutes = require('./routes/admin');
 const messageRoutes = require('./routes/messages');
 const photoRoutes = require('./routes/photos');
+const payoutRoutes = require('./routes/payouts');
+const earningsRoutes = require('./routes/earnings');
+const walletRoutes = require('./routes/wallet');
+const promoRoutes = require('./routes/promos');
+const referralRoutes = require('./routes/referrals');
+const smsRoutes = require('./routes/sms');
+const phoneChangeRoutes = require('./routes/phoneChange');
+const reconciliationJob = require('./jobs/reconciliationJob');
+const payoutJob = require('./jobs/payoutJob');
 
 const app = express();
 const server = http.createServer(app);
@@ -33,12 +43,15 @@ connectDB();
 
 // Middleware
 app.use(cors());
+// Razorpay signs the exact bytes it sends, so the webhook gets the unparsed body
+app.use('/api/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/booking-series', bookingSeriesRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/reviews', reviewRoutes);
@@ -48,6 +61,13 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/photos', photoRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/earnings', earningsRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/promos', promoRoutes);
+app.use('/api/referrals', referralRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/phone-change', phoneChangeRoutes);
 
 // ── WebRTC signaling (Socket.IO) ──
 io.on('connection', (socket) => {
@@ -531,4 +551,6 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`🚀 WeCare Server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV}`);
+  reconciliationJob.start();
+  payoutJob.start();
 });
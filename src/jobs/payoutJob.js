@@ -0,0 +1,43 @@
+const PayoutService = require('../services/payoutService');
+
+const MS_PER_MINUTE = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const runOnce = async () => {
+  // A slow provider must not stack runs on top of each other
+  if (running) return;
+  running = true;
+  try {
+    const summary = await PayoutService.processDue();
+    if (summary.submitted || summary.checked || summary.settled || summary.errors) {
+      console.log(`🏦 Payouts: ${summary.submitted} sent, ${summary.checked} checked, ${summary.settled} settled, ${summary.errors} errors`);
+    }
+  } catch (error) {
+    console.error('Payout job failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Send approved payouts and poll the payout provider every
+ * PAYOUT_POLL_INTERVAL_MINUTES (default 2, 0 turns it off)
+ */
+const start = () => {
+  const minutes = parseFloat(process.env.PAYOUT_POLL_INTERVAL_MINUTES ?? '2');
+  if (!minutes || minutes <= 0 || timer) return;
+
+  timer = setInterval(runOnce, minutes * MS_PER_MINUTE);
+  timer.unref();
+
+  console.log(`🏦 Payout processing scheduled every ${minutes} min`);
+};
+
+const stop = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { start, stop, runOnce };
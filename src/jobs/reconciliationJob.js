@@ -0,0 +1,40 @@
+const ReconciliationService = require('../services/reconciliationService');
+
+const MS_PER_MINUTE = 60 * 1000;
+// Give the database connection time to come up before the first run
+const FIRST_RUN_DELAY_MS = 5 * MS_PER_MINUTE;
+
+let timer = null;
+
+const runOnce = async (autoFix) => {
+  try {
+    await ReconciliationService.run({ autoFix, trigger: 'scheduled' });
+  } catch (error) {
+    console.error('Scheduled reconciliation failed:', error.message);
+  }
+};
+
+/**
+ * Run payment reconciliation every RECONCILIATION_INTERVAL_MINUTES
+ * (default 60, 0 turns it off). RECONCILIATION_AUTO_FIX=true applies the
+ * safe fixes on scheduled runs too.
+ */
+const start = () => {
+  const minutes = parseInt(process.env.RECONCILIATION_INTERVAL_MINUTES ?? '60', 10);
+  if (!minutes || minutes <= 0 || timer) return;
+
+  const autoFix = process.env.RECONCILIATION_AUTO_FIX === 'true';
+
+  setTimeout(() => runOnce(autoFix), FIRST_RUN_DELAY_MS).unref();
+  timer = setInterval(() => runOnce(autoFix), minutes * MS_PER_MINUTE);
+  timer.unref();
+
+  console.log(`🧾 Payment reconciliation scheduled every ${minutes} min${autoFix ? ' (auto-fix on)' : ''}`);
+};
+
+const stop = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { start, stop };
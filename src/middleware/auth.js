@@ -0,0 +1,143 @@
+const User = require('../models/User');
+const DaycareProvider = require('../models/DaycareProvider');
+const ElderCareProvider = require('../models/ElderCareProvider');
+const TokenService = require('../services/tokenService');
+const { sendUnauthorized } = require('./authorize');
+const { ServiceError, sendServiceError } = require('../utils/errors');
+
+const PRINCIPAL_MODELS = {
+  user: User,
+  daycare: DaycareProvider,
+  eldercare: ElderCareProvider,
+};
+
+/**
+ * Build the principal attached to req for an account document
+ * @param {string} kind - 'user', 'daycare' or 'eldercare'
+ * @param {object} account - Mongoose document of that kind
+ */
+const buildPrincipal = (kind, account) => ({
+  id: account._id.toString(),
+  kind,
+  // Users carry their own role; provider collections map 1:1 to a role
+  role: kind === 'user' ? account.role : kind,
+  account,
+});
+
+/**
+ * Load an account by kind and id and return its principal (or null)
+ * @throws {ServiceError} 403 when the account is deactivated
+ */
+const loadPrincipal = async (kind, id) => {
+  const Model = PRINCIPAL_MODELS[kind];
+  if (!Model) return null;
+
+  const account = await Model.findById(id);
+  if (!account) return null;
+  TokenService.assertActive(account);
+
+  return buildPrincipal(kind, account);
+};
+
+const extractBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Tokens issued before sessions existed carry no sid and are accepted until they expire
+const resolveRequestPrincipal = async (token) => {
+  const payload = TokenService.verifyAccessToken(token);
+  const [principal, session] = await Promise.all([
+    loadPrincipal(payload.kind, payload.sub),
+    payload.sid ? TokenService.activeSession(payload.sid) : null,
+  ]);
+  if (payload.sid && !session) {
+    return { signedOut: true };
+  }
+  return principal && { principal, sessionId: payload.sid || null };
+};
+
+const isTokenError = (error) =>
+  error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError' || error.name === 'NotBeforeError';
+
+/**
+ * Require a valid access token and attach the caller to req.principal
+ * req.principal = { id, kind, role, account }; req.sessionId is the device's session
+ */
+const authenticate = async (req, res, next) => {
+  const token = extractBearerToken(req);
+  if (!token) {
+    return sendUnauthorized(res);
+  }
+
+  try {
+    const resolved = await resolveRequestPrincipal(token);
+    if (resolved?.signedOut) {
+      return sendUnauthorized(res, 'This device has been signed out. Please login again.');
+    }
+    if (!resolved) {
+      return sendUnauthorized(res, 'Account not found');
+    }
+
+    req.principal = resolved.principal;
+    req.sessionId = resolved.sessionId;
+    next();
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    if (isTokenError(error)) {
+      return sendUnauthorized(res, error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+    }
+    next(error);
+  }
+};
+
+/**
+ * Attach req.principal when a valid token is sent, otherwise continue anonymously
+ */
+const optionalAuthenticate = async (req, res, next) => {
+  const token = extractBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const resolved = await resolveRequestPrincipal(token);
+    if (resolved?.principal) {
+      req.principal = resolved.principal;
+      req.sessionId = resolved.sessionId;
+    }
+    next();
+  } catch (error) {
+    // Deactivated accounts continue anonymously
+    if (isTokenError(error) || error instanceof ServiceError) return next();
+    next(error);
+  }
+};
+
+/**
+ * Request metadata stored alongside refresh tokens and sessions. The app
+ * describes the device in the body (deviceId, deviceName, platform,
+ * appVersion, fcmToken) or in X-Device-Id, X-Device-Name, X-Platform and
+ * X-App-Version headers.
+ */
+const requestMeta = (req) => {
+  const body = req.body || {};
+  return {
+    ip: req.ip,
+    userAgent: req.get('user-agent') || '',
+    device: {
+      deviceId: body.deviceId || req.get('x-device-id'),
+      deviceName: body.deviceName || req.get('x-device-name'),
+      platform: body.platform || req.get('x-platform'),
+      appVersion: body.appVersion || req.get('x-app-version'),
+      fcmToken: body.fcmToken,
+    },
+  };
+};
+
+module.exports = {
+  authenticate,
+  optionalAuthenticate,
+  buildPrincipal,
+  loadPrincipal,
+  requestMeta,
+};
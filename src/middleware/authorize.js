@@ -0,0 +1,78 @@
+const { can, hasRole } = require('../policies');
+
+/**
+ * Send the standard 401 response
+ */
+const sendUnauthorized = (res, message = 'Authentication required') =>
+  res.status(401).json({
+    success: false,
+    message,
+  });
+
+/**
+ * Send the standard 403 response
+ */
+const sendForbidden = (res, message = 'You are not allowed to perform this action') =>
+  res.status(403).json({
+    success: false,
+    message,
+  });
+
+/**
+ * Respond with 401/403 unless req.principal may perform the action
+ * Use inside handlers once the resource has been loaded.
+ * @returns {boolean} true when the request was allowed
+ */
+const ensureAllowed = (req, res, action, resource) => {
+  if (!req.principal) {
+    sendUnauthorized(res);
+    return false;
+  }
+  if (!can(req.principal, action, resource)) {
+    sendForbidden(res);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Route middleware enforcing a policy
+ * @param {string} action - Policy name
+ * @param {function} getResource - (req) => resource built from params/body (no DB access)
+ */
+const authorize = (action, getResource = () => ({})) => (req, res, next) => {
+  if (ensureAllowed(req, res, action, getResource(req))) {
+    next();
+  }
+};
+
+/**
+ * Route middleware allowing only the given roles
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.principal) {
+    return sendUnauthorized(res);
+  }
+  if (!hasRole(req.principal, ...roles)) {
+    return sendForbidden(res);
+  }
+  next();
+};
+
+/**
+ * Route middleware for /:param routes that address an account:
+ * only that account itself or an admin may continue
+ * @param {string} param - Route param holding the account id
+ * @param {string} action - 'account:read' or 'account:update'
+ */
+const requireSelfOrAdmin = (param = 'id', action = 'account:update') =>
+  authorize(action, (req) => ({ userId: req.params[param] }));
+
+module.exports = {
+  authorize,
+  ensureAllowed,
+  requireRole,
+  requireSelfOrAdmin,
+  sendUnauthorized,
+  sendForbidden,
+};
@@ -19,6 +19,19 @@ const bookingSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Recurring series this booking is an occurrence of
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries',
+    default: null,
+  },
+  // Scheduled date (YYYY-MM-DD) of the occurrence, kept when it is moved
+  seriesOccurrenceDate: String,
+  // Occurrence was changed individually and no longer follows the series
+  isSeriesException: {
+    type: Boolean,
+    default: false,
+  },
   // Booking date
   date: {
     type: Date,
@@ -34,6 +47,9 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Real start/end instants derived from date + startTime/endTime
+  startAt: Date,
+  endAt: Date,
   // Total hours
   totalHours: {
     type: Number,
@@ -80,21 +96,113 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Server-side price breakdown (see services/pricingService.js)
+  pricing: {
+    currency: { type: String, default: 'INR' },
+    billableHours: Number,
+    lineItems: [{
+      _id: false,
+      code: String,
+      type: {
+        type: String,
+        enum: ['base', 'surcharge', 'discount', 'tax', 'fee'],
+      },
+      label: String,
+      amount: Number,
+    }],
+    subtotal: Number,
+    discountTotal: { type: Number, default: 0 },
+    platformFee: { type: Number, default: 0 },
+    taxTotal: { type: Number, default: 0 },
+    total: Number,
+    cityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'City',
+    },
+    // Promo code whose discount is in lineItems (see services/promoService.js)
+    promoCode: String,
+    quotedAt: Date,
+  },
   // Booking status
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'rejected'],
     default: 'pending',
   },
+  // Proposals to move the booking (see services/rescheduleService.js)
+  rescheduleRequests: [{
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'withdrawn'],
+      default: 'pending',
+    },
+    requestedBy: {
+      id: String,
+      role: {
+        type: String,
+        enum: ['parent', 'nanny'],
+      },
+    },
+    reason: { type: String, default: '' },
+    // Proposed slot
+    date: Date,
+    startTime: String,
+    endTime: String,
+    startAt: Date,
+    endAt: Date,
+    // Price for the proposed slot when it was requested
+    quotedTotal: Number,
+    // Slot the booking had before the change was accepted
+    previous: {
+      date: Date,
+      startTime: String,
+      endTime: String,
+      totalAmount: Number,
+    },
+    requestedAt: { type: Date, default: Date.now },
+    respondedAt: Date,
+    responseReason: String,
+  }],
+  // Every status change, oldest first (see services/bookingLifecycle.js)
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    by: {
+      id: String,
+      role: {
+        type: String,
+        enum: ['parent', 'nanny', 'admin', 'system'],
+      },
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   // Cancellation details
   cancellation: {
     cancelledBy: {
       type: String,
-      enum: ['parent', 'nanny', 'admin', null],
+      enum: ['parent', 'nanny', 'admin', 'system', null],
       default: null,
     },
     reason: String,
     cancelledAt: Date,
+    // Where the parent wants the refund: the payment method or their wallet
+    refundTo: {
+      type: String,
+      enum: ['source', 'wallet'],
+      default: 'source',
+    },
+    // Outcome of the cancellation policy (see services/cancellationPolicyService.js)
+    policyTier: String,
+    refundPercent: Number,
+    refundAmount: Number,
+    cancellationFee: Number,
+    nannyCompensation: Number,
+    settledAt: Date,
   },
   // Payment details
   payment: {
@@ -111,7 +219,75 @@ const bookingSchema = new mongoose.Schema({
     paidAt: Date,
     transactionId: String,
     razorpayOrderId: String,
+    // Part paid from the parent's wallet; the rest is paid online
+    walletAmount: {
+      type: Number,
+      default: 0,
+    },
+    // The 'wallet-payment' transaction holding it
+    walletTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+    },
+    // Sum of processed refunds (see services/refundService.js)
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Sum of refunds issued and not failed, reserved before each refund is created
+    // so concurrent refunds cannot return more than was paid. Unset on bookings
+    // never refunded since it was added; filled in on their first refund.
+    refundClaimedAmount: Number,
+    refundedAt: Date,
+    // Last failed attempt reported by the gateway
+    failureReason: String,
+    failedAt: Date,
+    // A captured payment that did not match the amount due. The booking stays
+    // unpaid until an admin sorts it out (see services/paymentService.js).
+    review: {
+      reason: String,
+      paymentId: String,
+      orderId: String,
+      amount: Number,
+      expected: Number,
+      flaggedAt: Date,
+    },
+  },
+  // Nanny payout for a completed booking (see services/settlementService.js)
+  settlement: {
+    status: {
+      type: String,
+      enum: ['pending', 'awaiting-payment', 'settled'],
+      default: 'pending',
+    },
+    nannyEarning: Number,
+    // How the gross amount was divided (see services/commissionService.js)
+    split: {
+      grossAmount: Number,
+      serviceAmount: Number,
+      discountTotal: Number,
+      commissionPercent: Number,
+      commission: Number,
+      commissionTax: Number,
+      platformFee: Number,
+      platformFeeTax: Number,
+      providerEarning: Number,
+      platformRevenue: Number,
+      taxTotal: Number,
+      commissionRuleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommissionRule',
+      },
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+    },
+    settledAt: Date,
   },
+  // Set while the invoice is being issued, so only one call takes a number
+  // for it (see services/invoiceService.js)
+  invoiceClaimedAt: Date,
   // Ratings (after completion)
   rating: {
     byParent: {
@@ -127,13 +303,14 @@ const bookingSchema = new mongoose.Schema({
   },
   // Completion verification
   completionVerification: {
-    otp: String,
-    otpExpiry: Date,
+    // The code itself is kept by services/otpService.js
     otpVerified: { type: Boolean, default: false },
     verificationImage: String, // URL or base64 of image with child
     verifiedAt: Date,
     qrToken: String,
     qrExpiry: Date,
+    // How the booking was completed: 'otp', 'qr' or 'admin'
+    method: String,
   },
   // Timestamps
   createdAt: {
@@ -145,6 +322,7 @@ const bookingSchema = new mongoose.Schema({
     default: Date.now,
   },
   confirmedAt: Date,
+  startedAt: Date,
   completedAt: Date,
 });
 
@@ -160,6 +338,8 @@ bookingSchema.index({ parentId: 1, createdAt: -1 });
 bookingSchema.index({ nannyId: 1, createdAt: -1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ date: 1 });
+bookingSchema.index({ nannyId: 1, startAt: 1, endAt: 1 });
+bookingSchema.index({ seriesId: 1, startAt: 1 });
 bookingSchema.index({ bookingId: 1 });
 
 // Update timestamp on save
@@ -168,6 +348,19 @@ bookingSchema.pre('save', function(next) {
   next();
 });
 
+// The completion QR token completes the booking when the nanny scans it, so
+// it never goes out with the booking; the parent gets it from generate-qr
+// (and GET /api/bookings/:id)
+bookingSchema.set('toJSON', {
+  transform(doc, ret) {
+    if (ret.completionVerification) {
+      delete ret.completionVerification.qrToken;
+      delete ret.completionVerification.qrExpiry;
+    }
+    return ret;
+  },
+});
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
 module.exports = Booking;
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const bookingSeriesSchema = new mongoose.Schema({
+  // Unique series ID (e.g., WS12345678)
+  seriesId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  nannyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // How occurrences repeat
+  recurrence: {
+    // daily: every `interval` days
+    // weekly: the start date's weekday, every `interval` weeks
+    // custom: the given daysOfWeek, every `interval` weeks
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'custom'],
+      required: true,
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    daysOfWeek: [{
+      type: Number, // 0 = Sunday
+      min: 0,
+      max: 6,
+    }],
+    startDate: {
+      type: String, // YYYY-MM-DD
+      required: true,
+    },
+    // Either endDate or count bounds the series
+    endDate: String,
+    count: Number,
+  },
+  // Same times for every occurrence (e.g., "09:00 AM" - "05:00 PM")
+  startTime: {
+    type: String,
+    required: true,
+  },
+  endTime: {
+    type: String,
+    required: true,
+  },
+  children: [{
+    name: String,
+    age: Number,
+    gender: String,
+  }],
+  numberOfChildren: {
+    type: Number,
+    default: 1,
+  },
+  childrenAges: {
+    type: String,
+    default: '',
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    pincode: String,
+    formattedAddress: String,
+    coordinates: {
+      lat: Number,
+      lng: Number,
+    },
+  },
+  specialInstructions: {
+    type: String,
+    default: '',
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active',
+  },
+  // Dates left out of the series (conflicts at creation or skipped later)
+  skippedDates: [{
+    type: String, // YYYY-MM-DD
+  }],
+  cancellation: {
+    cancelledBy: {
+      type: String,
+      enum: ['parent', 'nanny', 'admin', null],
+      default: null,
+    },
+    reason: String,
+    cancelledAt: Date,
+  },
+}, { timestamps: true });
+
+// Generate unique series ID
+bookingSeriesSchema.statics.generateSeriesId = function() {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `WS${timestamp}${random}`;
+};
+
+bookingSeriesSchema.index({ parentId: 1, createdAt: -1 });
+bookingSeriesSchema.index({ nannyId: 1, createdAt: -1 });
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+
+module.exports = BookingSeries;
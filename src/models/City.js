@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 
+// Refund rules for cancellations made by the parent
+const cancellationPolicySchema = new mongoose.Schema({
+  // Highest minHoursBefore that the cancellation meets wins
+  tiers: [{
+    minHoursBefore: { type: Number, required: true },
+    refundPercent: { type: Number, required: true, min: 0, max: 100 },
+  }],
+  // Share of the retained amount paid to the nanny as a cancellation fee
+  nannyFeeSharePercent: { type: Number, default: 100, min: 0, max: 100 },
+}, { _id: false });
+
 const citySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -35,6 +46,28 @@ const citySchema = new mongoose.Schema({
     emergencyCare: { type: Boolean, default: false },
     support: { type: Boolean, default: true },
   },
+  // Pricing rules applied to nanny bookings in this city
+  pricing: {
+    minimumHours: { type: Number, default: 2 },
+    // Each child after the first adds this % of the base amount
+    extraChildPercent: { type: Number, default: 25 },
+    // Applied to the hours that fall inside the night window
+    nightSurchargePercent: { type: Number, default: 25 },
+    nightStartHour: { type: Number, default: 21 },
+    nightEndHour: { type: Number, default: 6 },
+    // Applied to the whole booking on Saturdays and Sundays
+    weekendSurchargePercent: { type: Number, default: 10 },
+    // Flat fee charged by WeCare on every booking
+    platformFee: { type: Number, default: 29 },
+    // GST charged on the platform fee
+    gstPercent: { type: Number, default: 18 },
+  },
+  // Cancellation policy per service (e.g. 'nanny'); see services/cancellationPolicyService.js
+  cancellationPolicies: {
+    type: Map,
+    of: cancellationPolicySchema,
+    default: undefined,
+  },
   // Display order for upcoming cities list
   sortOrder: {
     type: Number,
@@ -46,6 +79,18 @@ const citySchema = new mongoose.Schema({
 citySchema.index({ pincodePrefix: 1 });
 citySchema.index({ isActive: 1 });
 
+// Find the city serving a pincode, preferring the longest matching prefix
+citySchema.statics.findByPincode = async function(pincode) {
+  const value = String(pincode || '').trim();
+  if (value.length < 3) return null;
+
+  for (let len = Math.min(value.length, 6); len >= 3; len--) {
+    const city = await this.findOne({ pincodePrefix: value.substring(0, len) });
+    if (city) return city;
+  }
+  return null;
+};
+
 const City = mongoose.model('City', citySchema);
 
 module.exports = City;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const PROVIDER_TIERS = ['standard', 'premium', 'elite'];
+
+// Platform commission taken from the service amount at settlement.
+// Leave a match field empty to match everything; the most specific active
+// rule wins (see services/commissionService.js).
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    default: '',
+  },
+  // Match fields
+  service: {
+    type: String,
+    enum: ['nanny', 'daycare', 'eldercare', null],
+    default: null,
+  },
+  cityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City',
+    default: null,
+  },
+  tier: {
+    type: String,
+    enum: [...PROVIDER_TIERS, null],
+    default: null,
+  },
+  // Commission as a percentage of the service amount
+  percent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+commissionRuleSchema.index({ isActive: 1, service: 1, cityId: 1, tier: 1 });
+
+commissionRuleSchema.statics.PROVIDER_TIERS = PROVIDER_TIERS;
+
+const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
+
+module.exports = CommissionRule;
@@ -158,7 +158,9 @@ const daycareProviderSchema = new mongoose.Schema({
     ifscCode: String,
     bankName: String,
     upiId: String,
+    updatedAt: Date,
   },
+  // Pre-ledger counters, no longer updated (see services/ledgerService.js)
   totalEarnings: {
     type: Number,
     default: 0,
@@ -173,6 +175,12 @@ const daycareProviderSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  // Shared to invite others (see services/referralService.js)
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
   isActive: {
     type: Boolean,
     default: true,
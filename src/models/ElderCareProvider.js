@@ -150,7 +150,9 @@ const elderCareProviderSchema = new mongoose.Schema({
     ifscCode: String,
     bankName: String,
     upiId: String,
+    updatedAt: Date,
   },
+  // Pre-ledger counters, no longer updated (see services/ledgerService.js)
   totalEarnings: {
     type: Number,
     default: 0,
@@ -169,6 +171,12 @@ const elderCareProviderSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  // Shared to invite others (see services/referralService.js)
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
   isActive: {
     type: Boolean,
     default: true,
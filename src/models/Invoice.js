@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  address: String,
+  state: String,
+  phoneNumber: String,
+  email: String,
+}, { _id: false });
+
+// One invoice or receipt per paid booking (see services/invoiceService.js).
+// Everything printed on it is copied in, so later profile or price changes
+// never alter an issued document.
+const invoiceSchema = new mongoose.Schema({
+  // Sequential per financial year, e.g. WC/2026-27/000123
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // invoice: paid online; receipt: cash collected on site
+  kind: {
+    type: String,
+    enum: ['invoice', 'receipt'],
+    required: true,
+  },
+  // Financial year, e.g. 2026-27
+  financialYear: String,
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  bookingRef: String,
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  provider: {
+    type: {
+      type: String,
+      enum: ['nanny', 'daycare', 'eldercare'],
+    },
+    id: mongoose.Schema.Types.ObjectId,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Supplier (the platform), the provider who did the work and the customer
+  seller: partySchema,
+  serviceProvider: partySchema,
+  customer: partySchema,
+  placeOfSupply: String,
+  // intra: CGST + SGST, inter: IGST
+  supplyType: {
+    type: String,
+    enum: ['intra', 'inter'],
+  },
+  serviceDate: Date,
+  serviceTime: String,
+  lineItems: [{
+    _id: false,
+    code: String,
+    description: String,
+    // Services Accounting Code
+    sac: String,
+    amount: Number,
+    taxable: Boolean,
+    gstPercent: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+  }],
+  totals: {
+    subtotal: Number,
+    discountTotal: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    taxTotal: Number,
+    total: Number,
+    amountInWords: String,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  payment: {
+    method: String,
+    paidAt: Date,
+    transactionId: String,
+    walletAmount: Number,
+  },
+  // Printable copy as issued
+  html: String,
+}, { timestamps: true });
+
+invoiceSchema.index({ bookingId: 1 }, { unique: true });
+invoiceSchema.index({ 'provider.type': 1, 'provider.id': 1, issuedAt: -1 });
+invoiceSchema.index({ parentId: 1, issuedAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
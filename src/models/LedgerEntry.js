@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const lineSchema = new mongoose.Schema({
+  // Account code, e.g. provider:nanny:<id> (see services/ledgerService.js)
+  account: {
+    type: String,
+    required: true,
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, { _id: false });
+
+// One balanced journal entry: total debits always equal total credits
+const ledgerEntrySchema = new mongoose.Schema({
+  // What the entry records
+  kind: {
+    type: String,
+    enum: [
+      'booking-payment',
+      'earning',
+      'cash-collected',
+      'cancellation-fee',
+      'refund',
+      'withdrawal',
+      'withdrawal-paid',
+      'withdrawal-reversed',
+      'opening-balance',
+      'adjustment',
+      'wallet-topup',
+      'wallet-credit',
+      'wallet-payment',
+      'wallet-release',
+      'referral-bonus',
+    ],
+    required: true,
+  },
+  // Makes posting idempotent: the same event never posts twice
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  lines: {
+    type: [lineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A ledger entry needs at least two lines',
+    },
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  // Records the entry came from
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { timestamps: true });
+
+ledgerEntrySchema.pre('validate', function(next) {
+  const debits = this.lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credits = this.lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+  if (Math.round(debits * 100) !== Math.round(credits * 100)) {
+    return next(new Error(`Unbalanced ledger entry ${this.key}: debits ${debits} ≠ credits ${credits}`));
+  }
+  next();
+});
+
+ledgerEntrySchema.index({ 'lines.account': 1, postedAt: -1 });
+ledgerEntrySchema.index({ bookingId: 1 });
+ledgerEntrySchema.index({ kind: 1, postedAt: -1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
@@ -1,37 +0,0 @@
-const mongoose = require('mongoose');
-
-const otpSchema = new mongoose.Schema({
-  phoneNumber: {
-    type: String,
-    required: true,
-    trim: true,
-  },
-  otp: {
-    type: String,
-    required: true,
-  },
-  expiresAt: {
-    type: Date,
-    required: true,
-  },
-  isUsed: {
-    type: Boolean,
-    default: false,
-  },
-  attempts: {
-    type: Number,
-    default: 0,
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now,
-    expires: 600, // Auto-delete after 10 minutes
-  },
-});
-
-// Index for faster lookups
-otpSchema.index({ phoneNumber: 1, otp: 1 });
-
-const OTP = mongoose.model('OTP', otpSchema);
-
-module.exports = OTP;
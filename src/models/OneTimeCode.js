@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// An OTP issued by services/otpService.js. Only a keyed hash of the code is
+// stored. Kept for a day after it is sent, so the hourly send limits can
+// count it after it expires.
+const oneTimeCodeSchema = new mongoose.Schema({
+  // E.164, e.g. +919876543210
+  phoneNumber: {
+    type: String,
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'provider-login', 'booking-completion', 'phone-change', 'pin-reset'],
+    required: true,
+  },
+  // What the code is for within its purpose, e.g. the booking ID
+  subject: {
+    type: String,
+    default: '',
+  },
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Wrong codes entered so far
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // active until used; superseded by a newer code; locked after too many
+  // attempts; failed when the SMS could not be sent
+  status: {
+    type: String,
+    enum: ['active', 'used', 'superseded', 'locked', 'failed'],
+    default: 'active',
+  },
+  usedAt: Date,
+  // Address the code was requested from
+  ip: {
+    type: String,
+    default: '',
+  },
+  smsMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsMessage',
+  },
+}, { timestamps: true });
+
+oneTimeCodeSchema.index({ phoneNumber: 1, purpose: 1, subject: 1, createdAt: -1 });
+oneTimeCodeSchema.index({ phoneNumber: 1, createdAt: -1 });
+oneTimeCodeSchema.index({ ip: 1, createdAt: -1 });
+oneTimeCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const OneTimeCode = mongoose.model('OneTimeCode', oneTimeCodeSchema);
+
+module.exports = OneTimeCode;
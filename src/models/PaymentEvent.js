@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Every signed webhook call received from the payment gateway, kept for replay and debugging.
+// Unsigned calls are only logged, so anyone can send them without filling the collection.
+const paymentEventSchema = new mongoose.Schema({
+  // Gateway's event ID (x-razorpay-event-id), the same on every retry
+  eventId: {
+    type: String,
+    required: true,
+  },
+  gateway: {
+    type: String,
+    default: 'razorpay',
+  },
+  // e.g. payment.captured, refund.processed
+  event: {
+    type: String,
+    default: '',
+  },
+  // Raw request body exactly as received, so the signature can be checked again
+  rawBody: {
+    type: String,
+    required: true,
+  },
+  signature: String,
+  signatureValid: {
+    type: Boolean,
+    default: false,
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  // received: stored, not handled yet
+  // processed: handled
+  // ignored: valid but nothing to do (unknown event type or record)
+  // failed: handling threw; the gateway retry or a replay runs it again
+  // rejected: bad signature, never handled (older records; such calls are no longer stored)
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed', 'rejected'],
+    default: 'received',
+  },
+  // What handling the event did, or why it was ignored/failed
+  result: String,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Records the event was about
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  paymentId: String,
+  refundId: String,
+  payoutId: String,
+  processedAt: Date,
+}, { timestamps: true });
+
+// Retries of a genuine event land on the same record; forged calls cannot claim an event ID
+paymentEventSchema.index(
+  { gateway: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true } }
+);
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+paymentEventSchema.index({ bookingId: 1, createdAt: -1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = PaymentEvent;
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// A provider withdrawal on its way to their bank account or UPI ID
+// (see services/payoutService.js for the state machine)
+const payoutSchema = new mongoose.Schema({
+  // Unique payout ID (e.g., PO12345678), also the provider's reference_id
+  payoutId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Provider being paid
+  owner: {
+    type: {
+      type: String,
+      enum: ['nanny', 'daycare', 'eldercare'],
+      required: true,
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+  },
+  // Matching 'withdrawal' entry in the provider's transactions
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+  },
+  // Amount in rupees
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  method: {
+    type: String,
+    enum: ['bank', 'upi'],
+    required: true,
+  },
+  // Where the money goes, copied at request time
+  destination: {
+    accountHolderName: String,
+    accountNumber: String,
+    ifscCode: String,
+    bankName: String,
+    upiId: String,
+  },
+  // requested: amount held, waiting for approval
+  // approved: cleared to be sent to the payout provider
+  // processing: accepted by the provider, money on its way
+  // paid: money reached the provider's account
+  // failed: rejected or not delivered, amount released back to the balance
+  // reversed: bank returned a paid payout, amount released back to the balance
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'processing', 'paid', 'failed', 'reversed'],
+    default: 'requested',
+  },
+  // Above the approval threshold an admin has to approve it
+  requiresApproval: {
+    type: Boolean,
+    default: false,
+  },
+  // Every status change, oldest first
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    by: {
+      id: String,
+      role: {
+        type: String,
+        enum: ['nanny', 'daycare', 'eldercare', 'admin', 'system'],
+      },
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  // Payout provider ('razorpayx', 'simulator'), its payout ID and raw status
+  provider: String,
+  providerPayoutId: String,
+  providerStatus: String,
+  // Bank reference of a paid payout
+  utr: String,
+  failureReason: String,
+  // Times it was sent to the provider
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Last time the provider's status was checked
+  lastCheckedAt: Date,
+  approvedAt: Date,
+  submittedAt: Date,
+  paidAt: Date,
+  failedAt: Date,
+  reversedAt: Date,
+  // Transaction and ledger updated for the final status
+  settledAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+// Generate unique payout ID
+payoutSchema.statics.generatePayoutId = function() {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `PO${timestamp}${random}`;
+};
+
+payoutSchema.index({ 'owner.type': 1, 'owner.id': 1, createdAt: -1 });
+payoutSchema.index({ status: 1, updatedAt: 1 });
+payoutSchema.index({ transactionId: 1 });
+payoutSchema.index({ providerPayoutId: 1 }, { sparse: true });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+module.exports = Payout;
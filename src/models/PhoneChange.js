@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A request to move an account to a new phone number (see
+// services/phoneChangeService.js). Kept after it ends as the audit trail of
+// the account's number changes.
+const eventSchema = new mongoose.Schema({
+  // requested, old-number-verified, new-number-verified, submitted-for-review,
+  // approved, rejected, cancelled, expired or completed
+  type: {
+    type: String,
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  // Who did it: the account itself or an admin
+  actor: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId,
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  note: {
+    type: String,
+    default: '',
+  },
+}, { _id: false });
+
+const phoneChangeSchema = new mongoose.Schema({
+  // Account whose number changes, as in principals
+  account: {
+    kind: {
+      type: String,
+      enum: ['user', 'daycare', 'eldercare'],
+      required: true,
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+  },
+  oldPhoneNumber: {
+    type: String,
+    required: true,
+  },
+  oldCountryCode: {
+    type: String,
+    default: '+91',
+  },
+  newPhoneNumber: {
+    type: String,
+    required: true,
+  },
+  newCountryCode: {
+    type: String,
+    default: '+91',
+  },
+  // otp: codes on both numbers; support: the old number is lost, so an admin
+  // reviews the request once the new number is verified
+  method: {
+    type: String,
+    enum: ['otp', 'support'],
+    default: 'otp',
+  },
+  // Why the old number cannot receive a code (support requests)
+  supportReason: {
+    type: String,
+    default: '',
+  },
+  // pending: waiting for codes; in-review: waiting for an admin
+  status: {
+    type: String,
+    enum: ['pending', 'in-review', 'completed', 'cancelled', 'rejected', 'expired'],
+    default: 'pending',
+  },
+  oldNumberVerifiedAt: Date,
+  newNumberVerifiedAt: Date,
+  // The codes must be entered before this (pending requests)
+  expiresAt: Date,
+  completedAt: Date,
+  events: [eventSchema],
+}, { timestamps: true });
+
+phoneChangeSchema.index({ 'account.kind': 1, 'account.id': 1, createdAt: -1 });
+phoneChangeSchema.index({ status: 1, createdAt: -1 });
+phoneChangeSchema.index({ newPhoneNumber: 1, status: 1 });
+phoneChangeSchema.index({ oldPhoneNumber: 1 });
+
+const PhoneChange = mongoose.model('PhoneChange', phoneChangeSchema);
+
+module.exports = PhoneChange;
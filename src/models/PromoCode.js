@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Discount code entered by parents when booking (see services/promoService.js).
+// Leave cityIds/services empty to allow every city/service.
+const promoCodeSchema = new mongoose.Schema({
+  // Stored upper-case, e.g. BLR100
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  // percent: value% of the service amount (up to maxDiscount), flat: value in rupees
+  discountType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: true,
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  maxDiscount: {
+    type: Number,
+    default: null,
+  },
+  // Smallest service amount (before fees) the code applies to
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+  },
+  validFrom: {
+    type: Date,
+    default: null,
+  },
+  validUntil: {
+    type: Date,
+    default: null,
+  },
+  cityIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City',
+  }],
+  services: [{
+    type: String,
+    enum: ['nanny', 'daycare', 'eldercare'],
+  }],
+  // Redemptions allowed in total (null: unlimited) and per parent
+  usageLimit: {
+    type: Number,
+    default: null,
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+  },
+  // Only for a parent's first booking
+  firstBookingOnly: {
+    type: Boolean,
+    default: false,
+  },
+  // Redemptions in effect; cancelled bookings give theirs back
+  usedCount: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+promoCodeSchema.index({ isActive: 1, validUntil: 1 });
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+module.exports = PromoCode;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A promo code used on a booking. Reversed (and the use given back) when the
+// booking is cancelled or rejected.
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true,
+  },
+  code: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  // Discount given, in rupees
+  amount: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'reversed'],
+    default: 'applied',
+  },
+  reversedAt: Date,
+  reversalReason: String,
+}, { timestamps: true });
+
+// One code per booking
+promoRedemptionSchema.index({ bookingId: 1 }, { unique: true });
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1, status: 1 });
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+module.exports = PromoRedemption;
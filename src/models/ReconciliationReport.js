@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const issueSchema = new mongoose.Schema({
+  // See services/reconciliationService.js for the checks
+  type: {
+    type: String,
+    required: true,
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning',
+  },
+  message: String,
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+  },
+  orderId: String,
+  paymentId: String,
+  expected: mongoose.Schema.Types.Mixed,
+  actual: mongoose.Schema.Types.Mixed,
+  // Whether the job knows a safe fix, and what applying it did
+  fixable: {
+    type: Boolean,
+    default: false,
+  },
+  fixed: {
+    type: Boolean,
+    default: false,
+  },
+  fixResult: String,
+}, { _id: true });
+
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled',
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Whether safe fixes were applied during the run
+  autoFix: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+  },
+  // Bookings touched since this date were checked
+  since: Date,
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: Date,
+  summary: {
+    bookingsChecked: { type: Number, default: 0 },
+    nanniesChecked: { type: Number, default: 0 },
+    refundsChecked: { type: Number, default: 0 },
+    issues: { type: Number, default: 0 },
+    fixed: { type: Number, default: 0 },
+  },
+  issues: [issueSchema],
+  error: String,
+}, { timestamps: true });
+
+reconciliationReportSchema.index({ createdAt: -1 });
+reconciliationReportSchema.index({ 'issues.type': 1, createdAt: -1 });
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = ReconciliationReport;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// An account (or provider) that is signed up with another account's
+// referral code (see services/referralService.js). Both sides are rewarded
+// once the referee's first booking is settled.
+const partySchema = new mongoose.Schema({
+  // Collection the account lives in, as in principals
+  kind: {
+    type: String,
+    enum: ['user', 'daycare', 'eldercare'],
+    required: true,
+  },
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+}, { _id: false });
+
+const rewardSchema = new mongoose.Schema({
+  // parent: wallet credit, nanny/daycare/eldercare: bonus earnings
+  accountType: {
+    type: String,
+    enum: ['parent', 'nanny', 'daycare', 'eldercare'],
+  },
+  amount: Number,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+}, { _id: false });
+
+const referralSchema = new mongoose.Schema({
+  referrer: {
+    type: partySchema,
+    required: true,
+  },
+  referee: {
+    type: partySchema,
+    required: true,
+  },
+  // Code entered at signup
+  code: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'rewarded', 'rejected'],
+    default: 'pending',
+  },
+  // self, same-phone, same-device, same-address or not-eligible
+  rejectionReason: String,
+  rejectedAt: Date,
+  // Device and network the referee signed up from
+  signup: {
+    deviceId: String,
+    ip: String,
+  },
+  // Booking whose settlement earned the rewards
+  qualifyingBookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  rewards: {
+    referrer: rewardSchema,
+    referee: rewardSchema,
+  },
+  rewardedAt: Date,
+}, { timestamps: true });
+
+// An account can only be referred once
+referralSchema.index({ 'referee.kind': 1, 'referee.id': 1 }, { unique: true });
+referralSchema.index({ 'referrer.kind': 1, 'referrer.id': 1, createdAt: -1 });
+referralSchema.index({ status: 1, createdAt: -1 });
+
+const Referral = mongoose.model('Referral', referralSchema);
+
+module.exports = Referral;
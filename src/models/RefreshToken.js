@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  // SHA-256 hash of the opaque token handed to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Account the token belongs to (User, DaycareProvider or ElderCareProvider)
+  principalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  principalKind: {
+    type: String,
+    enum: ['user', 'daycare', 'eldercare'],
+    required: true,
+  },
+  // All tokens produced by rotating the same login share a family,
+  // so reuse of a rotated token can revoke the whole chain
+  family: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  // Set when the token was exchanged for a new one; presenting it again is reuse
+  rotatedAt: Date,
+  replacedByHash: String,
+  createdByIp: {
+    type: String,
+    default: '',
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+}, { timestamps: true });
+
+refreshTokenSchema.index({ principalId: 1, principalKind: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB purge tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  // Unique refund ID (e.g., RF12345678)
+  refundId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  // Parent receiving the money
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Matching 'refund' entry in the parent's transactions
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  // Amount in rupees
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  // full: the whole remaining payment, partial: part of it
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true,
+  },
+  reason: {
+    type: String,
+    default: '',
+  },
+  // What caused the refund
+  source: {
+    type: String,
+    enum: ['cancellation', 'admin'],
+    default: 'admin',
+  },
+  // source: back to the payment method, wallet: credited to the parent's wallet
+  destination: {
+    type: String,
+    enum: ['source', 'wallet'],
+    default: 'source',
+  },
+  // pending: not yet sent to the gateway
+  // processing: accepted by the gateway, money not yet returned
+  // processed: money returned to the parent
+  // failed: rejected by the gateway (can be retried)
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'processed', 'failed'],
+    default: 'pending',
+  },
+  gateway: {
+    type: String,
+    default: 'razorpay',
+  },
+  // Payment being refunded and the gateway's refund ID
+  paymentId: String,
+  gatewayRefundId: String,
+  failureReason: String,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  initiatedBy: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    role: String,
+  },
+  processedAt: Date,
+}, { timestamps: true });
+
+// Generate unique refund ID
+refundSchema.statics.generateRefundId = function() {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `RF${timestamp}${random}`;
+};
+
+refundSchema.index({ bookingId: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ gatewayRefundId: 1 }, { sparse: true });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
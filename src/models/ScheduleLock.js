@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Held while a nanny's bookings are being checked and written, so two
+// requests cannot both find a slot free and book it (see
+// SchedulingService.withNannyLock)
+const scheduleLockSchema = new mongoose.Schema({
+  // Nanny ID
+  _id: String,
+  // Random token of the request holding the lock
+  owner: {
+    type: String,
+    required: true,
+  },
+  // A holder that crashed gives the lock up at this time
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB purge locks that were never released
+scheduleLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ScheduleLock = mongoose.model('ScheduleLock', scheduleLockSchema);
+
+module.exports = ScheduleLock;
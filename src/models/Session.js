@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. A session is the refresh token family of a login
+// (see services/tokenService.js): rotating tokens keeps the session, and
+// revoking the session revokes its refresh tokens.
+const sessionSchema = new mongoose.Schema({
+  // Account signed in (User, DaycareProvider or ElderCareProvider)
+  principalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  principalKind: {
+    type: String,
+    enum: ['user', 'daycare', 'eldercare'],
+    required: true,
+  },
+  // Refresh token family of the login
+  family: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // As reported by the app
+  deviceId: {
+    type: String,
+    default: '',
+  },
+  deviceName: {
+    type: String,
+    default: '',
+  },
+  // 'android', 'ios' or 'web'
+  platform: {
+    type: String,
+    default: '',
+  },
+  appVersion: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  // Push notifications for this device
+  fcmToken: {
+    type: String,
+    default: '',
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // When the latest refresh token runs out
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  // logout, signed-out (from another device), pin-change, phone-change, deactivated, deleted or token-reuse
+  revokedReason: String,
+}, { timestamps: true });
+
+sessionSchema.index({ principalId: 1, principalKind: 1, revokedAt: 1 });
+sessionSchema.index({ fcmToken: 1 });
+// Let MongoDB purge sessions once their refresh tokens have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One SMS sent through services/smsProvider.js, kept to follow its delivery.
+// OTPs are masked in the stored text.
+const smsMessageSchema = new mongoose.Schema({
+  // E.164, e.g. +919876543210
+  to: {
+    type: String,
+    required: true,
+  },
+  // Why it was sent: login, provider-login, booking-completion, ...
+  purpose: {
+    type: String,
+    required: true,
+  },
+  text: {
+    type: String,
+    default: '',
+  },
+  dltTemplateId: {
+    type: String,
+    default: '',
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  // Provider's ID for the message; delivery reports refer to it
+  providerMessageId: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'delivered', 'failed'],
+    default: 'queued',
+  },
+  // Status as the provider reported it
+  providerStatus: String,
+  error: String,
+  // Booking the message is about, if any
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  sentAt: Date,
+  deliveredAt: Date,
+  failedAt: Date,
+}, { timestamps: true });
+
+smsMessageSchema.index({ provider: 1, providerMessageId: 1 });
+smsMessageSchema.index({ to: 1, createdAt: -1 });
+smsMessageSchema.index({ status: 1, createdAt: -1 });
+// Delivery records are only needed for a while
+smsMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const SmsMessage = mongoose.model('SmsMessage', smsMessageSchema);
+
+module.exports = SmsMessage;
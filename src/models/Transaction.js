@@ -10,7 +10,21 @@ const transactionSchema = new mongoose.Schema({
   // Transaction type
   type: {
     type: String,
-    enum: ['earning', 'withdrawal', 'refund'],
+    enum: [
+      'earning',
+      'withdrawal',
+      'refund',
+      'cancellation-fee',
+      // Parent wallet (see services/walletService.js)
+      'wallet-topup',
+      'wallet-credit',
+      'wallet-payment',
+      'wallet-refund',
+      // Provider reward for a referral (see services/referralService.js)
+      'referral-bonus',
+      // Cash a nanny collected on site for a booking; it counts against their balance
+      'cash-collected',
+    ],
     required: true,
   },
   // Amount
@@ -34,6 +48,14 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Booking',
   },
+  // Earnings: gross booking amount and what the platform kept
+  split: {
+    grossAmount: Number,
+    commissionPercent: Number,
+    commission: Number,
+    commissionTax: Number,
+    platformFee: Number,
+  },
   // Withdrawal details
   withdrawalDetails: {
     method: {
@@ -47,9 +69,17 @@ const transactionSchema = new mongoose.Schema({
       bankName: String,
     },
     upiId: String,
+    // Payout carrying the withdrawal (see models/Payout.js)
+    payoutId: String,
+    // Bank reference once paid
     transactionId: String,
     processedAt: Date,
   },
+  // Wallet top-ups: the gateway order and the payment that paid it
+  gatewayPayment: {
+    orderId: String,
+    paymentId: String,
+  },
   // Timestamps
   createdAt: {
     type: Date,
@@ -65,6 +95,19 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ userId: 1, createdAt: -1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ status: 1 });
+transactionSchema.index({ 'gatewayPayment.orderId': 1 }, { sparse: true });
+// A booking is credited to the nanny at most once. $in in a partial index
+// needs MongoDB 6.0+; migrate-ledger.js moves older duplicates aside first.
+transactionSchema.index(
+  { bookingId: 1, type: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      type: { $in: ['earning', 'cancellation-fee', 'cash-collected'] },
+      bookingId: { $exists: true },
+    },
+  }
+);
 
 // Update timestamp on save
 transactionSchema.pre('save', function(next) {
@@ -58,6 +58,12 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0,
     },
+    // Commission tier, set by admins (see models/CommissionRule.js)
+    tier: {
+      type: String,
+      enum: ['standard', 'premium', 'elite'],
+      default: 'standard',
+    },
     skills: [{
       type: String,
     }],
@@ -76,6 +82,12 @@ const userSchema = new mongoose.Schema({
       saturday: { available: { type: Boolean, default: false }, startTime: String, endTime: String },
       sunday: { available: { type: Boolean, default: false }, startTime: String, endTime: String },
     },
+    // Leave and other blocked periods, excluded from bookable slots
+    timeOff: [{
+      startAt: { type: Date, required: true },
+      endAt: { type: Date, required: true },
+      reason: { type: String, default: '' },
+    }],
     isAvailableNow: {
       type: Boolean,
       default: true,
@@ -92,7 +104,8 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0,
     },
-    // Earnings tracking
+    // Pre-ledger earnings counters, no longer updated: balances are derived
+    // from the ledger (services/ledgerService.js, migrate-ledger.js)
     totalEarnings: {
       type: Number,
       default: 0,
@@ -160,7 +173,24 @@ const userSchema = new mongoose.Schema({
     pushNotifications: { type: Boolean, default: true },
     emailNotifications: { type: Boolean, default: true },
     dataCollection: { type: Boolean, default: true },
+    // scrypt hash of the 4-digit PIN (see services/credentialService.js)
     securityPin: { type: String, default: '' },
+    // Wrong PINs since the last right one; repeated lockouts get longer
+    pinLockout: {
+      failedAttempts: { type: Number, default: 0 },
+      lockedUntil: Date,
+      lockouts: { type: Number, default: 0 },
+    },
+  },
+  // Admin panel sign-in, kept apart from the app's security PIN
+  adminCredentials: {
+    passwordHash: { type: String, select: false },
+    passwordChangedAt: Date,
+    lockout: {
+      failedAttempts: { type: Number, default: 0 },
+      lockedUntil: Date,
+      lockouts: { type: Number, default: 0 },
+    },
   },
   isDeactivated: {
     type: Boolean,
@@ -174,6 +204,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  // Shared to invite others (see services/referralService.js)
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
   // Bank details for withdrawals
   bankDetails: {
     accountHolderName: String,
@@ -203,6 +239,18 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Never send PIN hashes or lockout counters to clients
+userSchema.set('toJSON', {
+  transform(doc, ret) {
+    if (ret.privacySettings) {
+      delete ret.privacySettings.securityPin;
+      delete ret.privacySettings.pinLockout;
+    }
+    delete ret.adminCredentials;
+    return ret;
+  },
+});
+
 // Index for faster phone number lookups
 userSchema.index({ phoneNumber: 1 });
 
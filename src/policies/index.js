@@ -0,0 +1,106 @@
+/**
+ * Authorization policies
+ *
+ * Every policy is a pure predicate (principal, resource) => boolean, where
+ * principal is req.principal ({ id, kind, role }) and resource is whatever
+ * the action is about (a booking, a provider, a { userId } reference...).
+ * They never touch Express or MongoDB so they can be exercised in isolation.
+ */
+
+const idOf = (value) => {
+  if (!value) return null;
+  return String(value._id || value);
+};
+
+const sameId = (a, b) => {
+  const left = idOf(a);
+  return !!left && left === idOf(b);
+};
+
+const hasRole = (principal, ...roles) => !!principal && roles.includes(principal.role);
+
+const isAdmin = (principal) => hasRole(principal, 'admin');
+
+const isSelf = (principal, accountId) => !!principal && sameId(principal.id, accountId);
+
+const isBookingParent = (principal, booking) =>
+  hasRole(principal, 'parent') && sameId(principal.id, booking.parentId);
+
+const isBookingNanny = (principal, booking) =>
+  hasRole(principal, 'nanny') && sameId(principal.id, booking.nannyId);
+
+const policies = {
+  // ── Admin-only areas ──
+  'admin:access': (principal) => isAdmin(principal),
+  'city:manage': (principal) => isAdmin(principal),
+  'notification:send': (principal) => isAdmin(principal),
+  'provider:verify': (principal) => isAdmin(principal),
+
+  // ── Accounts addressed by id ({ userId }) ──
+  'account:read': (principal, { userId }) => isAdmin(principal) || isSelf(principal, userId),
+  'account:update': (principal, { userId }) => isSelf(principal, userId) || isAdmin(principal),
+
+  // ── Bookings ──
+  'booking:create': (principal) => hasRole(principal, 'parent'),
+  'booking:read': (principal, booking) =>
+    isAdmin(principal) || isBookingParent(principal, booking) || isBookingNanny(principal, booking),
+  'booking:cancel': (principal, booking) =>
+    isAdmin(principal) || isBookingParent(principal, booking) || isBookingNanny(principal, booking),
+  // Accept, reject or start a booking
+  'booking:respond': (principal, booking) => isAdmin(principal) || isBookingNanny(principal, booking),
+  // Completion (OTP, photo, QR scan) is done by the nanny on site
+  'booking:complete': (principal, booking) => isBookingNanny(principal, booking),
+  // Parents hand out the completion QR code
+  'booking:share-qr': (principal, booking) => isBookingParent(principal, booking),
+  // Propose, accept or decline a new date/time
+  'booking:reschedule': (principal, booking) =>
+    isBookingParent(principal, booking) || isBookingNanny(principal, booking),
+  'booking:pay': (principal, booking) => isAdmin(principal) || isBookingParent(principal, booking),
+  'booking:review': (principal, booking) => isBookingParent(principal, booking),
+  // Skip, move or cancel occurrences of a recurring series
+  'series:manage': (principal, series) => isAdmin(principal) || isBookingParent(principal, series),
+
+  // ── Providers ──
+  'daycare:update': (principal, daycare) => hasRole(principal, 'daycare') && sameId(principal.id, daycare),
+  'daycare:finance:read': (principal, daycare) =>
+    isAdmin(principal) || (hasRole(principal, 'daycare') && sameId(principal.id, daycare)),
+  'eldercare:update': (principal, caregiver) =>
+    hasRole(principal, 'eldercare') && sameId(principal.id, caregiver),
+  // Earnings, payout details and withdrawals ({ type, id } of the provider)
+  'provider:finance:read': (principal, provider) =>
+    isAdmin(principal) || (hasRole(principal, provider.type) && sameId(principal.id, provider.id)),
+  'provider:finance:update': (principal, provider) =>
+    isAdmin(principal) || (hasRole(principal, provider.type) && sameId(principal.id, provider.id)),
+
+  // ── Payouts ──
+  'payout:read': (principal, payout) =>
+    isAdmin(principal)
+    || (!!payout.owner && hasRole(principal, payout.owner.type) && sameId(principal.id, payout.owner.id)),
+
+  // ── Messaging ──
+  'conversation:participate': (principal, conversation) =>
+    !!principal && (conversation.participants || []).some(
+      (participant) => participant.id === principal.id && participant.type === principal.role
+    ),
+};
+
+/**
+ * Check whether a principal may perform an action on a resource
+ * Unknown actions are denied.
+ * @param {object} principal - req.principal
+ * @param {string} action - Policy name, e.g. 'booking:cancel'
+ * @param {object} resource - Subject of the action
+ */
+const can = (principal, action, resource = {}) => {
+  const policy = policies[action];
+  if (!policy || !principal) return false;
+  return policy(principal, resource || {});
+};
+
+module.exports = {
+  policies,
+  can,
+  hasRole,
+  isAdmin,
+  sameId,
+};
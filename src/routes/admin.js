@@ -4,28 +4,50 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
 const Review = require('../models/Review');
+const { authenticate, buildPrincipal, requestMeta } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const TokenService = require('../services/tokenService');
+const BookingLifecycle = require('../services/bookingLifecycle');
+const CompletionService = require('../services/completionService');
+const RefundService = require('../services/refundService');
+const Refund = require('../models/Refund');
+const PaymentEvent = require('../models/PaymentEvent');
+const PaymentWebhookService = require('../services/paymentWebhookService');
+const ReconciliationService = require('../services/reconciliationService');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const LedgerService = require('../services/ledgerService');
+const CommissionService = require('../services/commissionService');
+const CommissionRule = require('../models/CommissionRule');
+const PayoutService = require('../services/payoutService');
+const Payout = require('../models/Payout');
+const InvoiceService = require('../services/invoiceService');
+const Invoice = require('../models/Invoice');
+const WalletService = require('../services/walletService');
+const PromoService = require('../services/promoService');
+const PromoCode = require('../models/PromoCode');
+const ReferralService = require('../services/referralService');
+const SmsService = require('../services/smsService');
+const CredentialService = require('../services/credentialService');
+const SessionService = require('../services/sessionService');
+const PhoneChangeService = require('../services/phoneChangeService');
+const { sendServiceError } = require('../utils/errors');
 
 // ============================================
 // ADMIN AUTH
 // ============================================
 
-// POST /api/admin/login
+// POST /api/admin/login — Sign in with the admin password (not the app's security PIN)
 router.post('/login', async (req, res) => {
   try {
-    const { phoneNumber, pin } = req.body;
+    const { phoneNumber, password } = req.body;
 
-    if (!phoneNumber || !pin) {
-      return res.status(400).json({ success: false, message: 'Phone number and PIN required' });
+    if (!phoneNumber || !password) {
+      return res.status(400).json({ success: false, message: 'Phone number and password required' });
     }
 
-    const admin = await User.findOne({ phoneNumber, role: 'admin' });
-    if (!admin) {
-      return res.status(401).json({ success: false, message: 'Admin not found' });
-    }
+    const admin = await CredentialService.authenticateAdmin(phoneNumber, password);
 
-    if (admin.privacySettings?.securityPin !== pin) {
-      return res.status(401).json({ success: false, message: 'Invalid PIN' });
-    }
+    const tokens = await TokenService.issueTokens(buildPrincipal('user', admin), requestMeta(req));
 
     res.json({
       success: true,
@@ -36,22 +58,33 @@ router.post('/login', async (req, res) => {
         email: admin.email,
         role: admin.role,
       },
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Admin login error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// Everything below login is reserved for admins
+router.use(authenticate, authorize('admin:access'));
+
 // POST /api/admin/create - Create admin (only by existing admin)
 router.post('/create', async (req, res) => {
   try {
-    const { adminId, phoneNumber, name, email, pin } = req.body;
+    const { phoneNumber, name, email, password } = req.body;
 
-    // Verify requesting user is admin
-    const requestingAdmin = await User.findById(adminId);
-    if (!requestingAdmin || requestingAdmin.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    if (!phoneNumber || !password) {
+      return res.status(400).json({ success: false, message: 'Phone number and password required' });
+    }
+    if (password.length < CredentialService.MIN_ADMIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${CredentialService.MIN_ADMIN_PASSWORD_LENGTH} characters`,
+      });
     }
 
     // Check if user already exists
@@ -64,7 +97,6 @@ router.post('/create', async (req, res) => {
       user.role = 'admin';
       user.name = name || user.name;
       user.email = email || user.email;
-      user.privacySettings.securityPin = pin || '1234';
       await user.save();
     } else {
       user = new User({
@@ -74,21 +106,41 @@ router.post('/create', async (req, res) => {
         role: 'admin',
         isVerified: true,
         isProfileComplete: true,
-        privacySettings: { securityPin: pin || '1234' },
       });
       await user.save();
     }
+    await CredentialService.setAdminPassword(user, password);
 
     res.json({
       success: true,
       admin: { id: user._id, name: user.name, phoneNumber: user.phoneNumber, email: user.email },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Create admin error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// PUT /api/admin/password — Change the signed-in admin's password
+router.put('/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Current and new password required' });
+    }
+
+    await CredentialService.changeAdminPassword(req.principal.id, { currentPassword, newPassword });
+
+    res.json({ success: true, message: 'Password changed' });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Change admin password error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // ============================================
 // DASHBOARD STATISTICS
 // ============================================
@@ -146,6 +198,38 @@ router.get('/stats', async (req, res) => {
     ]);
     const weekRevenue = weekRevenueResult[0]?.total || 0;
 
+    // Gross booking value vs what the platform keeps, from the settlement split
+    const revenueSplit = (since) => Booking.aggregate([
+      { $match: { status: 'completed', ...(since && { completedAt: { $gte: since } }) } },
+      {
+        $group: {
+          _id: null,
+          gross: { $sum: '$totalAmount' },
+          commission: { $sum: { $ifNull: ['$settlement.split.commission', 0] } },
+          platformFees: { $sum: { $ifNull: ['$settlement.split.platformFee', 0] } },
+          discounts: { $sum: { $ifNull: ['$settlement.split.discountTotal', 0] } },
+          tax: { $sum: { $ifNull: ['$settlement.split.taxTotal', 0] } },
+          providerEarnings: { $sum: { $ifNull: ['$settlement.nannyEarning', 0] } },
+        },
+      },
+    ]).then(([row]) => {
+      const totals = row || { gross: 0, commission: 0, platformFees: 0, discounts: 0, tax: 0, providerEarnings: 0 };
+      return {
+        grossBookingValue: totals.gross,
+        providerEarnings: totals.providerEarnings,
+        commission: totals.commission,
+        platformFees: totals.platformFees,
+        discounts: totals.discounts,
+        taxCollected: totals.tax,
+        netRevenue: Math.round((totals.commission + totals.platformFees - totals.discounts) * 100) / 100,
+      };
+    });
+    const [splitTotal, splitMonth, splitWeek] = await Promise.all([
+      revenueSplit(null),
+      revenueSplit(monthStart),
+      revenueSplit(weekStart),
+    ]);
+
     // Booking trend (last 30 days)
     const thirtyDaysAgo = new Date(todayStart);
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -181,6 +265,10 @@ router.get('/stats', async (req, res) => {
       .sort({ 'nannyProfile.totalJobsCompleted': -1 })
       .limit(5)
       .select('name phoneNumber nannyProfile.rating nannyProfile.totalJobsCompleted nannyProfile.totalEarnings profileImage');
+    const topNannyBalances = await LedgerService.providerBalances('nanny', topNannies.map(n => n._id));
+    topNannies.forEach(n => {
+      n.nannyProfile.totalEarnings = topNannyBalances.get(n._id.toString()).totalEarnings;
+    });
 
     // Recent bookings
     const recentBookings = await Booking.find({})
@@ -214,6 +302,12 @@ router.get('/stats', async (req, res) => {
           total: totalRevenue,
           month: monthRevenue,
           week: weekRevenue,
+          // Gross booking value vs platform net revenue (commission + fees - discounts)
+          breakdown: {
+            total: splitTotal,
+            month: splitMonth,
+            week: splitWeek,
+          },
         },
         bookingTrend,
         userTrend,
@@ -350,6 +444,7 @@ router.delete('/users/:id', async (req, res) => {
       return res.status(403).json({ success: false, message: 'Cannot delete admin' });
     }
 
+    await SessionService.revokeAll('user', user._id, { reason: 'deleted' });
     await User.findByIdAndDelete(req.params.id);
     // Also delete related bookings
     await Booking.deleteMany({ $or: [{ parentId: user._id }, { nannyId: user._id }] });
@@ -369,6 +464,10 @@ router.put('/users/:id/toggle-status', async (req, res) => {
 
     user.isDeactivated = !user.isDeactivated;
     await user.save();
+    // Logins and requests check isDeactivated, so the account stays signed out
+    if (user.isDeactivated) {
+      await SessionService.revokeAll('user', user._id, { reason: 'deactivated' });
+    }
 
     res.json({
       success: true,
@@ -452,18 +551,661 @@ router.put('/bookings/:id/status', async (req, res) => {
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
 
-    booking.status = status;
-    if (status === 'cancelled') {
-      booking.cancellation = { cancelledBy: 'admin', reason: reason || 'Cancelled by admin', cancelledAt: new Date() };
+    const actor = BookingLifecycle.actorFor(req.principal);
+    const updated = status === 'completed'
+      ? (await CompletionService.complete(booking, { actor, method: 'admin', reason })).booking
+      : await BookingLifecycle.transition(booking, status, {
+        actor,
+        reason: reason || (status === 'cancelled' ? 'Cancelled by admin' : ''),
+      });
+
+    res.json({ success: true, booking: updated });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Update booking status error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// REFUNDS
+// ============================================
+
+// POST /api/admin/bookings/:id/refunds — Refund a booking's payment (omit amount for a full refund,
+// destination 'wallet' to credit the parent's wallet instead of the payment method)
+router.post('/bookings/:id/refunds', async (req, res) => {
+  try {
+    const { amount, reason, destination } = req.body;
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const refunds = await RefundService.issue(booking, {
+      amount,
+      reason: reason || 'Refunded by admin',
+      source: 'admin',
+      actor: BookingLifecycle.actorFor(req.principal),
+      destination,
+    });
+
+    res.status(201).json({ success: true, refunds });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Create refund error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/refunds
+router.get('/refunds', async (req, res) => {
+  try {
+    const { status, bookingId, source, page = 1, limit = 20 } = req.query;
+    const { refunds, total } = await RefundService.list({ status, bookingId, source, page, limit });
+
+    res.json({
+      success: true,
+      refunds,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/refunds/:id
+router.get('/refunds/:id', async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+      .populate('bookingId', 'bookingId date totalAmount payment status cancellation')
+      .populate('userId', 'name phoneNumber')
+      .populate('transactionId');
+
+    if (!refund) return res.status(404).json({ success: false, message: 'Refund not found' });
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error('Get refund error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/refunds/:id/retry — Send a failed refund to the gateway again
+router.post('/refunds/:id/retry', async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) return res.status(404).json({ success: false, message: 'Refund not found' });
+
+    const updated = await RefundService.retry(refund);
+    res.json({ success: true, refund: updated });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Retry refund error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/refunds/:id/sync — Refresh a processing refund from the gateway
+router.post('/refunds/:id/sync', async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) return res.status(404).json({ success: false, message: 'Refund not found' });
+
+    const updated = await RefundService.sync(refund);
+    res.json({ success: true, refund: updated });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Sync refund error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// PAYOUTS
+// ============================================
+
+// GET /api/admin/payouts — Filter by status (e.g. requested = waiting for approval) or owner
+router.get('/payouts', async (req, res) => {
+  try {
+    const { status, ownerType, ownerId, page = 1, limit = 20 } = req.query;
+    const { payouts, total } = await PayoutService.list({ status, ownerType, ownerId, page, limit });
+
+    res.json({
+      success: true,
+      payouts,
+      approvalThreshold: PayoutService.approvalThreshold(),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/payouts/:id
+router.get('/payouts/:id', async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.id).populate('transactionId');
+    if (!payout) return res.status(404).json({ success: false, message: 'Payout not found' });
+
+    const balance = await LedgerService.providerBalance(payout.owner.type, payout.owner.id);
+    res.json({ success: true, payout, balance });
+  } catch (error) {
+    console.error('Get payout error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/payouts/:id/approve — Approve a payout above the threshold and send it
+router.post('/payouts/:id/approve', async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) return res.status(404).json({ success: false, message: 'Payout not found' });
+
+    const updated = await PayoutService.approve(payout, BookingLifecycle.actorFor(req.principal), req.body.reason);
+    res.json({ success: true, payout: updated });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Approve payout error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/payouts/:id/reject — Reject a payout not yet sent; the amount goes back to the balance
+router.post('/payouts/:id/reject', async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) return res.status(404).json({ success: false, message: 'Payout not found' });
+
+    const updated = await PayoutService.reject(payout, BookingLifecycle.actorFor(req.principal), req.body.reason);
+    res.json({ success: true, payout: updated });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Reject payout error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/payouts/:id/sync — Send an approved payout or refresh one in flight from the provider
+router.post('/payouts/:id/sync', async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) return res.status(404).json({ success: false, message: 'Payout not found' });
+
+    const updated = await PayoutService.sync(payout);
+    res.json({ success: true, payout: updated });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Sync payout error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// INVOICES
+// ============================================
+
+// GET /api/admin/invoices — Filter by kind (invoice/receipt), financialYear or bookingId
+router.get('/invoices', async (req, res) => {
+  try {
+    const { kind, financialYear, bookingId, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (kind) filter.kind = kind;
+    if (financialYear) filter.financialYear = financialYear;
+    if (bookingId) filter.bookingId = bookingId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select('-html')
+        .sort({ issuedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Invoice.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      invoices,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/invoices/issue-missing — Issue documents for paid bookings that have none
+router.post('/invoices/issue-missing', async (req, res) => {
+  try {
+    const issued = await InvoiceService.issueMissing({ limit: parseInt(req.body.limit) || 100 });
+    res.json({ success: true, issued });
+  } catch (error) {
+    console.error('Issue invoices error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// PAYMENT EVENTS (Razorpay webhooks)
+// ============================================
+
+// GET /api/admin/payment-events
+router.get('/payment-events', async (req, res) => {
+  try {
+    const { event, status, bookingId, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (event) filter.event = event;
+    if (status) filter.status = status;
+    if (bookingId) filter.bookingId = bookingId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [events, total] = await Promise.all([
+      PaymentEvent.find(filter)
+        .select('-rawBody -payload')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PaymentEvent.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get payment events error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/payment-events/:id — Full event including the raw body
+router.get('/payment-events/:id', async (req, res) => {
+  try {
+    const event = await PaymentEvent.findById(req.params.id);
+    if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error('Get payment event error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/payment-events/:id/replay — Handle a stored event again
+router.post('/payment-events/:id/replay', async (req, res) => {
+  try {
+    const event = await PaymentEvent.findById(req.params.id);
+    if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
+
+    const processed = await PaymentWebhookService.process(event);
+    res.json({ success: true, event: processed });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Replay payment event error:', error);
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// ============================================
+// RECONCILIATION
+// ============================================
+
+// GET /api/admin/reconciliation — Latest report and recent runs
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const { type, severity } = req.query;
+    const [report, history] = await Promise.all([
+      ReconciliationService.latest(),
+      ReconciliationService.history(),
+    ]);
+
+    const issues = (report?.issues || []).filter(issue =>
+      (!type || issue.type === type) && (!severity || issue.severity === severity));
+
+    res.json({ success: true, report, issues, history });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/reconciliation/:id
+router.get('/reconciliation/:id', async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.id)
+      .populate('issues.bookingId', 'bookingId status totalAmount payment')
+      .populate('issues.userId', 'name phoneNumber role');
+    if (!report) return res.status(404).json({ success: false, message: 'Report not found' });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/reconciliation/run — Run now (autoFix applies the safe fixes)
+router.post('/reconciliation/run', async (req, res) => {
+  try {
+    const { autoFix = false, lookbackDays } = req.body;
+    const report = await ReconciliationService.run({
+      autoFix: autoFix === true || autoFix === 'true',
+      lookbackDays: parseInt(lookbackDays) || ReconciliationService.DEFAULT_LOOKBACK_DAYS,
+      trigger: 'manual',
+      triggeredBy: req.principal.id,
+    });
+    res.json({ success: true, report });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// COMMISSION
+// ============================================
+
+// GET /api/admin/commission-rules
+router.get('/commission-rules', async (req, res) => {
+  try {
+    const rules = await CommissionRule.find({})
+      .sort({ isActive: -1, updatedAt: -1 })
+      .populate('cityId', 'name');
+    res.json({
+      success: true,
+      rules,
+      defaultPercent: CommissionService.DEFAULT_COMMISSION_PERCENT,
+      tiers: CommissionRule.PROVIDER_TIERS,
+    });
+  } catch (error) {
+    console.error('Get commission rules error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/commission-rules — Leave service/cityId/tier empty to match all
+router.post('/commission-rules', async (req, res) => {
+  try {
+    const { name, service, cityId, tier, percent, isActive } = req.body;
+    if (typeof percent !== 'number' || percent < 0 || percent > 100) {
+      return res.status(400).json({ success: false, message: 'percent must be a number between 0 and 100' });
     }
-    if (status === 'completed') {
-      booking.completedAt = new Date();
+
+    const rule = await CommissionRule.create({
+      name: name || '',
+      service: service || null,
+      cityId: cityId || null,
+      tier: tier || null,
+      percent,
+      isActive: isActive !== false,
+    });
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
     }
-    await booking.save();
+    console.error('Create commission rule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    res.json({ success: true, booking });
+// PUT /api/admin/commission-rules/:id
+router.put('/commission-rules/:id', async (req, res) => {
+  try {
+    const updates = {};
+    ['name', 'service', 'cityId', 'tier', 'percent', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field] === '' ? null : req.body[field];
+    });
+
+    const rule = await CommissionRule.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!rule) return res.status(404).json({ success: false, message: 'Commission rule not found' });
+    res.json({ success: true, rule });
   } catch (error) {
-    console.error('Update booking status error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update commission rule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/admin/commission-rules/:id
+router.delete('/commission-rules/:id', async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, message: 'Commission rule not found' });
+    res.json({ success: true, message: 'Commission rule deleted' });
+  } catch (error) {
+    console.error('Delete commission rule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/admin/users/:id/tier — Set a nanny's commission tier
+router.put('/users/:id/tier', async (req, res) => {
+  try {
+    const { tier } = req.body;
+    if (!CommissionRule.PROVIDER_TIERS.includes(tier)) {
+      return res.status(400).json({ success: false, message: `tier must be one of ${CommissionRule.PROVIDER_TIERS.join(', ')}` });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'nanny' },
+      { 'nannyProfile.tier': tier },
+      { new: true }
+    ).select('name phoneNumber nannyProfile.tier');
+    if (!user) return res.status(404).json({ success: false, message: 'Nanny not found' });
+
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Update nanny tier error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// LEDGER
+// ============================================
+
+// GET /api/admin/ledger — Trial balance of every account
+router.get('/ledger', async (req, res) => {
+  try {
+    const trialBalance = await LedgerService.trialBalance();
+    res.json({ success: true, ...trialBalance });
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/ledger/accounts/:account/entries — e.g. provider:nanny:<id>
+router.get('/ledger/accounts/:account/entries', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const { entries, total } = await LedgerService.entriesFor(req.params.account, { page, limit });
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get ledger entries error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// PROMO CODES
+// ============================================
+
+// GET /api/admin/promo-codes
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const { active, page = 1, limit = 20 } = req.query;
+    const { promoCodes, total } = await PromoService.list({ active, page, limit });
+
+    res.json({
+      success: true,
+      promoCodes,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/promo-codes — code, discountType (percent/flat), value and optional limits
+router.post('/promo-codes', async (req, res) => {
+  try {
+    const promoCode = await PromoCode.create({
+      ...PromoService.definitionFrom(req.body),
+      createdBy: req.principal.id,
+    });
+    res.status(201).json({ success: true, promoCode });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A promo code with this code already exists' });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create promo code error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/admin/promo-codes/:id — Change a code (isActive: false to switch it off)
+router.put('/promo-codes/:id', async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByIdAndUpdate(
+      req.params.id,
+      PromoService.definitionFrom(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!promoCode) return res.status(404).json({ success: false, message: 'Promo code not found' });
+    res.json({ success: true, promoCode });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A promo code with this code already exists' });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update promo code error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/promo-codes/:id/redemptions — Who used a code, and the discount given
+router.get('/promo-codes/:id/redemptions', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    const promoCode = mongoose.isValidObjectId(req.params.id) ? await PromoCode.findById(req.params.id) : null;
+    if (!promoCode) return res.status(404).json({ success: false, message: 'Promo code not found' });
+
+    const { redemptions, total, applied, discountTotal } = await PromoService.redemptions(promoCode, { status, page, limit });
+
+    res.json({
+      success: true,
+      promoCode,
+      applied,
+      discountTotal,
+      redemptions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get promo redemptions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// PARENT WALLETS
+// ============================================
+
+// GET /api/admin/wallets/:userId — Balance and history of a parent's wallet
+router.get('/wallets/:userId', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const parent = mongoose.isValidObjectId(req.params.userId)
+      ? await User.findById(req.params.userId).select('name phoneNumber role')
+      : null;
+    if (!parent || parent.role !== 'parent') {
+      return res.status(404).json({ success: false, message: 'Parent not found' });
+    }
+
+    const [wallet, { transactions, total }] = await Promise.all([
+      WalletService.summary(parent._id),
+      WalletService.transactions(parent._id, { page, limit }),
+    ]);
+
+    res.json({
+      success: true,
+      parent,
+      wallet,
+      transactions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/wallets/:userId/credit — Promotional credit ({ amount, description })
+router.post('/wallets/:userId/credit', async (req, res) => {
+  try {
+    const { amount, description } = req.body;
+    const transaction = await WalletService.credit(req.params.userId, { amount, description });
+    const balance = await WalletService.balance(req.params.userId);
+
+    res.status(201).json({ success: true, transaction, balance });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Credit wallet error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
@@ -505,4 +1247,124 @@ router.get('/reviews', async (req, res) => {
   }
 });
 
+// ============================================
+// REFERRALS
+// ============================================
+
+// GET /api/admin/referrals — Referral report: totals, rejections by reason, top referrers
+// and the referrals themselves (?status, ?from, ?to)
+router.get('/referrals', async (req, res) => {
+  try {
+    const { status, from, to, page = 1, limit = 50 } = req.query;
+    const { totals, rejectedByReason, topReferrers, referrals, total } = await ReferralService.report({
+      status, from, to, page, limit,
+    });
+
+    res.json({
+      success: true,
+      totals,
+      rejectedByReason,
+      topReferrers,
+      referrals,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get referrals report error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// SMS DELIVERY
+// ============================================
+
+// GET /api/admin/sms — Sent SMS and their delivery status (?status, ?purpose, ?phoneNumber)
+router.get('/sms', async (req, res) => {
+  try {
+    const { status, purpose, phoneNumber, page = 1, limit = 50 } = req.query;
+    const { messages, total } = await SmsService.list({ status, purpose, phoneNumber, page, limit });
+
+    res.json({
+      success: true,
+      messages,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get SMS messages error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// PHONE NUMBER CHANGES
+// ============================================
+
+// GET /api/admin/phone-changes — Change requests with their audit trail
+// (?status=in-review for support requests to review, ?phoneNumber old or new, ?accountId)
+router.get('/phone-changes', async (req, res) => {
+  try {
+    const { status, phoneNumber, accountId, page = 1, limit = 50 } = req.query;
+    const { requests, total } = await PhoneChangeService.list({ status, phoneNumber, accountId, page, limit });
+
+    res.json({
+      success: true,
+      requests,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get phone changes error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/phone-changes/:id/approve — Change the number of a support request
+// once the account holder's identity is confirmed (signs out all their devices)
+router.post('/phone-changes/:id/approve', async (req, res) => {
+  try {
+    const request = await PhoneChangeService.review(req.params.id, {
+      approve: true,
+      adminId: req.principal.id,
+      note: req.body.note || '',
+      ip: req.ip,
+    });
+    res.json({ success: true, request, message: 'Phone number changed' });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Approve phone change error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/phone-changes/:id/reject — Turn down a support request (note: why)
+router.post('/phone-changes/:id/reject', async (req, res) => {
+  try {
+    const request = await PhoneChangeService.review(req.params.id, {
+      approve: false,
+      adminId: req.principal.id,
+      note: req.body.note || '',
+      ip: req.ip,
+    });
+    res.json({ success: true, request, message: 'Phone number change rejected' });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Reject phone change error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
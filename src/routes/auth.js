@@ -1,16 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const OTP = require('../models/OTP');
 const { admin } = require('../config/firebase');
+const TokenService = require('../services/tokenService');
+const ReferralService = require('../services/referralService');
+const OtpService = require('../services/otpService');
+const CredentialService = require('../services/credentialService');
+const SessionService = require('../services/sessionService');
+const { authenticate, buildPrincipal, loadPrincipal, requestMeta } = require('../middleware/auth');
+const { requireRole, requireSelfOrAdmin } = require('../middleware/authorize');
+const { sendServiceError } = require('../utils/errors');
 
 const router = express.Router();
 
-// Generate a random 6-digit OTP
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-};
-
 // Validation middleware
 const validatePhone = [
   body('phoneNumber')
@@ -48,43 +50,21 @@ router.post('/send-otp', validatePhone, async (req, res) => {
     }
 
     const { phoneNumber } = req.body;
-    const fullPhoneNumber = `+91${phoneNumber}`;
-
-    // Generate OTP
-    const otp = generateOTP();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
-
-    // Delete any existing OTPs for this phone number
-    await OTP.deleteMany({ phoneNumber });
-
-    // Save OTP to database
-    await OTP.create({
-      phoneNumber,
-      otp,
-      expiresAt,
-    });
-
-    // In production, send OTP via Firebase
-    // For development, we'll log it
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`📱 OTP for ${fullPhoneNumber}: ${otp}`);
-    }
-
-    // TODO: Send OTP via SMS using Firebase or third-party service
-    // This is handled on the client side using Firebase Auth phone verification
-    // The server stores the OTP for verification
+    const { expiresIn, resendIn, devCode } = await OtpService.send({ phoneNumber, purpose: 'login', ip: req.ip });
 
     res.json({
       success: true,
       message: 'OTP sent successfully',
       data: {
         phoneNumber,
-        expiresIn: 300, // seconds
-        // Only include OTP in development for testing
-        ...(process.env.NODE_ENV === 'development' && { otp }),
+        expiresIn, // seconds
+        resendIn,
+        // Only when developing against a local SMS sink
+        ...(devCode && { otp: devCode }),
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Send OTP Error:', error);
     res.status(500).json({
       success: false,
@@ -95,7 +75,8 @@ router.post('/send-otp', validatePhone, async (req, res) => {
 
 /**
  * @route   POST /api/auth/verify-otp
- * @desc    Verify OTP and login/register user
+ * @desc    Verify OTP and login/register user. A new account may send the
+ *          referralCode it was invited with, and the app's deviceId.
  * @access  Public
  */
 router.post('/verify-otp', validateOTP, async (req, res) => {
@@ -110,55 +91,26 @@ router.post('/verify-otp', validateOTP, async (req, res) => {
       });
     }
 
-    const { phoneNumber, otp, fcmToken } = req.body;
-
-    // Find OTP record
-    const otpRecord = await OTP.findOne({ phoneNumber, isUsed: false });
-
-    if (!otpRecord) {
-      return res.status(400).json({
-        success: false,
-        message: 'OTP expired or not found. Please request a new OTP.',
-      });
-    }
+    const { phoneNumber, otp, fcmToken, referralCode, deviceId } = req.body;
 
-    // Check if OTP is expired
-    if (new Date() > otpRecord.expiresAt) {
-      await OTP.deleteOne({ _id: otpRecord._id });
-      return res.status(400).json({
-        success: false,
-        message: 'OTP has expired. Please request a new OTP.',
-      });
-    }
+    // Throws when the code is wrong (with attemptsLeft), expired or already used
+    await OtpService.verify({ phoneNumber, purpose: 'login', code: otp });
 
-    // Check max attempts
-    if (otpRecord.attempts >= 5) {
-      await OTP.deleteOne({ _id: otpRecord._id });
-      return res.status(400).json({
-        success: false,
-        message: 'Maximum attempts exceeded. Please request a new OTP.',
-      });
+    // Find or create user
+    let user = await User.findOne({ phoneNumber });
+    let isNewUser = false;
+    if (user) {
+      TokenService.assertActive(user);
     }
-
-    // Verify OTP
-    if (otpRecord.otp !== otp) {
-      otpRecord.attempts += 1;
-      await otpRecord.save();
-      return res.status(400).json({
+    // Admins sign in with their password (POST /api/admin/login); a phone OTP
+    // alone must never give admin access
+    if (user?.role === 'admin') {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid OTP. Please try again.',
-        attemptsLeft: 5 - otpRecord.attempts,
+        message: 'Admin accounts sign in with their password in the admin panel',
       });
     }
 
-    // Mark OTP as used
-    otpRecord.isUsed = true;
-    await otpRecord.save();
-
-    // Find or create user
-    let user = await User.findOne({ phoneNumber });
-    let isNewUser = false;
-
     console.log('📱 Looking for user with phone:', phoneNumber);
     console.log('📱 Found user:', user ? `ID: ${user._id}, Role: ${user.role}` : 'NOT FOUND');
 
@@ -181,6 +133,24 @@ router.post('/verify-otp', validateOTP, async (req, res) => {
       await user.save();
     }
 
+    // New accounts get their own code and may have signed up with someone else's
+    let referral = null;
+    if (isNewUser) {
+      await ReferralService.codeFor('user', user);
+      if (referralCode) {
+        referral = await ReferralService.capture({
+          kind: 'user',
+          account: user,
+          code: referralCode,
+          deviceId: deviceId || '',
+          ip: req.ip,
+        }).catch((err) => {
+          console.error('Referral capture error:', err);
+          return null;
+        });
+      }
+    }
+
     // Generate a custom token using Firebase Admin
     let firebaseToken = null;
     try {
@@ -191,6 +161,9 @@ router.post('/verify-otp', validateOTP, async (req, res) => {
       console.error('Firebase token generation error:', tokenError);
     }
 
+    // Issue our own access/refresh tokens for API calls
+    const tokens = await TokenService.issueTokens(buildPrincipal('user', user), requestMeta(req));
+
     res.json({
       success: true,
       message: isNewUser ? 'Account created successfully' : 'Login successful',
@@ -203,6 +176,7 @@ router.post('/verify-otp', validateOTP, async (req, res) => {
           role: user.role,
           isProfileComplete: user.isProfileComplete,
           isNewUser,
+          referralCode: user.referralCode,
           // Include nanny profile data if user is a nanny
           ...(user.role === 'nanny' && {
             nannyProfile: user.nannyProfile,
@@ -214,10 +188,16 @@ router.post('/verify-otp', validateOTP, async (req, res) => {
           // Include address
           address: user.addresses && user.addresses.length > 0 ? user.addresses[0] : null,
         },
+        // Whether the referral code sent at signup was accepted
+        ...(referral && { referral: { applied: referral.applied, message: referral.message } }),
         token: firebaseToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Verify OTP Error:', error);
     res.status(500).json({
       success: false,
@@ -242,34 +222,20 @@ router.post('/resend-otp', validatePhone, async (req, res) => {
     }
 
     const { phoneNumber } = req.body;
-
-    // Delete existing OTPs
-    await OTP.deleteMany({ phoneNumber });
-
-    // Generate new OTP
-    const otp = generateOTP();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
-
-    await OTP.create({
-      phoneNumber,
-      otp,
-      expiresAt,
-    });
-
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`📱 Resent OTP for +91${phoneNumber}: ${otp}`);
-    }
+    const { expiresIn, resendIn, devCode } = await OtpService.send({ phoneNumber, purpose: 'login', ip: req.ip });
 
     res.json({
       success: true,
       message: 'OTP resent successfully',
       data: {
         phoneNumber,
-        expiresIn: 300,
-        ...(process.env.NODE_ENV === 'development' && { otp }),
+        expiresIn,
+        resendIn,
+        ...(devCode && { otp: devCode }),
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Resend OTP Error:', error);
     res.status(500).json({
       success: false,
@@ -278,12 +244,174 @@ router.post('/resend-otp', validatePhone, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (refresh token)
+ */
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const result = await TokenService.rotateRefreshToken(req.body.refreshToken, loadPrincipal, requestMeta(req));
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or expired. Please login again.',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        accessToken: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+        expiresIn: result.tokens.expiresIn,
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Refresh Token Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the refresh token of this device
+ * @access  Public (refresh token)
+ */
+router.post('/logout', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    await TokenService.revokeRefreshToken(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to logout',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the authenticated account
+ * @access  Private
+ */
+router.get('/me', authenticate, async (req, res) => {
+  const { id, kind, role, account } = req.principal;
+  const data = account.toObject();
+  delete data.fcmToken;
+  if (data.privacySettings) {
+    delete data.privacySettings.securityPin;
+    delete data.privacySettings.pinLockout;
+  }
+  delete data.adminCredentials;
+
+  res.json({
+    success: true,
+    data: {
+      principal: { id, kind, role },
+      account: { ...data, id },
+    },
+  });
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Devices signed in to the account (current: true marks this one)
+ * @access  Private
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const { kind, id } = req.principal;
+    const sessions = await SessionService.list(kind, id, req.sessionId);
+
+    res.json({
+      success: true,
+      data: { sessions },
+    });
+  } catch (error) {
+    console.error('List Sessions Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get sessions' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/sessions/revoke-others
+ * @desc    Sign out every device except this one
+ * @access  Private
+ */
+router.post('/sessions/revoke-others', authenticate, async (req, res) => {
+  try {
+    const { kind, id } = req.principal;
+    if (!req.sessionId) {
+      return res.status(400).json({ success: false, message: 'Please login again to manage your devices' });
+    }
+
+    const count = await SessionService.revokeAll(kind, id, { except: req.sessionId });
+
+    res.json({
+      success: true,
+      message: count ? `Signed out of ${count} other device(s)` : 'No other devices signed in',
+      data: { revoked: count },
+    });
+  } catch (error) {
+    console.error('Revoke Sessions Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to sign out other devices' });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one device (this one included)
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const { kind, id } = req.principal;
+    await SessionService.revoke(kind, id, req.params.sessionId);
+
+    res.json({ success: true, message: 'Device signed out' });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Revoke Session Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to sign out device' });
+  }
+});
+
 /**
  * @route   GET /api/auth/user/:id
  * @desc    Get user by ID
- * @access  Private (TODO: Add auth middleware)
+ * @access  Private
  */
-router.get('/user/:id', async (req, res) => {
+router.get('/user/:id', authenticate, requireSelfOrAdmin('id', 'account:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-fcmToken');
 
@@ -314,9 +442,9 @@ router.get('/user/:id', async (req, res) => {
 /**
  * @route   PUT /api/auth/user/:id/profile
  * @desc    Update user profile (name, email, role, children)
- * @access  Private (TODO: Add auth middleware)
+ * @access  Private
  */
-router.put('/user/:id/profile', [
+router.put('/user/:id/profile', authenticate, requireSelfOrAdmin('id', 'account:update'), [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').optional().trim().isEmail().withMessage('Please enter a valid email'),
   body('role').optional().isIn(['parent', 'nanny']).withMessage('Role must be parent or nanny'),
@@ -387,9 +515,9 @@ router.put('/user/:id/profile', [
 /**
  * @route   PUT /api/auth/user/:id/location
  * @desc    Update user location/address - adds new address to addresses array
- * @access  Private (TODO: Add auth middleware)
+ * @access  Private
  */
-router.put('/user/:id/location', [
+router.put('/user/:id/location', authenticate, requireSelfOrAdmin('id', 'account:update'), [
   body('city').trim().notEmpty().withMessage('City is required'),
   body('state').trim().notEmpty().withMessage('State is required'),
   body('pincode').trim().matches(/^\d{6}$/).withMessage('Please enter a valid 6-digit pincode'),
@@ -494,9 +622,9 @@ router.put('/user/:id/location', [
 /**
  * @route   GET /api/auth/user/:id/addresses
  * @desc    Get all addresses for a user
- * @access  Private (TODO: Add auth middleware)
+ * @access  Private
  */
-router.get('/user/:id/addresses', async (req, res) => {
+router.get('/user/:id/addresses', authenticate, requireSelfOrAdmin('id', 'account:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -525,9 +653,9 @@ router.get('/user/:id/addresses', async (req, res) => {
 /**
  * @route   PUT /api/auth/user/:id/address/:addressId/default
  * @desc    Set an address as default
- * @access  Private (TODO: Add auth middleware)
+ * @access  Private
  */
-router.put('/user/:id/address/:addressId/default', async (req, res) => {
+router.put('/user/:id/address/:addressId/default', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -586,9 +714,9 @@ router.put('/user/:id/address/:addressId/default', async (req, res) => {
 /**
  * @route   DELETE /api/auth/user/:id/address/:addressId
  * @desc    Delete an address
- * @access  Private (TODO: Add auth middleware)
+ * @access  Private
  */
-router.delete('/user/:id/address/:addressId', async (req, res) => {
+router.delete('/user/:id/address/:addressId', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -657,7 +785,7 @@ router.delete('/user/:id/address/:addressId', async (req, res) => {
  * @desc    Update nanny profile (for nannies after registration)
  * @access  Private
  */
-router.put('/user/:id/nanny-profile', async (req, res) => {
+router.put('/user/:id/nanny-profile', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   console.log('=== NANNY PROFILE UPDATE REQUEST ===');
   console.log('User ID:', req.params.id);
   console.log('Request body:', JSON.stringify(req.body, null, 2));
@@ -748,7 +876,7 @@ router.put('/user/:id/nanny-profile', async (req, res) => {
  * @desc    Admin route to verify/approve a nanny
  * @access  Admin only
  */
-router.put('/admin/verify-nanny/:id', async (req, res) => {
+router.put('/admin/verify-nanny/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
     const { approved, rejectionReason } = req.body;
@@ -808,7 +936,7 @@ router.put('/admin/verify-nanny/:id', async (req, res) => {
  * @desc    Get list of nannies pending approval
  * @access  Admin only
  */
-router.get('/admin/pending-nannies', async (req, res) => {
+router.get('/admin/pending-nannies', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const pendingNannies = await User.find({
       role: 'nanny',
@@ -837,7 +965,7 @@ router.get('/admin/pending-nannies', async (req, res) => {
  * @desc    Get list of verified nannies for parents to view
  * @access  Public (authenticated users)
  */
-router.get('/nannies', async (req, res) => {
+router.get('/nannies', authenticate, async (req, res) => {
   try {
     const { city, pincode, limit = 20, page = 1 } = req.query;
     
@@ -933,7 +1061,7 @@ router.get('/nannies', async (req, res) => {
  * @desc    Get single nanny details
  * @access  Public (authenticated users)
  */
-router.get('/nannies/:id', async (req, res) => {
+router.get('/nannies/:id', authenticate, async (req, res) => {
   try {
     const nanny = await User.findOne({
       _id: req.params.id,
@@ -992,7 +1120,7 @@ router.get('/nannies/:id', async (req, res) => {
  * @route   GET /api/auth/user/:id/privacy-settings
  * @desc    Get user's privacy & security settings
  */
-router.get('/user/:id/privacy-settings', async (req, res) => {
+router.get('/user/:id/privacy-settings', authenticate, requireSelfOrAdmin('id', 'account:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -1036,7 +1164,7 @@ router.get('/user/:id/privacy-settings', async (req, res) => {
  * @route   PUT /api/auth/user/:id/privacy-settings
  * @desc    Update user's privacy & security settings
  */
-router.put('/user/:id/privacy-settings', async (req, res) => {
+router.put('/user/:id/privacy-settings', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -1085,37 +1213,25 @@ router.put('/user/:id/privacy-settings', async (req, res) => {
 /**
  * @route   PUT /api/auth/user/:id/security-pin
  * @desc    Set or update security PIN
+ * @body    { currentPin (when a PIN is set), newPin }
  */
-router.put('/user/:id/security-pin', async (req, res) => {
+router.put('/user/:id/security-pin', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const { currentPin, newPin } = req.body;
 
-    if (!newPin || !/^\d{4}$/.test(newPin)) {
-      return res.status(400).json({ success: false, message: 'PIN must be exactly 4 digits' });
-    }
-
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    if (!user.privacySettings) {
-      user.privacySettings = {};
-    }
-
-    // If user already has a PIN, verify the current PIN
-    if (user.privacySettings.securityPin && user.privacySettings.securityPin !== currentPin) {
-      return res.status(400).json({ success: false, message: 'Current PIN is incorrect' });
-    }
-
-    user.privacySettings.securityPin = newPin;
-    await user.save();
+    const hadPin = await CredentialService.setPin(user, { currentPin, newPin, keepSessionId: req.sessionId });
 
     res.json({
       success: true,
-      message: user.privacySettings.securityPin ? 'Security PIN updated' : 'Security PIN set',
+      message: hadPin ? 'Security PIN updated' : 'Security PIN set',
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Set Security PIN Error:', error);
     res.status(500).json({ success: false, message: 'Failed to set security PIN' });
   }
@@ -1124,26 +1240,23 @@ router.put('/user/:id/security-pin', async (req, res) => {
 /**
  * @route   DELETE /api/auth/user/:id/security-pin
  * @desc    Remove security PIN
+ * @body    { pin }
  */
-router.delete('/user/:id/security-pin', async (req, res) => {
+router.delete('/user/:id/security-pin', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    if (!user.privacySettings || !user.privacySettings.securityPin) {
-      return res.status(400).json({ success: false, message: 'No security PIN found' });
-    }
-
-    user.privacySettings.securityPin = undefined;
-    await user.save();
+    await CredentialService.removePin(user, { pin: req.body.pin, keepSessionId: req.sessionId });
 
     res.json({
       success: true,
       message: 'Security PIN removed successfully',
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Remove Security PIN Error:', error);
     res.status(500).json({ success: false, message: 'Failed to remove security PIN' });
   }
@@ -1151,9 +1264,9 @@ router.delete('/user/:id/security-pin', async (req, res) => {
 
 /**
  * @route   POST /api/auth/user/:id/verify-pin
- * @desc    Verify security PIN (for app unlock)
+ * @desc    Verify security PIN (for app unlock). Repeated wrong PINs lock it for a while.
  */
-router.post('/user/:id/verify-pin', async (req, res) => {
+router.post('/user/:id/verify-pin', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const { pin } = req.body;
 
@@ -1166,26 +1279,78 @@ router.post('/user/:id/verify-pin', async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    if (!user.privacySettings?.securityPin) {
-      return res.status(400).json({ success: false, message: 'No security PIN set' });
-    }
-
-    if (user.privacySettings.securityPin !== pin) {
-      return res.status(400).json({ success: false, message: 'Incorrect PIN' });
-    }
+    await CredentialService.verifyPin(user, pin);
 
     res.json({ success: true, message: 'PIN verified' });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Verify PIN Error:', error);
     res.status(500).json({ success: false, message: 'Failed to verify PIN' });
   }
 });
 
+/**
+ * @route   POST /api/auth/user/:id/security-pin/reset-otp
+ * @desc    Send an OTP to the account's phone number for resetting a forgotten PIN
+ */
+router.post('/user/:id/security-pin/reset-otp', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const { expiresIn, resendIn, devCode } = await CredentialService.sendPinResetOtp(user, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'OTP sent successfully',
+      data: {
+        expiresIn,
+        resendIn,
+        // Only when developing against a local SMS sink
+        ...(devCode && { otp: devCode }),
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('PIN Reset OTP Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send OTP' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/user/:id/security-pin/reset
+ * @desc    Set a new PIN with the OTP from reset-otp (also lifts a lockout)
+ * @body    { otp, newPin }
+ */
+router.post('/user/:id/security-pin/reset', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
+  try {
+    const { otp, newPin } = req.body;
+    if (!otp) {
+      return res.status(400).json({ success: false, message: 'OTP is required' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await CredentialService.resetPin(user, { otp, newPin, keepSessionId: req.sessionId });
+
+    res.json({ success: true, message: 'Security PIN reset successfully' });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Reset Security PIN Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset security PIN' });
+  }
+});
+
 /**
  * @route   PUT /api/auth/user/:id/deactivate
  * @desc    Deactivate user account (soft disable)
  */
-router.put('/user/:id/deactivate', async (req, res) => {
+router.put('/user/:id/deactivate', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -1194,6 +1359,7 @@ router.put('/user/:id/deactivate', async (req, res) => {
 
     user.isDeactivated = true;
     await user.save();
+    await SessionService.revokeAll('user', user._id, { reason: 'deactivated' });
 
     res.json({ success: true, message: 'Account deactivated successfully' });
   } catch (error) {
@@ -1206,7 +1372,7 @@ router.put('/user/:id/deactivate', async (req, res) => {
  * @route   DELETE /api/auth/user/:id
  * @desc    Permanently delete user account and all associated data
  */
-router.delete('/user/:id', async (req, res) => {
+router.delete('/user/:id', authenticate, requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -1225,7 +1391,8 @@ router.delete('/user/:id', async (req, res) => {
     const Transaction = require('../models/Transaction');
     await Transaction.deleteMany({ userId: user._id });
 
-    // Delete the user
+    // Sign out every device, then delete the user
+    await SessionService.revokeAll('user', user._id, { reason: 'deleted' });
     await User.findByIdAndDelete(req.params.id);
 
     res.json({ success: true, message: 'Account permanently deleted' });
@@ -1239,7 +1406,7 @@ router.delete('/user/:id', async (req, res) => {
  * @route   GET /api/auth/user/:id/download-data
  * @desc    Download all personal data for a user (GDPR-style)
  */
-router.get('/user/:id/download-data', async (req, res) => {
+router.get('/user/:id/download-data', authenticate, requireSelfOrAdmin('id', 'account:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -1251,12 +1418,16 @@ router.get('/user/:id/download-data', async (req, res) => {
 
     const bookings = await Booking.find({
       $or: [{ parentId: user._id }, { nannyId: user._id }],
-    }).lean();
+    }).select('-completionVerification.qrToken -completionVerification.qrExpiry').lean();
 
     const transactions = await Transaction.find({ userId: user._id }).lean();
 
     const userData = user.toObject();
     delete userData.__v;
+    if (userData.privacySettings) {
+      delete userData.privacySettings.securityPin;
+      delete userData.privacySettings.pinLockout;
+    }
 
     res.json({
       success: true,
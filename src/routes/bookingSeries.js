@@ -0,0 +1,311 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const BookingSeries = require('../models/BookingSeries');
+const User = require('../models/User');
+const BookingSeriesService = require('../services/bookingSeriesService');
+const BookingLifecycle = require('../services/bookingLifecycle');
+const NotificationService = require('../services/notificationService');
+const { authenticate } = require('../middleware/auth');
+const { authorize, ensureAllowed } = require('../middleware/authorize');
+const { sendServiceError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const formatOccurrence = (booking) => ({
+  id: booking._id,
+  bookingId: booking.bookingId,
+  date: booking.date,
+  occurrenceDate: booking.seriesOccurrenceDate,
+  startTime: booking.startTime,
+  endTime: booking.endTime,
+  startAt: booking.startAt,
+  endAt: booking.endAt,
+  totalAmount: booking.totalAmount,
+  status: booking.status,
+  paymentStatus: booking.payment?.status || 'pending',
+  isSeriesException: booking.isSeriesException,
+});
+
+const formatSeries = (series, occurrences) => ({
+  id: series._id,
+  seriesId: series.seriesId,
+  parentId: series.parentId,
+  nannyId: series.nannyId,
+  recurrence: series.recurrence,
+  startTime: series.startTime,
+  endTime: series.endTime,
+  numberOfChildren: series.numberOfChildren,
+  address: series.address,
+  specialInstructions: series.specialInstructions,
+  status: series.status,
+  skippedDates: series.skippedDates,
+  cancellation: series.cancellation,
+  createdAt: series.createdAt,
+  ...(occurrences && {
+    occurrences: occurrences.map(formatOccurrence),
+    totalAmount: occurrences
+      .filter((booking) => booking.status !== 'cancelled' && booking.status !== 'rejected')
+      .reduce((sum, booking) => sum + (booking.totalAmount || 0), 0),
+  }),
+});
+
+/**
+ * Load the series in :id and check the caller may act on it
+ * @returns {object|null} series, or null when a response was sent
+ */
+const loadSeries = async (req, res, action) => {
+  const series = mongoose.isValidObjectId(req.params.id) ? await BookingSeries.findById(req.params.id) : null;
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking series not found',
+    });
+    return null;
+  }
+  if (!ensureAllowed(req, res, action, series)) return null;
+  return series;
+};
+
+/**
+ * @route   POST /api/booking-series
+ * @desc    Create a recurring booking series (one booking per occurrence)
+ * @access  Private (parent only)
+ */
+router.post('/', authorize('booking:create'), [
+  body('nannyId').notEmpty().withMessage('Nanny ID is required'),
+  body('startTime').notEmpty().withMessage('Start time is required'),
+  body('endTime').notEmpty().withMessage('End time is required'),
+  body('recurrence.frequency').isIn(['daily', 'weekly', 'custom']).withMessage('Recurrence frequency must be daily, weekly or custom'),
+  body('recurrence.startDate').notEmpty().withMessage('Start date is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const parent = req.principal.account;
+    const nanny = mongoose.isValidObjectId(req.body.nannyId) ? await User.findById(req.body.nannyId) : null;
+    if (!nanny || nanny.role !== 'nanny') {
+      return res.status(404).json({
+        success: false,
+        message: 'Nanny not found',
+      });
+    }
+
+    const { series, bookings, conflicts } = await BookingSeriesService.createSeries(
+      parent,
+      nanny,
+      req.body,
+      BookingLifecycle.actorFor(req.principal)
+    );
+
+    console.log(`🔁 New booking series ${series.seriesId} (${bookings.length} occurrences) by ${parent.name} for nanny ${nanny.name}`);
+
+    NotificationService.notifyNewBookingSeries(series, bookings, parent, nanny)
+      .catch(err => console.error('Notification error:', err));
+
+    res.status(201).json({
+      success: true,
+      message: `Booking series created with ${bookings.length} occurrences`,
+      data: {
+        series: formatSeries(series, bookings),
+        conflicts,
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Create Booking Series Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create booking series',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/booking-series
+ * @desc    List the caller's booking series
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { role, id } = req.principal;
+    const { status } = req.query;
+
+    const query = {};
+    if (role === 'parent') query.parentId = id;
+    else if (role === 'nanny') query.nannyId = id;
+    else if (role !== 'admin') {
+      return res.json({ success: true, data: { series: [] } });
+    }
+    if (status) query.status = status;
+
+    const seriesList = await BookingSeries.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        series: seriesList.map((series) => formatSeries(series)),
+      },
+    });
+  } catch (error) {
+    console.error('List Booking Series Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch booking series',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/booking-series/:id
+ * @desc    Get a series with all its occurrences
+ * @access  Private (parent, nanny of the series or admin)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await loadSeries(req, res, 'booking:read');
+    if (!series) return;
+
+    const occurrences = await BookingSeriesService.getOccurrences(series);
+
+    res.json({
+      success: true,
+      data: { series: formatSeries(series, occurrences) },
+    });
+  } catch (error) {
+    console.error('Get Booking Series Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch booking series',
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/booking-series/:id/occurrences/:bookingId
+ * @desc    Change the date or time of a single pending occurrence (the nanny is told),
+ *          or the special instructions of any upcoming one
+ * @access  Private (parent of the series or admin)
+ */
+router.put('/:id/occurrences/:bookingId', async (req, res) => {
+  try {
+    const series = await loadSeries(req, res, 'series:manage');
+    if (!series) return;
+
+    const { date, startTime, endTime, specialInstructions } = req.body;
+    if (!date && !startTime && !endTime && specialInstructions === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to change',
+      });
+    }
+
+    const nanny = await User.findById(series.nannyId);
+    const booking = await BookingSeriesService.modifyOccurrence(series, req.params.bookingId, nanny, {
+      date,
+      startTime,
+      endTime,
+      specialInstructions,
+    });
+
+    console.log(`✏️ Occurrence ${booking.bookingId} of series ${series.seriesId} changed`);
+
+    res.json({
+      success: true,
+      message: 'Occurrence updated',
+      data: { occurrence: formatOccurrence(booking) },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Modify Occurrence Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update occurrence',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/booking-series/:id/occurrences/:bookingId/skip
+ * @desc    Skip a single occurrence
+ * @access  Private (parent of the series or admin)
+ */
+router.post('/:id/occurrences/:bookingId/skip', async (req, res) => {
+  try {
+    const series = await loadSeries(req, res, 'series:manage');
+    if (!series) return;
+
+    const booking = await BookingSeriesService.skipOccurrence(series, req.params.bookingId, req.principal, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Occurrence skipped',
+      data: { occurrence: formatOccurrence(booking) },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Skip Occurrence Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to skip occurrence',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/booking-series/:id/cancel
+ * @desc    Cancel all upcoming occurrences of a series
+ * @access  Private (parent of the series or admin)
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const series = await loadSeries(req, res, 'series:manage');
+    if (!series) return;
+
+    const cancelled = await BookingSeriesService.cancelRemaining(series, req.principal, req.body.reason);
+
+    console.log(`❌ Series ${series.seriesId} cancelled (${cancelled.length} upcoming occurrences)`);
+
+    if (cancelled.length > 0) {
+      const nanny = await User.findById(series.nannyId);
+      if (nanny) {
+        NotificationService.sendToUser(nanny._id, {
+          title: '🚫 Recurring Booking Cancelled',
+          body: `${cancelled.length} upcoming sessions have been cancelled.`,
+          data: {
+            type: 'booking_series_cancelled',
+            seriesId: series._id.toString(),
+            screen: 'BookingHistory',
+          },
+        }).catch(err => console.error('Notification error:', err));
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Series cancelled. ${cancelled.length} upcoming occurrences were cancelled.`,
+      data: {
+        series: formatSeries(series),
+        cancelledOccurrences: cancelled.map(formatOccurrence),
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Cancel Booking Series Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking series',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,41 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
-const Transaction = require('../models/Transaction');
 const NotificationService = require('../services/notificationService');
+const PricingService = require('../services/pricingService');
+const PromoService = require('../services/promoService');
+const SchedulingService = require('../services/schedulingService');
+const BookingLifecycle = require('../services/bookingLifecycle');
+const CompletionService = require('../services/completionService');
+const RescheduleService = require('../services/rescheduleService');
+const CancellationPolicyService = require('../services/cancellationPolicyService');
+const LedgerService = require('../services/ledgerService');
+const InvoiceService = require('../services/invoiceService');
+const OtpService = require('../services/otpService');
+const { sendServiceError } = require('../utils/errors');
+const { toCalendarDate, addDays, zonedTimestamp } = require('../utils/time');
+const { authenticate } = require('../middleware/auth');
+const { authorize, ensureAllowed, requireSelfOrAdmin } = require('../middleware/authorize');
+const { can } = require('../policies');
 
 const router = express.Router();
 
+// Every booking route acts on behalf of a logged-in account
+router.use(authenticate);
+
 /**
  * @route   POST /api/bookings
- * @desc    Create a new booking
+ * @desc    Create a new booking (optional promoCode)
  * @access  Private (parent only)
  */
-router.post('/', [
-  body('parentId').notEmpty().withMessage('Parent ID is required'),
+router.post('/', authorize('booking:create'), [
   body('nannyId').notEmpty().withMessage('Nanny ID is required'),
   body('date').notEmpty().withMessage('Date is required'),
   body('startTime').notEmpty().withMessage('Start time is required'),
   body('endTime').notEmpty().withMessage('End time is required'),
-  body('totalHours').isNumeric().withMessage('Total hours must be a number'),
-  body('totalAmount').isNumeric().withMessage('Total amount must be a number'),
+  body('numberOfChildren').optional().isInt({ min: 1 }).withMessage('Number of children must be a positive number'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -31,30 +47,22 @@ router.post('/', [
       });
     }
 
+    // The booking is always made by the caller
+    const parentId = req.principal.id;
     const {
-      parentId,
       nannyId,
       date,
       startTime,
       endTime,
-      totalHours,
       children,
       numberOfChildren,
       childrenAges,
       address,
       specialInstructions,
-      hourlyRate,
-      totalAmount,
+      promoCode,
     } = req.body;
 
-    // Verify parent exists
-    const parent = await User.findById(parentId);
-    if (!parent) {
-      return res.status(404).json({
-        success: false,
-        message: 'Parent not found',
-      });
-    }
+    const parent = req.principal.account;
 
     // Verify nanny exists and is a verified nanny
     const nanny = await User.findById(nannyId);
@@ -72,76 +80,67 @@ router.post('/', [
       });
     }
 
-    // Check for overlapping bookings for this nanny on the same date
-    const bookingDate = new Date(date);
-    const startOfDay = new Date(bookingDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(bookingDate);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    const existingBookings = await Booking.find({
-      nannyId,
-      date: { $gte: startOfDay, $lte: endOfDay },
-      status: { $in: ['pending', 'confirmed'] },
-    });
-
-    // Parse time helper (handles "2:00 PM" and "14:00" formats)
-    const parseTimeStr = (timeStr) => {
-      const match12 = timeStr.match(/(\d+):(\d+)\s*(AM|PM)/i);
-      if (match12) {
-        let h = parseInt(match12[1], 10);
-        const meridian = match12[3].toUpperCase();
-        if (meridian === 'PM' && h !== 12) h += 12;
-        if (meridian === 'AM' && h === 12) h = 0;
-        return h;
-      }
-      return parseInt(timeStr.split(':')[0], 10);
-    };
-
-    const newStart = parseTimeStr(startTime);
-    const newEnd = parseTimeStr(endTime);
-
-    const hasOverlap = existingBookings.some(booking => {
-      const existStart = parseTimeStr(booking.startTime);
-      const existEnd = parseTimeStr(booking.endTime);
-      // Overlap: newStart < existEnd AND newEnd > existStart
-      return newStart < existEnd && newEnd > existStart;
-    });
-
-    if (hasOverlap) {
-      return res.status(400).json({
-        success: false,
-        message: 'This nanny is already booked for the selected time slot. Please choose a different time.',
-      });
-    }
-
-    // Generate unique booking ID
-    const bookingId = Booking.generateBookingId();
-
-    // Create booking
-    const booking = await Booking.create({
-      bookingId,
-      parentId,
-      nannyId,
-      date: new Date(date),
+    // Price is always computed here; amounts sent by the app are ignored
+    const { quote, promo, discount } = await PromoService.quoteForNanny({
+      code: promoCode,
+      userId: parentId,
+      nanny,
+      date,
       startTime,
       endTime,
-      totalHours,
-      children: children || [],
       numberOfChildren: numberOfChildren || 1,
-      childrenAges: childrenAges || '',
-      address: address || {},
-      specialInstructions: specialInstructions || '',
-      hourlyRate: hourlyRate || 0,
-      totalAmount,
-      status: 'pending',
+      pincode: address?.pincode,
+    });
+
+    // Slot must fit the nanny's schedule and not overlap another booking;
+    // the lock keeps a concurrent request from taking it before this one is saved
+    const booking = await SchedulingService.withNannyLock(nanny._id, async () => {
+      const slot = await SchedulingService.assertBookable(nanny, { date, startTime, endTime });
+
+      // Generate unique booking ID
+      const bookingId = Booking.generateBookingId();
+      const _id = new mongoose.Types.ObjectId();
+
+      // The code's limits are taken before the booking exists and given back if it is not created
+      const redemption = promo
+        ? await PromoService.redeem(promo, { userId: parentId, bookingId: _id, amount: discount })
+        : null;
+
+      // Create booking
+      try {
+        return await Booking.create({
+          _id,
+          bookingId,
+          parentId,
+          nannyId,
+          date: new Date(date),
+          startTime,
+          endTime,
+          startAt: slot.startAt,
+          endAt: slot.endAt,
+          totalHours: quote.totalHours,
+          children: children || [],
+          numberOfChildren: quote.numberOfChildren,
+          childrenAges: childrenAges || '',
+          address: address || {},
+          specialInstructions: specialInstructions || '',
+          hourlyRate: quote.hourlyRate,
+          totalAmount: quote.total,
+          pricing: PricingService.toBookingPricing(quote),
+          status: 'pending',
+          statusHistory: BookingLifecycle.initialHistory(BookingLifecycle.actorFor(req.principal)),
+        });
+      } catch (error) {
+        if (redemption) await PromoService.reverse(redemption, 'Booking not created');
+        throw error;
+      }
     });
 
     // Populate nanny details for response
     await booking.populate('nannyId', 'name phoneNumber profileImage');
     await booking.populate('parentId', 'name phoneNumber');
 
-    console.log(`📅 New booking created: ${bookingId} by ${parent.name} for nanny ${nanny.name}`);
+    console.log(`📅 New booking created: ${booking.bookingId} by ${parent.name} for nanny ${nanny.name}`);
 
     // Send push notification to nanny
     NotificationService.notifyNewBooking(booking, parent, nanny)
@@ -169,12 +168,14 @@ router.post('/', [
           specialInstructions: booking.specialInstructions,
           hourlyRate: booking.hourlyRate,
           totalAmount: booking.totalAmount,
+          pricing: booking.pricing,
           status: booking.status,
           createdAt: booking.createdAt,
         },
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Create Booking Error:', error);
     res.status(500).json({
       success: false,
@@ -183,12 +184,61 @@ router.post('/', [
   }
 });
 
+/**
+ * @route   GET /api/bookings/quote
+ * @desc    Price a booking before it is made; a promoCode that does not apply is a 400 saying why
+ * @query   nannyId, date, startTime, endTime, numberOfChildren, pincode, promoCode
+ * @access  Private
+ */
+router.get('/quote', [
+  query('nannyId').notEmpty().withMessage('Nanny ID is required'),
+  query('date').notEmpty().withMessage('Date is required'),
+  query('startTime').notEmpty().withMessage('Start time is required'),
+  query('endTime').notEmpty().withMessage('End time is required'),
+  query('numberOfChildren').optional().isInt({ min: 1 }).withMessage('Number of children must be a positive number'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const { nannyId, date, startTime, endTime, numberOfChildren, pincode, promoCode } = req.query;
+    const { quote } = await PromoService.quoteForNanny({
+      code: promoCode,
+      userId: req.principal.id,
+      nannyId,
+      date,
+      startTime,
+      endTime,
+      numberOfChildren: numberOfChildren || 1,
+      pincode,
+    });
+
+    res.json({
+      success: true,
+      data: { quote },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Quote Booking Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate price',
+    });
+  }
+});
+
 /**
  * @route   GET /api/bookings/parent/:parentId
  * @desc    Get all bookings for a parent
  * @access  Private
  */
-router.get('/parent/:parentId', async (req, res) => {
+router.get('/parent/:parentId', requireSelfOrAdmin('parentId', 'account:read'), async (req, res) => {
   try {
     const { parentId } = req.params;
     const { status, limit = 20, page = 1 } = req.query;
@@ -261,24 +311,19 @@ router.get('/nanny/:nannyId/booked-slots', async (req, res) => {
     const { nannyId } = req.params;
     const { date } = req.query;
 
-    if (!date) {
+    const calendarDate = date ? toCalendarDate(date) : null;
+    if (!calendarDate) {
       return res.status(400).json({
         success: false,
         message: 'Date is required (YYYY-MM-DD)',
       });
     }
 
-    const bookingDate = new Date(date);
-    const startOfDay = new Date(bookingDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(bookingDate);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    const bookings = await Booking.find({
+    const bookings = await SchedulingService.findBookingsBetween(
       nannyId,
-      date: { $gte: startOfDay, $lte: endOfDay },
-      status: { $in: ['pending', 'confirmed'] },
-    }).select('startTime endTime');
+      zonedTimestamp(calendarDate, 0),
+      zonedTimestamp(addDays(calendarDate, 1), 0)
+    );
 
     const bookedSlots = bookings.map(b => ({
       startTime: b.startTime,
@@ -298,12 +343,63 @@ router.get('/nanny/:nannyId/booked-slots', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/bookings/nanny/:nannyId/available-slots
+ * @desc    Get bookable windows for a nanny between two dates
+ * @query   from, to (YYYY-MM-DD, default today), minDuration (minutes, default 60)
+ * @access  Private
+ */
+router.get('/nanny/:nannyId/available-slots', [
+  query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)'),
+  query('minDuration').optional().isInt({ min: 15, max: 1440 }).withMessage('minDuration must be between 15 and 1440 minutes'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const { nannyId } = req.params;
+    const from = req.query.from || toCalendarDate(new Date());
+    const to = req.query.to || from;
+
+    const nanny = await User.findById(nannyId);
+    if (!nanny || nanny.role !== 'nanny') {
+      return res.status(404).json({
+        success: false,
+        message: 'Nanny not found',
+      });
+    }
+
+    const days = await SchedulingService.availableSlots(nanny, from, to, {
+      minMinutes: parseInt(req.query.minDuration, 10) || 60,
+    });
+
+    res.json({
+      success: true,
+      data: { from, to, days },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get Available Slots Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch available slots',
+    });
+  }
+});
+
 /**
  * @route   GET /api/bookings/nanny/:nannyId
  * @desc    Get all bookings for a nanny
  * @access  Private
  */
-router.get('/nanny/:nannyId', async (req, res) => {
+router.get('/nanny/:nannyId', requireSelfOrAdmin('nannyId', 'account:read'), async (req, res) => {
   try {
     const { nannyId } = req.params;
     const { status, limit = 20, page = 1 } = req.query;
@@ -393,9 +489,25 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    if (!ensureAllowed(req, res, 'booking:read', booking)) return;
+
+    // The completion QR is left out of the booking (see models/Booking.js) except for the parent showing it
+    const view = booking.toJSON();
+    if (can(req.principal, 'booking:share-qr', booking) && booking.completionVerification?.qrToken) {
+      view.completionVerification = {
+        ...view.completionVerification,
+        qrToken: booking.completionVerification.qrToken,
+        qrExpiry: booking.completionVerification.qrExpiry,
+      };
+    }
+
     res.json({
       success: true,
-      data: { booking },
+      data: {
+        booking: view,
+        // Statuses the caller can move this booking to next
+        allowedTransitions: BookingLifecycle.allowedTransitions(booking, BookingLifecycle.actorFor(req.principal)),
+      },
     });
   } catch (error) {
     console.error('Get Booking Error:', error);
@@ -408,12 +520,14 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @route   PUT /api/bookings/:id/status
- * @desc    Update booking status
+ * @desc    Update booking status. Cancellations may send refundTo: 'wallet'
+ *          to get the refund as wallet credit straight away.
  * @access  Private
  */
 router.put('/:id/status', [
   body('status').isIn(['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'rejected'])
     .withMessage('Invalid status'),
+  body('refundTo').optional().isIn(['source', 'wallet']).withMessage('refundTo must be source or wallet'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -424,7 +538,7 @@ router.put('/:id/status', [
       });
     }
 
-    const { status, cancelledBy, cancellationReason } = req.body;
+    const { status, cancellationReason, refundTo } = req.body;
 
     const booking = await Booking.findById(req.params.id);
 
@@ -435,66 +549,35 @@ router.put('/:id/status', [
       });
     }
 
-    // Update status
-    booking.status = status;
-
-    // Handle specific status updates
-    if (status === 'confirmed') {
-      booking.confirmedAt = new Date();
-      
-      // Send notification to parent that booking is confirmed
-      const parent = await User.findById(booking.parentId);
-      const nanny = await User.findById(booking.nannyId);
-      if (parent && nanny) {
-        NotificationService.notifyBookingConfirmed(booking, parent, nanny)
-          .then(result => console.log('📲 Confirmation notification sent to parent:', result.success))
-          .catch(err => console.error('Notification error:', err));
-      }
-    } else if (status === 'completed') {
-      booking.completedAt = new Date();
-      
-      // Send notification for completed booking
-      const parent = await User.findById(booking.parentId);
-      const nanny = await User.findById(booking.nannyId);
-      if (parent && nanny) {
-        NotificationService.notifyBookingCompleted(booking, parent, nanny)
-          .then(result => console.log('📲 Completion notification sent:', result.success))
-          .catch(err => console.error('Notification error:', err));
+    // Cancelling is open to both parties; every other change is the nanny's call
+    if (!ensureAllowed(req, res, status === 'cancelled' ? 'booking:cancel' : 'booking:respond', booking)) return;
+
+    const actor = BookingLifecycle.actorFor(req.principal);
+    let updated;
+    if (status === 'completed') {
+      // Nannies complete through OTP or QR verification
+      if (actor.role !== 'admin') {
+        return res.status(400).json({
+          success: false,
+          message: 'Use OTP or QR verification to complete a booking',
+        });
       }
-    } else if (status === 'cancelled') {
-      booking.cancellation = {
-        cancelledBy: cancelledBy || 'parent',
+      ({ booking: updated } = await CompletionService.complete(booking, { actor, method: 'admin', reason: cancellationReason }));
+    } else {
+      updated = await BookingLifecycle.transition(booking, status, {
+        actor,
         reason: cancellationReason || '',
-        cancelledAt: new Date(),
-      };
-      
-      // Send cancellation notification
-      const parent = await User.findById(booking.parentId);
-      const nanny = await User.findById(booking.nannyId);
-      if (parent && nanny) {
-        NotificationService.notifyBookingCancelled(booking, cancelledBy || 'parent', parent, nanny)
-          .then(result => console.log('📲 Cancellation notification sent:', result.success))
-          .catch(err => console.error('Notification error:', err));
-      }
-    } else if (status === 'rejected') {
-      // Send rejection notification to parent
-      const parent = await User.findById(booking.parentId);
-      const nanny = await User.findById(booking.nannyId);
-      if (parent && nanny) {
-        NotificationService.notifyBookingRejected(booking, parent, nanny, cancellationReason)
-          .then(result => console.log('📲 Rejection notification sent to parent:', result.success))
-          .catch(err => console.error('Notification error:', err));
-      }
+        refundTo,
+      });
     }
 
-    await booking.save();
-
     res.json({
       success: true,
       message: `Booking ${status} successfully`,
-      data: { booking },
+      data: { booking: updated },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Update Booking Status Error:', error);
     res.status(500).json({
       success: false,
@@ -504,14 +587,134 @@ router.put('/:id/status', [
 });
 
 /**
- * @route   PUT /api/bookings/:id/cancel
- * @desc    Cancel a booking
- * @access  Private
+ * Load the booking in :id and check the reschedule policy
+ * @returns {object|null} booking, or null when a response was sent
  */
-router.put('/:id/cancel', async (req, res) => {
+const loadBookingForReschedule = async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found',
+    });
+    return null;
+  }
+  if (!ensureAllowed(req, res, 'booking:reschedule', booking)) return null;
+  return booking;
+};
+
+/**
+ * @route   POST /api/bookings/:id/reschedule
+ * @desc    Propose a new date/time; the other party accepts or declines
+ * @access  Private (parent or nanny of the booking)
+ */
+router.post('/:id/reschedule', [
+  body('date').notEmpty().withMessage('Date is required'),
+  body('startTime').notEmpty().withMessage('Start time is required'),
+  body('endTime').notEmpty().withMessage('End time is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const booking = await loadBookingForReschedule(req, res);
+    if (!booking) return;
+
+    const { date, startTime, endTime, reason } = req.body;
+    const request = await RescheduleService.request(booking, req.principal, { date, startTime, endTime, reason });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reschedule request sent',
+      data: { request },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Request Reschedule Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request reschedule',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/bookings/:id/reschedule/respond
+ * @desc    Accept or decline the pending reschedule request
+ * @access  Private (the party that did not make the request)
+ */
+router.post('/:id/reschedule/respond', [
+  body('action').isIn(['accept', 'decline']).withMessage('Action must be accept or decline'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const booking = await loadBookingForReschedule(req, res);
+    if (!booking) return;
+
+    const { action, reason } = req.body;
+    const request = await RescheduleService.respond(booking, req.principal, action, reason);
+
+    res.json({
+      success: true,
+      message: action === 'accept' ? 'Booking rescheduled successfully' : 'Reschedule request declined',
+      data: { request, booking },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Respond Reschedule Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to respond to reschedule request',
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/bookings/:id/reschedule
+ * @desc    Withdraw your own pending reschedule request
+ * @access  Private (requester)
+ */
+router.delete('/:id/reschedule', async (req, res) => {
   try {
-    const { cancelledBy, reason } = req.body;
+    const booking = await loadBookingForReschedule(req, res);
+    if (!booking) return;
+
+    const request = await RescheduleService.withdraw(booking, req.principal);
 
+    res.json({
+      success: true,
+      message: 'Reschedule request withdrawn',
+      data: { request },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Withdraw Reschedule Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw reschedule request',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/bookings/:id/cancellation-preview
+ * @desc    Refund and cancellation fee if the booking were cancelled now
+ * @access  Private (parent, nanny or admin of the booking)
+ */
+router.get('/:id/cancellation-preview', async (req, res) => {
+  try {
     const booking = await Booking.findById(req.params.id);
 
     if (!booking) {
@@ -521,56 +724,121 @@ router.put('/:id/cancel', async (req, res) => {
       });
     }
 
-    if (['completed', 'cancelled'].includes(booking.status)) {
+    if (!ensureAllowed(req, res, 'booking:cancel', booking)) return;
+
+    if (!BookingLifecycle.canTransition(booking.status, 'cancelled')) {
       return res.status(400).json({
         success: false,
         message: `Cannot cancel a ${booking.status} booking`,
       });
     }
 
-    // Enforce 4-hour cancellation cutoff
-    if (booking.date && booking.startTime) {
-      // Parse time - handles both "14:00" and "2:00 PM" formats
-      let hours = 0, minutes = 0;
-      const match12 = booking.startTime.match(/(\d+):(\d+)\s*(AM|PM)/i);
-      if (match12) {
-        hours = parseInt(match12[1], 10);
-        minutes = parseInt(match12[2], 10);
-        const meridian = match12[3].toUpperCase();
-        if (meridian === 'PM' && hours !== 12) hours += 12;
-        if (meridian === 'AM' && hours === 12) hours = 0;
-      } else {
-        const parts = booking.startTime.split(':').map(Number);
-        hours = parts[0] || 0;
-        minutes = parts[1] || 0;
-      }
-      const bookingDate = new Date(booking.date);
-      bookingDate.setHours(hours, minutes, 0, 0);
-      const now = new Date();
-      const hoursUntilBooking = (bookingDate.getTime() - now.getTime()) / (1000 * 60 * 60);
-      if (hoursUntilBooking <= 4) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot cancel within 4 hours of the booking start time',
-        });
+    const preview = await CancellationPolicyService.preview(booking, req.principal.role);
+
+    res.json({
+      success: true,
+      data: { preview },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Cancellation Preview Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview cancellation',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/bookings/:id/invoice
+ * @desc    Tax invoice (online payment) or receipt (cash) of a paid booking.
+ *          ?format=html returns the printable document, &download=true as an attachment.
+ * @access  Private (parent, nanny or admin of the booking)
+ */
+router.get('/:id/invoice', async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    if (!ensureAllowed(req, res, 'booking:read', booking)) return;
+
+    const invoice = await InvoiceService.forBooking(booking);
+
+    if (req.query.format === 'html') {
+      if (req.query.download === 'true') {
+        res.attachment(`${invoice.invoiceNumber.replace(/\//g, '-')}.html`);
       }
+      return res.type('html').send(invoice.html);
     }
 
-    booking.status = 'cancelled';
-    booking.cancellation = {
-      cancelledBy: cancelledBy || 'parent',
-      reason: reason || '',
-      cancelledAt: new Date(),
-    };
+    const { html, ...details } = invoice.toObject();
+    res.json({
+      success: true,
+      data: { invoice: details },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get Invoice Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invoice',
+    });
+  }
+});
 
-    await booking.save();
+/**
+ * @route   PUT /api/bookings/:id/cancel
+ * @desc    Cancel a booking; refundTo: 'wallet' credits the refund to the parent's wallet
+ * @access  Private
+ */
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const { reason, refundTo } = req.body;
+
+    if (refundTo !== undefined && !['source', 'wallet'].includes(refundTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'refundTo must be source or wallet',
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    if (!ensureAllowed(req, res, 'booking:cancel', booking)) return;
+
+    if (!BookingLifecycle.canTransition(booking.status, 'cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${booking.status} booking`,
+      });
+    }
+
+    const updated = await BookingLifecycle.transition(booking, 'cancelled', {
+      actor: BookingLifecycle.actorFor(req.principal),
+      reason: reason || '',
+      refundTo,
+    });
 
     res.json({
       success: true,
       message: 'Booking cancelled successfully',
-      data: { booking },
+      data: { booking: updated, cancellation: updated.cancellation },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Cancel Booking Error:', error);
     res.status(500).json({
       success: false,
@@ -587,7 +855,7 @@ router.put('/:id/cancel', async (req, res) => {
 router.post('/:id/send-completion-otp', async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
-      .populate('parentId', 'name phoneNumber');
+      .populate('parentId', 'name phoneNumber countryCode');
 
     if (!booking) {
       return res.status(404).json({
@@ -596,6 +864,8 @@ router.post('/:id/send-completion-otp', async (req, res) => {
       });
     }
 
+    if (!ensureAllowed(req, res, 'booking:complete', booking)) return;
+
     if (!['confirmed', 'in-progress'].includes(booking.status)) {
       return res.status(400).json({
         success: false,
@@ -603,37 +873,32 @@ router.post('/:id/send-completion-otp', async (req, res) => {
       });
     }
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes expiry
+    const { expiresIn, devCode } = await OtpService.send({
+      phoneNumber: booking.parentId?.phoneNumber,
+      countryCode: booking.parentId?.countryCode,
+      purpose: 'booking-completion',
+      subject: booking._id,
+      ip: req.ip,
+      booking,
+    });
 
-    // Save OTP to booking
-    booking.completionVerification = {
-      otp,
-      otpExpiry,
-      otpVerified: false,
-    };
+    // A new code has to be verified again
+    booking.completionVerification = { otpVerified: false };
     await booking.save();
 
-    // In production, send OTP via SMS to parent's phone
-    console.log(`📱 Completion OTP for booking ${booking.bookingId}: ${otp}`);
-    console.log(`📱 Sending to parent: ${booking.parentId?.name} - ${booking.parentId?.phoneNumber}`);
-
-    // TODO: Integrate with SMS service (Firebase, Twilio, etc.)
-    // await sendSMS(booking.parentId.phoneNumber, `Your WeCare booking completion OTP is: ${otp}`);
-
     res.json({
       success: true,
       message: 'OTP sent to parent successfully',
       data: {
         parentName: booking.parentId?.name,
         parentPhone: booking.parentId?.phoneNumber?.replace(/\d(?=\d{4})/g, '*'), // Masked phone
-        expiresIn: '10 minutes',
-        // For testing only - remove in production
-        testOtp: otp,
+        expiresIn: `${expiresIn / 60} minutes`,
+        // Only when developing against a local SMS sink
+        ...(devCode && { testOtp: devCode }),
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Send Completion OTP Error:', error);
     res.status(500).json({
       success: false,
@@ -660,7 +925,8 @@ router.post('/:id/verify-completion-otp', [
     }
 
     const { otp } = req.body;
-    const booking = await Booking.findById(req.params.id);
+    const booking = await Booking.findById(req.params.id)
+      .populate('parentId', 'phoneNumber countryCode');
 
     if (!booking) {
       return res.status(404).json({
@@ -669,26 +935,16 @@ router.post('/:id/verify-completion-otp', [
       });
     }
 
-    if (!booking.completionVerification?.otp) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please request OTP first',
-      });
-    }
-
-    if (new Date() > booking.completionVerification.otpExpiry) {
-      return res.status(400).json({
-        success: false,
-        message: 'OTP has expired. Please request a new one.',
-      });
-    }
+    if (!ensureAllowed(req, res, 'booking:complete', booking)) return;
 
-    if (booking.completionVerification.otp !== otp) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid OTP. Please try again.',
-      });
-    }
+    // Throws when the code is wrong (with attemptsLeft), expired or not requested
+    await OtpService.verify({
+      phoneNumber: booking.parentId?.phoneNumber,
+      countryCode: booking.parentId?.countryCode,
+      purpose: 'booking-completion',
+      subject: booking._id,
+      code: otp,
+    });
 
     // Mark OTP as verified
     booking.completionVerification.otpVerified = true;
@@ -702,6 +958,7 @@ router.post('/:id/verify-completion-otp', [
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Verify Completion OTP Error:', error);
     res.status(500).json({
       success: false,
@@ -739,7 +996,10 @@ router.post('/:id/complete', [
       });
     }
 
-    if (!['confirmed', 'in-progress'].includes(booking.status)) {
+    if (!ensureAllowed(req, res, 'booking:complete', booking)) return;
+
+    // Completed bookings pass through so a retried request still settles
+    if (!['confirmed', 'in-progress', 'completed'].includes(booking.status)) {
       return res.status(400).json({
         success: false,
         message: 'Only confirmed or in-progress bookings can be completed',
@@ -753,36 +1013,12 @@ router.post('/:id/complete', [
       });
     }
 
-    // Save verification image and complete booking
-    booking.completionVerification.verificationImage = verificationImage;
-    booking.completionVerification.verifiedAt = new Date();
-    booking.status = 'completed';
-    booking.completedAt = new Date();
-    booking.payment.status = 'paid';
-    booking.payment.paidAt = new Date();
-
-    await booking.save();
-
-    // Update nanny stats and earnings
-    if (booking.nannyId) {
-      await User.findByIdAndUpdate(booking.nannyId._id, {
-        $inc: { 
-          'nannyProfile.totalJobsCompleted': 1,
-          'nannyProfile.totalEarnings': booking.totalAmount,
-          'nannyProfile.availableBalance': booking.totalAmount,
-        },
-      });
-
-      // Create earning transaction record
-      await Transaction.create({
-        userId: booking.nannyId._id,
-        type: 'earning',
-        amount: booking.totalAmount,
-        status: 'completed',
-        description: `Booking completed with ${booking.parentId?.name || 'Parent'}`,
-        bookingId: booking._id,
-      });
-    }
+    // Save verification image, complete and settle the booking
+    const { booking: updated, settlement } = await CompletionService.complete(booking, {
+      actor: BookingLifecycle.actorFor(req.principal),
+      method: 'otp',
+      verificationImage,
+    });
 
     console.log(`✅ Booking ${booking.bookingId} completed successfully with verification`);
 
@@ -791,15 +1027,18 @@ router.post('/:id/complete', [
       message: 'Booking completed successfully',
       data: {
         booking: {
-          id: booking._id,
-          bookingId: booking.bookingId,
-          status: booking.status,
-          completedAt: booking.completedAt,
-          totalAmount: booking.totalAmount,
+          id: updated._id,
+          bookingId: updated.bookingId,
+          status: updated.status,
+          completedAt: updated.completedAt,
+          totalAmount: updated.totalAmount,
+          paymentStatus: updated.payment?.status,
+          settlement,
         },
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Complete Booking Error:', error);
     res.status(500).json({
       success: false,
@@ -813,7 +1052,7 @@ router.post('/:id/complete', [
  * @desc    Get earnings summary and completed bookings history for a nanny
  * @access  Private (nanny only)
  */
-router.get('/nanny/:nannyId/earnings', async (req, res) => {
+router.get('/nanny/:nannyId/earnings', requireSelfOrAdmin('nannyId', 'account:read'), async (req, res) => {
   try {
     const { nannyId } = req.params;
     const { period = 'all', limit = 50, page = 1 } = req.query;
@@ -856,47 +1095,27 @@ router.get('/nanny/:nannyId/earnings', async (req, res) => {
 
     const total = await Booking.countDocuments(query);
 
-    // Calculate period earnings
-    let periodEarnings = 0;
-    bookings.forEach(b => {
-      periodEarnings += b.totalAmount || 0;
-    });
-
-    // Get today's earnings
+    // Earnings come from the ledger (booking earnings and cancellation fees)
     const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const todayBookings = await Booking.find({
-      nannyId,
-      status: 'completed',
-      completedAt: { $gte: startOfToday }
-    });
-    const todayEarnings = todayBookings.reduce((sum, b) => sum + (b.totalAmount || 0), 0);
-
-    // Get this week's earnings
     const startOfWeek = new Date(now);
     startOfWeek.setDate(now.getDate() - 7);
-    const weekBookings = await Booking.find({
-      nannyId,
-      status: 'completed',
-      completedAt: { $gte: startOfWeek }
-    });
-    const weekEarnings = weekBookings.reduce((sum, b) => sum + (b.totalAmount || 0), 0);
-
-    // Get this month's earnings
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const monthBookings = await Booking.find({
-      nannyId,
-      status: 'completed',
-      completedAt: { $gte: startOfMonth }
-    });
-    const monthEarnings = monthBookings.reduce((sum, b) => sum + (b.totalAmount || 0), 0);
+
+    const [balance, todayEarnings, weekEarnings, monthEarnings] = await Promise.all([
+      LedgerService.providerBalance('nanny', nanny._id),
+      LedgerService.providerEarningsSince('nanny', nanny._id, startOfToday),
+      LedgerService.providerEarningsSince('nanny', nanny._id, startOfWeek),
+      LedgerService.providerEarningsSince('nanny', nanny._id, startOfMonth),
+    ]);
 
     res.json({
       success: true,
       data: {
         summary: {
-          totalEarnings: nanny.nannyProfile?.totalEarnings || 0,
-          availableBalance: nanny.nannyProfile?.availableBalance || 0,
-          withdrawnAmount: nanny.nannyProfile?.withdrawnAmount || 0,
+          totalEarnings: balance.totalEarnings,
+          availableBalance: balance.availableBalance,
+          withdrawnAmount: balance.withdrawnAmount,
+          pendingWithdrawals: balance.pendingWithdrawals,
           totalJobsCompleted: nanny.nannyProfile?.totalJobsCompleted || 0,
           todayEarnings,
           weekEarnings,
@@ -915,7 +1134,7 @@ router.get('/nanny/:nannyId/earnings', async (req, res) => {
           endTime: booking.endTime,
           totalHours: booking.totalHours,
           numberOfChildren: booking.numberOfChildren,
-          amount: booking.totalAmount,
+          amount: booking.settlement?.nannyEarning ?? booking.totalAmount,
           completedAt: booking.completedAt,
         })),
         pagination: {
@@ -950,6 +1169,8 @@ router.post('/:id/generate-qr', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
+    if (!ensureAllowed(req, res, 'booking:share-qr', booking)) return;
+
     if (!['confirmed', 'in-progress'].includes(booking.status)) {
       return res.status(400).json({
         success: false,
@@ -1003,6 +1224,9 @@ router.post('/verify-qr', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Invalid QR code' });
     }
 
+    // Only the nanny assigned to this booking can redeem its QR code
+    if (!ensureAllowed(req, res, 'booking:complete', booking)) return;
+
     if (new Date() > booking.completionVerification.qrExpiry) {
       return res.status(400).json({ success: false, message: 'QR code has expired. Please generate a new one.' });
     }
@@ -1011,22 +1235,10 @@ router.post('/verify-qr', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Booking is not in a completable state' });
     }
 
-    // Mark as completed
-    booking.status = 'completed';
-    booking.completedAt = new Date();
-    booking.completionVerification.otpVerified = true;
-    booking.completionVerification.verifiedAt = new Date();
-    booking.completionVerification.qrToken = null; // Invalidate token
-    await booking.save();
-
-    // Update nanny earnings
-    const User = require('../models/User');
-    await User.findByIdAndUpdate(booking.nannyId._id || booking.nannyId, {
-      $inc: {
-        'nannyProfile.totalEarnings': booking.totalAmount,
-        'nannyProfile.availableBalance': booking.totalAmount,
-        'nannyProfile.totalJobsCompleted': 1,
-      },
+    // Mark as completed and settle; the scan proves the parent is present
+    const { booking: updated, settlement } = await CompletionService.complete(booking, {
+      actor: BookingLifecycle.actorFor(req.principal),
+      method: 'qr',
     });
 
     console.log(`✅ Booking ${booking.bookingId} completed via QR scan`);
@@ -1038,11 +1250,13 @@ router.post('/verify-qr', async (req, res) => {
         bookingId: booking.bookingId,
         parentName: booking.parentId?.name,
         nannyName: booking.nannyId?.name,
-        amount: booking.totalAmount,
-        completedAt: booking.completedAt,
+        amount: updated.totalAmount,
+        completedAt: updated.completedAt,
+        settlement,
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Verify QR Error:', error);
     res.status(500).json({ success: false, message: 'Failed to verify QR code' });
   }
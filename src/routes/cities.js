@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const City = require('../models/City');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+
+const canManageCities = [authenticate, authorize('city:manage')];
 
 // GET /api/cities — Get all cities
 router.get('/', async (req, res) => {
@@ -56,13 +60,7 @@ router.get('/detect/:pincode', async (req, res) => {
       });
     }
 
-    // Try matching with all prefix lengths (3, 4, 5, 6 digits)
-    let city = null;
-    for (let len = 6; len >= 3; len--) {
-      const prefix = pincode.substring(0, len);
-      city = await City.findOne({ pincodePrefix: prefix });
-      if (city) break;
-    }
+    const city = await City.findByPincode(pincode);
 
     if (!city) {
       return res.json({
@@ -108,9 +106,9 @@ router.get('/detect/:pincode', async (req, res) => {
 });
 
 // POST /api/cities — Create a new city (admin)
-router.post('/', async (req, res) => {
+router.post('/', canManageCities, async (req, res) => {
   try {
-    const { name, state, pincodePrefix, isActive, launchDate, services, sortOrder } = req.body;
+    const { name, state, pincodePrefix, isActive, launchDate, services, pricing, cancellationPolicies, sortOrder } = req.body;
 
     if (!name || !pincodePrefix || !Array.isArray(pincodePrefix)) {
       return res.status(400).json({ success: false, message: 'name and pincodePrefix (array) are required' });
@@ -128,6 +126,8 @@ router.post('/', async (req, res) => {
       isActive: isActive || false,
       launchDate: launchDate || '',
       services: services || {},
+      pricing: pricing || {},
+      cancellationPolicies,
       sortOrder: sortOrder || 0,
     });
 
@@ -140,7 +140,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/cities/:id — Update a city (admin)
-router.put('/:id', async (req, res) => {
+router.put('/:id', canManageCities, async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -158,7 +158,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/cities/:id — Delete a city (admin)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canManageCities, async (req, res) => {
   try {
     const { id } = req.params;
     const city = await City.findByIdAndDelete(id);
@@ -173,7 +173,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /api/cities/seed — Seed default cities (one-time setup)
-router.post('/seed', async (req, res) => {
+router.post('/seed', canManageCities, async (req, res) => {
   try {
     const existingCount = await City.countDocuments();
     if (existingCount > 0) {
@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ProviderAccountService = require('../services/providerAccountService');
+const InvoiceService = require('../services/invoiceService');
+const { renderStatement } = require('../services/invoiceTemplates');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { sendServiceError } = require('../utils/errors');
+const { toCalendarDate } = require('../utils/time');
+
+/**
+ * Earnings, payout details and withdrawals for every provider type:
+ *   /api/earnings/nanny/:id, /api/earnings/daycare/:id, /api/earnings/eldercare/:id
+ */
+const router = express.Router();
+
+router.use(authenticate);
+
+const providerParams = (req) => ({ type: req.params.providerType, id: req.params.providerId });
+
+const formatTransaction = (t) => ({
+  id: t._id,
+  type: t.type,
+  amount: t.amount,
+  status: t.status,
+  description: t.description,
+  bookingId: t.bookingId?.bookingId,
+  withdrawalMethod: t.withdrawalDetails?.method,
+  payoutId: t.withdrawalDetails?.payoutId,
+  createdAt: t.createdAt,
+});
+
+/**
+ * @route   GET /api/earnings/:providerType/:providerId
+ * @desc    Balances and recent earnings of a provider
+ * @access  Private (the provider or admin)
+ */
+router.get('/:providerType/:providerId', authorize('provider:finance:read', providerParams), async (req, res) => {
+  try {
+    const { providerType, providerId } = req.params;
+    const account = await ProviderAccountService.load(providerType, providerId);
+    const summary = await ProviderAccountService.summary(providerType, account);
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get Earnings Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch earnings',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/earnings/:providerType/:providerId/bank-details
+ * @desc    Saved payout details
+ * @access  Private (the provider or admin)
+ */
+router.get('/:providerType/:providerId/bank-details', authorize('provider:finance:read', providerParams), async (req, res) => {
+  try {
+    const { providerType, providerId } = req.params;
+    const account = await ProviderAccountService.load(providerType, providerId);
+
+    res.json({
+      success: true,
+      data: {
+        bankDetails: ProviderAccountService.bankDetailsOf(account),
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get Bank Details Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get bank details',
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/earnings/:providerType/:providerId/bank-details
+ * @desc    Save payout details (bank account and/or UPI ID)
+ * @access  Private (the provider or admin)
+ */
+router.put('/:providerType/:providerId/bank-details', authorize('provider:finance:update', providerParams), [
+  body('ifscCode').optional().matches(/^[A-Za-z]{4}0[A-Za-z0-9]{6}$/).withMessage('Invalid IFSC code'),
+  body('accountNumber').optional().matches(/^\d{9,18}$/).withMessage('Invalid account number'),
+  body('upiId').optional().matches(/^[\w.-]+@[\w.-]+$/).withMessage('Invalid UPI ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const { providerType, providerId } = req.params;
+    const account = await ProviderAccountService.load(providerType, providerId);
+    const bankDetails = await ProviderAccountService.saveBankDetails(account, req.body);
+
+    res.json({
+      success: true,
+      message: 'Bank details saved successfully',
+      data: {
+        bankDetails,
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Save Bank Details Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save bank details',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/earnings/:providerType/:providerId/withdraw
+ * @desc    Request a withdrawal; uses the saved payout details when bankDetails is omitted
+ * @access  Private (the provider or admin)
+ */
+router.post('/:providerType/:providerId/withdraw', authorize('provider:finance:update', providerParams), [
+  body('amount').isNumeric().withMessage('Amount is required'),
+  body('method').isIn(['bank', 'upi']).withMessage('Invalid withdrawal method'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const { providerType, providerId } = req.params;
+    const { amount, method, bankDetails } = req.body;
+    const account = await ProviderAccountService.load(providerType, providerId);
+
+    const { payout, transaction, newBalance } = await ProviderAccountService.withdraw(providerType, account, {
+      amount,
+      method,
+      bankDetails,
+      actor: { id: req.principal.id, role: req.principal.role },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: payout.status === 'requested'
+        ? 'Withdrawal request submitted for approval'
+        : 'Withdrawal request submitted successfully',
+      data: {
+        transaction: formatTransaction(transaction),
+        payout: {
+          id: payout._id,
+          payoutId: payout.payoutId,
+          status: payout.status,
+          requiresApproval: payout.requiresApproval,
+        },
+        newBalance,
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Withdraw Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process withdrawal',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/earnings/:providerType/:providerId/transactions
+ * @desc    Transaction history (type: all | earnings | withdrawals)
+ * @access  Private (the provider or admin)
+ */
+router.get('/:providerType/:providerId/transactions', authorize('provider:finance:read', providerParams), async (req, res) => {
+  try {
+    const { providerType, providerId } = req.params;
+    const { type = 'all', page = 1, limit = 50 } = req.query;
+    const account = await ProviderAccountService.load(providerType, providerId);
+
+    const { transactions, total } = await ProviderAccountService.transactions(account, { type, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        transactions: transactions.map(formatTransaction),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get Transactions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transactions',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/earnings/:providerType/:providerId/statement
+ * @desc    Monthly statement of invoices, earnings (with commission) and payouts.
+ *          ?month=YYYY-MM (default: this month), ?format=html for the printable version.
+ * @access  Private (the provider or admin)
+ */
+router.get('/:providerType/:providerId/statement', authorize('provider:finance:read', providerParams), async (req, res) => {
+  try {
+    const { providerType, providerId } = req.params;
+    const month = req.query.month || toCalendarDate(new Date()).slice(0, 7);
+    const account = await ProviderAccountService.load(providerType, providerId);
+
+    const statement = await InvoiceService.monthlyStatement(providerType, account, month);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderStatement(statement));
+    }
+
+    res.json({
+      success: true,
+      data: { statement },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get Statement Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get statement',
+    });
+  }
+});
+
+module.exports = router;
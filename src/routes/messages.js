@@ -4,13 +4,20 @@ const Message = require('../models/Message');
 const User = require('../models/User');
 const DaycareProvider = require('../models/DaycareProvider');
 const NotificationService = require('../services/notificationService');
+const { authenticate } = require('../middleware/auth');
+const { ensureAllowed } = require('../middleware/authorize');
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // Create or get conversation between parent and daycare
 router.post('/conversations', async (req, res) => {
   try {
-    const { parentId, daycareId } = req.body;
+    // The caller is one side of the conversation, the body names the other
+    const { role, id } = req.principal;
+    const parentId = role === 'parent' ? id : req.body.parentId;
+    const daycareId = role === 'daycare' ? id : req.body.daycareId;
     if (!parentId || !daycareId) {
       return res.status(400).json({ success: false, message: 'parentId and daycareId required' });
     }
@@ -47,10 +54,8 @@ router.post('/conversations', async (req, res) => {
 // List conversations for a user
 router.get('/conversations', async (req, res) => {
   try {
-    const { userId, userType } = req.query;
-    if (!userId || !userType) {
-      return res.status(400).json({ success: false, message: 'userId and userType required' });
-    }
+    const userId = req.principal.id;
+    const userType = req.principal.role;
 
     const conversations = await Conversation.find({
       participants: { $elemMatch: { id: String(userId), type: String(userType) } },
@@ -67,6 +72,12 @@ router.get('/conversations', async (req, res) => {
 router.get('/messages/:conversationId', async (req, res) => {
   try {
     const { conversationId } = req.params;
+    const convo = await Conversation.findById(conversationId);
+    if (!convo) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    if (!ensureAllowed(req, res, 'conversation:participate', convo)) return;
+
     const messages = await Message.find({ conversationId }).sort({ createdAt: 1 });
     res.json({ success: true, data: { messages } });
   } catch (error) {
@@ -78,15 +89,18 @@ router.get('/messages/:conversationId', async (req, res) => {
 // Send a message
 router.post('/messages', async (req, res) => {
   try {
-    const { conversationId, senderId, senderType, text } = req.body;
-    if (!conversationId || !senderId || !senderType || !text) {
-      return res.status(400).json({ success: false, message: 'conversationId, senderId, senderType, text required' });
+    const { conversationId, text } = req.body;
+    const senderId = req.principal.id;
+    const senderType = req.principal.role;
+    if (!conversationId || !text) {
+      return res.status(400).json({ success: false, message: 'conversationId and text required' });
     }
 
     const convo = await Conversation.findById(conversationId);
     if (!convo) {
       return res.status(404).json({ success: false, message: 'Conversation not found' });
     }
+    if (!ensureAllowed(req, res, 'conversation:participate', convo)) return;
 
     const message = await Message.create({
       conversationId,
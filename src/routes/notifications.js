@@ -1,16 +1,21 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const NotificationService = require('../services/notificationService');
+const SessionService = require('../services/sessionService');
 const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 
 const router = express.Router();
 
+router.use(authenticate);
+
 /**
  * @route   POST /api/notifications/send-to-user
  * @desc    Send notification to a specific user (Admin only)
  * @access  Private (Admin)
  */
-router.post('/send-to-user', [
+router.post('/send-to-user', authorize('notification:send'), [
   body('userId').notEmpty().withMessage('User ID is required'),
   body('title').notEmpty().withMessage('Title is required'),
   body('body').notEmpty().withMessage('Body is required'),
@@ -52,7 +57,7 @@ router.post('/send-to-user', [
  * @desc    Send notification to all users of a specific role (Admin only)
  * @access  Private (Admin)
  */
-router.post('/send-to-role', [
+router.post('/send-to-role', authorize('notification:send'), [
   body('role').isIn(['parent', 'nanny', 'admin']).withMessage('Invalid role'),
   body('title').notEmpty().withMessage('Title is required'),
   body('body').notEmpty().withMessage('Body is required'),
@@ -96,7 +101,7 @@ router.post('/send-to-role', [
  * @desc    Send notification to all users (Admin only)
  * @access  Private (Admin)
  */
-router.post('/send-to-all', [
+router.post('/send-to-all', authorize('notification:send'), [
   body('title').notEmpty().withMessage('Title is required'),
   body('body').notEmpty().withMessage('Body is required'),
 ], async (req, res) => {
@@ -155,7 +160,6 @@ router.post('/send-to-all', [
  * @access  Private
  */
 router.post('/register-token', [
-  body('userId').notEmpty().withMessage('User ID is required'),
   body('fcmToken').notEmpty().withMessage('FCM token is required'),
 ], async (req, res) => {
   try {
@@ -167,7 +171,8 @@ router.post('/register-token', [
       });
     }
 
-    const { userId, fcmToken } = req.body;
+    const { fcmToken } = req.body;
+    const userId = req.principal.id;
 
     const user = await User.findByIdAndUpdate(
       userId,
@@ -182,6 +187,9 @@ router.post('/register-token', [
       });
     }
 
+    // Also kept per device, so every signed-in device gets notifications
+    await SessionService.registerFcmToken(req.sessionId, fcmToken);
+
     console.log(`📱 FCM token registered for user ${user.name || user.phoneNumber}`);
 
     res.json({
@@ -203,9 +211,9 @@ router.post('/register-token', [
  * @desc    Remove FCM token for a user (on logout)
  * @access  Private
  */
-router.delete('/unregister-token/:userId', async (req, res) => {
+router.delete(['/unregister-token', '/unregister-token/:userId'], async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.principal.id;
 
     const user = await User.findByIdAndUpdate(
       userId,
@@ -220,6 +228,8 @@ router.delete('/unregister-token/:userId', async (req, res) => {
       });
     }
 
+    await SessionService.unregisterFcmToken(req.sessionId);
+
     console.log(`📱 FCM token unregistered for user ${user.name || user.phoneNumber}`);
 
     res.json({
@@ -241,7 +251,7 @@ router.delete('/unregister-token/:userId', async (req, res) => {
  * @desc    Send a test notification to a user
  * @access  Private (Admin/Dev)
  */
-router.get('/test/:userId', async (req, res) => {
+router.get('/test/:userId', authorize('notification:send'), async (req, res) => {
   try {
     const { userId } = req.params;
 
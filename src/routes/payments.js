@@ -1,30 +1,64 @@
 const express = require('express');
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
+const Refund = require('../models/Refund');
+const { keyId } = require('../config/razorpay');
+const { authenticate } = require('../middleware/auth');
+const { ensureAllowed } = require('../middleware/authorize');
+const PaymentGateway = require('../services/paymentGateway');
+const PaymentService = require('../services/paymentService');
+const PaymentWebhookService = require('../services/paymentWebhookService');
+const WalletService = require('../services/walletService');
+const { sendServiceError } = require('../utils/errors');
 
 const router = express.Router();
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: 'rzp_test_SCt5S1U8G3ksDV',
-  key_secret: 'Ge6iU1m7KkaYIU0amxIo65sp',
+/**
+ * @route   POST /api/payments/webhook
+ * @desc    Razorpay webhook (payment.captured, payment.failed, order.paid, refund.*, payout.*)
+ * @access  Public (Razorpay signature over the raw body; see index.js)
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const event = await PaymentWebhookService.receive(req.body, req.headers);
+
+    res.json({
+      success: true,
+      data: {
+        eventId: event.eventId,
+        status: event.status,
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    // A non-2xx answer makes Razorpay retry the event later
+    console.error('Payment Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+    });
+  }
 });
 
+router.use(authenticate);
+
 /**
  * @route   POST /api/payments/create-order
- * @desc    Create a Razorpay order for a booking
+ * @desc    Create a Razorpay order for a booking. With useWallet the wallet
+ *          pays what it can and the order is for the rest; a booking the
+ *          wallet covers in full is paid without an order. The order is
+ *          always for the amount due; an amount sent without useWallet must
+ *          match it.
  * @access  Private
  */
 router.post('/create-order', async (req, res) => {
   try {
-    const { bookingId, amount } = req.body;
+    const { bookingId, amount, useWallet } = req.body;
 
-    if (!bookingId || !amount) {
+    if (!bookingId) {
       return res.status(400).json({
         success: false,
-        message: 'Booking ID and amount are required',
+        message: 'Booking ID is required',
       });
     }
 
@@ -36,37 +70,90 @@ router.post('/create-order', async (req, res) => {
         message: 'Booking not found',
       });
     }
+    if (!ensureAllowed(req, res, 'booking:pay', booking)) return;
+    if (['paid', 'refunded'].includes(booking.payment?.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This booking is already paid',
+      });
+    }
 
-    // Create Razorpay order (amount in paise)
-    const options = {
-      amount: Math.round(amount * 100),
-      currency: 'INR',
-      receipt: `receipt_${booking.bookingId}`,
-      notes: {
-        bookingId: booking._id.toString(),
-        bookingRef: booking.bookingId,
-        parentId: booking.parentId.toString(),
-        nannyId: booking.nannyId.toString(),
-      },
-    };
+    let payable = booking;
+    if (useWallet) {
+      ({ booking: payable } = await WalletService.applyToBooking(booking));
+      if (payable.payment.status === 'paid') {
+        return res.json({
+          success: true,
+          message: 'Booking paid from wallet',
+          data: {
+            bookingId: payable._id,
+            bookingRef: payable.bookingId,
+            walletAmount: payable.payment.walletAmount,
+            amountDue: 0,
+            status: 'paid',
+          },
+        });
+      }
+    }
 
-    const order = await razorpay.orders.create(options);
+    // Whatever was taken from the wallet is not charged again
+    const walletAmount = payable.payment?.walletAmount || 0;
+    const orderAmount = PaymentService.amountDue(payable);
+    if (!(orderAmount > 0)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Nothing is left to pay for this booking',
+      });
+    }
+    if (!useWallet && amount !== undefined && amount !== null
+      && Math.round(Number(amount) * 100) !== Math.round(orderAmount * 100)) {
+      return res.status(400).json({
+        success: false,
+        message: `The amount due for this booking is ₹${orderAmount}`,
+      });
+    }
 
-    console.log(`💰 Razorpay order created: ${order.id} for booking ${booking.bookingId}`);
+    let order;
+    try {
+      order = await PaymentGateway.createOrder({
+        amount: orderAmount,
+        receipt: `receipt_${booking.bookingId}`,
+        notes: {
+          bookingId: booking._id.toString(),
+          bookingRef: booking.bookingId,
+          parentId: booking.parentId.toString(),
+          nannyId: booking.nannyId.toString(),
+        },
+      });
+    } catch (error) {
+      console.error('Create Order Gateway Error:', error);
+      return res.status(502).json({
+        success: false,
+        message: 'Could not create the payment order',
+      });
+    }
+
+    // Lets the webhook find the booking even without the notes
+    await Booking.updateOne({ _id: booking._id }, { $set: { 'payment.razorpayOrderId': order.id } });
+
+    console.log(`💰 Payment order created: ${order.id} for booking ${booking.bookingId}`);
 
     res.json({
       success: true,
       message: 'Order created successfully',
       data: {
         orderId: order.id,
-        amount: order.amount,
+        // Checkout takes paise
+        amount: Math.round(order.amount * 100),
         currency: order.currency,
         bookingId: booking._id,
         bookingRef: booking.bookingId,
-        key: 'rzp_test_SCt5S1U8G3ksDV',
+        walletAmount,
+        key: keyId,
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Create Order Error:', error);
     res.status(500).json({
       success: false,
@@ -77,7 +164,9 @@ router.post('/create-order', async (req, res) => {
 
 /**
  * @route   POST /api/payments/verify
- * @desc    Verify Razorpay payment signature and update booking
+ * @desc    Verify Razorpay payment signature and update booking. The order
+ *          must be the one last created for the booking, and the payment
+ *          captured; an authorized payment answers 202 and stays pending.
  * @access  Private
  */
 router.post('/verify', async (req, res) => {
@@ -96,16 +185,7 @@ router.post('/verify', async (req, res) => {
       });
     }
 
-    // Verify signature
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', 'Ge6iU1m7KkaYIU0amxIo65sp')
-      .update(body)
-      .digest('hex');
-
-    const isAuthentic = expectedSignature === razorpay_signature;
-
-    if (!isAuthentic) {
+    if (!PaymentService.checkoutSignatureValid(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
       return res.status(400).json({
         success: false,
         message: 'Payment verification failed - invalid signature',
@@ -120,17 +200,67 @@ router.post('/verify', async (req, res) => {
         message: 'Booking not found',
       });
     }
+    if (!ensureAllowed(req, res, 'booking:pay', booking)) return;
 
-    booking.payment = {
-      status: 'paid',
-      method: 'online',
-      paidAt: new Date(),
-      transactionId: razorpay_payment_id,
-      razorpayOrderId: razorpay_order_id,
-    };
-    await booking.save();
+    // A signed wallet top-up or an order for another booking (or an older
+    // price of this one) must not pay it
+    if (await WalletService.findTopUp({ orderId: razorpay_order_id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment is for a wallet top-up, not a booking',
+      });
+    }
+    if (razorpay_order_id !== booking.payment?.razorpayOrderId) {
+      return res.status(409).json({
+        success: false,
+        message: 'This payment is not for the current order of this booking',
+      });
+    }
 
-    console.log(`✅ Payment verified for booking ${booking.bookingId}: ${razorpay_payment_id}`);
+    // Only a captured payment pays the booking; an authorized one can still
+    // fail or be voided, and the webhook records it once it is captured
+    let payment;
+    try {
+      payment = await PaymentGateway.fetchPayment(razorpay_payment_id);
+    } catch (error) {
+      console.error('Verify Payment Gateway Error:', error);
+      return res.status(502).json({
+        success: false,
+        message: 'Could not confirm the payment with the gateway. Please try again.',
+      });
+    }
+    if (payment.orderId !== razorpay_order_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment does not belong to the order',
+      });
+    }
+    if (payment.status !== 'captured') {
+      return res.status(202).json({
+        success: true,
+        message: 'The payment is being confirmed. The booking is updated once it is captured.',
+        data: {
+          bookingId: booking._id,
+          bookingRef: booking.bookingId,
+          paymentId: razorpay_payment_id,
+          status: 'pending',
+          paymentStatus: payment.status,
+        },
+      });
+    }
+
+    // The webhook may have recorded the payment already
+    const { amountMismatch } = await PaymentService.markBookingPaid(booking, {
+      paymentId: razorpay_payment_id,
+      orderId: razorpay_order_id,
+      amount: payment.amount,
+    });
+    if (amountMismatch) {
+      return res.status(409).json({
+        success: false,
+        message: 'The amount paid does not match the amount due. Our team will review the payment.',
+      });
+    }
 
     res.json({
       success: true,
@@ -143,6 +273,7 @@ router.post('/verify', async (req, res) => {
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Verify Payment Error:', error);
     res.status(500).json({
       success: false,
@@ -167,6 +298,10 @@ router.put('/booking/:bookingId/pay-later', async (req, res) => {
         message: 'Booking not found',
       });
     }
+    if (!ensureAllowed(req, res, 'booking:pay', booking)) return;
+
+    // Cash covers the whole booking, so any wallet part goes back
+    await WalletService.releaseBookingHold(booking);
 
     booking.payment = {
       status: 'pending',
@@ -211,6 +346,11 @@ router.get('/booking/:bookingId/status', async (req, res) => {
         message: 'Booking not found',
       });
     }
+    if (!ensureAllowed(req, res, 'booking:read', booking)) return;
+
+    const refunds = await Refund.find({ bookingId: booking._id })
+      .select('refundId amount status destination reason processedAt createdAt')
+      .sort({ createdAt: -1 });
 
     res.json({
       success: true,
@@ -218,6 +358,7 @@ router.get('/booking/:bookingId/status', async (req, res) => {
         bookingId: booking._id,
         bookingRef: booking.bookingId,
         payment: booking.payment,
+        refunds,
       },
     });
   } catch (error) {
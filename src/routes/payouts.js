@@ -0,0 +1,113 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const { authenticate } = require('../middleware/auth');
+const { ensureAllowed, requireRole } = require('../middleware/authorize');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const maskAccountNumber = (accountNumber) =>
+  (accountNumber ? `XXXX${accountNumber.slice(-4)}` : undefined);
+
+const formatPayout = (payout) => ({
+  id: payout._id,
+  payoutId: payout.payoutId,
+  amount: payout.amount,
+  method: payout.method,
+  destination: payout.method === 'bank'
+    ? {
+      accountHolderName: payout.destination?.accountHolderName,
+      accountNumber: maskAccountNumber(payout.destination?.accountNumber),
+      bankName: payout.destination?.bankName,
+    }
+    : { upiId: payout.destination?.upiId },
+  status: payout.status,
+  requiresApproval: payout.requiresApproval,
+  utr: payout.utr,
+  failureReason: payout.failureReason,
+  statusHistory: payout.statusHistory.map((entry) => ({
+    from: entry.from,
+    to: entry.to,
+    reason: entry.reason,
+    at: entry.at,
+  })),
+  createdAt: payout.createdAt,
+  paidAt: payout.paidAt,
+});
+
+/**
+ * @route   GET /api/payouts
+ * @desc    The signed-in provider's payouts (status filter optional)
+ * @access  Private (nanny, daycare, eldercare)
+ */
+router.get('/', requireRole('nanny', 'daycare', 'eldercare'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const filter = { 'owner.type': req.principal.role, 'owner.id': req.principal.id };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [payouts, total] = await Promise.all([
+      Payout.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      Payout.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payouts: payouts.map(formatPayout),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get Payouts Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payouts',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/payouts/:id
+ * @desc    One payout with its status history
+ * @access  Private (the provider being paid, or admin)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const payout = mongoose.isValidObjectId(req.params.id)
+      ? await Payout.findById(req.params.id)
+      : await Payout.findOne({ payoutId: req.params.id });
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found',
+      });
+    }
+    if (!ensureAllowed(req, res, 'payout:read', payout)) return;
+
+    res.json({
+      success: true,
+      data: {
+        payout: formatPayout(payout),
+      },
+    });
+  } catch (error) {
+    console.error('Get Payout Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payout',
+    });
+  }
+});
+
+module.exports = router;
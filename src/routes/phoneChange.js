@@ -0,0 +1,185 @@
+const express = require('express');
+const PhoneChangeService = require('../services/phoneChangeService');
+const { authenticate } = require('../middleware/auth');
+const { sendServiceError } = require('../utils/errors');
+
+/**
+ * Changing the signed-in account's phone number. Works for users, daycare
+ * and elder care providers alike; admins review support requests under
+ * /api/admin/phone-changes.
+ */
+const router = express.Router();
+
+router.use(authenticate);
+
+// Codes are only returned when developing against a local SMS sink
+const devCodes = (codes) => {
+  const shown = {};
+  if (codes.old?.devCode) shown.old = codes.old.devCode;
+  if (codes.new?.devCode) shown.new = codes.new.devCode;
+  return Object.keys(shown).length ? { otp: shown } : {};
+};
+
+const startChange = async (req, res, supportReason) => {
+  const { kind, account } = req.principal;
+  const { request, codes } = await PhoneChangeService.start({
+    kind,
+    account,
+    newPhoneNumber: req.body.newPhoneNumber,
+    supportReason,
+    ip: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: supportReason === undefined
+      ? 'Codes sent to your current and new numbers'
+      : 'Code sent to your new number',
+    data: {
+      request,
+      expiresIn: codes.new.expiresIn,
+      resendIn: codes.new.resendIn,
+      ...devCodes(codes),
+    },
+  });
+};
+
+/**
+ * @route   GET /api/phone-change
+ * @desc    Open phone number change, if any, and past changes
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { kind, id } = req.principal;
+    const { active, history } = await PhoneChangeService.forAccount(kind, id);
+
+    res.json({
+      success: true,
+      data: { active, history },
+    });
+  } catch (error) {
+    console.error('Get Phone Change Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get phone number changes' });
+  }
+});
+
+/**
+ * @route   POST /api/phone-change
+ * @desc    Start changing the phone number; codes go to the current and the new number
+ * @body    { newPhoneNumber }
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    await startChange(req, res, undefined);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Start Phone Change Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start phone number change' });
+  }
+});
+
+/**
+ * @route   POST /api/phone-change/support
+ * @desc    Change the number without the current one (lost SIM): verify the new
+ *          number, then our support team reviews the request
+ * @body    { newPhoneNumber, reason }
+ * @access  Private
+ */
+router.post('/support', async (req, res) => {
+  try {
+    await startChange(req, res, req.body.reason || '');
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Start Supported Phone Change Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start phone number change' });
+  }
+});
+
+/**
+ * @route   POST /api/phone-change/:id/verify
+ * @desc    Enter the codes (together or one at a time); the number changes once both are verified
+ * @body    { oldOtp, newOtp }
+ * @access  Private
+ */
+router.post('/:id/verify', async (req, res) => {
+  try {
+    const { kind, id } = req.principal;
+    const request = await PhoneChangeService.verify(kind, id, req.params.id, {
+      oldOtp: req.body.oldOtp,
+      newOtp: req.body.newOtp,
+      ip: req.ip,
+      keepSessionId: req.sessionId,
+    });
+
+    const messages = {
+      completed: 'Phone number changed',
+      'in-review': 'New number verified. Our support team will review your request.',
+      pending: 'Number verified',
+    };
+    res.json({
+      success: true,
+      message: messages[request.status],
+      data: { request },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Verify Phone Change Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to verify phone number change' });
+  }
+});
+
+/**
+ * @route   POST /api/phone-change/:id/resend
+ * @desc    Send a code again
+ * @body    { number: 'old' | 'new' }
+ * @access  Private
+ */
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const { kind, id } = req.principal;
+    const { expiresIn, resendIn, devCode } = await PhoneChangeService.resend(kind, id, req.params.id, {
+      which: req.body.number,
+      ip: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'OTP resent successfully',
+      data: {
+        expiresIn,
+        resendIn,
+        ...(devCode && { otp: devCode }),
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Resend Phone Change OTP Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to resend OTP' });
+  }
+});
+
+/**
+ * @route   DELETE /api/phone-change/:id
+ * @desc    Cancel an open phone number change
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { kind, id } = req.principal;
+    const request = await PhoneChangeService.cancel(kind, id, req.params.id, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Phone number change cancelled',
+      data: { request },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Cancel Phone Change Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel phone number change' });
+  }
+});
+
+module.exports = router;
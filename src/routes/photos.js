@@ -2,9 +2,13 @@ const express = require('express');
 const multer = require('multer');
 const cloudinary = require('../config/cloudinary');
 const DaycareProvider = require('../models/DaycareProvider');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // Multer in-memory storage for processing uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -22,9 +26,11 @@ const upload = multer({
  * Upload a photo from base64
  * POST /api/photos/upload
  */
-router.post('/upload', async (req, res) => {
+router.post('/upload', authorize('daycare:update', (req) => req.principal.id), async (req, res) => {
   try {
-    const { providerId, image, caption } = req.body;
+    const { image, caption } = req.body;
+    // Daycares upload to their own gallery
+    const providerId = req.principal.id;
 
     if (!providerId || !image) {
       return res.status(400).json({ success: false, message: 'Provider ID and image are required' });
@@ -93,7 +99,7 @@ router.get('/:providerId', async (req, res) => {
  * Delete a photo
  * DELETE /api/photos/:providerId/:photoIndex
  */
-router.delete('/:providerId/:photoIndex', async (req, res) => {
+router.delete('/:providerId/:photoIndex', authorize('daycare:update', (req) => req.params.providerId), async (req, res) => {
   try {
     const { providerId, photoIndex } = req.params;
     const idx = parseInt(photoIndex);
@@ -138,7 +144,7 @@ router.delete('/:providerId/:photoIndex', async (req, res) => {
  * Update photo caption
  * PUT /api/photos/:providerId/:photoIndex
  */
-router.put('/:providerId/:photoIndex', async (req, res) => {
+router.put('/:providerId/:photoIndex', authorize('daycare:update', (req) => req.params.providerId), async (req, res) => {
   try {
     const { providerId, photoIndex } = req.params;
     const { caption } = req.body;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PromoService = require('../services/promoService');
+const { authenticate } = require('../middleware/auth');
+const { sendServiceError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @route   POST /api/promos/validate
+ * @desc    Check a promo code against a booking being quoted and return the
+ *          discounted quote. A code that does not apply is a 400 saying why.
+ * @body    code, nannyId, date, startTime, endTime, numberOfChildren, pincode
+ * @access  Private
+ */
+router.post('/validate', [
+  body('code').notEmpty().withMessage('Promo code is required'),
+  body('nannyId').notEmpty().withMessage('Nanny ID is required'),
+  body('date').notEmpty().withMessage('Date is required'),
+  body('startTime').notEmpty().withMessage('Start time is required'),
+  body('endTime').notEmpty().withMessage('End time is required'),
+  body('numberOfChildren').optional().isInt({ min: 1 }).withMessage('Number of children must be a positive number'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const { code, nannyId, date, startTime, endTime, numberOfChildren, pincode } = req.body;
+    const { quote, promo, discount } = await PromoService.quoteForNanny({
+      code,
+      userId: req.principal.id,
+      nannyId,
+      date,
+      startTime,
+      endTime,
+      numberOfChildren: numberOfChildren || 1,
+      pincode,
+    });
+
+    res.json({
+      success: true,
+      message: 'Promo code applied',
+      data: {
+        code: promo.code,
+        description: promo.description,
+        discount,
+        quote,
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Validate Promo Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate promo code',
+    });
+  }
+});
+
+module.exports = router;
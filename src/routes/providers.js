@@ -3,7 +3,69 @@ const router = express.Router();
 const DaycareProvider = require('../models/DaycareProvider');
 const ElderCareProvider = require('../models/ElderCareProvider');
 const User = require('../models/User');
-const OTP = require('../models/OTP');
+const TokenService = require('../services/tokenService');
+const LedgerService = require('../services/ledgerService');
+const ReferralService = require('../services/referralService');
+const OtpService = require('../services/otpService');
+const { authenticate, buildPrincipal, requestMeta } = require('../middleware/auth');
+const { authorize, requireRole } = require('../middleware/authorize');
+const { can } = require('../policies');
+const { sendServiceError } = require('../utils/errors');
+
+// Profile fields a provider may edit on their own account. Verification,
+// ratings and balances are managed by admins and the earnings flow.
+const DAYCARE_EDITABLE_FIELDS = [
+  'ownerName', 'email', 'profileImage', 'centerName', 'description', 'address',
+  'registrationNumber', 'gstNumber', 'establishedYear', 'totalCapacity', 'currentOccupancy',
+  'ageGroupsAccepted', 'operatingHours', 'workingDays', 'pricing', 'amenities', 'totalStaff',
+  'documents', 'bankDetails', 'fcmToken',
+];
+
+const ELDERCARE_EDITABLE_FIELDS = [
+  'name', 'email', 'profileImage', 'gender', 'dateOfBirth', 'address', 'bio', 'experience',
+  'qualifications', 'servicesOffered', 'languages', 'availability', 'isAvailableNow', 'pricing',
+  'careTypes', 'documents', 'bankDetails', 'fcmToken',
+];
+
+// Payout details, balances, documents and push tokens: only the provider
+// itself and admins get these back
+const PRIVATE_PROVIDER_FIELDS = '-bankDetails -fcmToken -totalEarnings -availableBalance -documents -referralCode -rejectionReason';
+
+const providerProjection = (req, type, id) =>
+  (can(req.principal, 'provider:finance:read', { type, id }) ? '' : PRIVATE_PROVIDER_FIELDS);
+
+// Keep only whitelisted keys from a request body
+const pickFields = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Give a newly registered provider its referral code and record the code it
+// was invited with, if any. A code that cannot be used does not fail the registration.
+const setUpReferral = async (kind, provider, req) => {
+  await ReferralService.codeFor(kind, provider);
+  if (!req.body.referralCode) return null;
+  return ReferralService.capture({
+    kind,
+    account: provider,
+    code: req.body.referralCode,
+    deviceId: req.body.deviceId || '',
+    ip: req.ip,
+  }).catch((err) => {
+    console.error('Referral capture error:', err);
+    return null;
+  });
+};
+
+// Issue API tokens for a provider that just logged in
+const issueProviderTokens = async (kind, provider, req) => {
+  const tokens = await TokenService.issueTokens(buildPrincipal(kind, provider), requestMeta(req));
+  return {
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+  };
+};
 
 // ======================== UNIFIED AUTO-LOGIN ========================
 
@@ -44,15 +106,7 @@ router.post('/auto-login', async (req, res) => {
       });
     }
 
-    // Generate OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    await OTP.findOneAndUpdate(
-      { phoneNumber },
-      { phoneNumber, otp, createdAt: new Date() },
-      { upsert: true, new: true }
-    );
-
-    console.log(`📱 Auto-Login OTP for ${phoneNumber} (${providerType}): ${otp}`);
+    const { devCode } = await OtpService.send({ phoneNumber, purpose: 'provider-login', ip: req.ip });
 
     res.json({
       success: true,
@@ -60,10 +114,11 @@ router.post('/auto-login', async (req, res) => {
       data: {
         phoneNumber,
         providerType,
-        otp: process.env.NODE_ENV === 'development' ? otp : undefined,
+        otp: devCode,
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Auto-login error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -77,12 +132,7 @@ router.post('/auto-verify', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Phone number and OTP required' });
     }
 
-    const otpDoc = await OTP.findOne({ phoneNumber, otp });
-    if (!otpDoc) {
-      return res.status(400).json({ success: false, message: 'Invalid or expired OTP' });
-    }
-
-    await OTP.deleteOne({ _id: otpDoc._id });
+    await OtpService.verify({ phoneNumber, purpose: 'provider-login', code: otp });
 
     // Find the provider in all 3 collections
     const nannyUser = await User.findOne({ phoneNumber, role: 'nanny' });
@@ -96,7 +146,11 @@ router.post('/auto-verify', async (req, res) => {
       return res.json({
         success: true,
         message: 'Login successful',
-        data: { provider: nannyUser, providerType: 'nanny' },
+        data: {
+          provider: nannyUser,
+          providerType: 'nanny',
+          ...(await issueProviderTokens('user', nannyUser, req)),
+        },
       });
     }
 
@@ -111,7 +165,11 @@ router.post('/auto-verify', async (req, res) => {
       return res.json({
         success: true,
         message: 'Login successful',
-        data: { provider: daycareProvider, providerType: 'daycare' },
+        data: {
+          provider: daycareProvider,
+          providerType: 'daycare',
+          ...(await issueProviderTokens('daycare', daycareProvider, req)),
+        },
       });
     }
 
@@ -126,12 +184,17 @@ router.post('/auto-verify', async (req, res) => {
       return res.json({
         success: true,
         message: 'Login successful',
-        data: { provider: elderProvider, providerType: 'eldercare' },
+        data: {
+          provider: elderProvider,
+          providerType: 'eldercare',
+          ...(await issueProviderTokens('eldercare', elderProvider, req)),
+        },
       });
     }
 
     return res.status(404).json({ success: false, message: 'Provider not found' });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Auto-verify error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -139,7 +202,7 @@ router.post('/auto-verify', async (req, res) => {
 
 // ======================== DAYCARE PROVIDER ========================
 
-// POST /api/providers/daycare/register — Register a new daycare center
+// POST /api/providers/daycare/register — Register a new daycare center (optional referralCode, deviceId)
 router.post('/daycare/register', async (req, res) => {
   try {
     const {
@@ -172,11 +235,15 @@ router.post('/daycare/register', async (req, res) => {
     });
 
     await provider.save();
+    const referral = await setUpReferral('daycare', provider, req);
 
     res.status(201).json({
       success: true,
       message: 'Daycare registration submitted. Pending verification.',
-      data: { provider },
+      data: {
+        provider,
+        ...(referral && { referral: { applied: referral.applied, message: referral.message } }),
+      },
     });
   } catch (error) {
     console.error('Daycare registration error:', error);
@@ -197,22 +264,15 @@ router.post('/daycare/login', async (req, res) => {
       return res.status(404).json({ success: false, message: 'No daycare registered with this number' });
     }
 
-    // Generate OTP (reuse existing OTP model)
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    await OTP.findOneAndUpdate(
-      { phoneNumber },
-      { phoneNumber, otp, createdAt: new Date() },
-      { upsert: true, new: true }
-    );
-
-    console.log(`📱 Daycare OTP for ${phoneNumber}: ${otp}`);
+    const { devCode } = await OtpService.send({ phoneNumber, purpose: 'provider-login', ip: req.ip });
 
     res.json({
       success: true,
       message: 'OTP sent',
-      data: { phoneNumber, otp: process.env.NODE_ENV === 'development' ? otp : undefined },
+      data: { phoneNumber, otp: devCode },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Daycare login error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -222,12 +282,7 @@ router.post('/daycare/login', async (req, res) => {
 router.post('/daycare/verify-otp', async (req, res) => {
   try {
     const { phoneNumber, otp } = req.body;
-    const otpDoc = await OTP.findOne({ phoneNumber, otp });
-    if (!otpDoc) {
-      return res.status(400).json({ success: false, message: 'Invalid or expired OTP' });
-    }
-
-    await OTP.deleteOne({ _id: otpDoc._id });
+    await OtpService.verify({ phoneNumber, purpose: 'provider-login', code: otp });
 
     const provider = await DaycareProvider.findOne({ phoneNumber });
     if (!provider) {
@@ -240,18 +295,20 @@ router.post('/daycare/verify-otp', async (req, res) => {
     res.json({
       success: true,
       message: 'Login successful',
-      data: { provider },
+      data: { provider, ...(await issueProviderTokens('daycare', provider, req)) },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Daycare OTP verify error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
 // GET /api/providers/daycare/:id — Get daycare provider details
-router.get('/daycare/:id', async (req, res) => {
+router.get('/daycare/:id', authenticate, async (req, res) => {
   try {
-    const provider = await DaycareProvider.findById(req.params.id);
+    const provider = await DaycareProvider.findById(req.params.id)
+      .select(providerProjection(req, 'daycare', req.params.id));
     if (!provider) {
       return res.status(404).json({ success: false, message: 'Daycare not found' });
     }
@@ -262,9 +319,10 @@ router.get('/daycare/:id', async (req, res) => {
 });
 
 // PUT /api/providers/daycare/:id — Update daycare profile
-router.put('/daycare/:id', async (req, res) => {
+router.put('/daycare/:id', authenticate, authorize('daycare:update', (req) => req.params.id), async (req, res) => {
   try {
-    const provider = await DaycareProvider.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const updates = pickFields(req.body, DAYCARE_EDITABLE_FIELDS);
+    const provider = await DaycareProvider.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
     if (!provider) {
       return res.status(404).json({ success: false, message: 'Daycare not found' });
     }
@@ -275,7 +333,7 @@ router.put('/daycare/:id', async (req, res) => {
 });
 
 // GET /api/providers/daycare — List all verified daycares (with city filter)
-router.get('/daycare', async (req, res) => {
+router.get('/daycare', authenticate, async (req, res) => {
   try {
     const { city, limit = 20, page = 1 } = req.query;
     const filter = { verificationStatus: 'approved', isActive: true };
@@ -283,6 +341,7 @@ router.get('/daycare', async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const daycares = await DaycareProvider.find(filter)
+      .select(PRIVATE_PROVIDER_FIELDS)
       .sort({ rating: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -302,7 +361,7 @@ router.get('/daycare', async (req, res) => {
 });
 
 // PUT /api/providers/daycare/:id/verify — Admin: approve/reject daycare
-router.put('/daycare/:id/verify', async (req, res) => {
+router.put('/daycare/:id/verify', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { status, rejectionReason, adminEstimatedPrice } = req.body; // 'approved' or 'rejected'
     const update = { verificationStatus: status };
@@ -322,7 +381,7 @@ router.put('/daycare/:id/verify', async (req, res) => {
 });
 
 // GET /api/providers/daycare/pending/list — Admin: list pending daycares
-router.get('/daycare/pending/list', async (req, res) => {
+router.get('/daycare/pending/list', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const pending = await DaycareProvider.find({ verificationStatus: 'pending' }).sort({ createdAt: -1 });
     res.json({ success: true, data: { providers: pending, count: pending.length } });
@@ -333,7 +392,7 @@ router.get('/daycare/pending/list', async (req, res) => {
 
 // ======================== ELDER CARE PROVIDER ========================
 
-// POST /api/providers/eldercare/register — Register a new elder caregiver
+// POST /api/providers/eldercare/register — Register a new elder caregiver (optional referralCode, deviceId)
 router.post('/eldercare/register', async (req, res) => {
   try {
     const {
@@ -365,11 +424,15 @@ router.post('/eldercare/register', async (req, res) => {
     });
 
     await provider.save();
+    const referral = await setUpReferral('eldercare', provider, req);
 
     res.status(201).json({
       success: true,
       message: 'Elder caregiver registration submitted. Pending verification.',
-      data: { provider },
+      data: {
+        provider,
+        ...(referral && { referral: { applied: referral.applied, message: referral.message } }),
+      },
     });
   } catch (error) {
     console.error('Elder care registration error:', error);
@@ -390,21 +453,15 @@ router.post('/eldercare/login', async (req, res) => {
       return res.status(404).json({ success: false, message: 'No elder caregiver registered with this number' });
     }
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    await OTP.findOneAndUpdate(
-      { phoneNumber },
-      { phoneNumber, otp, createdAt: new Date() },
-      { upsert: true, new: true }
-    );
-
-    console.log(`📱 ElderCare OTP for ${phoneNumber}: ${otp}`);
+    const { devCode } = await OtpService.send({ phoneNumber, purpose: 'provider-login', ip: req.ip });
 
     res.json({
       success: true,
       message: 'OTP sent',
-      data: { phoneNumber, otp: process.env.NODE_ENV === 'development' ? otp : undefined },
+      data: { phoneNumber, otp: devCode },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Elder care login error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -414,12 +471,7 @@ router.post('/eldercare/login', async (req, res) => {
 router.post('/eldercare/verify-otp', async (req, res) => {
   try {
     const { phoneNumber, otp } = req.body;
-    const otpDoc = await OTP.findOne({ phoneNumber, otp });
-    if (!otpDoc) {
-      return res.status(400).json({ success: false, message: 'Invalid or expired OTP' });
-    }
-
-    await OTP.deleteOne({ _id: otpDoc._id });
+    await OtpService.verify({ phoneNumber, purpose: 'provider-login', code: otp });
 
     const provider = await ElderCareProvider.findOne({ phoneNumber });
     if (!provider) {
@@ -432,18 +484,20 @@ router.post('/eldercare/verify-otp', async (req, res) => {
     res.json({
       success: true,
       message: 'Login successful',
-      data: { provider },
+      data: { provider, ...(await issueProviderTokens('eldercare', provider, req)) },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Elder care OTP verify error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
 // GET /api/providers/eldercare/:id — Get elder care provider details
-router.get('/eldercare/:id', async (req, res) => {
+router.get('/eldercare/:id', authenticate, async (req, res) => {
   try {
-    const provider = await ElderCareProvider.findById(req.params.id);
+    const provider = await ElderCareProvider.findById(req.params.id)
+      .select(providerProjection(req, 'eldercare', req.params.id));
     if (!provider) {
       return res.status(404).json({ success: false, message: 'Caregiver not found' });
     }
@@ -454,9 +508,10 @@ router.get('/eldercare/:id', async (req, res) => {
 });
 
 // PUT /api/providers/eldercare/:id — Update elder care profile
-router.put('/eldercare/:id', async (req, res) => {
+router.put('/eldercare/:id', authenticate, authorize('eldercare:update', (req) => req.params.id), async (req, res) => {
   try {
-    const provider = await ElderCareProvider.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const updates = pickFields(req.body, ELDERCARE_EDITABLE_FIELDS);
+    const provider = await ElderCareProvider.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
     if (!provider) {
       return res.status(404).json({ success: false, message: 'Caregiver not found' });
     }
@@ -467,7 +522,7 @@ router.put('/eldercare/:id', async (req, res) => {
 });
 
 // GET /api/providers/eldercare — List all verified elder caregivers (with city filter)
-router.get('/eldercare', async (req, res) => {
+router.get('/eldercare', authenticate, async (req, res) => {
   try {
     const { city, limit = 20, page = 1 } = req.query;
     const filter = { verificationStatus: 'approved', isActive: true };
@@ -475,6 +530,7 @@ router.get('/eldercare', async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const caregivers = await ElderCareProvider.find(filter)
+      .select(PRIVATE_PROVIDER_FIELDS)
       .sort({ rating: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -494,7 +550,7 @@ router.get('/eldercare', async (req, res) => {
 });
 
 // PUT /api/providers/eldercare/:id/verify — Admin: approve/reject caregiver
-router.put('/eldercare/:id/verify', async (req, res) => {
+router.put('/eldercare/:id/verify', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { status, rejectionReason, adminEstimatedPrice } = req.body;
     const update = { verificationStatus: status };
@@ -514,7 +570,7 @@ router.put('/eldercare/:id/verify', async (req, res) => {
 });
 
 // GET /api/providers/eldercare/pending/list — Admin: list pending caregivers
-router.get('/eldercare/pending/list', async (req, res) => {
+router.get('/eldercare/pending/list', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const pending = await ElderCareProvider.find({ verificationStatus: 'pending' }).sort({ createdAt: -1 });
     res.json({ success: true, data: { providers: pending, count: pending.length } });
@@ -529,7 +585,7 @@ router.get('/eldercare/pending/list', async (req, res) => {
  * GET /api/providers/daycare/:daycareId/earnings
  * Get earnings summary for a daycare provider
  */
-router.get('/daycare/:daycareId/earnings', async (req, res) => {
+router.get('/daycare/:daycareId/earnings', authenticate, authorize('daycare:finance:read', (req) => req.params.daycareId), async (req, res) => {
   try {
     const { daycareId } = req.params;
     const { period = 'all' } = req.query;
@@ -539,65 +595,31 @@ router.get('/daycare/:daycareId/earnings', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Provider not found' });
     }
 
-    // Since there's no DaycareBooking model, earnings come from the provider profile
-    const totalEarnings = provider.totalEarnings || 0;
-    const availableBalance = provider.availableBalance || 0;
-
-    // Fetch transactions for this provider (if stored via userId pattern)
+    // Balances come from the ledger; transactions are the provider's history
     const Transaction = require('../models/Transaction');
     const transactions = await Transaction.find({ userId: daycareId })
       .sort({ createdAt: -1 })
       .limit(50);
 
-    // Calculate period-based earnings from transactions
     const now = new Date();
-    let periodStart = null;
-
-    if (period === 'today') {
-      periodStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    } else if (period === 'week') {
-      periodStart = new Date(now);
-      periodStart.setDate(now.getDate() - 7);
-    } else if (period === 'month') {
-      periodStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    }
-
-    const earningTransactions = transactions.filter(t => t.type === 'earning' && t.status === 'completed');
-    const withdrawalTransactions = transactions.filter(t => t.type === 'withdrawal');
-
-    // Period earnings
-    let periodEarnings = 0;
-    if (periodStart) {
-      earningTransactions.forEach(t => {
-        if (new Date(t.createdAt) >= periodStart) {
-          periodEarnings += t.amount || 0;
-        }
-      });
-    } else {
-      periodEarnings = totalEarnings;
-    }
-
-    // Today/week/month summaries
     const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const startOfWeek = new Date(now);
     startOfWeek.setDate(now.getDate() - 7);
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
-    const todayEarnings = earningTransactions
-      .filter(t => new Date(t.createdAt) >= startOfToday)
-      .reduce((sum, t) => sum + (t.amount || 0), 0);
-
-    const weekEarnings = earningTransactions
-      .filter(t => new Date(t.createdAt) >= startOfWeek)
-      .reduce((sum, t) => sum + (t.amount || 0), 0);
-
-    const monthEarnings = earningTransactions
-      .filter(t => new Date(t.createdAt) >= startOfMonth)
-      .reduce((sum, t) => sum + (t.amount || 0), 0);
-
-    const withdrawnAmount = withdrawalTransactions
-      .filter(t => t.status === 'completed')
-      .reduce((sum, t) => sum + (t.amount || 0), 0);
+    const [balance, todayEarnings, weekEarnings, monthEarnings] = await Promise.all([
+      LedgerService.providerBalance('daycare', provider._id),
+      LedgerService.providerEarningsSince('daycare', provider._id, startOfToday),
+      LedgerService.providerEarningsSince('daycare', provider._id, startOfWeek),
+      LedgerService.providerEarningsSince('daycare', provider._id, startOfMonth),
+    ]);
+    const { totalEarnings, availableBalance, withdrawnAmount } = balance;
+
+    const periodEarnings = {
+      today: todayEarnings,
+      week: weekEarnings,
+      month: monthEarnings,
+    }[period] ?? totalEarnings;
 
     res.json({
       success: true,
@@ -0,0 +1,38 @@
+const express = require('express');
+const ReferralService = require('../services/referralService');
+const { authenticate } = require('../middleware/auth');
+const { sendServiceError } = require('../utils/errors');
+
+/**
+ * The signed-in account's referral code and the people it referred.
+ * Codes are entered at signup (POST /api/auth/verify-otp, provider registration).
+ */
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/referrals
+ * @desc    Own referral code, the rewards on offer and referral stats
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { kind, account } = req.principal;
+    const referrals = await ReferralService.summaryFor(kind, account);
+
+    res.json({
+      success: true,
+      data: referrals,
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get Referrals Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referrals',
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const Review = require('../models/Review');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const DaycareProvider = require('../models/DaycareProvider');
+const { authenticate } = require('../middleware/auth');
+const { ensureAllowed, requireSelfOrAdmin } = require('../middleware/authorize');
 
 const router = express.Router();
 
@@ -12,7 +14,7 @@ const router = express.Router();
  * @desc    Submit a review for a completed booking
  * @access  Private (parent only)
  */
-router.post('/', [
+router.post('/', authenticate, [
   body('bookingId').notEmpty().withMessage('Booking ID is required'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
 ], async (req, res) => {
@@ -37,6 +39,8 @@ router.post('/', [
       });
     }
 
+    if (!ensureAllowed(req, res, 'booking:review', booking)) return;
+
     if (booking.status !== 'completed') {
       return res.status(400).json({
         success: false,
@@ -197,10 +201,19 @@ router.get('/nanny/:nannyId', async (req, res) => {
  * @desc    Check if a booking has been reviewed
  * @access  Private
  */
-router.get('/booking/:bookingId', async (req, res) => {
+router.get('/booking/:bookingId', authenticate, async (req, res) => {
   try {
     const { bookingId } = req.params;
 
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+    if (!ensureAllowed(req, res, 'booking:read', booking)) return;
+
     const review = await Review.findOne({ bookingId })
       .populate('parentId', 'name profileImage');
 
@@ -238,7 +251,7 @@ router.get('/booking/:bookingId', async (req, res) => {
  * @desc    Get list of nanny IDs this parent has already reviewed
  * @access  Private
  */
-router.get('/parent/:parentId/reviewed-nannies', async (req, res) => {
+router.get('/parent/:parentId/reviewed-nannies', authenticate, requireSelfOrAdmin('parentId', 'account:read'), async (req, res) => {
   try {
     const { parentId } = req.params;
     const reviews = await Review.find({ parentId }).select('nannyId');
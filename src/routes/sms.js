@@ -0,0 +1,44 @@
+const express = require('express');
+const SmsService = require('../services/smsService');
+const SmsProvider = require('../services/smsProvider');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/sms/status/:provider
+ * @desc    Delivery reports from the SMS provider (MSG91 delivery report webhook,
+ *          Twilio StatusCallback). Updates the SmsMessage of each report.
+ * @access  Public (?token=SMS_STATUS_TOKEN)
+ */
+router.post('/status/:provider', async (req, res) => {
+  try {
+    if (!SmsService.statusTokenValid(req.query.token)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token',
+      });
+    }
+    if (!SmsProvider.adapters[req.params.provider]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown SMS provider',
+      });
+    }
+
+    const updated = await SmsService.recordReports(req.params.provider, req.body);
+
+    res.json({
+      success: true,
+      data: { updated },
+    });
+  } catch (error) {
+    // A non-2xx answer makes the provider send the report again
+    console.error('SMS Status Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process delivery report',
+    });
+  }
+});
+
+module.exports = router;
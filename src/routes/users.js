@@ -4,9 +4,16 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const Booking = require('../models/Booking');
+const LedgerService = require('../services/ledgerService');
+const ProviderAccountService = require('../services/providerAccountService');
+const { authenticate } = require('../middleware/auth');
+const { requireSelfOrAdmin } = require('../middleware/authorize');
+const { sendServiceError } = require('../utils/errors');
 
 const router = express.Router();
 
+router.use(authenticate);
+
 /**
  * UPI Verification Configuration
  * 
@@ -214,7 +221,7 @@ function verifySimulation(upiId) {
 /**
  * @route   POST /api/users/verify-upi
  * @desc    Verify UPI ID and return account holder name from NPCI/BHIM
- * @access  Public
+ * @access  Private
  * 
  * For REAL verification, configure environment variables:
  * - UPI_VERIFICATION_PROVIDER=cashfree
@@ -308,7 +315,7 @@ router.post('/verify-upi', [
  * @desc    Get user's saved bank details
  * @access  Private
  */
-router.get('/:id/bank-details', async (req, res) => {
+router.get('/:id/bank-details', requireSelfOrAdmin('id', 'account:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -339,7 +346,7 @@ router.get('/:id/bank-details', async (req, res) => {
  * @desc    Save/Update user's bank details
  * @access  Private
  */
-router.put('/:id/bank-details', async (req, res) => {
+router.put('/:id/bank-details', requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const { accountHolderName, accountNumber, ifscCode, bankName, upiId } = req.body;
 
@@ -384,7 +391,7 @@ router.put('/:id/bank-details', async (req, res) => {
  * @desc    Request a withdrawal
  * @access  Private
  */
-router.post('/:id/withdraw', [
+router.post('/:id/withdraw', requireSelfOrAdmin('id', 'account:update'), [
   body('amount').isNumeric().withMessage('Amount is required'),
   body('method').isIn(['bank', 'upi']).withMessage('Invalid withdrawal method'),
 ], async (req, res) => {
@@ -409,78 +416,14 @@ router.post('/:id/withdraw', [
       });
     }
 
-    // Check if user has sufficient balance
-    const availableBalance = user.nannyProfile?.availableBalance || 0;
-    if (amount > availableBalance) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient balance',
-      });
-    }
-
-    // Minimum withdrawal amount
-    if (amount < 100) {
-      return res.status(400).json({
-        success: false,
-        message: 'Minimum withdrawal amount is ₹100',
-      });
-    }
-
-    // Create withdrawal transaction
-    const transaction = await Transaction.create({
-      userId,
-      type: 'withdrawal',
+    // Same flow as POST /api/earnings/nanny/:id/withdraw
+    const { payout, transaction, newBalance } = await ProviderAccountService.withdraw('nanny', user, {
       amount,
-      status: 'pending',
-      description: method === 'bank' 
-        ? `Withdrawal to ${bankDetails.bankName} - ${bankDetails.accountNumber.slice(-4)}`
-        : `Withdrawal to UPI - ${bankDetails.upiId}`,
-      withdrawalDetails: {
-        method,
-        ...(method === 'bank' ? { bankDetails } : { upiId: bankDetails.upiId }),
-      },
+      method,
+      bankDetails,
+      actor: { id: req.principal.id, role: req.principal.role },
     });
 
-    // Update user's available balance
-    user.nannyProfile.availableBalance -= amount;
-    user.nannyProfile.withdrawnAmount = (user.nannyProfile.withdrawnAmount || 0) + amount;
-
-    // Save bank details for future use
-    if (method === 'bank') {
-      user.bankDetails = {
-        ...user.bankDetails,
-        accountHolderName: bankDetails.accountHolderName,
-        accountNumber: bankDetails.accountNumber,
-        ifscCode: bankDetails.ifscCode,
-        bankName: bankDetails.bankName,
-        updatedAt: new Date(),
-      };
-    } else {
-      user.bankDetails = {
-        ...user.bankDetails,
-        upiId: bankDetails.upiId,
-        updatedAt: new Date(),
-      };
-    }
-
-    await user.save();
-
-    // In production, this would trigger the actual withdrawal process
-    // For now, we'll mark it as completed after a simulated delay
-    setTimeout(async () => {
-      try {
-        transaction.status = 'completed';
-        transaction.withdrawalDetails.processedAt = new Date();
-        transaction.withdrawalDetails.transactionId = `TXN${Date.now()}`;
-        await transaction.save();
-        console.log(`✅ Withdrawal ${transaction._id} completed`);
-      } catch (err) {
-        console.error('Error completing withdrawal:', err);
-      }
-    }, 2000);
-
-    console.log(`💸 Withdrawal request: ₹${amount} to ${method} for user ${userId}`);
-
     res.json({
       success: true,
       message: 'Withdrawal request submitted successfully',
@@ -492,10 +435,17 @@ router.post('/:id/withdraw', [
           method: method,
           createdAt: transaction.createdAt,
         },
-        newBalance: user.nannyProfile.availableBalance,
+        payout: {
+          id: payout._id,
+          payoutId: payout.payoutId,
+          status: payout.status,
+          requiresApproval: payout.requiresApproval,
+        },
+        newBalance,
       },
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Withdraw Error:', error);
     res.status(500).json({
       success: false,
@@ -509,7 +459,7 @@ router.post('/:id/withdraw', [
  * @desc    Get user's transaction history
  * @access  Private
  */
-router.get('/:id/transactions', async (req, res) => {
+router.get('/:id/transactions', requireSelfOrAdmin('id', 'account:read'), async (req, res) => {
   try {
     const { type = 'all', limit = 50, page = 1 } = req.query;
     const userId = req.params.id;
@@ -615,7 +565,7 @@ router.get('/:id/transactions', async (req, res) => {
  * @desc    Get user's earnings summary
  * @access  Private
  */
-router.get('/:id/earnings-summary', async (req, res) => {
+router.get('/:id/earnings-summary', requireSelfOrAdmin('id', 'account:read'), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -627,31 +577,16 @@ router.get('/:id/earnings-summary', async (req, res) => {
       });
     }
 
-    // Get pending withdrawals
-    const pendingWithdrawals = await Transaction.aggregate([
-      {
-        $match: {
-          userId: user._id,
-          type: 'withdrawal',
-          status: 'pending',
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$amount' },
-        },
-      },
-    ]);
+    const balance = await LedgerService.providerBalance('nanny', user._id);
 
     res.json({
       success: true,
       data: {
         summary: {
-          totalEarnings: user.nannyProfile?.totalEarnings || 0,
-          availableBalance: user.nannyProfile?.availableBalance || 0,
-          withdrawnAmount: user.nannyProfile?.withdrawnAmount || 0,
-          pendingWithdrawals: pendingWithdrawals[0]?.total || 0,
+          totalEarnings: balance.totalEarnings,
+          availableBalance: balance.availableBalance,
+          withdrawnAmount: balance.withdrawnAmount,
+          pendingWithdrawals: balance.pendingWithdrawals,
           totalJobsCompleted: user.nannyProfile?.totalJobsCompleted || 0,
         },
       },
@@ -670,7 +605,7 @@ router.get('/:id/earnings-summary', async (req, res) => {
  * @desc    Get nanny's reviews from parents
  * @access  Private
  */
-router.get('/:id/reviews', async (req, res) => {
+router.get('/:id/reviews', requireSelfOrAdmin('id', 'account:read'), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -765,7 +700,7 @@ router.get('/:id/reviews', async (req, res) => {
  * @desc    Get nanny's weekly schedule
  * @access  Private
  */
-router.get('/:id/schedule', async (req, res) => {
+router.get('/:id/schedule', requireSelfOrAdmin('id', 'account:read'), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -782,6 +717,7 @@ router.get('/:id/schedule', async (req, res) => {
       data: {
         schedule: user.nannyProfile?.availability || {},
         isAvailableNow: user.nannyProfile?.isAvailableNow ?? true,
+        timeOff: user.nannyProfile?.timeOff || [],
       },
     });
   } catch (error) {
@@ -798,7 +734,7 @@ router.get('/:id/schedule', async (req, res) => {
  * @desc    Update nanny's weekly schedule
  * @access  Private
  */
-router.put('/:id/schedule', async (req, res) => {
+router.put('/:id/schedule', requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const userId = req.params.id;
     const { schedule } = req.body;
@@ -839,7 +775,7 @@ router.put('/:id/schedule', async (req, res) => {
  * @desc    Update nanny's "Available Now" status
  * @access  Private
  */
-router.put('/:id/availability-status', async (req, res) => {
+router.put('/:id/availability-status', requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
   try {
     const userId = req.params.id;
     const { isAvailableNow } = req.body;
@@ -875,12 +811,109 @@ router.put('/:id/availability-status', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/users/:id/time-off
+ * @desc    Block a period (leave, appointments) from nanny's bookable slots
+ * @access  Private
+ */
+router.post('/:id/time-off', requireSelfOrAdmin('id', 'account:update'), [
+  body('startAt').isISO8601().withMessage('Start time must be a valid date'),
+  body('endAt').isISO8601().withMessage('End time must be a valid date'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const startAt = new Date(req.body.startAt);
+    const endAt = new Date(req.body.endAt);
+    if (endAt <= startAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time',
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user || user.role !== 'nanny') {
+      return res.status(404).json({
+        success: false,
+        message: 'Nanny not found',
+      });
+    }
+
+    user.nannyProfile.timeOff.push({ startAt, endAt, reason: req.body.reason || '' });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Time off added',
+      data: {
+        timeOff: user.nannyProfile.timeOff,
+      },
+    });
+  } catch (error) {
+    console.error('Add Time Off Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add time off',
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:id/time-off/:entryId
+ * @desc    Remove a time off entry
+ * @access  Private
+ */
+router.delete('/:id/time-off/:entryId', requireSelfOrAdmin('id', 'account:update'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || user.role !== 'nanny') {
+      return res.status(404).json({
+        success: false,
+        message: 'Nanny not found',
+      });
+    }
+
+    const entry = user.nannyProfile.timeOff.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time off entry not found',
+      });
+    }
+
+    entry.deleteOne();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Time off removed',
+      data: {
+        timeOff: user.nannyProfile.timeOff,
+      },
+    });
+  } catch (error) {
+    console.error('Remove Time Off Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove time off',
+    });
+  }
+});
+
 // ===================== FAVORITE NANNIES =====================
 
 /**
  * GET /:userId/favorites - Get favorite nannies
  */
-router.get('/:userId/favorites', async (req, res) => {
+router.get('/:userId/favorites', requireSelfOrAdmin('userId', 'account:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId).populate({
       path: 'favoriteNannies',
@@ -916,7 +949,7 @@ router.get('/:userId/favorites', async (req, res) => {
 /**
  * POST /:userId/favorites/toggle - Toggle favorite nanny
  */
-router.post('/:userId/favorites/toggle', async (req, res) => {
+router.post('/:userId/favorites/toggle', requireSelfOrAdmin('userId', 'account:update'), async (req, res) => {
   try {
     const { nannyId } = req.body;
     if (!nannyId) {
@@ -0,0 +1,182 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const WalletService = require('../services/walletService');
+const PaymentService = require('../services/paymentService');
+const { keyId } = require('../config/razorpay');
+const { authenticate } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { sendServiceError } = require('../utils/errors');
+
+/**
+ * The signed-in parent's wallet. Bookings are paid from it through
+ * POST /api/payments/create-order with useWallet.
+ */
+const router = express.Router();
+
+router.use(authenticate, requireRole('parent'));
+
+const formatTransaction = (t) => ({
+  id: t._id,
+  type: t.type,
+  direction: WalletService.DEBIT_TYPES.includes(t.type) ? 'debit' : 'credit',
+  amount: t.amount,
+  status: t.status,
+  description: t.description,
+  bookingId: t.bookingId?.bookingId,
+  createdAt: t.createdAt,
+});
+
+/**
+ * @route   GET /api/wallet
+ * @desc    Wallet balance and top-up limits
+ * @access  Private (parent)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const wallet = await WalletService.summary(req.principal.id);
+
+    res.json({
+      success: true,
+      data: { wallet },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get Wallet Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/wallet/transactions
+ * @desc    Top-ups, credits, refunds and booking payments, newest first
+ * @access  Private (parent)
+ */
+router.get('/transactions', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const { transactions, total } = await WalletService.transactions(req.principal.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        transactions: transactions.map(formatTransaction),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get Wallet Transactions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet transactions',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/wallet/topup
+ * @desc    Create a Razorpay order to add money to the wallet
+ * @access  Private (parent)
+ */
+router.post('/topup', [
+  body('amount').isNumeric().withMessage('Amount is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+      });
+    }
+
+    const { transaction, order } = await WalletService.createTopUp(req.principal.id, req.body.amount);
+
+    res.status(201).json({
+      success: true,
+      message: 'Top-up order created',
+      data: {
+        transactionId: transaction._id,
+        orderId: order.id,
+        amount: Math.round(order.amount * 100),
+        currency: order.currency,
+        key: keyId,
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Create Top-up Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create top-up order',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/wallet/topup/verify
+ * @desc    Verify the checkout signature and credit the top-up
+ * @access  Private (parent)
+ */
+router.post('/topup/verify', async (req, res) => {
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'All payment fields are required',
+      });
+    }
+
+    if (!PaymentService.checkoutSignatureValid(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed - invalid signature',
+      });
+    }
+
+    const topUp = await Transaction.findOne({
+      type: 'wallet-topup',
+      userId: req.principal.id,
+      'gatewayPayment.orderId': razorpay_order_id,
+    });
+    if (!topUp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Top-up not found',
+      });
+    }
+
+    // The webhook may have credited it already
+    const { transaction } = await WalletService.completeTopUp(topUp, { paymentId: razorpay_payment_id });
+    const balance = await WalletService.balance(req.principal.id);
+
+    res.json({
+      success: true,
+      message: 'Wallet topped up successfully',
+      data: {
+        transaction: formatTransaction(transaction),
+        balance,
+      },
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Verify Top-up Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify top-up',
+    });
+  }
+});
+
+module.exports = router;
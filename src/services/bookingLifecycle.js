@@ -0,0 +1,249 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const SettlementService = require('./settlementService');
+const CancellationPolicyService = require('./cancellationPolicyService');
+const InvoiceService = require('./invoiceService');
+const PaymentService = require('./paymentService');
+const { ServiceError } = require('../utils/errors');
+
+/**
+ * Booking lifecycle
+ *
+ *   pending ──> confirmed ──> in-progress ──> completed
+ *      │            │              │
+ *      ├─> rejected └─> cancelled <┘ (admin only once started)
+ *      └─> cancelled
+ *
+ * Cancelled and rejected bookings go through the cancellation policy
+ * (services/cancellationPolicyService.js) for refunds and fees.
+ *
+ * Every status change goes through transition(), which checks the move is
+ * allowed for the actor's role, applies it atomically, records it in
+ * booking.statusHistory and then runs the side effects of the new status.
+ * Completion should go through services/completionService.js, which sets
+ * the verification details for each completion method.
+ * Ownership (is this the booking's parent/nanny?) is checked by the routes
+ * through the policies before calling in here.
+ */
+
+// The nanny completes through OTP/QR verification; admins may override
+const completionVerified = (booking, actor, set) =>
+  actor.role !== 'nanny'
+  || set['completionVerification.otpVerified'] === true
+  || booking.completionVerification?.otpVerified === true;
+
+const TRANSITIONS = {
+  pending: {
+    confirmed: { roles: ['nanny', 'admin'] },
+    rejected: { roles: ['nanny', 'admin'] },
+    cancelled: { roles: ['parent', 'nanny', 'admin', 'system'] },
+  },
+  confirmed: {
+    'in-progress': { roles: ['nanny', 'admin'] },
+    completed: {
+      roles: ['nanny', 'admin', 'system'],
+      guard: completionVerified,
+      guardMessage: 'Please verify OTP from parent first',
+    },
+    cancelled: { roles: ['parent', 'nanny', 'admin', 'system'] },
+  },
+  'in-progress': {
+    completed: {
+      roles: ['nanny', 'admin', 'system'],
+      guard: completionVerified,
+      guardMessage: 'Please verify OTP from parent first',
+    },
+    cancelled: { roles: ['admin', 'system'] },
+  },
+  completed: {},
+  cancelled: {},
+  rejected: {},
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Fields stamped on the booking when it enters a status
+ */
+const enterFields = {
+  confirmed: (booking, { now }) => ({ confirmedAt: now }),
+  'in-progress': (booking, { now }) => ({ startedAt: now }),
+  completed: (booking, { now }) => ({
+    completedAt: now,
+    // Cash is collected on site; online payments are marked paid by the gateway
+    ...((booking.payment?.method || 'cash') === 'cash' && booking.payment?.status !== 'paid' && {
+      'payment.status': 'paid',
+      'payment.paidAt': now,
+    }),
+  }),
+  cancelled: (booking, { now, actor, reason, refundTo }) => ({
+    cancellation: {
+      cancelledBy: actor.role,
+      reason: reason || '',
+      cancelledAt: now,
+      refundTo: refundTo || 'source',
+    },
+  }),
+};
+
+const loadParties = (booking) => Promise.all([
+  User.findById(booking.parentId?._id || booking.parentId),
+  User.findById(booking.nannyId?._id || booking.nannyId),
+]);
+
+/**
+ * Side effects run after a booking has entered a status
+ */
+const afterEnter = {
+  confirmed: async (booking, { notify }) => {
+    if (!notify) return;
+    const [parent, nanny] = await loadParties(booking);
+    if (parent && nanny) {
+      NotificationService.notifyBookingConfirmed(booking, parent, nanny)
+        .then(result => console.log('📲 Confirmation notification sent to parent:', result.success))
+        .catch(err => console.error('Notification error:', err));
+    }
+  },
+  // Rejection refunds a prepaid booking in full
+  rejected: async (booking, { reason, notify }) => {
+    const settled = await CancellationPolicyService.settleCancellation(booking, 'rejected');
+    if (!notify) return settled?.booking;
+    const [parent, nanny] = await loadParties(booking);
+    if (parent && nanny) {
+      NotificationService.notifyBookingRejected(booking, parent, nanny, reason)
+        .then(result => console.log('📲 Rejection notification sent to parent:', result.success))
+        .catch(err => console.error('Notification error:', err));
+    }
+    return settled?.booking;
+  },
+  // Applies the cancellation policy; returns the booking with the refund outcome
+  cancelled: async (booking, { actor, notify }) => {
+    const settled = await CancellationPolicyService.settleCancellation(booking, actor.role);
+    if (!notify) return settled?.booking;
+    const [parent, nanny] = await loadParties(booking);
+    if (parent && nanny) {
+      NotificationService.notifyBookingCancelled(booking, actor.role, parent, nanny)
+        .then(result => console.log('📲 Cancellation notification sent:', result.success))
+        .catch(err => console.error('Notification error:', err));
+    }
+    return settled?.booking;
+  },
+  // Returns the settled booking so callers see booking.settlement
+  completed: async (booking, { notify }) => {
+    const { booking: settled } = await SettlementService.settleBooking(booking);
+    // Cash is paid on completion, so this is when any wallet part becomes
+    // final and the receipt is due
+    if (settled.payment?.status === 'paid') await PaymentService.completeWalletPart(settled);
+    InvoiceService.issueFor(settled).catch(err => console.error('Invoice error:', err));
+    const [parent, nanny] = await loadParties(booking);
+    if (notify && parent && nanny) {
+      NotificationService.notifyBookingCompleted(settled, parent, nanny)
+        .then(result => console.log('📲 Completion notification sent:', result.success))
+        .catch(err => console.error('Notification error:', err));
+    }
+    return settled;
+  },
+};
+
+class BookingLifecycle {
+  /**
+   * Actor recorded in the history for a request principal
+   */
+  static actorFor(principal) {
+    return { id: principal.id, role: principal.role };
+  }
+
+  /**
+   * First history entry for a newly created booking
+   */
+  static initialHistory(actor, reason = 'Booking requested') {
+    return [{ from: null, to: 'pending', by: actor, reason, at: new Date() }];
+  }
+
+  static isKnownStatus(status) {
+    return STATUSES.includes(status);
+  }
+
+  /**
+   * Whether the lifecycle allows moving from one status to another at all
+   */
+  static canTransition(from, to) {
+    return !!TRANSITIONS[from]?.[to];
+  }
+
+  /**
+   * Statuses the actor could move the booking to next
+   */
+  static allowedTransitions(booking, actor) {
+    return Object.entries(TRANSITIONS[booking.status] || {})
+      .filter(([, rule]) => rule.roles.includes(actor.role))
+      .map(([to]) => to);
+  }
+
+  /**
+   * Move a booking to a new status
+   * @param {object} booking - Booking document (may be populated)
+   * @param {string} to - Target status
+   * @param {object} options
+   * @param {object} options.actor - { id, role } of who triggers the change
+   * @param {string} options.reason - Stored in history (and cancellation)
+   * @param {object} options.set - Extra fields to $set in the same update
+   * @param {boolean} options.notify - Send the usual push notifications (default true)
+   * @param {string} options.refundTo - Cancellations: 'source' (default) or 'wallet'
+   * @returns {object} The updated booking document
+   */
+  static async transition(booking, to, { actor, reason = '', set = {}, notify = true, refundTo }) {
+    const from = booking.status;
+
+    if (!BookingLifecycle.isKnownStatus(to)) {
+      throw new ServiceError('Invalid status');
+    }
+
+    const rule = TRANSITIONS[from]?.[to];
+    if (!rule) {
+      throw new ServiceError(`Cannot change a ${from} booking to ${to}`);
+    }
+    if (!rule.roles.includes(actor.role)) {
+      throw new ServiceError(`A ${actor.role} cannot mark this booking as ${to}`, 403);
+    }
+    if (rule.guard && !rule.guard(booking, actor, set)) {
+      throw new ServiceError(rule.guardMessage || `Booking cannot be marked as ${to} yet`);
+    }
+
+    const now = new Date();
+    const context = { actor, reason, now, notify, refundTo };
+    const update = {
+      ...set,
+      ...(enterFields[to] ? enterFields[to](booking, context) : {}),
+      status: to,
+      updatedAt: now,
+    };
+
+    // Only apply if nobody changed the status in the meantime
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: from },
+      {
+        $set: update,
+        $push: { statusHistory: { from, to, by: actor, reason, at: now } },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ServiceError('This booking was just updated by someone else. Please refresh and try again.', 409);
+    }
+
+    console.log(`🔄 Booking ${updated.bookingId}: ${from} → ${to} by ${actor.role}`);
+
+    // Side effects may hand back a fresher copy of the booking
+    const result = afterEnter[to] ? await afterEnter[to](updated, context) : null;
+    return result || updated;
+  }
+}
+
+BookingLifecycle.TRANSITIONS = TRANSITIONS;
+// Actor for changes made by the server itself (scheduled jobs, reconciliation...)
+BookingLifecycle.SYSTEM_ACTOR = Object.freeze({ id: null, role: 'system' });
+
+module.exports = BookingLifecycle;
@@ -0,0 +1,374 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const PricingService = require('./pricingService');
+const SchedulingService = require('./schedulingService');
+const BookingLifecycle = require('./bookingLifecycle');
+const NotificationService = require('./notificationService');
+const OtpService = require('./otpService');
+const PaymentService = require('./paymentService');
+const { ServiceError } = require('../utils/errors');
+const { toCalendarDate, toMinuteRange, addDays, daysBetween, dayOfWeek } = require('../utils/time');
+
+const MAX_OCCURRENCES = 60;
+const MAX_HORIZON_DAYS = 180;
+
+// Occurrences that have not happened yet and can still be changed
+const CHANGEABLE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Booking IDs are time-based, so make sure a batch created in the same
+ * millisecond does not reuse one
+ */
+const uniqueBookingId = (used) => {
+  let bookingId = Booking.generateBookingId();
+  while (used.has(bookingId)) {
+    bookingId = Booking.generateBookingId();
+  }
+  used.add(bookingId);
+  return bookingId;
+};
+
+class BookingSeriesService {
+  /**
+   * Calendar dates (YYYY-MM-DD) generated by a recurrence rule
+   * @param {object} recurrence - { frequency, interval, daysOfWeek, startDate, endDate, count }
+   */
+  static expandOccurrences(recurrence = {}) {
+    const { frequency } = recurrence;
+    const interval = parseInt(recurrence.interval, 10) || 1;
+    const startDate = toCalendarDate(recurrence.startDate);
+    const endDate = recurrence.endDate ? toCalendarDate(recurrence.endDate) : null;
+    const count = recurrence.count ? parseInt(recurrence.count, 10) : null;
+
+    if (!['daily', 'weekly', 'custom'].includes(frequency)) {
+      throw new ServiceError('Recurrence frequency must be daily, weekly or custom');
+    }
+    if (!startDate) {
+      throw new ServiceError('A valid start date is required');
+    }
+    if (interval < 1) {
+      throw new ServiceError('Recurrence interval must be at least 1');
+    }
+    if (!endDate && !count) {
+      throw new ServiceError('Either an end date or a number of occurrences is required');
+    }
+    if (recurrence.endDate && !endDate) {
+      throw new ServiceError('Invalid end date');
+    }
+    if (endDate && endDate < startDate) {
+      throw new ServiceError('End date must be on or after the start date');
+    }
+    if (count !== null && (count < 1 || count > MAX_OCCURRENCES)) {
+      throw new ServiceError(`Number of occurrences must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+
+    let daysOfWeek = null;
+    if (frequency === 'weekly') {
+      daysOfWeek = [dayOfWeek(startDate)];
+    } else if (frequency === 'custom') {
+      daysOfWeek = [...new Set((recurrence.daysOfWeek || []).map(Number))]
+        .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+      if (daysOfWeek.length === 0) {
+        throw new ServiceError('Select at least one day of the week');
+      }
+    }
+
+    const horizon = addDays(startDate, MAX_HORIZON_DAYS);
+    const lastDate = endDate && endDate < horizon ? endDate : horizon;
+    const startWeekday = dayOfWeek(startDate);
+    const dates = [];
+
+    for (let day = startDate; day <= lastDate; day = addDays(day, 1)) {
+      const offset = daysBetween(startDate, day);
+      const matches = frequency === 'daily'
+        ? offset % interval === 0
+        // Weeks are counted from the (Sunday-based) week of the start date
+        : Math.floor((offset + startWeekday) / 7) % interval === 0 && daysOfWeek.includes(dayOfWeek(day));
+      if (!matches) continue;
+
+      if (dates.length === MAX_OCCURRENCES) {
+        throw new ServiceError(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+      }
+      dates.push(day);
+      if (count && dates.length === count) break;
+    }
+
+    return dates;
+  }
+
+  /**
+   * Check and price every occurrence, then create the series and its bookings
+   * Occurrences that cannot be booked fail the request unless skipConflicts is
+   * set, in which case they are recorded as skipped dates.
+   * @param {object} parent - User document of the parent
+   * @param {object} nanny - User document of the nanny
+   * @param {object} payload - Request body
+   * @param {object} actor - { id, role } recorded in each booking's status history
+   * @returns {{ series, bookings, conflicts }}
+   */
+  static async createSeries(parent, nanny, payload, actor) {
+    const {
+      recurrence,
+      startTime,
+      endTime,
+      children,
+      numberOfChildren,
+      childrenAges,
+      address,
+      specialInstructions,
+      skipConflicts,
+    } = payload;
+
+    if (!toMinuteRange(startTime, endTime)) {
+      throw new ServiceError('Invalid start or end time');
+    }
+
+    const dates = BookingSeriesService.expandOccurrences(recurrence);
+
+    // Held until the bookings are written, so no other booking can take a checked slot
+    return SchedulingService.withNannyLock(nanny._id, async () => {
+      const planned = [];
+      const conflicts = [];
+
+      for (const date of dates) {
+        try {
+          const slot = await SchedulingService.assertBookable(nanny, { date, startTime, endTime });
+          // Long daily slots could otherwise overlap the next occurrence
+          if (planned.some((item) => item.slot.startAt < slot.endAt && item.slot.endAt > slot.startAt)) {
+            throw new ServiceError('Overlaps the previous occurrence of this series');
+          }
+          const quote = await PricingService.quoteForNanny({
+            nanny,
+            date,
+            startTime,
+            endTime,
+            numberOfChildren: numberOfChildren || 1,
+            pincode: address?.pincode,
+          });
+          planned.push({ date, slot, quote });
+        } catch (error) {
+          if (!(error instanceof ServiceError)) throw error;
+          conflicts.push({ date, reason: error.message });
+        }
+      }
+
+      if (planned.length === 0) {
+        throw new ServiceError('None of the occurrences in this series can be booked', 409, { conflicts });
+      }
+      if (conflicts.length > 0 && !skipConflicts) {
+        throw new ServiceError('Some occurrences in this series cannot be booked', 409, { conflicts });
+      }
+
+      const series = await BookingSeries.create({
+        seriesId: BookingSeries.generateSeriesId(),
+        parentId: parent._id,
+        nannyId: nanny._id,
+        recurrence: {
+          frequency: recurrence.frequency,
+          interval: parseInt(recurrence.interval, 10) || 1,
+          daysOfWeek: recurrence.frequency === 'custom' ? recurrence.daysOfWeek : [dayOfWeek(dates[0])],
+          startDate: toCalendarDate(recurrence.startDate),
+          endDate: recurrence.endDate ? toCalendarDate(recurrence.endDate) : undefined,
+          count: recurrence.count || undefined,
+        },
+        startTime,
+        endTime,
+        children: children || [],
+        numberOfChildren: planned[0].quote.numberOfChildren,
+        childrenAges: childrenAges || '',
+        address: address || {},
+        specialInstructions: specialInstructions || '',
+        skippedDates: conflicts.map((conflict) => conflict.date),
+      });
+
+      const usedIds = new Set();
+      const bookings = await Booking.insertMany(planned.map(({ date, slot, quote }) => ({
+        bookingId: uniqueBookingId(usedIds),
+        parentId: parent._id,
+        nannyId: nanny._id,
+        date: new Date(date),
+        startTime,
+        endTime,
+        startAt: slot.startAt,
+        endAt: slot.endAt,
+        totalHours: quote.totalHours,
+        children: series.children,
+        numberOfChildren: quote.numberOfChildren,
+        childrenAges: series.childrenAges,
+        address: series.address,
+        specialInstructions: series.specialInstructions,
+        hourlyRate: quote.hourlyRate,
+        totalAmount: quote.total,
+        pricing: PricingService.toBookingPricing(quote),
+        status: 'pending',
+        statusHistory: BookingLifecycle.initialHistory(actor, `Booking requested (series ${series.seriesId})`),
+        seriesId: series._id,
+        seriesOccurrenceDate: date,
+      })));
+
+      return { series, bookings, conflicts };
+    });
+  }
+
+  /**
+   * Bookings of a series in date order
+   */
+  static async getOccurrences(series) {
+    return Booking.find({ seriesId: series._id }).sort({ startAt: 1 });
+  }
+
+  /**
+   * Load a booking and make sure it is a changeable occurrence of the series
+   */
+  static async loadOccurrence(series, bookingId) {
+    const booking = mongoose.isValidObjectId(bookingId)
+      ? await Booking.findOne({ _id: bookingId, seriesId: series._id })
+      : null;
+    if (!booking) {
+      throw new ServiceError('Occurrence not found in this series', 404);
+    }
+    if (!CHANGEABLE_STATUSES.includes(booking.status)) {
+      throw new ServiceError(`Cannot change an occurrence that is ${booking.status}`);
+    }
+    return booking;
+  }
+
+  /**
+   * Leave one occurrence out of the series
+   */
+  static async skipOccurrence(series, bookingId, principal, reason) {
+    const occurrence = await BookingSeriesService.loadOccurrence(series, bookingId);
+    const booking = await BookingLifecycle.transition(occurrence, 'cancelled', {
+      actor: BookingLifecycle.actorFor(principal),
+      reason: reason || 'Occurrence skipped',
+    });
+
+    if (!series.skippedDates.includes(booking.seriesOccurrenceDate)) {
+      series.skippedDates.push(booking.seriesOccurrenceDate);
+      await series.save();
+    }
+
+    return booking;
+  }
+
+  /**
+   * Move or change a single occurrence; the rest of the series is unchanged.
+   * Only pending occurrences can be moved here: a confirmed one has the
+   * nanny's agreement, so moving it goes through a reschedule request
+   * (RescheduleService) the nanny has to accept.
+   * @param {object} changes - { date, startTime, endTime, specialInstructions }
+   */
+  static async modifyOccurrence(series, bookingId, nanny, changes) {
+    const booking = await BookingSeriesService.loadOccurrence(series, bookingId);
+
+    const moving = !!(changes.date || changes.startTime || changes.endTime);
+    if (!moving) {
+      booking.specialInstructions = changes.specialInstructions;
+      await booking.save();
+      return booking;
+    }
+    if (booking.status !== 'pending') {
+      throw new ServiceError(
+        'The nanny has already confirmed this occurrence. Send a reschedule request to move it instead.',
+        409
+      );
+    }
+
+    const date = changes.date || toCalendarDate(booking.startAt || booking.date);
+    const startTime = changes.startTime || booking.startTime;
+    const endTime = changes.endTime || booking.endTime;
+    const previousTotal = booking.totalAmount;
+
+    await SchedulingService.withNannyLock(nanny._id, async () => {
+      const slot = await SchedulingService.assertBookable(nanny, {
+        date,
+        startTime,
+        endTime,
+        excludeBookingId: booking._id,
+      });
+      const quote = await PricingService.quoteForNanny({
+        nanny,
+        date,
+        startTime,
+        endTime,
+        numberOfChildren: booking.numberOfChildren,
+        pincode: booking.address?.pincode,
+      });
+
+      if (booking.payment?.status === 'paid' && quote.total !== booking.totalAmount) {
+        throw new ServiceError('This occurrence is already paid; changing it would change its price');
+      }
+
+      booking.date = new Date(date);
+      booking.startTime = startTime;
+      booking.endTime = endTime;
+      booking.startAt = slot.startAt;
+      booking.endAt = slot.endAt;
+      booking.totalHours = quote.totalHours;
+      booking.hourlyRate = quote.hourlyRate;
+      booking.totalAmount = quote.total;
+      booking.pricing = PricingService.toBookingPricing(quote);
+      if (changes.specialInstructions !== undefined) {
+        booking.specialInstructions = changes.specialInstructions;
+      }
+      booking.isSeriesException = true;
+      // A completion OTP or QR issued for the old time is no longer valid
+      booking.completionVerification = { otpVerified: false };
+      await booking.save();
+    });
+    await OtpService.invalidate({ purpose: 'booking-completion', subject: booking._id });
+
+    const moved = booking.totalAmount !== previousTotal ? await PaymentService.repriced(booking) : booking;
+
+    NotificationService.notifyOccurrenceMoved(moved, nanny)
+      .catch(err => console.error('Notification error:', err));
+
+    return moved;
+  }
+
+  /**
+   * Cancel every upcoming occurrence and close the series
+   * @returns {Array} The cancelled bookings
+   */
+  static async cancelRemaining(series, principal, reason) {
+    if (series.status === 'cancelled') {
+      throw new ServiceError('This series is already cancelled');
+    }
+
+    const now = new Date();
+    const upcoming = await Booking.find({
+      seriesId: series._id,
+      status: { $in: CHANGEABLE_STATUSES },
+      startAt: { $gt: now },
+    });
+
+    const actor = BookingLifecycle.actorFor(principal);
+    const cancelled = [];
+    for (const booking of upcoming) {
+      try {
+        cancelled.push(await BookingLifecycle.transition(booking, 'cancelled', {
+          actor,
+          reason: reason || 'Series cancelled',
+          // The nanny gets one notification for the whole series
+          notify: false,
+        }));
+      } catch (error) {
+        // Changed concurrently (e.g. just started); leave it as it is
+        if (!(error instanceof ServiceError)) throw error;
+      }
+    }
+
+    series.status = 'cancelled';
+    series.cancellation = {
+      cancelledBy: principal.role,
+      reason: reason || 'Series cancelled',
+      cancelledAt: now,
+    };
+    await series.save();
+
+    return cancelled;
+  }
+}
+
+module.exports = BookingSeriesService;
@@ -0,0 +1,195 @@
+const Booking = require('../models/Booking');
+const City = require('../models/City');
+const Transaction = require('../models/Transaction');
+const SchedulingService = require('./schedulingService');
+const RefundService = require('./refundService');
+const WalletService = require('./walletService');
+const PromoService = require('./promoService');
+const LedgerService = require('./ledgerService');
+
+const DUPLICATE_KEY = 11000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Used when the booking's city has no policy for the service
+const DEFAULT_POLICIES = {
+  nanny: {
+    tiers: [
+      { minHoursBefore: 24, refundPercent: 100 },
+      { minHoursBefore: 4, refundPercent: 50 },
+      { minHoursBefore: 0, refundPercent: 0 },
+    ],
+    nannyFeeSharePercent: 100,
+  },
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const plain = (value) => (value && value.toObject ? value.toObject() : value);
+
+/**
+ * Cancellation policy
+ *
+ * Decides how much of a prepaid booking goes back to the parent when it is
+ * cancelled or rejected, and how much of the rest the nanny keeps as a
+ * cancellation fee:
+ *   - booking rejected, or cancelled by nanny, admin or system: full refund
+ *   - parent cancels: refund % from the first tier whose minHoursBefore the
+ *     cancellation meets (tiers per city and service, defaults above)
+ * Unpaid (cash) bookings have nothing to refund and no fee is collected.
+ */
+class CancellationPolicyService {
+  /**
+   * Policy for a service in the booking's city
+   * @param {object} booking - Booking document
+   * @param {string} service - Service key, 'nanny' for nanny bookings
+   */
+  static async policyFor(booking, service = 'nanny') {
+    let city = null;
+    if (booking.pricing?.cityId) {
+      city = await City.findById(booking.pricing.cityId);
+    } else if (booking.address?.pincode) {
+      city = await City.findByPincode(booking.address.pincode);
+    }
+
+    const configured = city?.cancellationPolicies?.get
+      ? city.cancellationPolicies.get(service)
+      : city?.cancellationPolicies?.[service];
+    const policy = plain(configured);
+
+    if (policy && Array.isArray(policy.tiers) && policy.tiers.length > 0) {
+      return {
+        tiers: policy.tiers,
+        nannyFeeSharePercent: policy.nannyFeeSharePercent ?? 100,
+        source: `city:${city.name}`,
+      };
+    }
+    return { ...DEFAULT_POLICIES[service] || DEFAULT_POLICIES.nanny, source: 'default' };
+  }
+
+  /**
+   * Work out refund and fee for cancelling a booking. Pure - no database access.
+   * @param {object} booking - Booking document or plain object
+   * @param {object} options
+   * @param {string} options.cancelledBy - 'parent', 'nanny', 'admin', 'system' or 'rejected'
+   * @param {object} options.policy - Result of policyFor()
+   * @param {Date} options.now
+   */
+  static evaluate(booking, { cancelledBy, policy, now = new Date() }) {
+    const window = SchedulingService.bookingWindow(booking);
+    const hoursBeforeStart = window
+      ? roundMoney((window.startAt.getTime() - now.getTime()) / MS_PER_HOUR)
+      : null;
+    const paidAmount = booking.payment?.status === 'paid' ? booking.totalAmount : 0;
+
+    let refundPercent = 100;
+    let policyTier = cancelledBy === 'rejected' ? 'rejected' : `${cancelledBy}-cancelled`;
+
+    if (cancelledBy === 'parent') {
+      const tiers = [...policy.tiers].sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+      const tier = tiers.find((candidate) => hoursBeforeStart === null || hoursBeforeStart >= candidate.minHoursBefore);
+      refundPercent = tier ? tier.refundPercent : 0;
+      policyTier = tier ? `${tier.minHoursBefore}h+` : 'after-start';
+    }
+
+    const refundAmount = roundMoney((paidAmount * refundPercent) / 100);
+    const cancellationFee = roundMoney(paidAmount - refundAmount);
+    const nannyCompensation = roundMoney((cancellationFee * (policy.nannyFeeSharePercent ?? 100)) / 100);
+
+    return {
+      policyTier,
+      policySource: policy.source,
+      hoursBeforeStart,
+      paidAmount,
+      refundPercent,
+      refundAmount,
+      cancellationFee,
+      nannyCompensation,
+    };
+  }
+
+  /**
+   * Evaluate the policy for a booking as it would apply now
+   */
+  static async preview(booking, cancelledBy) {
+    const policy = await CancellationPolicyService.policyFor(booking);
+    return CancellationPolicyService.evaluate(booking, { cancelledBy, policy });
+  }
+
+  /**
+   * Apply the policy to a booking that was just cancelled or rejected:
+   * store the outcome on the booking, refund the parent (through the gateway or to
+   * their wallet, as they chose) and credit the nanny's cancellation fee. An unpaid
+   * booking gets its wallet part back, and any promo code use is given back.
+   * Runs once per booking.
+   * @returns {object|null} The outcome, or null when already applied
+   */
+  static async settleCancellation(booking, cancelledBy) {
+    const outcome = await CancellationPolicyService.preview(booking, cancelledBy);
+
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: { $in: ['cancelled', 'rejected'] }, 'cancellation.settledAt': null },
+      {
+        $set: {
+          'cancellation.policyTier': outcome.policyTier,
+          'cancellation.refundPercent': outcome.refundPercent,
+          'cancellation.refundAmount': outcome.refundAmount,
+          'cancellation.cancellationFee': outcome.cancellationFee,
+          'cancellation.nannyCompensation': outcome.nannyCompensation,
+          'cancellation.settledAt': new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    if (claimed.payment?.status === 'pending' && claimed.payment?.walletTransactionId) {
+      await WalletService.releaseBookingHold(claimed);
+    }
+    await PromoService.reverseForBooking(claimed, `Booking ${claimed.status}`);
+
+    if (outcome.refundAmount > 0) {
+      // A failed refund stays on record for an admin to retry
+      try {
+        await RefundService.issue(claimed, {
+          amount: outcome.refundAmount,
+          reason: `Cancelled booking (${outcome.refundPercent}% refund)`,
+          source: 'cancellation',
+          actor: { id: null, role: 'system' },
+          destination: claimed.cancellation?.refundTo || 'source',
+        });
+      } catch (error) {
+        console.error(`Refund for cancelled booking ${claimed.bookingId} not completed:`, error.message);
+      }
+    }
+
+    if (outcome.cancellationFee > 0) {
+      let transactionId;
+      if (outcome.nannyCompensation > 0) {
+        try {
+          const transaction = await Transaction.create({
+            userId: claimed.nannyId,
+            type: 'cancellation-fee',
+            amount: outcome.nannyCompensation,
+            status: 'completed',
+            description: `Cancellation fee for booking ${claimed.bookingId}`,
+            bookingId: claimed._id,
+          });
+          transactionId = transaction._id;
+        } catch (error) {
+          if (error.code !== DUPLICATE_KEY) throw error;
+        }
+      }
+      await LedgerService.recordCancellationFee(claimed, outcome, transactionId);
+    }
+
+    console.log(`↩️ Cancellation of ${claimed.bookingId} (${outcome.policyTier}): refund ₹${outcome.refundAmount}, nanny fee ₹${outcome.nannyCompensation}`);
+
+    // The refund may have updated booking.payment
+    const latest = outcome.refundAmount > 0 ? await Booking.findById(claimed._id) : claimed;
+    return { ...outcome, booking: latest };
+  }
+}
+
+CancellationPolicyService.DEFAULT_POLICIES = DEFAULT_POLICIES;
+
+module.exports = CancellationPolicyService;
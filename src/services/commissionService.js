@@ -0,0 +1,112 @@
+const User = require('../models/User');
+const City = require('../models/City');
+const CommissionRule = require('../models/CommissionRule');
+const PricingService = require('./pricingService');
+
+// Used when no commission rule matches
+const DEFAULT_COMMISSION_PERCENT = 15;
+
+const MATCH_FIELDS = ['service', 'cityId', 'tier'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const percentOf = (amount, percent) => roundMoney((amount * percent) / 100);
+
+const sameValue = (a, b) => (a?.toString() || null) === (b?.toString() || null);
+
+/**
+ * Platform commission
+ *
+ * What the parent paid for a booking (gross) is split at settlement into:
+ *   provider earning = service amount - commission - GST on the commission
+ *   platform revenue = platform fee + commission
+ *   tax              = GST on the platform fee + GST on the commission
+ * The service amount is the booking's pricing subtotal; discounts are funded
+ * by the platform. The commission % comes from the most specific active
+ * CommissionRule matching the service, city and provider tier.
+ */
+class CommissionService {
+  /**
+   * Commission rule for a booking's context
+   * @returns {{ percent: number, ruleId: *, source: string }}
+   */
+  static async resolveRate({ service = 'nanny', cityId = null, tier = 'standard' }) {
+    const context = { service, cityId, tier };
+    const rules = await CommissionRule.find({ isActive: true });
+
+    const candidates = rules
+      .filter((rule) => MATCH_FIELDS.every((field) => rule[field] === null || rule[field] === undefined
+        || sameValue(rule[field], context[field])))
+      .map((rule) => ({ rule, specificity: MATCH_FIELDS.filter((field) => rule[field] !== null && rule[field] !== undefined).length }))
+      .sort((a, b) => b.specificity - a.specificity || b.rule.updatedAt - a.rule.updatedAt);
+
+    if (candidates.length === 0) {
+      return { percent: DEFAULT_COMMISSION_PERCENT, ruleId: null, source: 'default' };
+    }
+    const { rule } = candidates[0];
+    return { percent: rule.percent, ruleId: rule._id, source: rule.name || `rule:${rule._id}` };
+  }
+
+  /**
+   * Split a booking's price. Pure - no database access.
+   * @param {object} booking - Booking with totalAmount and (usually) pricing
+   * @param {number} commissionPercent
+   * @param {number} gstPercent - GST charged on the commission
+   */
+  static computeSplit(booking, commissionPercent, gstPercent) {
+    const grossAmount = booking.totalAmount;
+    // Bookings priced before the breakdown existed had no separate fees
+    const hasBreakdown = booking.pricing && typeof booking.pricing.subtotal === 'number';
+    const serviceAmount = hasBreakdown ? booking.pricing.subtotal : grossAmount;
+    const platformFee = hasBreakdown ? booking.pricing.platformFee || 0 : 0;
+    const platformFeeTax = hasBreakdown ? booking.pricing.taxTotal || 0 : 0;
+
+    const commission = percentOf(serviceAmount, commissionPercent);
+    const commissionTax = percentOf(commission, gstPercent);
+    const providerEarning = roundMoney(serviceAmount - commission - commissionTax);
+
+    return {
+      grossAmount,
+      serviceAmount,
+      discountTotal: hasBreakdown ? booking.pricing.discountTotal || 0 : 0,
+      commissionPercent,
+      commission,
+      commissionTax,
+      platformFee,
+      platformFeeTax,
+      providerEarning,
+      platformRevenue: roundMoney(platformFee + commission),
+      taxTotal: roundMoney(platformFeeTax + commissionTax),
+    };
+  }
+
+  /**
+   * Split for a nanny booking, using the nanny's tier and the booking's city
+   */
+  static async splitFor(booking) {
+    const nannyId = booking.nannyId?._id || booking.nannyId;
+    const [nanny, city] = await Promise.all([
+      User.findById(nannyId).select('nannyProfile.tier'),
+      booking.pricing?.cityId
+        ? City.findById(booking.pricing.cityId)
+        : (booking.address?.pincode ? City.findByPincode(booking.address.pincode) : null),
+    ]);
+
+    const rate = await CommissionService.resolveRate({
+      service: 'nanny',
+      cityId: city?._id || null,
+      tier: nanny?.nannyProfile?.tier || 'standard',
+    });
+    const { gstPercent } = PricingService.resolveRules(city);
+
+    return {
+      ...CommissionService.computeSplit(booking, rate.percent, gstPercent),
+      commissionRuleId: rate.ruleId,
+      commissionSource: rate.source,
+    };
+  }
+}
+
+CommissionService.DEFAULT_COMMISSION_PERCENT = DEFAULT_COMMISSION_PERCENT;
+
+module.exports = CommissionService;
@@ -0,0 +1,91 @@
+const BookingLifecycle = require('./bookingLifecycle');
+const SettlementService = require('./settlementService');
+const { ServiceError } = require('../utils/errors');
+
+const COMPLETION_METHODS = ['otp', 'qr', 'admin'];
+
+/**
+ * Booking completion
+ *
+ * Every way of completing a booking ends up here:
+ *   otp   - nanny verified the parent's OTP and uploads a photo
+ *   qr    - nanny scanned the QR code shown by the parent
+ *   admin - admin override from the admin panel
+ * The lifecycle marks the booking completed (and cash bookings paid), then
+ * settlement credits the nanny exactly once.
+ */
+class CompletionService {
+  /**
+   * Fields saved with the completion for each method
+   */
+  static verificationFields(method, { verificationImage } = {}) {
+    const now = new Date();
+    if (method === 'otp') {
+      return {
+        'completionVerification.verificationImage': verificationImage,
+        'completionVerification.verifiedAt': now,
+      };
+    }
+    if (method === 'qr') {
+      return {
+        // The scan proves the parent is present
+        'completionVerification.otpVerified': true,
+        'completionVerification.verifiedAt': now,
+        'completionVerification.qrToken': null,
+      };
+    }
+    return {};
+  }
+
+  /**
+   * Complete a booking. Calling it again for a completed booking only
+   * retries the settlement, so clients can safely repeat the request.
+   * @param {object} booking - Booking document
+   * @param {object} options
+   * @param {object} options.actor - { id, role }
+   * @param {string} options.method - 'otp', 'qr' or 'admin'
+   * @param {string} options.verificationImage - Photo for the otp method
+   * @param {string} options.reason - Note stored in status history
+   * @returns {{ booking, settlement, alreadyCompleted: boolean }} settlement is booking.settlement
+   */
+  static async complete(booking, { actor, method, verificationImage, reason }) {
+    if (!COMPLETION_METHODS.includes(method)) {
+      throw new ServiceError('Invalid completion method');
+    }
+    if (method === 'admin' && actor.role !== 'admin') {
+      throw new ServiceError('Only admins can complete bookings without verification', 403);
+    }
+    if (method === 'otp' && !verificationImage) {
+      throw new ServiceError('Verification image is required');
+    }
+
+    if (booking.status === 'completed') {
+      const result = await SettlementService.settleBooking(booking);
+      return { booking: result.booking, settlement: result.booking.settlement, alreadyCompleted: true };
+    }
+
+    const defaultReasons = {
+      otp: 'Completed with OTP and photo verification',
+      qr: 'Completed via QR scan',
+      admin: 'Completed by admin',
+    };
+
+    // The lifecycle's completion side effects settle the booking
+    const completed = await BookingLifecycle.transition(booking, 'completed', {
+      actor,
+      reason: reason || defaultReasons[method],
+      set: {
+        ...CompletionService.verificationFields(method, { verificationImage }),
+        'completionVerification.method': method,
+      },
+    });
+
+    return {
+      booking: completed,
+      settlement: completed.settlement,
+      alreadyCompleted: false,
+    };
+  }
+}
+
+module.exports = CompletionService;
@@ -0,0 +1,263 @@
+const User = require('../models/User');
+const OtpService = require('./otpService');
+const SessionService = require('./sessionService');
+const { hashSecret, verifySecret } = require('../utils/passwords');
+const { ServiceError } = require('../utils/errors');
+
+// Wrong answers allowed before the account is locked
+const MAX_FAILED_ATTEMPTS = 5;
+
+// Each lockout in a row lasts longer; the last one repeats
+const LOCKOUT_MINUTES = [1, 5, 15, 60, 240];
+
+const MIN_ADMIN_PASSWORD_LENGTH = 10;
+
+const PIN_PATTERN = /^\d{4}$/;
+
+// Where each secret and its lockout counters live on the User
+const CREDENTIALS = {
+  pin: {
+    hashPath: 'privacySettings.securityPin',
+    lockoutPath: 'privacySettings.pinLockout',
+  },
+  adminPassword: {
+    hashPath: 'adminCredentials.passwordHash',
+    lockoutPath: 'adminCredentials.lockout',
+  },
+};
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const lockoutMinutes = (lockouts) => LOCKOUT_MINUTES[Math.min(lockouts, LOCKOUT_MINUTES.length - 1)];
+
+const lockedError = (lockedUntil, now = new Date()) => {
+  const retryAfter = lockedUntil && lockedUntil > now
+    ? Math.ceil((lockedUntil.getTime() - now.getTime()) / 1000)
+    : undefined;
+  const wait = retryAfter ? ` Try again in ${Math.ceil(retryAfter / 60)} minute(s).` : ' Try again later.';
+  return new ServiceError(`Too many incorrect attempts.${wait}`, 429, retryAfter && { retryAfter });
+};
+
+const clearedLockout = (lockoutPath) => ({
+  [`${lockoutPath}.failedAttempts`]: 0,
+  [`${lockoutPath}.lockouts`]: 0,
+  [`${lockoutPath}.lockedUntil`]: null,
+});
+
+/**
+ * Check a secret against the user's stored hash, counting wrong answers.
+ * After MAX_FAILED_ATTEMPTS the account is locked for LOCKOUT_MINUTES, and
+ * every further lockout before a right answer lasts longer.
+ * @param {object} user - Must include the hash (select it where it is hidden)
+ * @param {string} credential - 'pin' or 'adminPassword'
+ * @returns {Promise<{ valid: boolean, attemptsLeft: number }>}
+ * @throws {ServiceError} 429 while locked
+ */
+const checkWithLockout = async (user, credential, secret) => {
+  const { hashPath, lockoutPath } = CREDENTIALS[credential];
+  const now = new Date();
+
+  // Count the attempt before checking, so parallel guesses cannot get past the limit
+  const counted = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      [`${lockoutPath}.failedAttempts`]: { $not: { $gte: MAX_FAILED_ATTEMPTS } },
+      $or: [{ [`${lockoutPath}.lockedUntil`]: null }, { [`${lockoutPath}.lockedUntil`]: { $lte: now } }],
+    },
+    { $inc: { [`${lockoutPath}.failedAttempts`]: 1 } },
+    { new: true }
+  );
+  if (!counted) {
+    const current = await User.findById(user._id).select(lockoutPath);
+    throw lockedError(valueAt(current, `${lockoutPath}.lockedUntil`), now);
+  }
+
+  const { valid, needsRehash } = await verifySecret(secret, valueAt(user, hashPath));
+
+  if (valid) {
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        ...clearedLockout(lockoutPath),
+        ...(needsRehash && { [hashPath]: await hashSecret(secret) }),
+      },
+    });
+    return { valid: true, attemptsLeft: MAX_FAILED_ATTEMPTS };
+  }
+
+  const failedAttempts = valueAt(counted, `${lockoutPath}.failedAttempts`);
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    const lockouts = valueAt(counted, `${lockoutPath}.lockouts`) || 0;
+    const lockedUntil = new Date(now.getTime() + lockoutMinutes(lockouts) * 60 * 1000);
+    await User.updateOne({ _id: user._id }, {
+      $set: { [`${lockoutPath}.failedAttempts`]: 0, [`${lockoutPath}.lockedUntil`]: lockedUntil },
+      $inc: { [`${lockoutPath}.lockouts`]: 1 },
+    });
+    throw lockedError(lockedUntil, now);
+  }
+
+  return { valid: false, attemptsLeft: MAX_FAILED_ATTEMPTS - failedAttempts };
+};
+
+// Other devices must sign in again once the PIN changes
+const signOutOtherDevices = (user, keepSessionId) =>
+  SessionService.revokeAll('user', user._id, { except: keepSessionId, reason: 'pin-change' });
+
+const assertPinFormat = (pin) => {
+  if (typeof pin !== 'string' || !PIN_PATTERN.test(pin)) {
+    throw new ServiceError('PIN must be exactly 4 digits');
+  }
+};
+
+/**
+ * Security PINs and admin passwords
+ *
+ * The app's 4-digit security PIN and the admin panel password are stored
+ * only as salted scrypt hashes (utils/passwords.js). Checking either one
+ * goes through checkWithLockout(), which locks the account for a growing
+ * time after repeated wrong answers. A forgotten PIN is reset with an OTP
+ * sent to the account's phone number. Changing, removing or resetting the
+ * PIN signs out every other device (keepSessionId is the one making the change).
+ */
+class CredentialService {
+  static hasPin(user) {
+    return !!user.privacySettings?.securityPin;
+  }
+
+  /**
+   * Check the security PIN (app unlock and PIN changes)
+   * @throws {ServiceError} 400 with attemptsLeft when wrong, 429 while locked
+   */
+  static async verifyPin(user, pin, { label = 'Incorrect PIN' } = {}) {
+    if (!CredentialService.hasPin(user)) {
+      throw new ServiceError('No security PIN set');
+    }
+    const { valid, attemptsLeft } = await checkWithLockout(user, 'pin', pin);
+    if (!valid) {
+      throw new ServiceError(label, 400, { attemptsLeft });
+    }
+  }
+
+  /**
+   * Set a PIN, or change it (currentPin required when one is set)
+   * @returns {boolean} Whether a PIN was already set
+   */
+  static async setPin(user, { currentPin, newPin, keepSessionId }) {
+    assertPinFormat(newPin);
+
+    const hadPin = CredentialService.hasPin(user);
+    if (hadPin) {
+      await CredentialService.verifyPin(user, currentPin, { label: 'Current PIN is incorrect' });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'privacySettings.securityPin': await hashSecret(newPin), ...clearedLockout(CREDENTIALS.pin.lockoutPath) },
+    });
+    if (hadPin) {
+      await signOutOtherDevices(user, keepSessionId);
+    }
+    return hadPin;
+  }
+
+  /**
+   * Remove the PIN; the current PIN is required
+   */
+  static async removePin(user, { pin, keepSessionId }) {
+    await CredentialService.verifyPin(user, pin);
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'privacySettings.securityPin': '', ...clearedLockout(CREDENTIALS.pin.lockoutPath) },
+    });
+    await signOutOtherDevices(user, keepSessionId);
+  }
+
+  /**
+   * Text a code for resetting a forgotten PIN to the account's number
+   * @returns {{ expiresIn, resendIn, devCode }}
+   */
+  static async sendPinResetOtp(user, { ip } = {}) {
+    if (!CredentialService.hasPin(user)) {
+      throw new ServiceError('No security PIN set');
+    }
+    return OtpService.send({
+      phoneNumber: user.phoneNumber,
+      countryCode: user.countryCode,
+      purpose: 'pin-reset',
+      subject: user._id,
+      ip,
+    });
+  }
+
+  /**
+   * Replace a forgotten PIN using the code from sendPinResetOtp(). Clears any lockout.
+   */
+  static async resetPin(user, { otp, newPin, keepSessionId }) {
+    assertPinFormat(newPin);
+    await OtpService.verify({
+      phoneNumber: user.phoneNumber,
+      countryCode: user.countryCode,
+      purpose: 'pin-reset',
+      subject: user._id,
+      code: otp,
+    });
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'privacySettings.securityPin': await hashSecret(newPin), ...clearedLockout(CREDENTIALS.pin.lockoutPath) },
+    });
+    await signOutOtherDevices(user, keepSessionId);
+  }
+
+  /**
+   * Store a new admin password
+   */
+  static async setAdminPassword(user, password) {
+    if (typeof password !== 'string' || password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+      throw new ServiceError(`Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`);
+    }
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'adminCredentials.passwordHash': await hashSecret(password),
+        'adminCredentials.passwordChangedAt': new Date(),
+        ...clearedLockout(CREDENTIALS.adminPassword.lockoutPath),
+      },
+    });
+  }
+
+  /**
+   * Admin panel sign-in
+   * @returns {object} The admin
+   * @throws {ServiceError} 401 for an unknown number or wrong password, 429 while locked
+   */
+  static async authenticateAdmin(phoneNumber, password) {
+    const admin = await User.findOne({ phoneNumber, role: 'admin' }).select('+adminCredentials.passwordHash');
+    if (!admin || !admin.adminCredentials?.passwordHash) {
+      throw new ServiceError('Invalid phone number or password', 401);
+    }
+
+    const { valid } = await checkWithLockout(admin, 'adminPassword', password);
+    if (!valid) {
+      throw new ServiceError('Invalid phone number or password', 401);
+    }
+    return admin;
+  }
+
+  /**
+   * Change an admin's own password
+   */
+  static async changeAdminPassword(adminId, { currentPassword, newPassword }) {
+    const admin = await User.findById(adminId).select('+adminCredentials.passwordHash');
+    if (!admin?.adminCredentials?.passwordHash) {
+      throw new ServiceError('No admin password set', 404);
+    }
+
+    const { valid } = await checkWithLockout(admin, 'adminPassword', currentPassword);
+    if (!valid) {
+      throw new ServiceError('Current password is incorrect', 401);
+    }
+    await CredentialService.setAdminPassword(admin, newPassword);
+  }
+}
+
+CredentialService.MAX_FAILED_ATTEMPTS = MAX_FAILED_ATTEMPTS;
+CredentialService.LOCKOUT_MINUTES = LOCKOUT_MINUTES;
+CredentialService.MIN_ADMIN_PASSWORD_LENGTH = MIN_ADMIN_PASSWORD_LENGTH;
+
+module.exports = CredentialService;
@@ -0,0 +1,402 @@
+const Booking = require('../models/Booking');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Payout = require('../models/Payout');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const LedgerService = require('./ledgerService');
+const { platform } = require('../config/business');
+const { amountInWords, renderInvoice } = require('./invoiceTemplates');
+const { toCalendarDate, zonedTimestamp } = require('../utils/time');
+const { ServiceError } = require('../utils/errors');
+
+const DUPLICATE_KEY = 11000;
+
+// A call that claimed a booking's invoice and did not finish gives it up after this
+const ISSUE_CLAIM_TTL_MS = 60 * 1000;
+
+// Services Accounting Codes: care services, and the platform's own support service
+const SAC = {
+  care: '999351',
+  platform: '998599',
+};
+
+const NUMBER_PREFIX = {
+  invoice: 'WC',
+  receipt: 'WCR',
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const sum = (items, pick) => roundMoney(items.reduce((total, item) => total + (pick(item) || 0), 0));
+
+const sameState = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const addressLine = (address) => address?.formattedAddress
+  || [address?.street, address?.city, address?.state, address?.pincode].filter(Boolean).join(', ');
+
+/**
+ * Indian financial year (April to March) of a date, e.g. "2026-27"
+ */
+const financialYearOf = (date) => {
+  const [year, month] = toCalendarDate(date).split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Split the GST on an amount into CGST + SGST (same state) or IGST
+ */
+const splitTax = (tax, intra) => {
+  if (!intra) return { cgst: 0, sgst: 0, igst: roundMoney(tax) };
+  const cgst = roundMoney(tax / 2);
+  return { cgst, sgst: roundMoney(tax - cgst), igst: 0 };
+};
+
+/**
+ * Invoice line items from the booking's price breakdown. Care lines are
+ * billed on behalf of the provider; GST applies to the platform fee.
+ */
+const lineItemsFor = (booking, intra) => {
+  const items = booking.pricing?.lineItems || [];
+
+  if (items.length === 0) {
+    return [{
+      code: 'service',
+      description: `Care service (${booking.totalHours} hrs)`,
+      sac: SAC.care,
+      amount: roundMoney(booking.totalAmount),
+      taxable: false,
+      gstPercent: 0,
+      ...splitTax(0, intra),
+    }];
+  }
+
+  const taxTotal = sum(items.filter((item) => item.type === 'tax'), (item) => item.amount);
+  const fees = items.filter((item) => item.type === 'fee');
+  const feeTotal = sum(fees, (item) => item.amount);
+  const gstPercent = feeTotal > 0 ? Math.round((taxTotal / feeTotal) * 100) : 0;
+
+  let taxLeft = taxTotal;
+  return items
+    .filter((item) => item.type !== 'tax')
+    .map((item, index, lines) => {
+      if (item.type !== 'fee') {
+        return {
+          code: item.code,
+          description: item.label,
+          sac: SAC.care,
+          amount: roundMoney(item.amount),
+          taxable: false,
+          gstPercent: 0,
+          ...splitTax(0, intra),
+        };
+      }
+      // The last fee takes the rounding remainder so the taxes add up
+      const isLastFee = lines.slice(index + 1).every((line) => line.type !== 'fee');
+      const tax = isLastFee ? taxLeft : roundMoney((item.amount * gstPercent) / 100);
+      taxLeft = roundMoney(taxLeft - tax);
+      return {
+        code: item.code,
+        description: item.label,
+        sac: SAC.platform,
+        amount: roundMoney(item.amount),
+        taxable: true,
+        gstPercent,
+        ...splitTax(tax, intra),
+      };
+    });
+};
+
+/**
+ * Invoices, receipts and provider statements
+ *
+ * Every paid booking gets exactly one document: a tax invoice when it was
+ * paid online, a receipt when the cash was collected on site. Numbers are
+ * consecutive per document type and financial year (WC/2026-27/000001,
+ * WCR/2026-27/000001), as GST requires. Documents are issued when the
+ * payment is recorded and otherwise on first request, and never change.
+ *
+ * Limitations:
+ * - Bookings are only made with nannies (Booking.nannyId), who are
+ *   individuals without a GSTIN, so the provider's GSTIN stays blank.
+ *   build() takes a daycare or eldercare provider (centerName, gstNumber,
+ *   address), but nothing books or bills them yet.
+ * - Documents are stored as printable HTML only; there is no PDF renderer.
+ */
+class InvoiceService {
+  /**
+   * Invoice contents for a booking, without a number. Pure - no database access.
+   * @param {object} booking - Booking document
+   * @param {object} parties - { parent, provider (document), providerType }
+   */
+  static build(booking, { parent, provider, providerType = 'nanny' }) {
+    const customerState = booking.address?.state || parent?.address?.state || '';
+    // Without a customer address the supply is placed where the platform is
+    const placeOfSupply = customerState || platform.state;
+    const intra = sameState(placeOfSupply, platform.state);
+
+    const lineItems = lineItemsFor(booking, intra);
+    const positive = lineItems.filter((item) => item.amount > 0);
+    const taxableValue = sum(lineItems.filter((item) => item.taxable), (item) => item.amount);
+    const cgst = sum(lineItems, (item) => item.cgst);
+    const sgst = sum(lineItems, (item) => item.sgst);
+    const igst = sum(lineItems, (item) => item.igst);
+    const taxTotal = roundMoney(cgst + sgst + igst);
+    const total = roundMoney(sum(lineItems, (item) => item.amount) + taxTotal);
+
+    return {
+      kind: booking.payment?.method === 'cash' ? 'receipt' : 'invoice',
+      bookingId: booking._id,
+      bookingRef: booking.bookingId,
+      parentId: parent?._id || booking.parentId,
+      provider: { type: providerType, id: provider?._id || booking.nannyId },
+      seller: {
+        name: platform.name,
+        gstin: platform.gstin,
+        address: platform.address,
+        state: platform.state,
+        email: platform.email,
+      },
+      serviceProvider: {
+        name: provider?.centerName || provider?.name || '',
+        gstin: provider?.gstNumber || '',
+        address: providerType === 'nanny' ? '' : addressLine(provider?.address),
+        state: provider?.address?.state || '',
+      },
+      customer: {
+        name: parent?.name || '',
+        phoneNumber: parent?.phoneNumber || '',
+        email: parent?.email || '',
+        address: addressLine(booking.address) || addressLine(parent?.address),
+        state: customerState,
+      },
+      placeOfSupply,
+      supplyType: intra ? 'intra' : 'inter',
+      serviceDate: booking.date,
+      serviceTime: `${booking.startTime} - ${booking.endTime}`,
+      lineItems,
+      totals: {
+        subtotal: sum(positive, (item) => item.amount),
+        discountTotal: roundMoney(-sum(lineItems.filter((item) => item.amount < 0), (item) => item.amount)),
+        taxableValue,
+        cgst,
+        sgst,
+        igst,
+        taxTotal,
+        total,
+        amountInWords: amountInWords(total),
+      },
+      currency: booking.pricing?.currency || 'INR',
+      payment: {
+        method: booking.payment?.method,
+        paidAt: booking.payment?.paidAt,
+        transactionId: booking.payment?.transactionId,
+        walletAmount: booking.payment?.walletAmount || 0,
+      },
+    };
+  }
+
+  /**
+   * Next number for a document type, e.g. WC/2026-27/000123
+   */
+  static async nextNumber(kind, date = new Date()) {
+    const financialYear = financialYearOf(date);
+    const seq = await Counter.next(`${kind}:${financialYear}`);
+    return {
+      financialYear,
+      invoiceNumber: `${NUMBER_PREFIX[kind]}/${financialYear}/${String(seq).padStart(6, '0')}`,
+    };
+  }
+
+  static isInvoiceable(booking) {
+    return ['paid', 'refunded'].includes(booking.payment?.status);
+  }
+
+  /**
+   * Issue the booking's invoice or receipt if it does not have one yet.
+   * Safe to call repeatedly. The booking is claimed before a number is
+   * taken, so concurrent calls do not use up numbers and leave gaps.
+   * @returns {object|null} The invoice, or null while the booking is unpaid
+   *   or another call is still issuing it
+   */
+  static async issueFor(booking) {
+    const existing = await Invoice.findOne({ bookingId: booking._id });
+    if (existing) return existing;
+    if (!InvoiceService.isInvoiceable(booking)) return null;
+
+    const issuedAt = new Date();
+    const claimed = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        $or: [
+          { invoiceClaimedAt: null },
+          { invoiceClaimedAt: { $lte: new Date(issuedAt.getTime() - ISSUE_CLAIM_TTL_MS) } },
+        ],
+      },
+      { $set: { invoiceClaimedAt: issuedAt } }
+    );
+    if (!claimed) {
+      return Invoice.findOne({ bookingId: booking._id });
+    }
+
+    try {
+      // Issued between the first lookup and the claim
+      const issued = await Invoice.findOne({ bookingId: booking._id });
+      if (issued) return issued;
+
+      const [parent, provider] = await Promise.all([
+        User.findById(booking.parentId?._id || booking.parentId),
+        User.findById(booking.nannyId?._id || booking.nannyId),
+      ]);
+
+      const contents = InvoiceService.build(booking, { parent, provider, providerType: 'nanny' });
+      const { invoiceNumber, financialYear } = await InvoiceService.nextNumber(contents.kind, issuedAt);
+      const invoice = { ...contents, invoiceNumber, financialYear, issuedAt };
+
+      const created = await Invoice.create({ ...invoice, html: renderInvoice(invoice) });
+      console.log(`🧾 ${created.kind === 'receipt' ? 'Receipt' : 'Invoice'} ${created.invoiceNumber} issued for booking ${booking.bookingId}`);
+      return created;
+    } catch (error) {
+      // Issued by a call that took over an expired claim
+      if (error.code === DUPLICATE_KEY) return Invoice.findOne({ bookingId: booking._id });
+      // Let the next call issue it
+      await Booking.updateOne({ _id: booking._id, invoiceClaimedAt: issuedAt }, { $unset: { invoiceClaimedAt: 1 } });
+      throw error;
+    }
+  }
+
+  /**
+   * The booking's invoice, issuing it now if needed
+   */
+  static async forBooking(booking) {
+    const invoice = await InvoiceService.issueFor(booking);
+    if (!invoice) {
+      if (InvoiceService.isInvoiceable(booking)) {
+        throw new ServiceError('The invoice is being issued. Please try again shortly.', 409);
+      }
+      throw new ServiceError('An invoice is available once the booking has been paid', 409);
+    }
+    return invoice;
+  }
+
+  /**
+   * Issue documents for paid bookings that have none yet (bookings paid
+   * before invoicing existed, or whose issuing failed)
+   * @returns {number} Documents issued
+   */
+  static async issueMissing({ limit = 100 } = {}) {
+    const invoiced = await Invoice.distinct('bookingId');
+    const bookings = await Booking.find({
+      _id: { $nin: invoiced },
+      'payment.status': { $in: ['paid', 'refunded'] },
+    }).sort({ 'payment.paidAt': 1 }).limit(limit);
+
+    let issued = 0;
+    for (const booking of bookings) {
+      if (await InvoiceService.issueFor(booking)) issued += 1;
+    }
+    return issued;
+  }
+
+  /**
+   * A provider's month: invoices for their bookings, earnings credited
+   * (with the commission taken) and payouts
+   * @param {string} type - 'nanny', 'daycare' or 'eldercare'
+   * @param {object} account - Provider document
+   * @param {string} month - "YYYY-MM" (IST)
+   */
+  static async monthlyStatement(type, account, month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new ServiceError('Month must look like 2026-09');
+    }
+    const year = Number(match[1]);
+    const monthNumber = Number(match[2]);
+    const next = monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+    const from = zonedTimestamp(`${month}-01`, 0);
+    const to = zonedTimestamp(`${next}-01`, 0);
+
+    const [invoices, earnings, payouts, balance] = await Promise.all([
+      Invoice.find({ 'provider.type': type, 'provider.id': account._id, issuedAt: { $gte: from, $lt: to } })
+        .sort({ issuedAt: 1 })
+        .select('invoiceNumber kind bookingRef issuedAt totals'),
+      Transaction.find({
+        userId: account._id,
+        type: { $in: ['earning', 'cancellation-fee', 'referral-bonus'] },
+        status: 'completed',
+        createdAt: { $gte: from, $lt: to },
+      }).sort({ createdAt: 1 }),
+      Payout.find({ 'owner.type': type, 'owner.id': account._id, createdAt: { $gte: from, $lt: to } })
+        .sort({ createdAt: 1 }),
+      LedgerService.providerBalance(type, account._id),
+    ]);
+
+    const earningRows = earnings.map((t) => ({
+      date: t.createdAt,
+      type: t.type,
+      description: t.description,
+      grossAmount: t.split?.grossAmount ?? t.amount,
+      commission: t.split?.commission || 0,
+      commissionTax: t.split?.commissionTax || 0,
+      amount: t.amount,
+    }));
+    const payoutsIn = (statuses) => sum(payouts.filter((payout) => statuses.includes(payout.status)), (p) => p.amount);
+
+    return {
+      month,
+      from,
+      to: new Date(to.getTime() - 1),
+      platform: {
+        name: platform.name,
+        gstin: platform.gstin,
+        address: platform.address,
+        state: platform.state,
+      },
+      provider: {
+        type,
+        id: account._id,
+        name: account.centerName || account.name || '',
+        gstin: account.gstNumber || '',
+        address: addressLine(account.address),
+        state: account.address?.state || '',
+        phoneNumber: account.phoneNumber,
+      },
+      summary: {
+        invoiceCount: invoices.length,
+        grossBookingValue: sum(invoices, (invoice) => invoice.totals?.total),
+        commission: sum(earningRows, (row) => row.commission),
+        commissionTax: sum(earningRows, (row) => row.commissionTax),
+        earnings: sum(earningRows, (row) => row.amount),
+        payoutsPaid: payoutsIn(['paid']),
+        payoutsPending: payoutsIn(['requested', 'approved', 'processing']),
+        payoutsFailed: payoutsIn(['failed', 'reversed']),
+        availableBalance: balance.availableBalance,
+      },
+      invoices: invoices.map((invoice) => ({
+        id: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        kind: invoice.kind,
+        bookingRef: invoice.bookingRef,
+        issuedAt: invoice.issuedAt,
+        total: invoice.totals?.total,
+      })),
+      earnings: earningRows,
+      payouts: payouts.map((payout) => ({
+        id: payout._id,
+        payoutId: payout.payoutId,
+        amount: payout.amount,
+        method: payout.method,
+        status: payout.status,
+        utr: payout.utr,
+        createdAt: payout.createdAt,
+        paidAt: payout.paidAt,
+      })),
+    };
+  }
+}
+
+InvoiceService.financialYearOf = financialYearOf;
+InvoiceService.SAC = SAC;
+
+module.exports = InvoiceService;
@@ -0,0 +1,261 @@
+/**
+ * Printable HTML for invoices, receipts and provider statements
+ *
+ * Pure functions of the stored records, so a document renders the same
+ * every time. The apps open the HTML in a web view and print or share it
+ * as PDF from there.
+ */
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigits = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+const threeDigits = (n) => [
+  Math.floor(n / 100) ? `${ONES[Math.floor(n / 100)]} Hundred` : '',
+  n % 100 ? twoDigits(n % 100) : '',
+].filter(Boolean).join(' ');
+
+// Indian numbering: crore, lakh, thousand
+const integerInWords = (value) => {
+  if (value === 0) return 'Zero';
+  let n = value;
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+
+  return [
+    crore ? `${integerInWords(crore)} Crore` : '',
+    lakh ? `${twoDigits(lakh)} Lakh` : '',
+    thousand ? `${twoDigits(thousand)} Thousand` : '',
+    n ? threeDigits(n) : '',
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * "Rupees One Thousand Two Hundred and Fifty Paise Only"
+ */
+const amountInWords = (amount) => {
+  const rupees = Math.floor(Math.abs(amount));
+  const paise = Math.round((Math.abs(amount) - rupees) * 100);
+  return `Rupees ${integerInWords(rupees)}${paise ? ` and ${twoDigits(paise)} Paise` : ''} Only`;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const money = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+})}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' })
+  : '');
+
+const STYLE = `
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 32px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px; color: #E23744; }
+  h2 { font-size: 14px; margin: 24px 0 8px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f6f6f6; }
+  td.num, th.num { text-align: right; white-space: nowrap; }
+  .parties { display: flex; gap: 24px; margin-top: 16px; }
+  .parties > div { flex: 1; }
+  .muted { color: #777; }
+  .total td { font-weight: bold; }
+`;
+
+const party = (title, details) => {
+  if (!details?.name) return '';
+  return `<div>
+    <strong>${escapeHtml(title)}</strong><br>
+    ${escapeHtml(details.name)}<br>
+    ${details.address ? `${escapeHtml(details.address)}<br>` : ''}
+    ${details.state ? `State: ${escapeHtml(details.state)}<br>` : ''}
+    ${details.gstin ? `GSTIN: ${escapeHtml(details.gstin)}<br>` : ''}
+    ${details.phoneNumber ? `Phone: ${escapeHtml(details.phoneNumber)}<br>` : ''}
+    ${details.email ? `Email: ${escapeHtml(details.email)}` : ''}
+  </div>`;
+};
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const paidBy = (payment = {}) => {
+  if (payment.method === 'cash') return 'in cash';
+  if (payment.method === 'wallet') return 'from wallet';
+  return payment.walletAmount ? `online (${money(payment.walletAmount)} from wallet)` : 'online';
+};
+
+/**
+ * Tax invoice (online and wallet payments) or payment receipt (cash)
+ * @param {object} invoice - Invoice record or the same shape
+ */
+const renderInvoice = (invoice) => {
+  const intra = invoice.supplyType === 'intra';
+  const title = invoice.kind === 'receipt' ? 'Payment Receipt' : 'Tax Invoice';
+
+  const rows = invoice.lineItems.map((item) => `<tr>
+    <td>${escapeHtml(item.description)}</td>
+    <td>${escapeHtml(item.sac)}</td>
+    <td class="num">${money(item.amount)}</td>
+    <td class="num">${item.taxable ? `${item.gstPercent}%` : '-'}</td>
+    ${intra
+    ? `<td class="num">${money(item.cgst)}</td><td class="num">${money(item.sgst)}</td>`
+    : `<td class="num">${money(item.igst)}</td>`}
+  </tr>`).join('');
+
+  const { totals } = invoice;
+
+  return page(`${title} ${invoice.invoiceNumber}`, `
+  <h1>${escapeHtml(title)}</h1>
+  <div>No. <strong>${escapeHtml(invoice.invoiceNumber)}</strong> · ${formatDate(invoice.issuedAt)}</div>
+  <div class="muted">Booking ${escapeHtml(invoice.bookingRef)} · Service on ${formatDate(invoice.serviceDate)}
+    ${invoice.serviceTime ? `(${escapeHtml(invoice.serviceTime)})` : ''}</div>
+
+  <div class="parties">
+    ${party('Supplier', invoice.seller)}
+    ${party('Billed to', invoice.customer)}
+    ${party('Service provided by', invoice.serviceProvider)}
+  </div>
+  <div style="margin-top: 8px">Place of supply: ${escapeHtml(invoice.placeOfSupply)}</div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th><th>SAC</th><th class="num">Amount</th><th class="num">GST</th>
+        ${intra ? '<th class="num">CGST</th><th class="num">SGST</th>' : '<th class="num">IGST</th>'}
+      </tr>
+    </thead>
+    <tbody>${rows}</tbody>
+  </table>
+
+  <table>
+    <tbody>
+      <tr><td>Subtotal</td><td class="num">${money(totals.subtotal)}</td></tr>
+      ${totals.discountTotal ? `<tr><td>Discounts</td><td class="num">-${money(totals.discountTotal)}</td></tr>` : ''}
+      <tr><td>Taxable value</td><td class="num">${money(totals.taxableValue)}</td></tr>
+      ${intra
+    ? `<tr><td>CGST</td><td class="num">${money(totals.cgst)}</td></tr>
+         <tr><td>SGST</td><td class="num">${money(totals.sgst)}</td></tr>`
+    : `<tr><td>IGST</td><td class="num">${money(totals.igst)}</td></tr>`}
+      <tr class="total"><td>Total</td><td class="num">${money(totals.total)}</td></tr>
+    </tbody>
+  </table>
+  <p>${escapeHtml(totals.amountInWords)}</p>
+
+  <p>Paid ${paidBy(invoice.payment)} on ${formatDate(invoice.payment?.paidAt)}
+    ${invoice.payment?.transactionId ? `· Ref ${escapeHtml(invoice.payment.transactionId)}` : ''}</p>
+  <p class="muted">Childcare services are billed on behalf of the service provider; GST is charged on the
+    platform fee. This is a computer generated document and needs no signature.</p>`);
+};
+
+/**
+ * Monthly statement of a provider
+ * @param {object} statement - As returned by InvoiceService.monthlyStatement()
+ */
+const renderStatement = (statement) => {
+  const { summary } = statement;
+
+  const invoiceRows = statement.invoices.map((invoice) => `<tr>
+    <td>${formatDate(invoice.issuedAt)}</td>
+    <td>${escapeHtml(invoice.invoiceNumber)}</td>
+    <td>${escapeHtml(invoice.bookingRef)}</td>
+    <td class="num">${money(invoice.total)}</td>
+  </tr>`).join('');
+
+  const earningRows = statement.earnings.map((earning) => `<tr>
+    <td>${formatDate(earning.date)}</td>
+    <td>${escapeHtml(earning.description)}</td>
+    <td class="num">${money(earning.grossAmount)}</td>
+    <td class="num">${money(earning.commission)}</td>
+    <td class="num">${money(earning.commissionTax)}</td>
+    <td class="num">${money(earning.amount)}</td>
+  </tr>`).join('');
+
+  const payoutRows = statement.payouts.map((payout) => `<tr>
+    <td>${formatDate(payout.createdAt)}</td>
+    <td>${escapeHtml(payout.payoutId)}</td>
+    <td>${escapeHtml(payout.status)}</td>
+    <td>${escapeHtml(payout.utr || '')}</td>
+    <td class="num">${money(payout.amount)}</td>
+  </tr>`).join('');
+
+  const empty = (columns) => `<tr><td colspan="${columns}" class="muted">None</td></tr>`;
+
+  return page(`Statement ${statement.month}`, `
+  <h1>Monthly Statement</h1>
+  <div>${escapeHtml(statement.month)} · ${formatDate(statement.from)} to ${formatDate(statement.to)}</div>
+
+  <div class="parties">
+    ${party('Issued by', statement.platform)}
+    ${party('Provider', statement.provider)}
+  </div>
+
+  <h2>Summary</h2>
+  <table>
+    <tbody>
+      <tr><td>Bookings invoiced</td><td class="num">${summary.invoiceCount}</td></tr>
+      <tr><td>Gross booking value</td><td class="num">${money(summary.grossBookingValue)}</td></tr>
+      <tr><td>Commission</td><td class="num">${money(summary.commission)}</td></tr>
+      <tr><td>GST on commission</td><td class="num">${money(summary.commissionTax)}</td></tr>
+      <tr class="total"><td>Earnings credited</td><td class="num">${money(summary.earnings)}</td></tr>
+      <tr><td>Payouts paid</td><td class="num">${money(summary.payoutsPaid)}</td></tr>
+      <tr><td>Payouts in progress</td><td class="num">${money(summary.payoutsPending)}</td></tr>
+      <tr><td>Payouts failed or returned</td><td class="num">${money(summary.payoutsFailed)}</td></tr>
+      <tr><td>Available balance today</td><td class="num">${money(summary.availableBalance)}</td></tr>
+    </tbody>
+  </table>
+
+  <h2>Invoices</h2>
+  <table>
+    <thead><tr><th>Date</th><th>Invoice</th><th>Booking</th><th class="num">Total</th></tr></thead>
+    <tbody>${invoiceRows || empty(4)}</tbody>
+  </table>
+
+  <h2>Earnings</h2>
+  <table>
+    <thead><tr>
+      <th>Date</th><th>Description</th><th class="num">Gross</th><th class="num">Commission</th>
+      <th class="num">GST</th><th class="num">Credited</th>
+    </tr></thead>
+    <tbody>${earningRows || empty(6)}</tbody>
+  </table>
+
+  <h2>Payouts</h2>
+  <table>
+    <thead><tr><th>Date</th><th>Payout</th><th>Status</th><th>UTR</th><th class="num">Amount</th></tr></thead>
+    <tbody>${payoutRows || empty(5)}</tbody>
+  </table>
+  <p class="muted">Commission and the GST on it are charged by ${escapeHtml(statement.platform.name)}
+    ${statement.platform.gstin ? `(GSTIN ${escapeHtml(statement.platform.gstin)})` : ''}.</p>`);
+};
+
+module.exports = {
+  amountInWords,
+  escapeHtml,
+  renderInvoice,
+  renderStatement,
+};
@@ -0,0 +1,445 @@
+const LedgerEntry = require('../models/LedgerEntry');
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Ledger accounts
+ *
+ *   platform:cash                  money the platform holds (gateway + bank)
+ *   platform:cash-with-providers   cash collected on site by the provider
+ *   platform:customer-prepayments  paid bookings not yet completed or cancelled
+ *   platform:revenue               platform fees and commission
+ *   platform:tax-payable           GST collected
+ *   platform:opening-balance       balances carried over from before the ledger
+ *   platform:promotions            promo discounts, credit and referral rewards (an expense)
+ *   provider:<type>:<id>           what the platform owes a nanny/daycare/eldercare provider
+ *   payouts-in-flight:<type>:<id>  withdrawals requested but not yet paid out
+ *   parent-wallet:<id>             parent wallet credit
+ */
+const ACCOUNTS = {
+  cash: 'platform:cash',
+  cashWithProviders: 'platform:cash-with-providers',
+  prepayments: 'platform:customer-prepayments',
+  revenue: 'platform:revenue',
+  taxPayable: 'platform:tax-payable',
+  openingBalance: 'platform:opening-balance',
+  promotions: 'platform:promotions',
+  provider: (type, id) => `provider:${type}:${id}`,
+  payoutsInFlight: (type, id) => `payouts-in-flight:${type}:${id}`,
+  parentWallet: (id) => `parent-wallet:${id}`,
+};
+
+const PROVIDER_TYPES = ['nanny', 'daycare', 'eldercare'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value?._id || value).toString();
+
+// Debit (or, for a negative amount, credit) an account
+const debit = (account, amount) => (amount >= 0
+  ? { account, debit: roundMoney(amount), credit: 0 }
+  : { account, debit: 0, credit: roundMoney(-amount) });
+
+const credit = (account, amount) => (amount >= 0
+  ? { account, debit: 0, credit: roundMoney(amount) }
+  : { account, debit: roundMoney(-amount), credit: 0 });
+
+/**
+ * Per-account, per-kind debit/credit totals for the given accounts
+ */
+const totalsFor = async (accounts, match = {}) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { 'lines.account': { $in: accounts }, ...match } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': { $in: accounts } } },
+    {
+      $group: {
+        _id: { account: '$lines.account', kind: '$kind' },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' },
+      },
+    },
+  ]);
+
+  const totals = new Map(accounts.map((account) => [account, { debit: 0, credit: 0, byKind: {} }]));
+  for (const row of rows) {
+    const account = totals.get(row._id.account);
+    account.debit += row.debit;
+    account.credit += row.credit;
+    account.byKind[row._id.kind] = { debit: row.debit, credit: row.credit };
+  }
+  return totals;
+};
+
+const providerSummary = (providerTotals, inFlightTotals) => {
+  const reversed = providerTotals.byKind['withdrawal-reversed']?.credit || 0;
+  const cashCollected = roundMoney(providerTotals.byKind['cash-collected']?.debit || 0);
+  const totalEarnings = roundMoney(providerTotals.credit - reversed);
+  const availableBalance = roundMoney(providerTotals.credit - providerTotals.debit);
+  return {
+    totalEarnings,
+    // Negative when the provider holds more cash than they earned (commission they owe)
+    availableBalance,
+    cashCollected,
+    // Includes withdrawals still being paid out, as the old counter did
+    withdrawnAmount: roundMoney(totalEarnings - cashCollected - availableBalance),
+    pendingWithdrawals: roundMoney(inFlightTotals.credit - inFlightTotals.debit),
+  };
+};
+
+/**
+ * Double-entry ledger
+ *
+ * Every movement of money posts one balanced LedgerEntry and balances are
+ * always derived from the entries, never stored. Posting is idempotent per
+ * key, so callers may safely post again after a retry or a crash.
+ * Transactions remain the per-user history shown in the apps; ledger entries
+ * link back to them.
+ */
+class LedgerService {
+  /**
+   * Post a balanced entry. Zero lines are dropped; an entry with nothing
+   * left is not posted.
+   * @returns {object|null} The entry (the existing one if the key was already posted)
+   */
+  static async post(kind, key, lines, refs = {}) {
+    const nonZero = lines.filter((line) => line.debit > 0 || line.credit > 0);
+    if (nonZero.length === 0) return null;
+
+    try {
+      return await LedgerEntry.create({ kind, key, lines: nonZero, ...refs });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return LedgerEntry.findOne({ key });
+      throw error;
+    }
+  }
+
+  /**
+   * Money received for a booking, held until it is completed or cancelled
+   */
+  static async recordBookingPayment(booking) {
+    if (!['paid', 'refunded'].includes(booking.payment?.status)) return null;
+    const received = booking.payment.method === 'cash' ? ACCOUNTS.cashWithProviders : ACCOUNTS.cash;
+    // The wallet part was posted when it was taken (recordWalletPayment)
+    const amount = roundMoney(booking.totalAmount - (booking.payment.walletAmount || 0));
+    return LedgerService.post('booking-payment', `booking-payment:${booking._id}`, [
+      debit(received, amount),
+      credit(ACCOUNTS.prepayments, amount),
+    ], {
+      bookingId: booking._id,
+      description: `Payment for booking ${booking.bookingId}`,
+    });
+  }
+
+  /**
+   * Cash the provider collected on site for a booking (all but the wallet part)
+   */
+  static cashCollectedFor(booking) {
+    if (booking.payment?.method !== 'cash' || !['paid', 'refunded'].includes(booking.payment?.status)) return 0;
+    return roundMoney(booking.totalAmount - (booking.payment.walletAmount || 0));
+  }
+
+  /**
+   * Completed booking: the prepayment is split between the provider,
+   * platform revenue and GST. Discounts are a promotions expense, since
+   * the provider earns on the undiscounted amount.
+   * For a cash booking the provider already holds the cash, so it is taken
+   * off their balance as well and they are left with their earning less what
+   * they collected (negative: the commission they owe the platform).
+   * @param {object} split - { providerEarning, taxTotal, discountTotal } from CommissionService
+   * @param {object} transactionId - The earning transaction
+   * @param {object} cashTransactionId - The 'cash-collected' transaction of a cash booking
+   */
+  static async recordSettlement(booking, split, transactionId, cashTransactionId) {
+    await LedgerService.recordBookingPayment(booking);
+
+    const total = booking.totalAmount;
+    const { providerEarning, taxTotal } = split;
+    const discountTotal = split.discountTotal || 0;
+    const entry = await LedgerService.post('earning', `earning:${booking._id}`, [
+      debit(ACCOUNTS.prepayments, total),
+      debit(ACCOUNTS.promotions, discountTotal),
+      credit(ACCOUNTS.provider('nanny', idOf(booking.nannyId)), providerEarning),
+      credit(ACCOUNTS.taxPayable, taxTotal),
+      credit(ACCOUNTS.revenue, total + discountTotal - providerEarning - taxTotal),
+    ], {
+      bookingId: booking._id,
+      transactionId,
+      description: `Booking ${booking.bookingId} completed`,
+    });
+
+    const cashCollected = LedgerService.cashCollectedFor(booking);
+    if (cashCollected > 0) {
+      await LedgerService.post('cash-collected', `cash-collected:${booking._id}`, [
+        debit(ACCOUNTS.provider('nanny', idOf(booking.nannyId)), cashCollected),
+        credit(ACCOUNTS.cashWithProviders, cashCollected),
+      ], {
+        bookingId: booking._id,
+        transactionId: cashTransactionId,
+        description: `Cash collected for booking ${booking.bookingId}`,
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Cancellation fee kept from a prepayment: the provider's share and the rest
+   * as platform revenue. The refunded part is posted by recordRefund().
+   */
+  static async recordCancellationFee(booking, { cancellationFee, nannyCompensation }, transactionId) {
+    await LedgerService.recordBookingPayment(booking);
+
+    return LedgerService.post('cancellation-fee', `cancellation-fee:${booking._id}`, [
+      debit(ACCOUNTS.prepayments, cancellationFee),
+      credit(ACCOUNTS.provider('nanny', idOf(booking.nannyId)), nannyCompensation),
+      credit(ACCOUNTS.revenue, cancellationFee - nannyCompensation),
+    ], {
+      bookingId: booking._id,
+      transactionId,
+      description: `Cancellation fee for booking ${booking.bookingId}`,
+    });
+  }
+
+  /**
+   * Money returned to the parent, through the gateway or to their wallet.
+   * Refunds of a booking that was already settled come out of platform revenue.
+   */
+  static async recordRefund(refund, booking) {
+    await LedgerService.recordBookingPayment(booking);
+
+    const from = booking.settlement?.status === 'settled' ? ACCOUNTS.revenue : ACCOUNTS.prepayments;
+    const to = refund.destination === 'wallet' ? ACCOUNTS.parentWallet(idOf(refund.userId)) : ACCOUNTS.cash;
+    return LedgerService.post('refund', `refund:${refund._id}`, [
+      debit(from, refund.amount),
+      credit(to, refund.amount),
+    ], {
+      bookingId: booking._id,
+      transactionId: refund.transactionId,
+      refundId: refund._id,
+      description: `Refund ${refund.refundId} for booking ${booking.bookingId}`,
+    });
+  }
+
+  /**
+   * Provider asked to withdraw: the amount leaves their balance and waits
+   * to be paid out
+   */
+  static async recordWithdrawal(type, ownerId, transaction) {
+    return LedgerService.post('withdrawal', `withdrawal:${transaction._id}`, [
+      debit(ACCOUNTS.provider(type, idOf(ownerId)), transaction.amount),
+      credit(ACCOUNTS.payoutsInFlight(type, idOf(ownerId)), transaction.amount),
+    ], {
+      transactionId: transaction._id,
+      description: transaction.description,
+    });
+  }
+
+  static async recordWithdrawalPaid(type, ownerId, transaction) {
+    return LedgerService.post('withdrawal-paid', `withdrawal-paid:${transaction._id}`, [
+      debit(ACCOUNTS.payoutsInFlight(type, idOf(ownerId)), transaction.amount),
+      credit(ACCOUNTS.cash, transaction.amount),
+    ], {
+      transactionId: transaction._id,
+      description: `Paid out: ${transaction.description}`,
+    });
+  }
+
+  /**
+   * A payout that failed goes back to the provider's balance
+   */
+  static async recordWithdrawalReversed(type, ownerId, transaction) {
+    return LedgerService.post('withdrawal-reversed', `withdrawal-reversed:${transaction._id}`, [
+      debit(ACCOUNTS.payoutsInFlight(type, idOf(ownerId)), transaction.amount),
+      credit(ACCOUNTS.provider(type, idOf(ownerId)), transaction.amount),
+    ], {
+      transactionId: transaction._id,
+      description: `Returned to balance: ${transaction.description}`,
+    });
+  }
+
+  /**
+   * A payout the bank sent back after it was paid: the money is with the
+   * platform again and goes back to the provider's balance
+   */
+  static async recordWithdrawalReturned(type, ownerId, transaction) {
+    return LedgerService.post('withdrawal-reversed', `withdrawal-returned:${transaction._id}`, [
+      debit(ACCOUNTS.cash, transaction.amount),
+      credit(ACCOUNTS.provider(type, idOf(ownerId)), transaction.amount),
+    ], {
+      transactionId: transaction._id,
+      description: `Returned by the bank: ${transaction.description}`,
+    });
+  }
+
+  /**
+   * Parent topped up their wallet through the gateway
+   */
+  static async recordWalletTopUp(transaction) {
+    return LedgerService.post('wallet-topup', `wallet-topup:${transaction._id}`, [
+      debit(ACCOUNTS.cash, transaction.amount),
+      credit(ACCOUNTS.parentWallet(idOf(transaction.userId)), transaction.amount),
+    ], {
+      transactionId: transaction._id,
+      description: transaction.description,
+    });
+  }
+
+  /**
+   * Promotional credit given to a parent
+   */
+  static async recordWalletCredit(transaction) {
+    return LedgerService.post('wallet-credit', `wallet-credit:${transaction._id}`, [
+      debit(ACCOUNTS.promotions, transaction.amount),
+      credit(ACCOUNTS.parentWallet(idOf(transaction.userId)), transaction.amount),
+    ], {
+      transactionId: transaction._id,
+      description: transaction.description,
+    });
+  }
+
+  /**
+   * Wallet money put towards a booking; held as a prepayment like the
+   * online part
+   */
+  static async recordWalletPayment(transaction) {
+    return LedgerService.post('wallet-payment', `wallet-payment:${transaction._id}`, [
+      debit(ACCOUNTS.parentWallet(idOf(transaction.userId)), transaction.amount),
+      credit(ACCOUNTS.prepayments, transaction.amount),
+    ], {
+      bookingId: transaction.bookingId,
+      transactionId: transaction._id,
+      description: transaction.description,
+    });
+  }
+
+  /**
+   * A wallet payment given back before the booking was paid
+   */
+  static async recordWalletRelease(transaction) {
+    return LedgerService.post('wallet-release', `wallet-release:${transaction._id}`, [
+      debit(ACCOUNTS.prepayments, transaction.amount),
+      credit(ACCOUNTS.parentWallet(idOf(transaction.userId)), transaction.amount),
+    ], {
+      bookingId: transaction.bookingId,
+      transactionId: transaction._id,
+      description: `Returned to wallet: ${transaction.description}`,
+    });
+  }
+
+  /**
+   * Referral reward paid to a provider as bonus earnings
+   */
+  static async recordReferralBonus(type, ownerId, transaction) {
+    return LedgerService.post('referral-bonus', `referral-bonus:${transaction._id}`, [
+      debit(ACCOUNTS.promotions, transaction.amount),
+      credit(ACCOUNTS.provider(type, idOf(ownerId)), transaction.amount),
+    ], {
+      transactionId: transaction._id,
+      description: transaction.description,
+    });
+  }
+
+  /**
+   * Carry over a balance from before the ledger (see migrate-ledger.js).
+   * A negative amount reduces the provider's balance.
+   */
+  static async recordOpeningBalance(type, ownerId, amount, description) {
+    return LedgerService.post('opening-balance', `opening-balance:${type}:${idOf(ownerId)}`, [
+      debit(ACCOUNTS.openingBalance, amount),
+      credit(ACCOUNTS.provider(type, idOf(ownerId)), amount),
+    ], {
+      description: description || `Opening balance for ${type} ${idOf(ownerId)}`,
+    });
+  }
+
+  /**
+   * Balances of one provider
+   * @returns {{ totalEarnings, availableBalance, withdrawnAmount, pendingWithdrawals }}
+   */
+  static async providerBalance(type, ownerId) {
+    const balances = await LedgerService.providerBalances(type, [ownerId]);
+    return balances.get(idOf(ownerId));
+  }
+
+  /**
+   * Balances of several providers of one type, keyed by ID string
+   */
+  static async providerBalances(type, ownerIds) {
+    const ids = ownerIds.map(idOf);
+    const accounts = ids.flatMap((id) => [ACCOUNTS.provider(type, id), ACCOUNTS.payoutsInFlight(type, id)]);
+    const totals = await totalsFor(accounts);
+    return new Map(ids.map((id) => [
+      id,
+      providerSummary(totals.get(ACCOUNTS.provider(type, id)), totals.get(ACCOUNTS.payoutsInFlight(type, id))),
+    ]));
+  }
+
+  /**
+   * Credit in a parent's wallet
+   */
+  static async walletBalance(parentId) {
+    const account = ACCOUNTS.parentWallet(idOf(parentId));
+    const totals = await totalsFor([account]);
+    const { debit: debits, credit: credits } = totals.get(account);
+    return roundMoney(credits - debits);
+  }
+
+  /**
+   * What a provider earned (bookings, cancellation fees and referral bonuses) since a date
+   */
+  static async providerEarningsSince(type, ownerId, since) {
+    const account = ACCOUNTS.provider(type, idOf(ownerId));
+    const totals = await totalsFor([account], {
+      kind: { $in: ['earning', 'cancellation-fee', 'referral-bonus'] },
+      postedAt: { $gte: since },
+    });
+    return roundMoney(totals.get(account).credit);
+  }
+
+  /**
+   * Debit/credit totals of every account; debits and credits must match overall
+   */
+  static async trialBalance() {
+    const rows = await LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.account',
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const accounts = rows.map((row) => ({
+      account: row._id,
+      debit: roundMoney(row.debit),
+      credit: roundMoney(row.credit),
+      balance: roundMoney(row.credit - row.debit),
+    }));
+    const totalDebit = roundMoney(accounts.reduce((sum, row) => sum + row.debit, 0));
+    const totalCredit = roundMoney(accounts.reduce((sum, row) => sum + row.credit, 0));
+
+    return { accounts, totalDebit, totalCredit, balanced: totalDebit === totalCredit };
+  }
+
+  /**
+   * Entries touching an account, newest first
+   */
+  static async entriesFor(account, { page = 1, limit = 50 } = {}) {
+    const filter = { 'lines.account': account };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter).sort({ postedAt: -1 }).skip(skip).limit(parseInt(limit)),
+      LedgerEntry.countDocuments(filter),
+    ]);
+    return { entries, total };
+  }
+}
+
+LedgerService.ACCOUNTS = ACCOUNTS;
+LedgerService.PROVIDER_TYPES = PROVIDER_TYPES;
+
+module.exports = LedgerService;
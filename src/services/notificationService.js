@@ -1,5 +1,13 @@
 const { admin } = require('../config/firebase');
 const User = require('../models/User');
+const SessionService = require('./sessionService');
+
+// The account's token and those of its signed-in devices, without repeats
+const deviceTokensFor = async (users) => {
+  const byAccount = await SessionService.fcmTokensByAccount('user', users.map(u => u._id));
+  const tokens = users.flatMap(u => [u.fcmToken, ...(byAccount.get(u._id.toString()) || [])]);
+  return [...new Set(tokens.filter(Boolean))];
+};
 
 /**
  * Notification Service for sending push notifications via FCM
@@ -7,14 +15,15 @@ const User = require('../models/User');
 class NotificationService {
   
   /**
-   * Send notification to a single user
+   * Send notification to every signed-in device of a user
    * @param {string} userId - User ID to send notification to
    * @param {object} notification - { title, body, data }
    */
   static async sendToUser(userId, notification) {
     try {
       const user = await User.findById(userId);
-      if (!user || !user.fcmToken) {
+      const tokens = user ? await deviceTokensFor([user]) : [];
+      if (tokens.length === 0) {
         console.log(`⚠️ No FCM token for user ${userId}`);
         return { success: false, reason: 'No FCM token' };
       }
@@ -25,7 +34,9 @@ class NotificationService {
         return { success: false, reason: 'Notifications disabled' };
       }
 
-      return await this.sendToToken(user.fcmToken, notification);
+      return tokens.length === 1
+        ? await this.sendToToken(tokens[0], notification)
+        : await this.sendToMultipleTokens(tokens, notification);
     } catch (error) {
       console.error('Error sending notification to user:', error);
       return { success: false, error: error.message };
@@ -121,14 +132,15 @@ class NotificationService {
   }
 
   /**
-   * Send data-only notification to a single user
+   * Send data-only notification to every signed-in device of a user
    * @param {string} userId - User ID to send notification to
    * @param {object} data - key/value string data
    */
   static async sendDataToUser(userId, data) {
     try {
       const user = await User.findById(userId);
-      if (!user || !user.fcmToken) {
+      const tokens = user ? await deviceTokensFor([user]) : [];
+      if (tokens.length === 0) {
         console.log(`⚠️ No FCM token for user ${userId}`);
         return { success: false, reason: 'No FCM token' };
       }
@@ -138,7 +150,8 @@ class NotificationService {
         return { success: false, reason: 'Notifications disabled' };
       }
 
-      return await this.sendDataToToken(user.fcmToken, data);
+      const results = await Promise.all(tokens.map(token => this.sendDataToToken(token, data)));
+      return results.length === 1 ? results[0] : { success: results.some(r => r.success), results };
     } catch (error) {
       console.error('Error sending data notification to user:', error);
       return { success: false, error: error.message };
@@ -154,11 +167,10 @@ class NotificationService {
     try {
       const users = await User.find({ 
         _id: { $in: userIds },
-        fcmToken: { $exists: true, $ne: '' },
         'privacySettings.pushNotifications': { $ne: false }
-      });
+      }).select('fcmToken');
 
-      const tokens = users.map(u => u.fcmToken).filter(Boolean);
+      const tokens = await deviceTokensFor(users);
       
       if (tokens.length === 0) {
         return { success: false, reason: 'No valid tokens' };
@@ -231,12 +243,11 @@ class NotificationService {
     try {
       const users = await User.find({ 
         role: role,
-        fcmToken: { $exists: true, $ne: '' },
         'privacySettings.pushNotifications': { $ne: false },
         isDeactivated: { $ne: true }
-      });
+      }).select('fcmToken');
 
-      const tokens = users.map(u => u.fcmToken).filter(Boolean);
+      const tokens = await deviceTokensFor(users);
       
       if (tokens.length === 0) {
         return { success: false, reason: 'No valid tokens' };
@@ -267,6 +278,25 @@ class NotificationService {
     return await this.sendToUser(nanny._id, notification);
   }
 
+  /**
+   * Send new recurring booking request notification to nanny
+   */
+  static async notifyNewBookingSeries(series, bookings, parent, nanny) {
+    const first = bookings[0];
+    const notification = {
+      title: '🔁 New Recurring Booking Request!',
+      body: `${parent.name} wants to book you for ${bookings.length} sessions starting ${new Date(first.date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })} at ${series.startTime}`,
+      data: {
+        type: 'new_booking_series',
+        seriesId: series._id.toString(),
+        bookingId: first._id.toString(),
+        screen: 'BookingDetails',
+      },
+    };
+
+    return await this.sendToUser(nanny._id, notification);
+  }
+
   /**
    * Send booking confirmed notification to parent
    */
@@ -320,13 +350,17 @@ class NotificationService {
     await this.sendToUser(parent._id, parentNotification);
 
     // Notify nanny
+    const settled = booking.settlement?.status === 'settled';
+    const earning = settled ? booking.settlement.nannyEarning : booking.totalAmount;
     const nannyNotification = {
       title: '💰 Session Completed!',
-      body: `Great job! ₹${booking.totalAmount} has been added to your earnings.`,
+      body: settled
+        ? `Great job! ₹${earning} has been added to your earnings.`
+        : 'Great job! Your earnings will be added once the payment is received.',
       data: {
         type: 'earning_added',
         bookingId: booking._id.toString(),
-        amount: booking.totalAmount.toString(),
+        amount: String(earning),
         screen: 'Earnings',
       },
     };
@@ -356,6 +390,77 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send reschedule request notification to the other party
+   */
+  static async notifyRescheduleRequested(booking, request, requesterName, recipientId) {
+    const notification = {
+      title: '🗓️ Reschedule Requested',
+      body: `${requesterName || 'The other party'} wants to move your booking to ${new Date(request.date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })} at ${request.startTime}`,
+      data: {
+        type: 'reschedule_requested',
+        bookingId: booking._id.toString(),
+        screen: 'BookingDetails',
+      },
+    };
+
+    return await this.sendToUser(recipientId, notification);
+  }
+
+  /**
+   * Tell the requester whether their reschedule request was accepted
+   */
+  static async notifyRescheduleAnswered(booking, request) {
+    const accepted = request.status === 'accepted';
+    const notification = {
+      title: accepted ? '✅ Reschedule Accepted' : '❌ Reschedule Declined',
+      body: accepted
+        ? `Your booking has been moved to ${new Date(booking.date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })} at ${booking.startTime}`
+        : `Your request to move the booking was declined${request.responseReason ? `: ${request.responseReason}` : ''}`,
+      data: {
+        type: accepted ? 'reschedule_accepted' : 'reschedule_declined',
+        bookingId: booking._id.toString(),
+        screen: 'BookingDetails',
+      },
+    };
+
+    return await this.sendToUser(request.requestedBy.id, notification);
+  }
+
+  /**
+   * Tell the other party a reschedule request was withdrawn
+   */
+  static async notifyRescheduleWithdrawn(booking, recipientId) {
+    const notification = {
+      title: '↩️ Reschedule Withdrawn',
+      body: 'The request to move your booking was withdrawn. The original time stays.',
+      data: {
+        type: 'reschedule_withdrawn',
+        bookingId: booking._id.toString(),
+        screen: 'BookingDetails',
+      },
+    };
+
+    return await this.sendToUser(recipientId, notification);
+  }
+
+  /**
+   * Tell the nanny the parent moved an occurrence of a recurring booking they have not confirmed yet
+   */
+  static async notifyOccurrenceMoved(booking, nanny) {
+    const notification = {
+      title: '🗓️ Booking Moved',
+      body: `A session in your recurring booking now takes place on ${new Date(booking.date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })} at ${booking.startTime}`,
+      data: {
+        type: 'occurrence_moved',
+        bookingId: booking._id.toString(),
+        screen: 'BookingDetails',
+      },
+    };
+
+    return await this.sendToUser(nanny._id, notification);
+  }
+
   /**
    * Send payment received notification
    */
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const OneTimeCode = require('../models/OneTimeCode');
+const SmsService = require('./smsService');
+const { ServiceError } = require('../utils/errors');
+
+// How long a code of each purpose is valid
+const PURPOSES = {
+  login: { ttlMinutes: 5 },
+  'provider-login': { ttlMinutes: 10 },
+  'booking-completion': { ttlMinutes: 10 },
+  'phone-change': { ttlMinutes: 10 },
+  'pin-reset': { ttlMinutes: 10 },
+};
+
+const MAX_ATTEMPTS = 5;
+
+const resendCooldownSeconds = () => parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS ?? '30', 10);
+// Codes sent to one number, and requested from one address, in any hour
+const maxPerPhonePerHour = () => parseInt(process.env.OTP_MAX_PER_PHONE_PER_HOUR ?? '5', 10);
+const maxPerIpPerHour = () => parseInt(process.env.OTP_MAX_PER_IP_PER_HOUR ?? '20', 10);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getSecret = () => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('OTP_SECRET or JWT_SECRET must be set');
+  return secret;
+};
+
+// Keyed to the number, purpose and subject, so a code is only good for what it was sent for
+const hashCode = ({ phoneNumber, purpose, subject }, code) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${purpose}:${phoneNumber}:${subject}:${String(code).trim()}`)
+  .digest('hex');
+
+const hashesMatch = (a, b) => {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const scopeOf = ({ phoneNumber, countryCode, purpose, subject = '' }) => {
+  if (!PURPOSES[purpose]) throw new Error(`Unknown OTP purpose: ${purpose}`);
+  return { phoneNumber: SmsService.toE164(phoneNumber, countryCode), purpose, subject: String(subject || '') };
+};
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+/**
+ * One-time passwords
+ *
+ * Every OTP in the app - logins, provider logins, booking completion, phone
+ * number changes and security PIN resets - is issued and checked here. A code is scoped to a
+ * phone number, a purpose and optionally a subject (such as a booking), is
+ * stored as a keyed hash, allows MAX_ATTEMPTS wrong guesses and is replaced
+ * by the next one sent. Sending is limited by a resend cooldown and hourly
+ * caps per phone number and per IP address.
+ */
+class OtpService {
+  /**
+   * Issue a code and text it
+   * @param {object} options
+   * @param {string} options.phoneNumber
+   * @param {string} options.countryCode - Default +91
+   * @param {string} options.purpose - login, provider-login, booking-completion, phone-change or pin-reset
+   * @param {string} options.subject - What the code is for, e.g. a booking ID
+   * @param {string} options.ip - Address of the request
+   * @param {object} options.booking - Booking mentioned in the SMS, if any
+   * @returns {{ expiresIn, resendIn, devCode }} Seconds; devCode only when developing against a local SMS sink
+   */
+  static async send({ ip = '', booking = null, ...options }) {
+    const scope = scopeOf(options);
+    const now = new Date();
+    const hourAgo = new Date(now.getTime() - HOUR_MS);
+
+    const [last, sentToPhone, sentFromIp] = await Promise.all([
+      OneTimeCode.findOne(scope).sort({ createdAt: -1 }),
+      OneTimeCode.find({ phoneNumber: scope.phoneNumber, createdAt: { $gte: hourAgo } })
+        .sort({ createdAt: 1 })
+        .select('createdAt'),
+      ip ? OneTimeCode.countDocuments({ ip, createdAt: { $gte: hourAgo } }) : 0,
+    ]);
+
+    const resendAt = last && new Date(last.createdAt.getTime() + resendCooldownSeconds() * 1000);
+    if (resendAt && resendAt > now) {
+      const retryAfter = secondsUntil(resendAt, now);
+      throw new ServiceError(`Please wait ${retryAfter} seconds before requesting another OTP`, 429, { retryAfter });
+    }
+    if (sentToPhone.length >= maxPerPhonePerHour()) {
+      const retryAfter = secondsUntil(new Date(sentToPhone[0].createdAt.getTime() + HOUR_MS), now);
+      throw new ServiceError('Too many OTPs sent to this number. Please try again later.', 429, { retryAfter });
+    }
+    if (sentFromIp >= maxPerIpPerHour()) {
+      throw new ServiceError('Too many OTP requests. Please try again later.', 429);
+    }
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+    const { ttlMinutes } = PURPOSES[scope.purpose];
+
+    // Only the latest code can be used
+    await OneTimeCode.updateMany({ ...scope, status: 'active' }, { $set: { status: 'superseded' } });
+    const otp = await OneTimeCode.create({
+      ...scope,
+      codeHash: hashCode(scope, code),
+      expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+      ip,
+    });
+
+    let sent;
+    try {
+      sent = await SmsService.sendOtp({
+        phoneNumber: scope.phoneNumber,
+        code,
+        purpose: scope.purpose,
+        expiresInMinutes: ttlMinutes,
+        booking,
+      });
+    } catch (error) {
+      await OneTimeCode.updateOne({ _id: otp._id }, { $set: { status: 'failed' } });
+      throw error;
+    }
+    await OneTimeCode.updateOne({ _id: otp._id }, { $set: { smsMessageId: sent.sms._id } });
+
+    return { expiresIn: ttlMinutes * 60, resendIn: resendCooldownSeconds(), devCode: sent.devCode };
+  }
+
+  /**
+   * Check a code and use it up. Wrong codes count towards MAX_ATTEMPTS,
+   * after which a new code must be requested.
+   * @param {object} options - { phoneNumber, countryCode, purpose, subject, code }
+   * @returns {object} The used OneTimeCode
+   */
+  static async verify({ code, ...options }) {
+    const scope = scopeOf(options);
+    const now = new Date();
+
+    const latest = await OneTimeCode.findOne(scope).sort({ createdAt: -1 });
+    if (!latest || latest.status === 'used' || latest.status === 'superseded' || latest.status === 'failed') {
+      throw new ServiceError('OTP expired or not found. Please request a new OTP.');
+    }
+    if (latest.status === 'locked') {
+      throw new ServiceError('Maximum attempts exceeded. Please request a new OTP.');
+    }
+    if (latest.expiresAt <= now) {
+      throw new ServiceError('OTP has expired. Please request a new OTP.');
+    }
+
+    // Count the attempt before checking, so parallel guesses cannot get past the limit
+    const counted = await OneTimeCode.findOneAndUpdate(
+      { _id: latest._id, status: 'active', attempts: { $lt: MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!counted) {
+      throw new ServiceError('Maximum attempts exceeded. Please request a new OTP.');
+    }
+
+    if (!hashesMatch(hashCode(scope, code), counted.codeHash)) {
+      const attemptsLeft = MAX_ATTEMPTS - counted.attempts;
+      if (attemptsLeft <= 0) {
+        await OneTimeCode.updateOne({ _id: counted._id, status: 'active' }, { $set: { status: 'locked' } });
+        throw new ServiceError('Maximum attempts exceeded. Please request a new OTP.', 400, { attemptsLeft: 0 });
+      }
+      throw new ServiceError('Invalid OTP. Please try again.', 400, { attemptsLeft });
+    }
+
+    const used = await OneTimeCode.findOneAndUpdate(
+      { _id: counted._id, status: 'active' },
+      { $set: { status: 'used', usedAt: now } },
+      { new: true }
+    );
+    if (!used) {
+      throw new ServiceError('OTP expired or not found. Please request a new OTP.');
+    }
+    return used;
+  }
+
+  /**
+   * Withdraw any unused codes, e.g. the completion OTP of a rescheduled booking
+   * @param {object} scope - { purpose, subject } and optionally { phoneNumber, countryCode }
+   */
+  static async invalidate({ purpose, subject = '', phoneNumber, countryCode }) {
+    const filter = { purpose, subject: String(subject || ''), status: 'active' };
+    if (phoneNumber) filter.phoneNumber = SmsService.toE164(phoneNumber, countryCode);
+    const result = await OneTimeCode.updateMany(filter, { $set: { status: 'superseded' } });
+    return result.modifiedCount;
+  }
+}
+
+OtpService.PURPOSES = PURPOSES;
+OtpService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = OtpService;
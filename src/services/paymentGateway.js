@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+
+/**
+ * Payment gateway adapters
+ *
+ * The rest of the server talks to the gateway only through PaymentGateway,
+ * in rupees, and gets records back in one shape:
+ *   refund:  { id, paymentId, amount, status: 'pending' | 'processed' | 'failed' }
+ *   payment: { id, orderId, amount, status: 'created' | 'authorized' | 'captured' | 'refunded' | 'failed' }
+ *   order:   { id, amount, currency, receipt }
+ * PAYMENT_GATEWAY=fake swaps Razorpay for an in-memory gateway that
+ * processes refunds instantly, for local development and tests.
+ */
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const fromRazorpayRefund = (refund) => ({
+  id: refund.id,
+  paymentId: refund.payment_id,
+  amount: refund.amount / 100,
+  status: refund.status === 'processed' || refund.status === 'failed' ? refund.status : 'pending',
+});
+
+const fromRazorpayPayment = (payment) => ({
+  id: payment.id,
+  orderId: payment.order_id,
+  amount: payment.amount / 100,
+  status: payment.status,
+});
+
+const fromRazorpayOrder = (order) => ({
+  id: order.id,
+  amount: order.amount / 100,
+  currency: order.currency,
+  receipt: order.receipt,
+});
+
+// Razorpay SDK errors carry the API message in error.error.description
+const gatewayMessage = (error) => error?.error?.description || error?.message || 'Payment gateway error';
+
+const razorpayAdapter = {
+  name: 'razorpay',
+
+  async createOrder({ amount, receipt, notes }) {
+    const { razorpay } = require('../config/razorpay');
+    const order = await razorpay.orders.create({
+      amount: toPaise(amount),
+      currency: 'INR',
+      receipt,
+      notes,
+    });
+    return fromRazorpayOrder(order);
+  },
+
+  async refund(paymentId, { amount, receipt, notes }) {
+    // Required lazily so the fake adapter works without Razorpay keys
+    const { razorpay } = require('../config/razorpay');
+    try {
+      const refund = await razorpay.payments.refund(paymentId, {
+        amount: toPaise(amount),
+        speed: 'normal',
+        receipt,
+        notes,
+      });
+      return fromRazorpayRefund(refund);
+    } catch (error) {
+      const wrapped = new Error(gatewayMessage(error));
+      wrapped.gatewayError = error?.error || null;
+      throw wrapped;
+    }
+  },
+
+  async fetchRefund(paymentId, refundId) {
+    const { razorpay } = require('../config/razorpay');
+    const refund = await razorpay.payments.fetchRefund(paymentId, refundId);
+    return fromRazorpayRefund(refund);
+  },
+
+  async fetchPayment(paymentId) {
+    const { razorpay } = require('../config/razorpay');
+    return fromRazorpayPayment(await razorpay.payments.fetch(paymentId));
+  },
+
+  async fetchOrderPayments(orderId) {
+    const { razorpay } = require('../config/razorpay');
+    const { items = [] } = await razorpay.orders.fetchPayments(orderId);
+    return items.map(fromRazorpayPayment);
+  },
+};
+
+const fakeRefunds = new Map();
+const fakePayments = new Map();
+
+const fakeAdapter = {
+  name: 'fake',
+
+  async createOrder({ amount, receipt }) {
+    return {
+      id: `order_fake_${crypto.randomBytes(7).toString('hex')}`,
+      amount,
+      currency: 'INR',
+      receipt,
+    };
+  },
+
+  async refund(paymentId, { amount }) {
+    const refund = {
+      id: `rfnd_fake_${crypto.randomBytes(7).toString('hex')}`,
+      paymentId,
+      amount,
+      status: 'processed',
+    };
+    fakeRefunds.set(refund.id, refund);
+    return { ...refund };
+  },
+
+  async fetchRefund(paymentId, refundId) {
+    const refund = fakeRefunds.get(refundId);
+    if (!refund) throw new Error(`Refund ${refundId} not found`);
+    return { ...refund };
+  },
+
+  async fetchPayment(paymentId) {
+    const payment = fakePayments.get(paymentId);
+    if (!payment) throw new Error(`Payment ${paymentId} not found`);
+    return { ...payment };
+  },
+
+  async fetchOrderPayments(orderId) {
+    return [...fakePayments.values()]
+      .filter((payment) => payment.orderId === orderId)
+      .map((payment) => ({ ...payment }));
+  },
+
+  // Simulate a payment made through checkout
+  recordPayment({ id, orderId, amount, status = 'captured' }) {
+    fakePayments.set(id, { id, orderId, amount, status });
+  },
+
+  reset() {
+    fakeRefunds.clear();
+    fakePayments.clear();
+  },
+};
+
+const adapters = {
+  razorpay: razorpayAdapter,
+  fake: fakeAdapter,
+};
+
+let current = adapters[process.env.PAYMENT_GATEWAY] || razorpayAdapter;
+
+class PaymentGateway {
+  /**
+   * Replace the active adapter (an object with createOrder(), refund(),
+   * fetchRefund(), fetchPayment() and fetchOrderPayments())
+   */
+  static use(adapter) {
+    const next = typeof adapter === 'string' ? adapters[adapter] : adapter;
+    if (!next) throw new Error(`Unknown payment gateway: ${adapter}`);
+    current = next;
+    return current;
+  }
+
+  // Adapter in use ('razorpay', 'fake' or a custom name)
+  static get adapterName() {
+    return current.name;
+  }
+
+  /**
+   * Create an order for the app to pay through checkout
+   * @param {object} options - { amount (rupees), receipt, notes }
+   */
+  static createOrder(options) {
+    return current.createOrder(options);
+  }
+
+  /**
+   * Refund part or all of a captured payment
+   * @param {string} paymentId - Gateway payment ID
+   * @param {object} options - { amount (rupees), receipt, notes }
+   */
+  static refund(paymentId, options) {
+    return current.refund(paymentId, options);
+  }
+
+  static fetchRefund(paymentId, refundId) {
+    return current.fetchRefund(paymentId, refundId);
+  }
+
+  static fetchPayment(paymentId) {
+    return current.fetchPayment(paymentId);
+  }
+
+  // Every payment attempt made against an order
+  static fetchOrderPayments(orderId) {
+    return current.fetchOrderPayments(orderId);
+  }
+}
+
+PaymentGateway.adapters = adapters;
+
+module.exports = PaymentGateway;
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Transaction = require('../models/Transaction');
+const SettlementService = require('./settlementService');
+const LedgerService = require('./ledgerService');
+const InvoiceService = require('./invoiceService');
+const PaymentGateway = require('./paymentGateway');
+const { ServiceError } = require('../utils/errors');
+const { keySecret, webhookSecret } = require('../config/razorpay');
+
+// Rounding slack when comparing rupee amounts
+const TOLERANCE = 0.01;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const safeEqual = (expected, received) => {
+  if (typeof received !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Bookkeeping once a booking is paid: the wallet part, the ledger, the
+ * invoice and, for a booking already completed, the nanny's earning
+ * @returns {object} The booking, settled if it was completed
+ */
+const afterPaid = async (paid) => {
+  await PaymentService.completeWalletPart(paid);
+  await LedgerService.recordBookingPayment(paid);
+  // Also issued on first request if this fails
+  InvoiceService.issueFor(paid).catch(err => console.error('Invoice error:', err));
+
+  if (paid.status === 'cancelled' || paid.status === 'rejected') {
+    console.warn(`⚠️ Booking ${paid.bookingId} was paid after it was ${paid.status}; refund it from the admin panel`);
+  }
+
+  // Completed before the payment came in; the nanny can be credited now
+  if (paid.status === 'completed') {
+    const { booking: settled } = await SettlementService.settleBooking(paid);
+    return settled;
+  }
+
+  return paid;
+};
+
+/**
+ * Booking payments through Razorpay
+ *
+ * A payment reaches us twice: from the app after checkout (/api/payments/verify)
+ * and from Razorpay's webhook. Both end up in markBookingPaid(), which only
+ * acts the first time. Part or all of a booking may be paid from the
+ * parent's wallet (see walletService.js).
+ */
+class PaymentService {
+  /**
+   * Signature returned to the app by Razorpay Checkout
+   */
+  static checkoutSignatureValid(orderId, paymentId, signature) {
+    return safeEqual(hmac(keySecret, `${orderId}|${paymentId}`), signature);
+  }
+
+  /**
+   * x-razorpay-signature of a webhook, computed over the raw request body
+   */
+  static webhookSignatureValid(rawBody, signature) {
+    if (!webhookSecret) return false;
+    return safeEqual(hmac(webhookSecret, rawBody), signature);
+  }
+
+  /**
+   * Booking a gateway payment or order belongs to: the bookingId note set
+   * when the order was created, else the stored order ID
+   */
+  static async findBooking({ notes, orderId }) {
+    if (notes?.bookingId && mongoose.isValidObjectId(notes.bookingId)) {
+      const booking = await Booking.findById(notes.bookingId);
+      if (booking) return booking;
+    }
+    if (orderId) {
+      return Booking.findOne({ 'payment.razorpayOrderId': orderId });
+    }
+    return null;
+  }
+
+  /**
+   * What is left to pay online: the total less the wallet part
+   */
+  static amountDue(booking) {
+    return roundMoney(booking.totalAmount - (booking.payment?.walletAmount || 0));
+  }
+
+  /**
+   * The price of an unpaid booking changed: an order created for the old
+   * amount no longer pays it, and its wallet part is given back and applied
+   * again to the new total
+   * @returns {object} The booking
+   */
+  static async repriced(booking) {
+    // Required lazily: the wallet service requires this one
+    const WalletService = require('./walletService');
+
+    await Booking.updateOne(
+      { _id: booking._id, 'payment.status': { $nin: ['paid', 'refunded'] } },
+      { $unset: { 'payment.razorpayOrderId': 1 } }
+    );
+    if (!booking.payment?.walletTransactionId) {
+      return Booking.findById(booking._id);
+    }
+
+    const released = await WalletService.releaseBookingHold(booking);
+    try {
+      const { booking: reapplied } = await WalletService.applyToBooking(released);
+      return reapplied;
+    } catch (error) {
+      if (!(error instanceof ServiceError)) throw error;
+      // The booking has moved anyway; the parent can apply the wallet at checkout
+      console.warn(`⚠️ Wallet not applied again to booking ${released.bookingId}: ${error.message}`);
+      return Booking.findById(booking._id);
+    }
+  }
+
+  /**
+   * Mark a booking's online payment as paid and settle it if the booking is
+   * already completed. Does nothing if the booking is already paid.
+   * A payment for a different amount than is due does not pay the booking;
+   * it is recorded in payment.review for an admin instead.
+   * @param {object} payment - { paymentId, orderId, amount (rupees, looked up at the gateway when missing) }
+   * @returns {{ booking, alreadyPaid: boolean, amountMismatch: boolean }}
+   */
+  static async markBookingPaid(booking, { paymentId, orderId, amount }) {
+    const captured = amount ?? (await PaymentGateway.fetchPayment(paymentId)).amount;
+    const current = await Booking.findById(booking._id);
+    const expected = PaymentService.amountDue(current);
+
+    if (!['paid', 'refunded'].includes(current.payment?.status) && Math.abs(captured - expected) > TOLERANCE) {
+      await Booking.updateOne({ _id: current._id }, {
+        $set: {
+          'payment.review': {
+            reason: 'amount-mismatch',
+            paymentId,
+            orderId,
+            amount: captured,
+            expected,
+            flaggedAt: new Date(),
+          },
+        },
+      });
+      console.warn(`⚠️ Payment ${paymentId} of ₹${captured} for booking ${current.bookingId} does not match ₹${expected} due; flagged for review`);
+      return { booking: current, alreadyPaid: false, amountMismatch: true };
+    }
+
+    const now = new Date();
+    const paid = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        'payment.status': { $nin: ['paid', 'refunded'] },
+        // The amount due must not have changed since it was compared
+        totalAmount: current.totalAmount,
+        'payment.walletAmount': current.payment?.walletAmount || { $in: [0, null] },
+      },
+      {
+        $set: {
+          'payment.status': 'paid',
+          'payment.method': 'online',
+          'payment.paidAt': now,
+          'payment.transactionId': paymentId,
+          'payment.razorpayOrderId': orderId,
+        },
+        $unset: { 'payment.failureReason': 1, 'payment.failedAt': 1, 'payment.review': 1 },
+      },
+      { new: true }
+    );
+
+    if (!paid) {
+      const latest = await Booking.findById(booking._id);
+      if (!['paid', 'refunded'].includes(latest?.payment?.status)) {
+        // Re-priced or given a wallet part in the meantime; the webhook retries
+        throw new ServiceError('The booking changed while its payment was being recorded. Please try again.', 409);
+      }
+      if (latest.payment.transactionId && latest.payment.transactionId !== paymentId) {
+        console.warn(`⚠️ Booking ${latest.bookingId} already paid by ${latest.payment.transactionId}, also received ${paymentId}`);
+      }
+      return { booking: latest, alreadyPaid: true, amountMismatch: false };
+    }
+
+    console.log(`✅ Payment recorded for booking ${paid.bookingId}: ${paymentId}`);
+    return { booking: await afterPaid(paid), alreadyPaid: false, amountMismatch: false };
+  }
+
+  /**
+   * Mark a booking paid when its wallet payment covers all of it
+   * (see WalletService.applyToBooking). Does nothing if already paid.
+   * @returns {{ booking, alreadyPaid: boolean }}
+   */
+  static async markBookingPaidFromWallet(booking) {
+    const paid = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        'payment.status': { $nin: ['paid', 'refunded'] },
+        'payment.walletAmount': { $gte: booking.totalAmount },
+      },
+      {
+        $set: {
+          'payment.status': 'paid',
+          'payment.method': 'wallet',
+          'payment.paidAt': new Date(),
+        },
+        $unset: { 'payment.failureReason': 1, 'payment.failedAt': 1 },
+      },
+      { new: true }
+    );
+
+    if (!paid) {
+      return { booking: await Booking.findById(booking._id), alreadyPaid: true };
+    }
+
+    console.log(`✅ Booking ${paid.bookingId} paid from wallet`);
+    return { booking: await afterPaid(paid), alreadyPaid: false };
+  }
+
+  /**
+   * Once the rest of a booking is paid, its wallet payment is final
+   */
+  static async completeWalletPart(booking) {
+    if (!booking.payment?.walletTransactionId) return;
+    await Transaction.updateOne(
+      { _id: booking.payment.walletTransactionId, status: 'pending' },
+      { status: 'completed', updatedAt: new Date() }
+    );
+  }
+
+  /**
+   * Record a failed payment attempt. The booking stays payable.
+   */
+  static async markPaymentFailed(booking, { paymentId, reason }) {
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'payment.status': { $nin: ['paid', 'refunded'] } },
+      {
+        $set: {
+          'payment.failureReason': reason || 'Payment failed',
+          'payment.failedAt': new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (updated) {
+      console.log(`❌ Payment ${paymentId} failed for booking ${updated.bookingId}: ${reason}`);
+    }
+    return updated;
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const PaymentEvent = require('../models/PaymentEvent');
+const Refund = require('../models/Refund');
+const Payout = require('../models/Payout');
+const PaymentService = require('./paymentService');
+const RefundService = require('./refundService');
+const PayoutService = require('./payoutService');
+const PayoutProvider = require('./payoutProvider');
+const WalletService = require('./walletService');
+const { ServiceError } = require('../utils/errors');
+
+const DUPLICATE_KEY = 11000;
+
+// Outcome of a handler: what happened, and whether it changed anything
+const done = (result, refs = {}) => ({ status: 'processed', result, ...refs });
+const ignored = (result, refs = {}) => ({ status: 'ignored', result, ...refs });
+
+const paymentCaptured = async (payload) => {
+  const payment = payload.payment?.entity;
+  if (!payment) return ignored('No payment in payload');
+
+  const topUp = await WalletService.findTopUp({ notes: payment.notes, orderId: payment.order_id });
+  if (topUp) {
+    const { alreadyCredited } = await WalletService.completeTopUp(topUp, { paymentId: payment.id });
+    return done(alreadyCredited ? 'Top-up already credited' : 'Wallet topped up', { paymentId: payment.id });
+  }
+
+  const booking = await PaymentService.findBooking({ notes: payment.notes, orderId: payment.order_id });
+  if (!booking) return ignored(`No booking for payment ${payment.id}`, { paymentId: payment.id });
+
+  const { alreadyPaid, amountMismatch } = await PaymentService.markBookingPaid(booking, {
+    paymentId: payment.id,
+    orderId: payment.order_id,
+    // Razorpay amounts are in paise
+    amount: payment.amount / 100,
+  });
+  const result = amountMismatch
+    ? `Payment of ₹${payment.amount / 100} does not match the amount due; flagged for review`
+    : (alreadyPaid ? 'Booking already paid' : 'Booking marked paid');
+  return done(result, {
+    bookingId: booking._id,
+    paymentId: payment.id,
+  });
+};
+
+// RazorpayX payout events all carry the payout in its current state
+const payoutUpdated = async (payload) => {
+  const entity = payload.payout?.entity;
+  if (!entity) return ignored('No payout in payload');
+
+  const payout = await Payout.findOne({ providerPayoutId: entity.id })
+    || (entity.reference_id && await Payout.findOne({ payoutId: entity.reference_id }));
+  if (!payout) return ignored(`Payout ${entity.id} was not sent by us`);
+
+  const providerPayout = PayoutProvider.adapters.razorpayx.fromPayload(entity);
+  const updated = await PayoutService.applyProviderStatus(payout, providerPayout);
+  return done(`Payout ${updated.payoutId} ${updated.status}`, { payoutId: updated.payoutId });
+};
+
+/**
+ * Handlers per event type; each gets the event payload and must be safe to
+ * run again for the same event
+ */
+const HANDLERS = {
+  'payment.captured': paymentCaptured,
+
+  // Carries the order and the payment that paid it
+  'order.paid': paymentCaptured,
+
+  'payment.failed': async (payload) => {
+    const payment = payload.payment?.entity;
+    if (!payment) return ignored('No payment in payload');
+
+    const booking = await PaymentService.findBooking({ notes: payment.notes, orderId: payment.order_id });
+    if (!booking) return ignored(`No booking for payment ${payment.id}`, { paymentId: payment.id });
+
+    const updated = await PaymentService.markPaymentFailed(booking, {
+      paymentId: payment.id,
+      reason: payment.error_description || payment.error_code,
+    });
+    return done(updated ? 'Failure recorded' : 'Booking already paid', {
+      bookingId: booking._id,
+      paymentId: payment.id,
+    });
+  },
+
+  'refund.processed': async (payload) => {
+    const entity = payload.refund?.entity;
+    if (!entity) return ignored('No refund in payload');
+
+    const refund = await Refund.findOne({ gatewayRefundId: entity.id })
+      || (entity.notes?.refundId && await Refund.findOne({ refundId: entity.notes.refundId }));
+    if (!refund) return ignored(`Refund ${entity.id} was not issued by us`, { paymentId: entity.payment_id });
+
+    if (!refund.gatewayRefundId) {
+      refund.gatewayRefundId = entity.id;
+      await refund.save();
+    }
+    const updated = await RefundService.applyGatewayStatus(refund, 'processed');
+    return done(`Refund ${updated.refundId} ${updated.status}`, {
+      bookingId: refund.bookingId,
+      paymentId: entity.payment_id,
+      refundId: refund.refundId,
+    });
+  },
+
+  'refund.failed': async (payload) => {
+    const entity = payload.refund?.entity;
+    if (!entity) return ignored('No refund in payload');
+
+    const refund = await Refund.findOne({ gatewayRefundId: entity.id });
+    if (!refund) return ignored(`Refund ${entity.id} was not issued by us`, { paymentId: entity.payment_id });
+
+    const updated = await RefundService.applyGatewayStatus(refund, 'failed', 'Refund failed at the gateway');
+    return done(`Refund ${updated.refundId} ${updated.status}`, {
+      bookingId: refund.bookingId,
+      paymentId: entity.payment_id,
+      refundId: refund.refundId,
+    });
+  },
+
+  'payout.queued': payoutUpdated,
+  'payout.pending': payoutUpdated,
+  'payout.processed': payoutUpdated,
+  'payout.reversed': payoutUpdated,
+  'payout.failed': payoutUpdated,
+  'payout.rejected': payoutUpdated,
+  'payout.updated': payoutUpdated,
+};
+
+/**
+ * Razorpay webhooks (payments, refunds and RazorpayX payouts)
+ *
+ * Every signed call is stored as a PaymentEvent before anything else
+ * happens; unsigned ones are only logged.
+ * Razorpay retries an event until it gets a 2xx, always with the same event
+ * ID, so a processed event is acknowledged without running it again and a
+ * failed one is simply retried.
+ */
+class PaymentWebhookService {
+  /**
+   * Store and handle one webhook call
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {object} headers - Request headers
+   * @returns {object} The stored PaymentEvent
+   */
+  static async receive(rawBody, headers) {
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+    const signature = headers['x-razorpay-signature'];
+    const signatureValid = PaymentService.webhookSignatureValid(body, signature);
+
+    let payload = null;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      payload = null;
+    }
+
+    const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+
+    if (!signatureValid) {
+      // Not stored: anyone can call this URL
+      console.warn(`⚠️ Rejected payment webhook with ${signature ? 'an invalid' : 'no'} signature: `
+        + `${body.length} bytes, sha256 ${bodyHash}, event ${headers['x-razorpay-event-id'] || '-'}, `
+        + `starts ${JSON.stringify(body.slice(0, 120))}`);
+      throw new ServiceError('Invalid signature', 400);
+    }
+
+    const eventId = headers['x-razorpay-event-id'] || bodyHash;
+
+    if (!payload) {
+      console.warn(`⚠️ Rejected payment webhook ${eventId}: body is not valid JSON`);
+      throw new ServiceError('Body is not valid JSON', 400);
+    }
+
+    let event;
+    try {
+      event = await PaymentEvent.create({
+        eventId,
+        event: payload.event,
+        rawBody: body,
+        signature,
+        signatureValid,
+        payload,
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      // Gateway retry of an event we already have
+      event = await PaymentEvent.findOne({ gateway: 'razorpay', eventId, signatureValid: true });
+      if (event.status === 'processed' || event.status === 'ignored') return event;
+    }
+
+    return PaymentWebhookService.process(event);
+  }
+
+  /**
+   * Run the handler for a stored event and record the outcome.
+   * Also used to replay an event from the admin panel.
+   */
+  static async process(event) {
+    if (!event.signatureValid) {
+      throw new ServiceError('Events with an invalid signature cannot be processed');
+    }
+
+    const handler = HANDLERS[event.event];
+    event.attempts += 1;
+
+    if (!handler) {
+      event.status = 'ignored';
+      event.result = `Unhandled event type ${event.event}`;
+      event.processedAt = new Date();
+      await event.save();
+      return event;
+    }
+
+    try {
+      const outcome = await handler(event.payload.payload || {});
+      event.status = outcome.status;
+      event.result = outcome.result;
+      event.error = undefined;
+      event.bookingId = outcome.bookingId || event.bookingId;
+      event.paymentId = outcome.paymentId || event.paymentId;
+      event.refundId = outcome.refundId || event.refundId;
+      event.payoutId = outcome.payoutId || event.payoutId;
+      event.processedAt = new Date();
+      await event.save();
+      console.log(`🪝 Payment webhook ${event.event} (${event.eventId}): ${event.result}`);
+      return event;
+    } catch (error) {
+      event.status = 'failed';
+      event.error = error.message;
+      await event.save();
+      console.error(`Payment webhook ${event.event} (${event.eventId}) failed:`, error);
+      throw error;
+    }
+  }
+}
+
+PaymentWebhookService.HANDLED_EVENTS = Object.keys(HANDLERS);
+
+module.exports = PaymentWebhookService;
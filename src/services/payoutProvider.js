@@ -0,0 +1,221 @@
+/**
+ * Payout provider adapters
+ *
+ * The rest of the server talks to the payout provider only through
+ * PayoutProvider, in rupees, and gets payouts back in one shape:
+ *   { id, referenceId, amount, status: 'processing' | 'paid' | 'failed' | 'reversed',
+ *     providerStatus, utr, failureReason }
+ * Creating a payout is idempotent per referenceId (our payoutId), so a
+ * payout whose creation timed out can be sent again safely.
+ *
+ * PAYOUT_PROVIDER=simulator swaps RazorpayX for a local simulator that needs
+ * no keys and no stored state, so it survives restarts:
+ *   - payouts are paid PAYOUT_SIMULATOR_DELAY_SECONDS (default 30) after creation
+ *   - account numbers ending in 0000, or UPI IDs starting with "fail", fail
+ *   - UPI IDs starting with "reverse" are paid, then reversed after twice the delay
+ */
+
+const RAZORPAYX_API = 'https://api.razorpay.com/v1';
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Provider rejected the payout itself: sending it again will not help
+class PayoutRejectedError extends Error {}
+
+const RAZORPAYX_STATUSES = {
+  queued: 'processing',
+  pending: 'processing',
+  processing: 'processing',
+  processed: 'paid',
+  reversed: 'reversed',
+  failed: 'failed',
+  rejected: 'failed',
+  cancelled: 'failed',
+};
+
+const fromRazorpayXPayout = (payout) => ({
+  id: payout.id,
+  referenceId: payout.reference_id,
+  amount: payout.amount / 100,
+  status: RAZORPAYX_STATUSES[payout.status] || 'processing',
+  providerStatus: payout.status,
+  utr: payout.utr || null,
+  failureReason: payout.status_details?.description || payout.failure_reason || null,
+});
+
+const razorpayXRequest = async (method, path, body, headers = {}) => {
+  // Required lazily so the simulator works without Razorpay keys
+  const { keyId, keySecret } = require('../config/razorpay');
+
+  const response = await fetch(`${RAZORPAYX_API}${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+      'Content-Type': 'application/json',
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(15000),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data?.error?.description || `RazorpayX responded with ${response.status}`;
+    // 4xx other than rate limiting means the request itself is wrong
+    if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+      throw new PayoutRejectedError(message);
+    }
+    throw new Error(message);
+  }
+  return data;
+};
+
+const razorpayXAdapter = {
+  name: 'razorpayx',
+
+  async createPayout({ referenceId, amount, method, destination, narration, notes }) {
+    const { payoutAccountNumber } = require('../config/razorpay');
+    if (!payoutAccountNumber) {
+      throw new Error('RAZORPAYX_ACCOUNT_NUMBER is not set');
+    }
+
+    const fundAccount = method === 'upi'
+      ? { account_type: 'vpa', vpa: { address: destination.upiId } }
+      : {
+        account_type: 'bank_account',
+        bank_account: {
+          name: destination.accountHolderName,
+          ifsc: destination.ifscCode,
+          account_number: destination.accountNumber,
+        },
+      };
+
+    const payout = await razorpayXRequest('POST', '/payouts', {
+      account_number: payoutAccountNumber,
+      amount: toPaise(amount),
+      currency: 'INR',
+      mode: method === 'upi' ? 'UPI' : 'IMPS',
+      purpose: 'payout',
+      queue_if_low_balance: true,
+      reference_id: referenceId,
+      narration,
+      notes,
+      fund_account: {
+        ...fundAccount,
+        contact: {
+          name: destination.accountHolderName || destination.upiId,
+          type: 'vendor',
+          reference_id: notes?.ownerId,
+        },
+      },
+    }, { 'X-Payout-Idempotency': referenceId });
+
+    return fromRazorpayXPayout(payout);
+  },
+
+  async fetchPayout(payoutId) {
+    return fromRazorpayXPayout(await razorpayXRequest('GET', `/payouts/${payoutId}`));
+  },
+
+  // Payout entity of a payout.* webhook
+  fromPayload: fromRazorpayXPayout,
+};
+
+const simulatorDelayMs = () =>
+  parseInt(process.env.PAYOUT_SIMULATOR_DELAY_SECONDS ?? '30', 10) * 1000;
+
+// Everything the simulator needs is kept in its payout ID
+const simulatorOutcome = ({ method, destination }) => {
+  if (method === 'upi') {
+    const upiId = (destination.upiId || '').toLowerCase();
+    if (upiId.startsWith('fail')) return 'failed';
+    if (upiId.startsWith('reverse')) return 'reversed';
+    return 'paid';
+  }
+  return (destination.accountNumber || '').endsWith('0000') ? 'failed' : 'paid';
+};
+
+const simulatorPayout = (id, now = Date.now()) => {
+  const [, outcome, createdAt, amount, referenceId] = id.split('_');
+  const elapsed = now - parseInt(createdAt, 36);
+  const delay = simulatorDelayMs();
+
+  let status = 'processing';
+  if (elapsed >= delay) status = outcome === 'failed' ? 'failed' : 'paid';
+  if (outcome === 'reversed' && elapsed >= delay * 2) status = 'reversed';
+
+  return {
+    id,
+    referenceId,
+    amount: parseInt(amount, 36) / 100,
+    status,
+    providerStatus: status,
+    utr: status === 'paid' || status === 'reversed' ? `SIMUTR${createdAt.toUpperCase()}` : null,
+    failureReason: status === 'failed' ? 'Simulated failure: beneficiary account is invalid' : null,
+  };
+};
+
+const simulatorAdapter = {
+  name: 'simulator',
+
+  async createPayout({ referenceId, amount, method, destination }) {
+    const id = [
+      'sim',
+      simulatorOutcome({ method, destination }),
+      Date.now().toString(36),
+      toPaise(amount).toString(36),
+      referenceId,
+    ].join('_');
+    return simulatorPayout(id);
+  },
+
+  async fetchPayout(payoutId) {
+    if (!payoutId.startsWith('sim_')) throw new Error(`Payout ${payoutId} not found`);
+    return simulatorPayout(payoutId);
+  },
+};
+
+const adapters = {
+  razorpayx: razorpayXAdapter,
+  simulator: simulatorAdapter,
+};
+
+let current = adapters[process.env.PAYOUT_PROVIDER] || razorpayXAdapter;
+
+class PayoutProvider {
+  /**
+   * Replace the active adapter (an object with createPayout() and fetchPayout())
+   */
+  static use(adapter) {
+    current = typeof adapter === 'string' ? adapters[adapter] : adapter;
+    if (!current) throw new Error(`Unknown payout provider: ${adapter}`);
+    return current;
+  }
+
+  // Adapter in use ('razorpayx', 'simulator' or a custom name)
+  static get adapterName() {
+    return current.name;
+  }
+
+  /**
+   * Send money to a bank account or UPI ID
+   * @param {object} options - { referenceId, amount (rupees), method, destination, narration, notes }
+   */
+  static createPayout(options) {
+    return current.createPayout(options);
+  }
+
+  /**
+   * Current state of a payout
+   * @param {string} payoutId - Provider payout ID
+   * @param {string} adapterName - Adapter that created it, when known
+   */
+  static fetchPayout(payoutId, adapterName) {
+    return (adapters[adapterName] || current).fetchPayout(payoutId);
+  }
+}
+
+PayoutProvider.adapters = adapters;
+PayoutProvider.PayoutRejectedError = PayoutRejectedError;
+
+module.exports = PayoutProvider;
@@ -0,0 +1,554 @@
+const Payout = require('../models/Payout');
+const Transaction = require('../models/Transaction');
+const DaycareProvider = require('../models/DaycareProvider');
+const ElderCareProvider = require('../models/ElderCareProvider');
+const PayoutProvider = require('./payoutProvider');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+const { ServiceError } = require('../utils/errors');
+
+/**
+ * Payout lifecycle
+ *
+ *   requested ──> approved ──> processing ──> paid ──> reversed
+ *       │            │             │  └──────────────────┘
+ *       └─> failed <─┘             └─> failed
+ *
+ * Requesting a payout holds the amount: the ledger moves it from the
+ * provider's balance to payouts in flight. Failed and reversed payouts
+ * release it back to the balance; paid ones take it out of platform cash.
+ * Payouts above the approval threshold wait for an admin, smaller ones are
+ * approved straight away.
+ *
+ * All state lives in the Payout record, so nothing is lost on a restart:
+ * jobs/payoutJob.js sends approved payouts, polls the ones in flight and
+ * finishes any whose bookkeeping was interrupted. RazorpayX webhooks
+ * (payout.processed, payout.failed, payout.reversed...) update them sooner.
+ */
+
+const SYSTEM_ACTOR = Object.freeze({ id: null, role: 'system' });
+
+const PROVIDER_MODELS = {
+  daycare: DaycareProvider,
+  eldercare: ElderCareProvider,
+};
+
+// Roles allowed to make each move
+const TRANSITIONS = {
+  requested: {
+    approved: ['admin', 'system'],
+    failed: ['admin', 'system'],
+  },
+  approved: {
+    processing: ['admin', 'system'],
+    failed: ['admin', 'system'],
+  },
+  processing: {
+    paid: ['system'],
+    failed: ['system'],
+    reversed: ['system'],
+  },
+  paid: {
+    reversed: ['system'],
+  },
+  failed: {},
+  reversed: {},
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+const FINAL_STATUSES = ['paid', 'failed', 'reversed'];
+
+const MIN_AMOUNT = 100;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const approvalThreshold = () => parseFloat(process.env.PAYOUT_APPROVAL_THRESHOLD ?? '10000');
+
+// Payouts in flight are checked with the provider at most this often
+const POLL_AFTER_MS = 2 * 60 * 1000;
+
+const describeDestination = (method, destination) => (method === 'bank'
+  ? `Withdrawal to ${destination.bankName || 'bank account'} - ${destination.accountNumber.slice(-4)}`
+  : `Withdrawal to UPI - ${destination.upiId}`);
+
+/**
+ * Fields stamped on the payout when it enters a status
+ */
+const enterFields = {
+  approved: (now) => ({ approvedAt: now }),
+  processing: (now) => ({ submittedAt: now, provider: PayoutProvider.adapterName }),
+  paid: (now) => ({ paidAt: now }),
+  failed: (now) => ({ failedAt: now }),
+  reversed: (now) => ({ reversedAt: now }),
+};
+
+/**
+ * Bookkeeping for the final statuses: the provider's transaction and the
+ * ledger. Every step is idempotent so it can be run again after a crash.
+ */
+const settleFor = {
+  paid: async (payout, transaction) => {
+    await Transaction.findByIdAndUpdate(transaction._id, {
+      status: 'completed',
+      'withdrawalDetails.transactionId': payout.utr || payout.providerPayoutId,
+      'withdrawalDetails.processedAt': payout.paidAt || new Date(),
+      updatedAt: new Date(),
+    });
+    await LedgerService.recordWithdrawalPaid(payout.owner.type, payout.owner.id, transaction);
+  },
+  failed: async (payout, transaction) => {
+    await Transaction.findByIdAndUpdate(transaction._id, { status: 'failed', updatedAt: new Date() });
+    await LedgerService.recordWithdrawalReversed(payout.owner.type, payout.owner.id, transaction);
+  },
+  reversed: async (payout, transaction) => {
+    await Transaction.findByIdAndUpdate(transaction._id, { status: 'failed', updatedAt: new Date() });
+    if (payout.paidAt) {
+      // The money did leave: book it out, then back in
+      await LedgerService.recordWithdrawalPaid(payout.owner.type, payout.owner.id, transaction);
+      await LedgerService.recordWithdrawalReturned(payout.owner.type, payout.owner.id, transaction);
+    } else {
+      await LedgerService.recordWithdrawalReversed(payout.owner.type, payout.owner.id, transaction);
+    }
+  },
+};
+
+const notifyOwner = (payout) => {
+  const messages = {
+    paid: {
+      title: 'Withdrawal Paid 💸',
+      body: `₹${payout.amount} has been sent to your account`,
+    },
+    failed: {
+      title: 'Withdrawal Failed',
+      body: `Your withdrawal of ₹${payout.amount} could not be completed and is back in your balance`,
+    },
+    reversed: {
+      title: 'Withdrawal Returned',
+      body: `Your bank returned the withdrawal of ₹${payout.amount}. It is back in your balance`,
+    },
+  };
+  const message = messages[payout.status];
+  if (!message) return;
+
+  const notification = {
+    ...message,
+    data: { type: 'payout', payoutId: payout.payoutId, status: payout.status },
+  };
+
+  // Nannies are users; daycare and eldercare providers have their own token
+  const sent = payout.owner.type === 'nanny'
+    ? NotificationService.sendToUser(payout.owner.id, notification)
+    : PROVIDER_MODELS[payout.owner.type].findById(payout.owner.id).select('fcmToken')
+      .then((provider) => (provider?.fcmToken
+        ? NotificationService.sendToToken(provider.fcmToken, notification)
+        : { success: false, reason: 'No FCM token' }));
+  sent.catch(err => console.error('Notification error:', err));
+};
+
+class PayoutService {
+  static isKnownStatus(status) {
+    return STATUSES.includes(status);
+  }
+
+  /**
+   * Ask for a payout of part of a provider's balance. The amount is held
+   * right away; small payouts are approved and sent straight away.
+   * @param {object} options
+   * @param {string} options.ownerType - 'nanny', 'daycare' or 'eldercare'
+   * @param {*} options.ownerId
+   * @param {number} options.amount - Rupees
+   * @param {string} options.method - 'bank' or 'upi'
+   * @param {object} options.destination - Bank details, or { upiId }
+   * @param {object} options.actor - { id, role } who asked for it
+   * @returns {{ payout, transaction }}
+   */
+  static async request({ ownerType, ownerId, amount, method, destination = {}, actor }) {
+    const value = roundMoney(Number(amount));
+    if (!(value >= MIN_AMOUNT)) {
+      throw new ServiceError(`Minimum withdrawal amount is ₹${MIN_AMOUNT}`);
+    }
+    if (method === 'bank' && !(destination.accountHolderName && destination.accountNumber && destination.ifscCode)) {
+      throw new ServiceError('Account holder name, account number and IFSC code are required');
+    }
+    if (method === 'upi' && !destination.upiId) {
+      throw new ServiceError('UPI ID is required');
+    }
+
+    const { availableBalance } = await LedgerService.providerBalance(ownerType, ownerId);
+    if (value > availableBalance) {
+      throw new ServiceError('Insufficient balance');
+    }
+
+    const payoutId = Payout.generatePayoutId();
+    const payoutDestination = method === 'bank'
+      ? {
+        accountHolderName: destination.accountHolderName,
+        accountNumber: destination.accountNumber,
+        ifscCode: destination.ifscCode,
+        bankName: destination.bankName,
+      }
+      : { upiId: destination.upiId };
+    const description = describeDestination(method, payoutDestination);
+
+    const transaction = await Transaction.create({
+      userId: ownerId,
+      type: 'withdrawal',
+      amount: value,
+      status: 'pending',
+      description,
+      withdrawalDetails: {
+        method,
+        ...(method === 'bank' ? { bankDetails: payoutDestination } : { upiId: payoutDestination.upiId }),
+        payoutId,
+      },
+    });
+
+    let payout = await Payout.create({
+      payoutId,
+      owner: { type: ownerType, id: ownerId },
+      transactionId: transaction._id,
+      amount: value,
+      method,
+      destination: payoutDestination,
+      requiresApproval: value > approvalThreshold(),
+      statusHistory: [{ from: null, to: 'requested', by: actor, reason: 'Withdrawal requested', at: new Date() }],
+    });
+
+    // Hold the amount
+    await LedgerService.recordWithdrawal(ownerType, ownerId, transaction);
+
+    // Two requests racing for the same money: give this hold back
+    const { availableBalance: balanceAfter } = await LedgerService.providerBalance(ownerType, ownerId);
+    if (balanceAfter < 0) {
+      await PayoutService.transition(payout, 'failed', {
+        actor: SYSTEM_ACTOR,
+        reason: 'Insufficient balance',
+        set: { failureReason: 'Insufficient balance' },
+        notify: false,
+      });
+      throw new ServiceError('Insufficient balance');
+    }
+
+    console.log(`💸 Payout ${payoutId} requested: ₹${value} to ${method} for ${ownerType} ${ownerId}`);
+
+    if (!payout.requiresApproval) {
+      payout = await PayoutService.transition(payout, 'approved', {
+        actor: SYSTEM_ACTOR,
+        reason: `Below the approval threshold of ₹${approvalThreshold()}`,
+      });
+      payout = await PayoutService.trySubmit(payout);
+    }
+
+    return { payout, transaction: await Transaction.findById(transaction._id) };
+  }
+
+  /**
+   * Move a payout to a new status, atomically, recording it in the history.
+   * Final statuses also update the transaction and the ledger.
+   * @param {object} payout - Payout document
+   * @param {string} to - Target status
+   * @param {object} options
+   * @param {object} options.actor - { id, role } of who triggers the change
+   * @param {string} options.reason - Stored in history
+   * @param {object} options.set - Extra fields to $set in the same update
+   * @param {boolean} options.notify - Tell the provider about paid/failed/reversed (default true)
+   * @returns {object} The updated payout
+   */
+  static async transition(payout, to, { actor, reason = '', set = {}, notify = true }) {
+    const from = payout.status;
+
+    if (!PayoutService.isKnownStatus(to)) {
+      throw new ServiceError('Invalid status');
+    }
+
+    const roles = TRANSITIONS[from]?.[to];
+    if (!roles) {
+      throw new ServiceError(`Cannot change a ${from} payout to ${to}`);
+    }
+    if (!roles.includes(actor.role)) {
+      throw new ServiceError(`A ${actor.role} cannot mark this payout as ${to}`, 403);
+    }
+
+    const now = new Date();
+    const updated = await Payout.findOneAndUpdate(
+      { _id: payout._id, status: from },
+      {
+        $set: {
+          ...set,
+          ...(enterFields[to] ? enterFields[to](now) : {}),
+          status: to,
+          settledAt: null,
+        },
+        $push: { statusHistory: { from, to, by: actor, reason, at: now } },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ServiceError('This payout was just updated by someone else. Please refresh and try again.', 409);
+    }
+
+    console.log(`🔄 Payout ${updated.payoutId}: ${from} → ${to} by ${actor.role}`);
+
+    const settled = await PayoutService.settle(updated);
+    if (notify) notifyOwner(settled);
+    return settled;
+  }
+
+  /**
+   * Bring the transaction and ledger in line with a final status.
+   * Safe to call repeatedly.
+   */
+  static async settle(payout) {
+    const settleStatus = settleFor[payout.status];
+    if (!settleStatus || payout.settledAt) return payout;
+
+    const transaction = await Transaction.findById(payout.transactionId);
+    if (!transaction) {
+      throw new Error(`Transaction ${payout.transactionId} of payout ${payout.payoutId} not found`);
+    }
+
+    await settleStatus(payout, transaction);
+
+    const settled = await Payout.findOneAndUpdate(
+      { _id: payout._id, status: payout.status },
+      { $set: { settledAt: new Date() } },
+      { new: true }
+    );
+    return settled || Payout.findById(payout._id);
+  }
+
+  /**
+   * Admin approval of a payout above the threshold; it is sent right away
+   */
+  static async approve(payout, actor, reason = '') {
+    if (payout.status !== 'requested') {
+      throw new ServiceError(`Only requested payouts can be approved (this one is ${payout.status})`);
+    }
+    const approved = await PayoutService.transition(payout, 'approved', {
+      actor,
+      reason: reason || 'Approved',
+    });
+    return PayoutService.trySubmit(approved);
+  }
+
+  /**
+   * Turn down a payout that has not been sent yet; the amount is released
+   */
+  static async reject(payout, actor, reason = '') {
+    if (!['requested', 'approved'].includes(payout.status)) {
+      throw new ServiceError(`Only payouts that have not been sent can be rejected (this one is ${payout.status})`);
+    }
+    return PayoutService.transition(payout, 'failed', {
+      actor,
+      reason: reason || 'Rejected',
+      set: { failureReason: reason || 'Rejected by admin' },
+    });
+  }
+
+  /**
+   * Send an approved payout to the payout provider. A payout whose earlier
+   * attempt had an unknown outcome is sent again with the same reference,
+   * which the provider treats as the same payout.
+   */
+  static async submit(payout) {
+    let current = payout;
+    if (current.status === 'approved') {
+      current = await PayoutService.transition(current, 'processing', {
+        actor: SYSTEM_ACTOR,
+        reason: 'Sent to the payout provider',
+      });
+    }
+    if (current.status !== 'processing' || current.providerPayoutId) return current;
+
+    current = await Payout.findByIdAndUpdate(current._id, { $inc: { attempts: 1 } }, { new: true });
+
+    let providerPayout;
+    try {
+      providerPayout = await PayoutProvider.createPayout({
+        referenceId: current.payoutId,
+        amount: current.amount,
+        method: current.method,
+        destination: current.destination.toObject(),
+        narration: 'WeCare payout',
+        notes: {
+          payoutId: current.payoutId,
+          ownerType: current.owner.type,
+          ownerId: current.owner.id.toString(),
+        },
+      });
+    } catch (error) {
+      if (error instanceof PayoutProvider.PayoutRejectedError) {
+        console.error(`❌ Payout ${current.payoutId} rejected by the provider:`, error.message);
+        return PayoutService.transition(current, 'failed', {
+          actor: SYSTEM_ACTOR,
+          reason: error.message,
+          set: { failureReason: error.message },
+        });
+      }
+      // Unknown outcome: stays processing and is sent again by the payout job
+      await Payout.updateOne(
+        { _id: current._id },
+        { $set: { failureReason: error.message, lastCheckedAt: new Date() } }
+      );
+      console.error(`❌ Payout ${current.payoutId} could not be sent:`, error.message);
+      throw new ServiceError(`Payout provider error: ${error.message}`, 502);
+    }
+
+    console.log(`🏦 Payout ${current.payoutId} of ₹${current.amount} sent (${providerPayout.id})`);
+    return PayoutService.applyProviderStatus(current, providerPayout);
+  }
+
+  /**
+   * submit() for callers that should not fail when the provider is down:
+   * the payout job picks the payout up again later
+   */
+  static async trySubmit(payout) {
+    try {
+      return await PayoutService.submit(payout);
+    } catch (error) {
+      if (!(error instanceof ServiceError)) console.error('Payout submit error:', error);
+      return Payout.findById(payout._id);
+    }
+  }
+
+  /**
+   * Record the provider's view of a payout. Safe to call repeatedly and
+   * with out-of-date updates, which are ignored.
+   * @param {object} payout - Payout document
+   * @param {object} providerPayout - Payout as returned by PayoutProvider
+   */
+  static async applyProviderStatus(payout, providerPayout) {
+    const now = new Date();
+    const set = {
+      providerStatus: providerPayout.providerStatus,
+      lastCheckedAt: now,
+      ...(providerPayout.id && { providerPayoutId: providerPayout.id }),
+      ...(providerPayout.utr && { utr: providerPayout.utr }),
+    };
+
+    const target = providerPayout.status;
+    const allowed = target !== payout.status && TRANSITIONS[payout.status]?.[target];
+
+    if (!allowed) {
+      await Payout.updateOne(
+        { _id: payout._id },
+        // A successful check clears the error of an earlier attempt
+        payout.status === 'processing' ? { $set: set, $unset: { failureReason: 1 } } : { $set: set }
+      );
+      return Payout.findById(payout._id);
+    }
+
+    const reason = {
+      paid: 'Paid out by the provider',
+      failed: providerPayout.failureReason || 'Payout failed at the provider',
+      reversed: providerPayout.failureReason || 'Payout reversed by the bank',
+    }[target];
+
+    try {
+      return await PayoutService.transition(payout, target, {
+        actor: SYSTEM_ACTOR,
+        reason,
+        set: {
+          ...set,
+          ...(target !== 'paid' && { failureReason: reason }),
+        },
+      });
+    } catch (error) {
+      // Someone else (webhook or job) got there first
+      if (error instanceof ServiceError && error.status === 409) return Payout.findById(payout._id);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring a payout up to date: send it if it is approved, otherwise ask the
+   * provider for its current state
+   */
+  static async sync(payout) {
+    if (payout.status === 'approved') return PayoutService.submit(payout);
+    if (!['processing', 'paid'].includes(payout.status)) return PayoutService.settle(payout);
+    if (!payout.providerPayoutId) {
+      return payout.status === 'processing' ? PayoutService.submit(payout) : payout;
+    }
+
+    const providerPayout = await PayoutProvider.fetchPayout(payout.providerPayoutId, payout.provider);
+    return PayoutService.applyProviderStatus(payout, providerPayout);
+  }
+
+  /**
+   * Payout job: send approved payouts, poll the ones in flight and finish
+   * bookkeeping that was interrupted
+   * @returns {{ submitted, checked, settled, errors }}
+   */
+  static async processDue({ limit = 50 } = {}) {
+    const staleBefore = new Date(Date.now() - POLL_AFTER_MS);
+    const summary = { submitted: 0, checked: 0, settled: 0, errors: 0 };
+
+    const run = async (payouts, work, counter) => {
+      for (const payout of payouts) {
+        try {
+          await work(payout);
+          summary[counter] += 1;
+        } catch (error) {
+          summary.errors += 1;
+          console.error(`Payout ${payout.payoutId} update failed:`, error.message);
+        }
+      }
+    };
+
+    await run(
+      await Payout.find({ status: 'approved' }).sort({ updatedAt: 1 }).limit(limit),
+      PayoutService.submit,
+      'submitted'
+    );
+    await run(
+      await Payout.find({
+        status: 'processing',
+        $or: [{ lastCheckedAt: null }, { lastCheckedAt: { $lt: staleBefore } }],
+      }).sort({ lastCheckedAt: 1 }).limit(limit),
+      PayoutService.sync,
+      'checked'
+    );
+    await run(
+      await Payout.find({
+        status: { $in: FINAL_STATUSES },
+        settledAt: null,
+        updatedAt: { $lt: staleBefore },
+      }).limit(limit),
+      PayoutService.settle,
+      'settled'
+    );
+
+    return summary;
+  }
+
+  /**
+   * Payouts for the admin list or a provider's own history
+   */
+  static async list({ status, ownerType, ownerId, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (ownerType) filter['owner.type'] = ownerType;
+    if (ownerId) filter['owner.id'] = ownerId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [payouts, total] = await Promise.all([
+      Payout.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Payout.countDocuments(filter),
+    ]);
+
+    return { payouts, total };
+  }
+}
+
+PayoutService.TRANSITIONS = TRANSITIONS;
+PayoutService.FINAL_STATUSES = FINAL_STATUSES;
+PayoutService.MIN_AMOUNT = MIN_AMOUNT;
+PayoutService.SYSTEM_ACTOR = SYSTEM_ACTOR;
+PayoutService.approvalThreshold = approvalThreshold;
+
+module.exports = PayoutService;
@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const PhoneChange = require('../models/PhoneChange');
+const User = require('../models/User');
+const DaycareProvider = require('../models/DaycareProvider');
+const ElderCareProvider = require('../models/ElderCareProvider');
+const OtpService = require('./otpService');
+const SessionService = require('./sessionService');
+const { ServiceError } = require('../utils/errors');
+
+const ACCOUNT_MODELS = {
+  user: User,
+  daycare: DaycareProvider,
+  eldercare: ElderCareProvider,
+};
+
+// Same rule as login (POST /api/auth/send-otp)
+const INDIAN_MOBILE = /^[6-9]\d{9}$/;
+
+// Time to enter the codes before the request has to be started again
+const REQUEST_TTL_MINUTES = 30;
+
+const OPEN_STATUSES = ['pending', 'in-review'];
+
+const event = (type, actor, { ip = '', note = '' } = {}) => ({ type, at: new Date(), actor, ip, note });
+
+// Whether an account of any kind, other than `except`, signs in with the number
+const numberInUse = async (phoneNumber, except) => {
+  const matches = await Promise.all(Object.entries(ACCOUNT_MODELS).map(([kind, Model]) =>
+    Model.exists({ phoneNumber, ...(except?.kind === kind && { _id: { $ne: except.id } }) })));
+  return matches.some(Boolean);
+};
+
+const numberOf = (request, which) => (which === 'old'
+  ? { phoneNumber: request.oldPhoneNumber, countryCode: request.oldCountryCode }
+  : { phoneNumber: request.newPhoneNumber, countryCode: request.newCountryCode });
+
+const sendCode = (request, which, ip) => OtpService.send({
+  ...numberOf(request, which),
+  purpose: 'phone-change',
+  subject: request._id,
+  ip,
+});
+
+const verifyCode = (request, which, code) => OtpService.verify({
+  ...numberOf(request, which),
+  purpose: 'phone-change',
+  subject: request._id,
+  code,
+});
+
+// Pending requests whose codes were not entered in time end here
+const expireIfStale = async (request) => {
+  if (request.status === 'pending' && request.expiresAt && request.expiresAt <= new Date()) {
+    request.status = 'expired';
+    request.events.push(event('expired', null));
+    await request.save();
+  }
+  return request;
+};
+
+const findOpen = async (kind, id, requestId) => {
+  const request = mongoose.isValidObjectId(requestId)
+    ? await PhoneChange.findOne({ _id: requestId, 'account.kind': kind, 'account.id': id })
+    : null;
+  if (!request) {
+    throw new ServiceError('Phone number change not found', 404);
+  }
+  await expireIfStale(request);
+  if (!OPEN_STATUSES.includes(request.status)) {
+    throw new ServiceError(`This request is ${request.status}. Please start again.`);
+  }
+  return request;
+};
+
+/**
+ * Phone number changes
+ *
+ * The phone number is how every account signs in, so changing it needs a
+ * code sent to the old number and one sent to the new number. Someone who
+ * lost the old SIM can verify only the new number and ask support, and an
+ * admin then approves or rejects the change. The new number must not belong
+ * to any User, DaycareProvider or ElderCareProvider. Every request keeps its
+ * events (who did what, when, from where) as the audit trail, and a
+ * completed change signs out the account's other devices.
+ */
+class PhoneChangeService {
+  /**
+   * Start a change and text the codes
+   * @param {object} options
+   * @param {string} options.kind - 'user', 'daycare' or 'eldercare'
+   * @param {object} options.account - The account document
+   * @param {string} options.newPhoneNumber - 10-digit Indian mobile number
+   * @param {string} options.supportReason - Set to ask support instead of verifying the old number
+   * @param {string} options.ip
+   * @returns {{ request, codes: { old, new } }} codes as returned by OtpService.send()
+   */
+  static async start({ kind, account, newPhoneNumber, supportReason, ip = '' }) {
+    const phoneNumber = String(newPhoneNumber || '').trim();
+    if (!INDIAN_MOBILE.test(phoneNumber)) {
+      throw new ServiceError('Please enter a valid 10-digit Indian mobile number');
+    }
+    if (phoneNumber === account.phoneNumber) {
+      throw new ServiceError('This is already your phone number');
+    }
+    const viaSupport = supportReason !== undefined;
+    if (viaSupport && !String(supportReason).trim()) {
+      throw new ServiceError('Please tell us why you cannot receive a code on your current number');
+    }
+
+    if (await numberInUse(phoneNumber)) {
+      throw new ServiceError('This number is already registered with WeCare', 409);
+    }
+    const claimed = await PhoneChange.exists({
+      newPhoneNumber: phoneNumber,
+      status: 'in-review',
+      $or: [{ 'account.kind': { $ne: kind } }, { 'account.id': { $ne: account._id } }],
+    });
+    if (claimed) {
+      throw new ServiceError('This number is already being added to another account', 409);
+    }
+
+    const actor = { kind, id: account._id };
+
+    // Only one open request per account
+    const open = await PhoneChange.find({ 'account.kind': kind, 'account.id': account._id, status: { $in: OPEN_STATUSES } });
+    for (const previous of open) {
+      previous.status = 'cancelled';
+      previous.events.push(event('cancelled', actor, { ip, note: 'Replaced by a new request' }));
+      await previous.save();
+    }
+
+    const request = await PhoneChange.create({
+      account: actor,
+      oldPhoneNumber: account.phoneNumber,
+      oldCountryCode: account.countryCode || '+91',
+      newPhoneNumber: phoneNumber,
+      newCountryCode: '+91',
+      method: viaSupport ? 'support' : 'otp',
+      supportReason: viaSupport ? String(supportReason).trim() : '',
+      expiresAt: new Date(Date.now() + REQUEST_TTL_MINUTES * 60 * 1000),
+      events: [event('requested', actor, { ip, note: viaSupport ? 'Old number unavailable' : '' })],
+    });
+
+    const codes = {};
+    try {
+      codes.new = await sendCode(request, 'new', ip);
+      if (!viaSupport) codes.old = await sendCode(request, 'old', ip);
+    } catch (error) {
+      request.status = 'cancelled';
+      request.events.push(event('cancelled', null, { note: `Code not sent: ${error.message}` }));
+      await request.save();
+      throw error;
+    }
+
+    console.log(`📱 Phone change ${request._id} started for ${kind} ${account._id}${viaSupport ? ' (support)' : ''}`);
+    return { request, codes };
+  }
+
+  /**
+   * Enter the codes, together or one at a time. The change completes once
+   * both numbers are verified; a support request goes to review once the new
+   * number is.
+   * @param {object} options - { oldOtp, newOtp, ip, keepSessionId: the device making the change }
+   */
+  static async verify(kind, id, requestId, { oldOtp, newOtp, ip = '', keepSessionId } = {}) {
+    const request = await findOpen(kind, id, requestId);
+    if (request.status === 'in-review') {
+      throw new ServiceError('Your request is waiting for review by our support team');
+    }
+
+    const needsOld = request.method === 'otp' && !request.oldNumberVerifiedAt;
+    const tryOld = needsOld && oldOtp;
+    const tryNew = !request.newNumberVerifiedAt && newOtp;
+    if (!tryOld && !tryNew) {
+      throw new ServiceError(needsOld && !request.newNumberVerifiedAt
+        ? 'Enter the codes sent to your current and new numbers'
+        : `Enter the code sent to your ${needsOld ? 'current' : 'new'} number`);
+    }
+
+    const actor = { kind, id };
+    // Each verified number is saved at once, so a wrong code for the other one does not undo it
+    if (tryOld) {
+      await verifyCode(request, 'old', oldOtp);
+      request.oldNumberVerifiedAt = new Date();
+      request.events.push(event('old-number-verified', actor, { ip }));
+      await request.save();
+    }
+    if (tryNew) {
+      await verifyCode(request, 'new', newOtp);
+      request.newNumberVerifiedAt = new Date();
+      request.events.push(event('new-number-verified', actor, { ip }));
+      await request.save();
+    }
+
+    if (!request.newNumberVerifiedAt || (request.method === 'otp' && !request.oldNumberVerifiedAt)) {
+      return request;
+    }
+
+    if (request.method === 'support') {
+      request.status = 'in-review';
+      request.expiresAt = undefined;
+      request.events.push(event('submitted-for-review', actor, { ip }));
+      await request.save();
+      return request;
+    }
+
+    return PhoneChangeService.complete(request, actor, { ip, keepSessionId });
+  }
+
+  /**
+   * Send a code again
+   * @param {string} which - 'old' or 'new'
+   */
+  static async resend(kind, id, requestId, { which, ip = '' } = {}) {
+    if (!['old', 'new'].includes(which)) {
+      throw new ServiceError("Say which number to send the code to: 'old' or 'new'");
+    }
+    const request = await findOpen(kind, id, requestId);
+    if (request.status !== 'pending') {
+      throw new ServiceError('Your request is waiting for review by our support team');
+    }
+    if (which === 'old' && request.method === 'support') {
+      throw new ServiceError('This request does not use your current number');
+    }
+    if (request[which === 'old' ? 'oldNumberVerifiedAt' : 'newNumberVerifiedAt']) {
+      throw new ServiceError(`Your ${which === 'old' ? 'current' : 'new'} number is already verified`);
+    }
+
+    return sendCode(request, which, ip);
+  }
+
+  static async cancel(kind, id, requestId, { ip = '' } = {}) {
+    const request = await findOpen(kind, id, requestId);
+    request.status = 'cancelled';
+    request.events.push(event('cancelled', { kind, id }, { ip }));
+    await request.save();
+    return request;
+  }
+
+  /**
+   * Move the account to the new number. Called once the codes are verified
+   * or an admin approves a support request.
+   */
+  static async complete(request, actor, { ip = '', keepSessionId, note = '' } = {}) {
+    const { kind, id } = request.account;
+
+    // Checked again: the number may have been registered since the request started
+    if (await numberInUse(request.newPhoneNumber, { kind, id })) {
+      request.status = 'cancelled';
+      request.events.push(event('cancelled', null, { note: 'New number registered by another account' }));
+      await request.save();
+      throw new ServiceError('This number is already registered with WeCare', 409);
+    }
+
+    let result;
+    try {
+      result = await ACCOUNT_MODELS[kind].updateOne(
+        { _id: id, phoneNumber: request.oldPhoneNumber },
+        { phoneNumber: request.newPhoneNumber, countryCode: request.newCountryCode }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServiceError('This number is already registered with WeCare', 409);
+      }
+      throw error;
+    }
+    if (!result.modifiedCount) {
+      throw new ServiceError('The account number changed while this request was open. Please start again.', 409);
+    }
+
+    request.status = 'completed';
+    request.completedAt = new Date();
+    request.events.push(event('completed', actor, { ip, note }));
+    await request.save();
+
+    await SessionService.revokeAll(kind, id, { except: keepSessionId, reason: 'phone-change' });
+
+    console.log(`📱 ${kind} ${id} changed phone number (${request.method}) in request ${request._id}`);
+    return request;
+  }
+
+  /**
+   * The account's open request, if any, and its past changes, newest first
+   */
+  static async forAccount(kind, id) {
+    const requests = await PhoneChange.find({ 'account.kind': kind, 'account.id': id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+    await Promise.all(requests.map(expireIfStale));
+
+    return {
+      active: requests.find(r => OPEN_STATUSES.includes(r.status)) || null,
+      history: requests.filter(r => !OPEN_STATUSES.includes(r.status)),
+    };
+  }
+
+  /**
+   * Requests for the admin panel, newest first
+   * @param {object} filters - { status, phoneNumber (old or new), accountId, page, limit }
+   */
+  static async list({ status, phoneNumber, accountId, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (phoneNumber) filter.$or = [{ oldPhoneNumber: phoneNumber }, { newPhoneNumber: phoneNumber }];
+    if (accountId && mongoose.isValidObjectId(accountId)) filter['account.id'] = accountId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [requests, total] = await Promise.all([
+      PhoneChange.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      PhoneChange.countDocuments(filter),
+    ]);
+    return { requests, total };
+  }
+
+  /**
+   * Review a support request
+   * @param {boolean} approve - Change the number, or reject the request
+   */
+  static async review(requestId, { approve, adminId, note = '', ip = '' }) {
+    const request = mongoose.isValidObjectId(requestId) ? await PhoneChange.findById(requestId) : null;
+    if (!request) {
+      throw new ServiceError('Phone number change not found', 404);
+    }
+    if (request.status !== 'in-review') {
+      throw new ServiceError(`Only requests in review can be ${approve ? 'approved' : 'rejected'}`);
+    }
+
+    const actor = { kind: 'user', id: adminId };
+    if (!approve) {
+      request.status = 'rejected';
+      request.events.push(event('rejected', actor, { ip, note }));
+      await request.save();
+      return request;
+    }
+
+    request.events.push(event('approved', actor, { ip, note }));
+    // The old SIM may be in someone else's hands, so every device signs in again
+    return PhoneChangeService.complete(request, actor, { ip, note });
+  }
+}
+
+PhoneChangeService.REQUEST_TTL_MINUTES = REQUEST_TTL_MINUTES;
+
+module.exports = PhoneChangeService;
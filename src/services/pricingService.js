@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const City = require('../models/City');
+const { ServiceError } = require('../utils/errors');
+const { MINUTES_PER_DAY, toMinuteRange, dayOfWeek } = require('../utils/time');
+
+// Used when the booking address is outside every configured city
+const DEFAULT_PRICING_RULES = {
+  minimumHours: 2,
+  extraChildPercent: 25,
+  nightSurchargePercent: 25,
+  nightStartHour: 21,
+  nightEndHour: 6,
+  weekendSurchargePercent: 10,
+  platformFee: 29,
+  gstPercent: 18,
+};
+
+const MAX_CHILDREN = 6;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const percentOf = (amount, percent) => roundMoney((amount * percent) / 100);
+
+/**
+ * Minutes of [start, end) that fall inside the nightly window
+ * The window may wrap midnight (e.g. 21:00 - 06:00).
+ */
+const nightMinutesIn = (start, end, nightStartHour, nightEndHour) => {
+  const nightStart = nightStartHour * 60;
+  const nightEnd = nightEndHour * 60;
+  if (nightStart === nightEnd) return 0;
+
+  let total = 0;
+  // Ranges can run into the next day, so check the windows around both days
+  for (let day = -1; day <= 1; day++) {
+    const windowStart = day * MINUTES_PER_DAY + nightStart;
+    const windowEnd = nightStart > nightEnd
+      ? (day + 1) * MINUTES_PER_DAY + nightEnd
+      : day * MINUTES_PER_DAY + nightEnd;
+    total += Math.max(0, Math.min(end, windowEnd) - Math.max(start, windowStart));
+  }
+  return total;
+};
+
+class PricingService {
+  /**
+   * Pricing rules for a city, falling back to the platform defaults
+   */
+  static resolveRules(city) {
+    const configured = city?.pricing?.toObject ? city.pricing.toObject() : (city?.pricing || {});
+    const rules = { ...DEFAULT_PRICING_RULES };
+    Object.keys(rules).forEach((key) => {
+      if (typeof configured[key] === 'number') rules[key] = configured[key];
+    });
+    return rules;
+  }
+
+  /**
+   * Compute a price breakdown. Pure - no database access.
+   * @param {object} params
+   * @param {number} params.hourlyRate - Nanny's hourly rate
+   * @param {string|Date} params.date - Booking date
+   * @param {string} params.startTime - e.g. "9:00 AM"
+   * @param {string} params.endTime - e.g. "5:00 PM"
+   * @param {number} params.numberOfChildren
+   * @param {object} params.rules - Result of resolveRules()
+   * @param {Array} params.discounts - [{ code, label, amount }] applied before fees
+   */
+  static calculate({ hourlyRate, date, startTime, endTime, numberOfChildren = 1, rules = DEFAULT_PRICING_RULES, discounts = [] }) {
+    if (!hourlyRate || hourlyRate <= 0) {
+      throw new ServiceError('This nanny has not set an hourly rate yet');
+    }
+
+    const range = toMinuteRange(startTime, endTime);
+    if (!range) {
+      throw new ServiceError('Invalid start or end time');
+    }
+
+    const children = parseInt(numberOfChildren, 10) || 1;
+    if (children < 1 || children > MAX_CHILDREN) {
+      throw new ServiceError(`Number of children must be between 1 and ${MAX_CHILDREN}`);
+    }
+
+    const totalHours = roundMoney(range.minutes / 60);
+    const billableHours = Math.max(totalHours, rules.minimumHours);
+    const lineItems = [];
+
+    const base = roundMoney(hourlyRate * billableHours);
+    lineItems.push({
+      code: 'base',
+      type: 'base',
+      label: `${billableHours} hrs x ₹${hourlyRate}/hr`,
+      amount: base,
+    });
+
+    if (children > 1 && rules.extraChildPercent > 0) {
+      lineItems.push({
+        code: 'extra_children',
+        type: 'surcharge',
+        label: `Additional children (${children - 1} x ${rules.extraChildPercent}%)`,
+        amount: percentOf(base, rules.extraChildPercent * (children - 1)),
+      });
+    }
+
+    const nightMinutes = nightMinutesIn(range.start, range.end, rules.nightStartHour, rules.nightEndHour);
+    if (nightMinutes > 0 && rules.nightSurchargePercent > 0) {
+      const nightHours = roundMoney(nightMinutes / 60);
+      lineItems.push({
+        code: 'night',
+        type: 'surcharge',
+        label: `Night hours (${nightHours} hrs x ${rules.nightSurchargePercent}%)`,
+        amount: percentOf(hourlyRate * nightHours, rules.nightSurchargePercent),
+      });
+    }
+
+    const weekday = dayOfWeek(date);
+    if ((weekday === 0 || weekday === 6) && rules.weekendSurchargePercent > 0) {
+      lineItems.push({
+        code: 'weekend',
+        type: 'surcharge',
+        label: `Weekend (${rules.weekendSurchargePercent}%)`,
+        amount: percentOf(base, rules.weekendSurchargePercent),
+      });
+    }
+
+    const subtotal = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+    // Discounts can never take the service amount below zero
+    let discountTotal = 0;
+    discounts.forEach((discount) => {
+      const amount = roundMoney(Math.min(discount.amount, subtotal - discountTotal));
+      if (amount <= 0) return;
+      discountTotal = roundMoney(discountTotal + amount);
+      lineItems.push({
+        code: discount.code,
+        type: 'discount',
+        label: discount.label || 'Discount',
+        amount: -amount,
+      });
+    });
+
+    const platformFee = roundMoney(rules.platformFee);
+    if (platformFee > 0) {
+      lineItems.push({ code: 'platform_fee', type: 'fee', label: 'Platform fee', amount: platformFee });
+    }
+
+    const taxTotal = percentOf(platformFee, rules.gstPercent);
+    if (taxTotal > 0) {
+      lineItems.push({ code: 'gst', type: 'tax', label: `GST (${rules.gstPercent}%)`, amount: taxTotal });
+    }
+
+    return {
+      currency: 'INR',
+      hourlyRate,
+      totalHours,
+      billableHours,
+      numberOfChildren: children,
+      lineItems,
+      subtotal,
+      discountTotal,
+      platformFee,
+      taxTotal,
+      total: roundMoney(subtotal - discountTotal + platformFee + taxTotal),
+    };
+  }
+
+  /**
+   * Quote a nanny booking using the nanny's rate and the rules of the city
+   * the service address belongs to
+   * @param {object} params - nannyId or nanny, date, startTime, endTime, numberOfChildren, pincode, discounts
+   */
+  static async quoteForNanny({ nannyId, nanny, date, startTime, endTime, numberOfChildren, pincode, discounts }) {
+    const caregiver = nanny || (mongoose.isValidObjectId(nannyId) ? await User.findById(nannyId) : null);
+    if (!caregiver || caregiver.role !== 'nanny') {
+      throw new ServiceError('Nanny not found', 404);
+    }
+
+    if (!date || Number.isNaN(new Date(date).getTime())) {
+      throw new ServiceError('A valid date is required');
+    }
+
+    const city = pincode ? await City.findByPincode(pincode) : null;
+    const quote = PricingService.calculate({
+      hourlyRate: caregiver.nannyProfile?.hourlyRate,
+      date,
+      startTime,
+      endTime,
+      numberOfChildren,
+      rules: PricingService.resolveRules(city),
+      discounts,
+    });
+
+    return {
+      ...quote,
+      cityId: city ? city._id : null,
+      cityName: city ? city.name : null,
+    };
+  }
+
+  /**
+   * Shape a quote for Booking.pricing
+   */
+  static toBookingPricing(quote) {
+    return {
+      currency: quote.currency,
+      billableHours: quote.billableHours,
+      lineItems: quote.lineItems,
+      subtotal: quote.subtotal,
+      discountTotal: quote.discountTotal,
+      platformFee: quote.platformFee,
+      taxTotal: quote.taxTotal,
+      total: quote.total,
+      cityId: quote.cityId,
+      promoCode: quote.promoCode,
+      quotedAt: new Date(),
+    };
+  }
+}
+
+module.exports = PricingService;
@@ -0,0 +1,255 @@
+const Booking = require('../models/Booking');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const PricingService = require('./pricingService');
+const { ServiceError } = require('../utils/errors');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const percentOf = (amount, percent) => roundMoney((amount * percent) / 100);
+
+const sameId = (a, b) => (a?.toString() || null) === (b?.toString() || null);
+
+const isSet = (value) => value !== null && value !== undefined;
+
+// Fields an admin may set on a code
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount', 'minOrderAmount', 'validFrom', 'validUntil',
+  'cityIds', 'services', 'usageLimit', 'perUserLimit', 'firstBookingOnly', 'isActive',
+];
+
+/**
+ * Promo codes
+ *
+ * A code takes a discount off the service amount (before the platform fee
+ * and GST) and is funded by the platform, so the provider still earns on
+ * the full amount. Using a code on a booking records a PromoRedemption and
+ * counts towards the code's limits; cancelling or rejecting the booking
+ * reverses it and gives the use back.
+ */
+class PromoService {
+  static normalize(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Check a code against a booking and work out the discount. Pure - no database access.
+   * @param {object} promo - PromoCode (or null when the code does not exist)
+   * @param {object} context
+   * @param {number} context.subtotal - Service amount of the quote
+   * @param {*} context.cityId - City of the service address
+   * @param {string} context.service - 'nanny', 'daycare' or 'eldercare'
+   * @param {number} context.userRedemptions - Times the parent has this code applied
+   * @param {number} context.previousBookings - Parent's bookings that were not cancelled or rejected
+   * @returns {{ valid: boolean, message: string, amount: number }}
+   */
+  static evaluate(promo, {
+    subtotal, cityId = null, service = 'nanny', now = new Date(), userRedemptions = 0, previousBookings = 0,
+  }) {
+    const invalid = (message) => ({ valid: false, message, amount: 0 });
+
+    if (!promo || !promo.isActive) return invalid('This promo code is not valid');
+    if (promo.validFrom && now < promo.validFrom) return invalid('This promo code is not active yet');
+    if (promo.validUntil && now > promo.validUntil) return invalid('This promo code has expired');
+    if (promo.cityIds?.length && !promo.cityIds.some((id) => sameId(id, cityId))) {
+      return invalid('This promo code is not valid in your city');
+    }
+    if (promo.services?.length && !promo.services.includes(service)) {
+      return invalid('This promo code is not valid for this service');
+    }
+    if (isSet(promo.usageLimit) && promo.usedCount >= promo.usageLimit) {
+      return invalid('This promo code has been fully used');
+    }
+    if (promo.perUserLimit && userRedemptions >= promo.perUserLimit) {
+      return invalid('You have already used this promo code');
+    }
+    if (promo.firstBookingOnly && previousBookings > 0) {
+      return invalid('This promo code is only for your first booking');
+    }
+    if (subtotal < (promo.minOrderAmount || 0)) {
+      return invalid(`This promo code needs a booking of at least ₹${promo.minOrderAmount}`);
+    }
+
+    let amount = promo.discountType === 'percent' ? percentOf(subtotal, promo.value) : promo.value;
+    if (isSet(promo.maxDiscount)) amount = Math.min(amount, promo.maxDiscount);
+    amount = roundMoney(Math.min(amount, subtotal));
+    if (!(amount > 0)) return invalid('This promo code gives no discount on this booking');
+
+    return { valid: true, message: 'Promo code applied', amount };
+  }
+
+  /**
+   * How often a parent has used a code, and whether they booked before
+   */
+  static async usageFor(promo, userId) {
+    const [userRedemptions, previousBookings] = await Promise.all([
+      PromoRedemption.countDocuments({ promoCodeId: promo._id, userId, status: 'applied' }),
+      promo.firstBookingOnly
+        ? Booking.countDocuments({ parentId: userId, status: { $nin: ['cancelled', 'rejected'] } })
+        : 0,
+    ]);
+    return { userRedemptions, previousBookings };
+  }
+
+  /**
+   * Quote a nanny booking, with the code's discount when one is given.
+   * A code that does not apply throws a 400 saying why.
+   * @param {object} params - PricingService.quoteForNanny() params plus code and userId
+   * @returns {{ quote, promo, discount }}
+   */
+  static async quoteForNanny({ code, userId, ...params }) {
+    const quote = await PricingService.quoteForNanny(params);
+    if (!code) return { quote, promo: null, discount: 0 };
+
+    const promo = await PromoCode.findOne({ code: PromoService.normalize(code) });
+    const usage = promo ? await PromoService.usageFor(promo, userId) : {};
+    const result = PromoService.evaluate(promo, {
+      subtotal: quote.subtotal,
+      cityId: quote.cityId,
+      service: 'nanny',
+      ...usage,
+    });
+    if (!result.valid) throw new ServiceError(result.message);
+
+    const discounted = await PricingService.quoteForNanny({
+      ...params,
+      discounts: [{ code: 'promo', label: `Promo code ${promo.code}`, amount: result.amount }],
+    });
+    return { quote: { ...discounted, promoCode: promo.code }, promo, discount: result.amount };
+  }
+
+  /**
+   * Record a code used on a booking. The limits are checked again
+   * atomically, so two bookings cannot take the last use.
+   * @param {object} options - { userId, bookingId, amount }
+   * @returns {object} The PromoRedemption
+   */
+  static async redeem(promo, { userId, bookingId, amount }) {
+    const claimed = await PromoCode.findOneAndUpdate(
+      {
+        _id: promo._id,
+        isActive: true,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+    if (!claimed) throw new ServiceError('This promo code has been fully used', 409);
+
+    let redemption;
+    try {
+      redemption = await PromoRedemption.create({
+        promoCodeId: promo._id,
+        code: promo.code,
+        userId,
+        bookingId,
+        amount,
+      });
+    } catch (error) {
+      await PromoCode.updateOne({ _id: promo._id }, { $inc: { usedCount: -1 } });
+      throw error;
+    }
+
+    // Two bookings racing for the parent's last use: give this one back
+    if (claimed.perUserLimit) {
+      const used = await PromoRedemption.countDocuments({ promoCodeId: promo._id, userId, status: 'applied' });
+      if (used > claimed.perUserLimit) {
+        await PromoService.reverse(redemption, 'Per-user limit reached');
+        throw new ServiceError('You have already used this promo code', 409);
+      }
+    }
+
+    console.log(`🏷️ Promo ${promo.code} redeemed for ₹${amount} on booking ${bookingId}`);
+    return redemption;
+  }
+
+  /**
+   * Reverse a redemption and give the use back. Safe to call repeatedly.
+   */
+  static async reverse(redemption, reason = '') {
+    const reversed = await PromoRedemption.findOneAndUpdate(
+      { _id: redemption._id, status: 'applied' },
+      { $set: { status: 'reversed', reversedAt: new Date(), reversalReason: reason } },
+      { new: true }
+    );
+    if (!reversed) return PromoRedemption.findById(redemption._id);
+
+    await PromoCode.updateOne({ _id: reversed.promoCodeId }, { $inc: { usedCount: -1 } });
+    console.log(`🏷️ Promo ${reversed.code} redemption reversed: ${reason}`);
+    return reversed;
+  }
+
+  /**
+   * Reverse the code used on a booking, if any
+   */
+  static async reverseForBooking(booking, reason) {
+    const redemption = await PromoRedemption.findOne({ bookingId: booking._id, status: 'applied' });
+    if (!redemption) return null;
+    return PromoService.reverse(redemption, reason);
+  }
+
+  /**
+   * Pick the fields an admin may set, normalising the code
+   */
+  static definitionFrom(body = {}) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (body[field] !== undefined) fields[field] = body[field] === '' ? null : body[field];
+    });
+    if (fields.code) fields.code = PromoService.normalize(fields.code);
+    if (fields.discountType === 'percent' && fields.value > 100) {
+      throw new ServiceError('A percentage discount cannot exceed 100');
+    }
+    return fields;
+  }
+
+  /**
+   * Codes for the admin list
+   */
+  static async list({ active, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (active !== undefined) filter.isActive = active === 'true' || active === true;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [promoCodes, total] = await Promise.all([
+      PromoCode.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      PromoCode.countDocuments(filter),
+    ]);
+
+    return { promoCodes, total };
+  }
+
+  /**
+   * Redemptions of one code, with the total discount given
+   */
+  static async redemptions(promo, { status, page = 1, limit = 50 } = {}) {
+    const filter = { promoCodeId: promo._id };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [redemptions, total, [totals]] = await Promise.all([
+      PromoRedemption.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('userId', 'name phoneNumber')
+        .populate('bookingId', 'bookingId date status totalAmount'),
+      PromoRedemption.countDocuments(filter),
+      PromoRedemption.aggregate([
+        { $match: { promoCodeId: promo._id, status: 'applied' } },
+        { $group: { _id: null, count: { $sum: 1 }, discountTotal: { $sum: '$amount' } } },
+      ]),
+    ]);
+
+    return {
+      redemptions,
+      total,
+      applied: totals?.count || 0,
+      discountTotal: roundMoney(totals?.discountTotal || 0),
+    };
+  }
+}
+
+PromoService.EDITABLE_FIELDS = EDITABLE_FIELDS;
+
+module.exports = PromoService;
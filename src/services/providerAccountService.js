@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const DaycareProvider = require('../models/DaycareProvider');
+const ElderCareProvider = require('../models/ElderCareProvider');
+const Transaction = require('../models/Transaction');
+const LedgerService = require('./ledgerService');
+const PayoutService = require('./payoutService');
+const { ServiceError } = require('../utils/errors');
+
+// Where each provider type keeps its account
+const MODELS = {
+  nanny: User,
+  daycare: DaycareProvider,
+  eldercare: ElderCareProvider,
+};
+
+const PROVIDER_TYPES = Object.keys(MODELS);
+
+const BANK_FIELDS = ['accountHolderName', 'accountNumber', 'ifscCode', 'bankName', 'upiId'];
+
+const TRANSACTION_TYPES = {
+  earnings: ['earning', 'cancellation-fee', 'referral-bonus'],
+  withdrawals: ['withdrawal'],
+};
+
+const jobsCompleted = {
+  nanny: (account) => account.nannyProfile?.totalJobsCompleted || 0,
+  daycare: () => undefined,
+  eldercare: (account) => account.totalJobsCompleted || 0,
+};
+
+/**
+ * Earnings, payout details and withdrawals of nannies, daycares and
+ * eldercare providers, whichever collection their account lives in.
+ * Balances come from the ledger and withdrawals go through PayoutService.
+ */
+class ProviderAccountService {
+  static isProviderType(type) {
+    return PROVIDER_TYPES.includes(type);
+  }
+
+  /**
+   * Load a provider account
+   * @param {string} type - 'nanny', 'daycare' or 'eldercare'
+   * @param {string} id
+   */
+  static async load(type, id) {
+    if (!ProviderAccountService.isProviderType(type)) {
+      throw new ServiceError('Unknown provider type');
+    }
+    const account = mongoose.isValidObjectId(id) ? await MODELS[type].findById(id) : null;
+    if (!account || (type === 'nanny' && account.role !== 'nanny')) {
+      throw new ServiceError('Provider not found', 404);
+    }
+    return account;
+  }
+
+  /**
+   * Balances plus earnings for today, the last 7 days and this month
+   */
+  static async summary(type, account) {
+    const now = new Date();
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const startOfWeek = new Date(now);
+    startOfWeek.setDate(now.getDate() - 7);
+    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    const [balance, todayEarnings, weekEarnings, monthEarnings] = await Promise.all([
+      LedgerService.providerBalance(type, account._id),
+      LedgerService.providerEarningsSince(type, account._id, startOfToday),
+      LedgerService.providerEarningsSince(type, account._id, startOfWeek),
+      LedgerService.providerEarningsSince(type, account._id, startOfMonth),
+    ]);
+
+    return {
+      ...balance,
+      todayEarnings,
+      weekEarnings,
+      monthEarnings,
+      totalJobsCompleted: jobsCompleted[type](account),
+    };
+  }
+
+  static bankDetailsOf(account) {
+    return account.toObject().bankDetails || null;
+  }
+
+  /**
+   * Save payout details. Only the fields given are changed, so a UPI ID
+   * can be added without touching the bank account and vice versa.
+   */
+  static async saveBankDetails(account, details = {}) {
+    const current = ProviderAccountService.bankDetailsOf(account) || {};
+    const changes = BANK_FIELDS.reduce((picked, field) => {
+      if (details[field] !== undefined) picked[field] = details[field];
+      return picked;
+    }, {});
+
+    account.bankDetails = { ...current, ...changes, updatedAt: new Date() };
+    await account.save();
+    return ProviderAccountService.bankDetailsOf(account);
+  }
+
+  /**
+   * Request a withdrawal. Falls back to the saved details when the request
+   * has none, and saves the details used for next time.
+   * @param {string} type - Provider type
+   * @param {object} account - Provider document
+   * @param {object} options - { amount, method, bankDetails, actor }
+   * @returns {{ payout, transaction, newBalance }}
+   */
+  static async withdraw(type, account, { amount, method, bankDetails, actor }) {
+    const destination = bankDetails || ProviderAccountService.bankDetailsOf(account) || {};
+
+    const { payout, transaction } = await PayoutService.request({
+      ownerType: type,
+      ownerId: account._id,
+      amount,
+      method,
+      destination,
+      actor,
+    });
+
+    if (bankDetails) {
+      await ProviderAccountService.saveBankDetails(account, method === 'bank'
+        ? {
+          accountHolderName: bankDetails.accountHolderName,
+          accountNumber: bankDetails.accountNumber,
+          ifscCode: bankDetails.ifscCode,
+          bankName: bankDetails.bankName,
+        }
+        : { upiId: bankDetails.upiId });
+    }
+
+    const { availableBalance: newBalance } = await LedgerService.providerBalance(type, account._id);
+    return { payout, transaction, newBalance };
+  }
+
+  /**
+   * Transaction history, newest first
+   * @param {string} type - 'all', 'earnings' or 'withdrawals'
+   */
+  static async transactions(account, { type = 'all', page = 1, limit = 50 } = {}) {
+    const query = { userId: account._id };
+    if (TRANSACTION_TYPES[type]) query.type = { $in: TRANSACTION_TYPES[type] };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [transactions, total] = await Promise.all([
+      Transaction.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('bookingId', 'bookingId'),
+      Transaction.countDocuments(query),
+    ]);
+
+    return { transactions, total };
+  }
+}
+
+ProviderAccountService.PROVIDER_TYPES = PROVIDER_TYPES;
+ProviderAccountService.MODELS = MODELS;
+
+module.exports = ProviderAccountService;
@@ -0,0 +1,395 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const PaymentGateway = require('./paymentGateway');
+const PaymentService = require('./paymentService');
+const RefundService = require('./refundService');
+const SettlementService = require('./settlementService');
+const LedgerService = require('./ledgerService');
+const { ServiceError } = require('../utils/errors');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 7;
+// Refunds usually complete within a few days; only chase the older ones
+const STUCK_REFUND_MS = MS_PER_DAY;
+// A run still marked running after this long is assumed to have crashed
+const STALE_RUN_MS = 30 * 60 * 1000;
+const TOLERANCE = 0.01;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const differs = (a, b) => Math.abs((a || 0) - (b || 0)) > TOLERANCE;
+
+/**
+ * Collects issues for one run and applies safe fixes when asked to
+ */
+class RunContext {
+  constructor(autoFix) {
+    this.autoFix = autoFix;
+    this.issues = [];
+    this.counts = { bookingsChecked: 0, nanniesChecked: 0, refundsChecked: 0 };
+  }
+
+  /**
+   * Record an issue. fix() is only called for fixable issues when autoFix is
+   * on; it returns a short description of what it did.
+   */
+  async flag(issue, fix) {
+    const entry = { severity: 'warning', ...issue, fixable: !!fix, fixed: false };
+    if (fix && this.autoFix) {
+      try {
+        entry.fixResult = await fix();
+        entry.fixed = true;
+      } catch (error) {
+        entry.fixResult = `Fix failed: ${error.message}`;
+      }
+    }
+    this.issues.push(entry);
+  }
+}
+
+/**
+ * Checks bookings with a Razorpay order against the gateway
+ */
+const checkGatewayPayments = async (ctx, since) => {
+  const bookings = await Booking.find({
+    'payment.razorpayOrderId': { $exists: true, $ne: null },
+    updatedAt: { $gte: since },
+  }).select('bookingId status totalAmount payment');
+
+  for (const booking of bookings) {
+    ctx.counts.bookingsChecked += 1;
+    const { razorpayOrderId: orderId, transactionId: paymentId, status: paymentStatus } = booking.payment;
+
+    let payments;
+    try {
+      payments = await PaymentGateway.fetchOrderPayments(orderId);
+    } catch (error) {
+      await ctx.flag({
+        type: 'gateway-lookup-failed',
+        message: `Could not fetch payments for order ${orderId}: ${error.message}`,
+        bookingId: booking._id,
+        orderId,
+      });
+      continue;
+    }
+
+    const captured = payments.filter((payment) => ['captured', 'refunded'].includes(payment.status));
+
+    if (!['paid', 'refunded'].includes(paymentStatus)) {
+      if (captured.length === 0) {
+        await ctx.flag({
+          type: 'order-unpaid',
+          severity: 'info',
+          message: `Order ${orderId} was created but never paid`,
+          bookingId: booking._id,
+          orderId,
+          actual: payments.map((payment) => payment.status),
+        });
+        continue;
+      }
+
+      const payment = captured[0];
+      await ctx.flag({
+        type: 'payment-not-recorded',
+        severity: 'critical',
+        message: `Payment ${payment.id} was captured but booking ${booking.bookingId} is still ${paymentStatus}`,
+        bookingId: booking._id,
+        orderId,
+        paymentId: payment.id,
+        expected: 'paid',
+        actual: paymentStatus,
+      }, async () => {
+        const { amountMismatch } = await PaymentService.markBookingPaid(booking, {
+          paymentId: payment.id,
+          orderId,
+          amount: payment.amount,
+        });
+        return amountMismatch ? 'Amount does not match what is due; flagged for review' : 'Booking marked paid';
+      });
+      continue;
+    }
+
+    const payment = payments.find((candidate) => candidate.id === paymentId);
+    if (!payment || !['captured', 'refunded'].includes(payment.status)) {
+      await ctx.flag({
+        type: 'payment-not-captured',
+        severity: 'critical',
+        message: `Booking ${booking.bookingId} is ${paymentStatus} but payment ${paymentId} is ${payment ? payment.status : 'not part of the order'}`,
+        bookingId: booking._id,
+        orderId,
+        paymentId,
+        expected: 'captured',
+        actual: payment?.status || null,
+      });
+      continue;
+    }
+
+    // The wallet part never goes through the gateway
+    const chargedOnline = booking.totalAmount - (booking.payment.walletAmount || 0);
+    if (differs(payment.amount, chargedOnline)) {
+      await ctx.flag({
+        type: 'payment-amount-mismatch',
+        message: `Booking ${booking.bookingId} charges ₹${chargedOnline} online but ₹${payment.amount} was captured`,
+        bookingId: booking._id,
+        orderId,
+        paymentId,
+        expected: chargedOnline,
+        actual: payment.amount,
+      });
+    }
+  }
+};
+
+/**
+ * Completed bookings against the nanny's earning transactions
+ */
+const checkSettlements = async (ctx, since) => {
+  const unsettled = await Booking.find({
+    status: 'completed',
+    'payment.status': 'paid',
+    'settlement.status': { $ne: 'settled' },
+    updatedAt: { $gte: since },
+  }).select('bookingId status totalAmount pricing payment settlement nannyId parentId');
+
+  for (const booking of unsettled) {
+    ctx.counts.bookingsChecked += 1;
+    await ctx.flag({
+      type: 'completed-not-settled',
+      message: `Booking ${booking.bookingId} is completed and paid but the nanny was not credited`,
+      bookingId: booking._id,
+      userId: booking.nannyId,
+      expected: 'settled',
+      actual: booking.settlement?.status || 'pending',
+    }, async () => {
+      const result = await SettlementService.settleBooking(booking);
+      return result.settled ? `Credited ₹${result.amount}` : `Not settled (${result.reason})`;
+    });
+  }
+
+  const settled = await Booking.find({
+    'settlement.status': 'settled',
+    updatedAt: { $gte: since },
+  }).select('bookingId nannyId settlement');
+  ctx.counts.bookingsChecked += settled.length;
+
+  const settledIds = settled.map((booking) => booking._id);
+  const [earnings, entries] = await Promise.all([
+    Transaction.find({ type: 'earning', bookingId: { $in: settledIds } }).select('bookingId'),
+    LedgerEntry.find({ kind: 'earning', bookingId: { $in: settledIds } }).select('bookingId'),
+  ]);
+  const credited = new Set(earnings.map((transaction) => transaction.bookingId.toString()));
+  const posted = new Set(entries.map((entry) => entry.bookingId.toString()));
+
+  for (const booking of settled) {
+    if (!credited.has(booking._id.toString())) {
+      await ctx.flag({
+        type: 'settled-without-earning',
+        severity: 'critical',
+        message: `Booking ${booking.bookingId} is marked settled but has no earning transaction`,
+        bookingId: booking._id,
+        userId: booking.nannyId,
+        expected: booking.settlement.nannyEarning,
+        actual: null,
+      });
+      continue;
+    }
+    if (!posted.has(booking._id.toString())) {
+      await ctx.flag({
+        type: 'settled-without-ledger-entry',
+        severity: 'critical',
+        message: `Booking ${booking.bookingId} was credited but never posted to the ledger`,
+        bookingId: booking._id,
+        userId: booking.nannyId,
+        expected: booking.settlement.nannyEarning,
+        actual: null,
+      }, async () => {
+        const full = await Booking.findById(booking._id);
+        const cashTransaction = await Transaction.findOne({ bookingId: full._id, type: 'cash-collected' }).select('_id');
+        await LedgerService.recordSettlement(full, {
+          providerEarning: full.settlement.nannyEarning,
+          taxTotal: full.settlement.split?.taxTotal ?? full.pricing?.taxTotal ?? 0,
+        }, full.settlement.transactionId, cashTransaction?._id);
+        return 'Posted to the ledger';
+      });
+    }
+  }
+};
+
+/**
+ * Refunds the gateway should have finished by now
+ */
+const checkRefunds = async (ctx) => {
+  const stuck = await Refund.find({
+    status: 'processing',
+    updatedAt: { $lte: new Date(Date.now() - STUCK_REFUND_MS) },
+  });
+
+  for (const refund of stuck) {
+    ctx.counts.refundsChecked += 1;
+    await ctx.flag({
+      type: 'refund-stuck',
+      message: `Refund ${refund.refundId} of ₹${refund.amount} is still processing`,
+      bookingId: refund.bookingId,
+      userId: refund.userId,
+      refundId: refund._id,
+      paymentId: refund.paymentId,
+    }, async () => {
+      const synced = await RefundService.sync(refund);
+      return `Gateway status: ${synced.status}`;
+    });
+  }
+};
+
+/**
+ * Nanny balances derived from the ledger against their Transactions:
+ *   totalEarnings    = completed earnings + cancellation fees + referral bonuses
+ *   availableBalance = that, minus withdrawals not failed or cancelled and
+ *                      cash collected on site for cash bookings
+ * Differences mean a Transaction was written without its ledger entry (or
+ * the other way round), or balances carried over from before the ledger.
+ */
+const checkNannyBalances = async (ctx) => {
+  const ledger = await Transaction.aggregate([
+    {
+      $group: {
+        _id: '$userId',
+        credits: {
+          $sum: {
+            $cond: [
+              { $and: [{ $in: ['$type', ['earning', 'cancellation-fee', 'referral-bonus']] }, { $eq: ['$status', 'completed'] }] },
+              '$amount',
+              0,
+            ],
+          },
+        },
+        withdrawals: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$type', 'withdrawal'] }, { $in: ['$status', ['pending', 'completed']] }] },
+              '$amount',
+              0,
+            ],
+          },
+        },
+        cashCollected: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$type', 'cash-collected'] }, { $eq: ['$status', 'completed'] }] },
+              '$amount',
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  const byUser = new Map(ledger.map((row) => [row._id.toString(), row]));
+
+  const nannies = await User.find({ role: 'nanny' }).select('name');
+  const balances = await LedgerService.providerBalances('nanny', nannies.map((nanny) => nanny._id));
+
+  for (const nanny of nannies) {
+    ctx.counts.nanniesChecked += 1;
+    const row = byUser.get(nanny._id.toString()) || { credits: 0, withdrawals: 0, cashCollected: 0 };
+    const expected = {
+      totalEarnings: roundMoney(row.credits),
+      availableBalance: roundMoney(row.credits - row.withdrawals - row.cashCollected),
+    };
+    const { totalEarnings, availableBalance } = balances.get(nanny._id.toString());
+    const actual = { totalEarnings, availableBalance };
+
+    if (differs(expected.totalEarnings, actual.totalEarnings) || differs(expected.availableBalance, actual.availableBalance)) {
+      // Not fixed automatically: needs an adjustment entry after review
+      await ctx.flag({
+        type: 'nanny-balance-mismatch',
+        severity: 'critical',
+        message: `${nanny.name || 'Nanny'}'s ledger balance does not match their transactions`,
+        userId: nanny._id,
+        expected,
+        actual,
+      });
+    }
+  }
+};
+
+/**
+ * Payment reconciliation
+ *
+ * Compares bookings, Razorpay orders and captured payments, refunds and the
+ * Transaction ledger, and stores what does not add up in a
+ * ReconciliationReport. With autoFix, issues that have a safe, idempotent
+ * fix (recording a captured payment, settling a completed booking, posting
+ * a missing settlement entry, syncing a refund) are fixed during the run; everything else is left for an admin.
+ */
+class ReconciliationService {
+  /**
+   * Run every check once
+   * @param {object} options
+   * @param {boolean} options.autoFix - Apply safe fixes
+   * @param {number} options.lookbackDays - Only bookings updated this recently
+   * @param {string} options.trigger - 'scheduled' or 'manual'
+   * @param {*} options.triggeredBy - Admin who started a manual run
+   * @returns {object} The finished report
+   */
+  static async run({ autoFix = false, lookbackDays = DEFAULT_LOOKBACK_DAYS, trigger = 'scheduled', triggeredBy } = {}) {
+    const running = await ReconciliationReport.findOne({
+      status: 'running',
+      startedAt: { $gte: new Date(Date.now() - STALE_RUN_MS) },
+    });
+    if (running) {
+      throw new ServiceError('A reconciliation run is already in progress', 409, { reportId: running._id });
+    }
+
+    const since = new Date(Date.now() - lookbackDays * MS_PER_DAY);
+    const report = await ReconciliationReport.create({ trigger, triggeredBy, autoFix, since });
+    const ctx = new RunContext(autoFix);
+
+    try {
+      await checkGatewayPayments(ctx, since);
+      await checkSettlements(ctx, since);
+      await checkRefunds(ctx);
+      await checkNannyBalances(ctx);
+
+      report.status = 'completed';
+    } catch (error) {
+      console.error('Reconciliation Error:', error);
+      report.status = 'failed';
+      report.error = error.message;
+    }
+
+    report.issues = ctx.issues;
+    report.summary = {
+      ...ctx.counts,
+      issues: ctx.issues.length,
+      fixed: ctx.issues.filter((issue) => issue.fixed).length,
+    };
+    report.finishedAt = new Date();
+    await report.save();
+
+    console.log(`🧾 Reconciliation ${report.status}: ${report.summary.issues} issue(s), ${report.summary.fixed} fixed`);
+
+    return report;
+  }
+
+  static async latest() {
+    return ReconciliationReport.findOne().sort({ createdAt: -1 });
+  }
+
+  /**
+   * Recent runs without their issue lists
+   */
+  static async history(limit = 10) {
+    return ReconciliationReport.find()
+      .select('-issues')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+}
+
+ReconciliationService.DEFAULT_LOOKBACK_DAYS = DEFAULT_LOOKBACK_DAYS;
+
+module.exports = ReconciliationService;
@@ -0,0 +1,467 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Referral = require('../models/Referral');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const DaycareProvider = require('../models/DaycareProvider');
+const ElderCareProvider = require('../models/ElderCareProvider');
+const LedgerService = require('./ledgerService');
+const WalletService = require('./walletService');
+
+const DUPLICATE_KEY = 11000;
+
+// Where each principal kind keeps its accounts
+const MODELS = {
+  user: User,
+  daycare: DaycareProvider,
+  eldercare: ElderCareProvider,
+};
+
+// No 0/O or 1/I, so a code survives being read out
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Rewards in rupees, paid once the referee's first booking is settled
+const referrerReward = () => parseFloat(process.env.REFERRAL_REFERRER_REWARD ?? '100');
+const refereeReward = () => parseFloat(process.env.REFERRAL_REFEREE_REWARD ?? '100');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value?._id || value).toString();
+
+const partyKey = (party) => `${party.kind}:${idOf(party.id)}`;
+
+const generateCode = () => Array.from(
+  crypto.randomBytes(CODE_LENGTH),
+  (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+).join('');
+
+// parent, nanny or admin for users; the collection for providers
+const accountTypeOf = (kind, account) => (kind === 'user' ? account.role : kind);
+
+const nameOf = (account) => account?.centerName || account?.name || account?.ownerName || '';
+
+const isInactive = (account) => account.isDeactivated === true || account.isActive === false;
+
+// Pincode plus the street (or full address) with spacing and punctuation dropped
+const addressKeys = (address) => {
+  const pincode = String(address?.pincode || '').replace(/\s/g, '');
+  if (!pincode) return [];
+  return [address.street, address.formattedAddress]
+    .map((line) => String(line || '').toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .filter(Boolean)
+    .map((line) => `${pincode}:${line}`);
+};
+
+const savedAddresses = (account) => [...(account.addresses || []), account.address].filter(Boolean);
+
+/**
+ * Referral program
+ *
+ * Every user and provider has a referral code. An account created with
+ * someone's code (POST /api/auth/verify-otp, provider registration) records
+ * a Referral; once the new account's first booking is settled both sides
+ * are rewarded: parents with wallet credit, nannies and other providers
+ * with bonus earnings. Referrals that look like one person on both sides
+ * (same phone, device or address) are rejected instead.
+ */
+class ReferralService {
+  static normalize(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * The account's referral code, created the first time it is asked for
+   * @param {string} kind - 'user', 'daycare' or 'eldercare'
+   */
+  static async codeFor(kind, account) {
+    if (account.referralCode) return account.referralCode;
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      const code = generateCode();
+      if (await ReferralService.findByCode(code)) continue;
+      try {
+        const updated = await MODELS[kind].findOneAndUpdate(
+          { _id: account._id, referralCode: { $exists: false } },
+          { $set: { referralCode: code } },
+          { new: true }
+        );
+        // Given one by a concurrent request
+        const saved = updated || await MODELS[kind].findById(account._id).select('referralCode');
+        account.referralCode = saved.referralCode;
+        return account.referralCode;
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+      }
+    }
+    throw new Error('Could not generate a unique referral code');
+  }
+
+  /**
+   * Account a code belongs to, in any collection
+   * @returns {{ kind, account }|null}
+   */
+  static async findByCode(code) {
+    const referralCode = ReferralService.normalize(code);
+    if (!referralCode) return null;
+
+    const found = await Promise.all(
+      Object.entries(MODELS).map(async ([kind, Model]) => ({ kind, account: await Model.findOne({ referralCode }) }))
+    );
+    return found.find((entry) => entry.account) || null;
+  }
+
+  static async loadParty(party) {
+    const Model = MODELS[party.kind];
+    const account = Model ? await Model.findById(party.id) : null;
+    return account ? { kind: party.kind, account } : null;
+  }
+
+  /**
+   * Why a referral should not be rewarded, or null when it looks genuine
+   * @param {object} options
+   * @param {object} options.referrer - { kind, account }
+   * @param {object} options.referee - { kind, account }
+   * @param {string[]} options.deviceIds - Devices the referee signed up or booked from
+   * @param {object[]} options.addresses - Addresses the referee used besides their saved ones
+   * @returns {string|null} not-eligible, same-phone, same-device or same-address
+   */
+  static async abuseReason({ referrer, referee, deviceIds = [], addresses = [] }) {
+    if (accountTypeOf(referrer.kind, referrer.account) === 'admin' || isInactive(referrer.account)) return 'not-eligible';
+    if (accountTypeOf(referee.kind, referee.account) === 'admin') return 'not-eligible';
+
+    if (referrer.account.phoneNumber === referee.account.phoneNumber) return 'same-phone';
+
+    const refereeDevices = [...deviceIds, referee.account.fcmToken].filter(Boolean);
+    if (refereeDevices.length) {
+      if (refereeDevices.includes(referrer.account.fcmToken)) return 'same-device';
+      // The device the referrer signed up from, or one another of their referees used
+      const sharedDevice = await Referral.exists({
+        'signup.deviceId': { $in: refereeDevices },
+        $or: [
+          { 'referee.kind': referrer.kind, 'referee.id': referrer.account._id },
+          {
+            'referrer.kind': referrer.kind,
+            'referrer.id': referrer.account._id,
+            $nor: [{ 'referee.kind': referee.kind, 'referee.id': referee.account._id }],
+          },
+        ],
+      });
+      if (sharedDevice) return 'same-device';
+    }
+
+    const refereeAddresses = new Set([...savedAddresses(referee.account), ...addresses].flatMap(addressKeys));
+    if (refereeAddresses.size) {
+      const referrerAddresses = [...savedAddresses(referrer.account)];
+      if (referrer.kind === 'user') {
+        const booked = await Booking.find({ parentId: referrer.account._id }).select('address').limit(50);
+        referrerAddresses.push(...booked.map((booking) => booking.address));
+      }
+      if (referrerAddresses.flatMap(addressKeys).some((key) => refereeAddresses.has(key))) return 'same-address';
+    }
+
+    return null;
+  }
+
+  /**
+   * Record that a new account signed up with a referral code. Never fails
+   * the signup: a code that cannot be used is reported back instead.
+   * @param {object} options - { kind, account, code, deviceId, ip }
+   * @returns {{ applied: boolean, message: string, referral? }}
+   */
+  static async capture({ kind, account, code, deviceId = '', ip = '' }) {
+    const referralCode = ReferralService.normalize(code);
+    const referrer = await ReferralService.findByCode(referralCode);
+    if (!referrer) {
+      return { applied: false, message: 'Referral code not found' };
+    }
+    if (referrer.kind === kind && idOf(referrer.account) === idOf(account)) {
+      return { applied: false, message: 'You cannot use your own referral code' };
+    }
+
+    const reason = await ReferralService.abuseReason({
+      referrer,
+      referee: { kind, account },
+      deviceIds: [deviceId],
+    });
+
+    let referral;
+    try {
+      referral = await Referral.create({
+        referrer: { kind: referrer.kind, id: referrer.account._id },
+        referee: { kind, id: account._id },
+        code: referralCode,
+        signup: { deviceId, ip },
+        ...(reason && { status: 'rejected', rejectionReason: reason, rejectedAt: new Date() }),
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        return { applied: false, message: 'A referral code was already used for this account' };
+      }
+      throw error;
+    }
+
+    if (reason) {
+      console.warn(`⚠️ Referral ${referralCode} for ${kind} ${account._id} rejected: ${reason}`);
+      return { applied: false, message: 'This referral code cannot be used from this account', referral };
+    }
+
+    console.log(`🤝 ${kind} ${account._id} signed up with referral code ${referralCode}`);
+    return { applied: true, message: 'Referral code applied', referral };
+  }
+
+  /**
+   * Reward referrals whose referee took part in a booking that was just
+   * settled: the parent or the nanny. Only pending referrals qualify, so
+   * this acts on the referee's first settled booking.
+   */
+  static async onBookingSettled(booking) {
+    const referrals = await Referral.find({
+      status: 'pending',
+      'referee.kind': 'user',
+      'referee.id': { $in: [idOf(booking.parentId), idOf(booking.nannyId)] },
+    });
+
+    const results = [];
+    for (const referral of referrals) {
+      results.push(await ReferralService.reward(referral, booking));
+    }
+    return results;
+  }
+
+  /**
+   * Check a pending referral again and pay both rewards. Safe to call
+   * repeatedly: the referral is claimed atomically and a reward already
+   * paid is never paid again.
+   * @returns {object|null} The referral, or null if it was not pending
+   */
+  static async reward(referral, booking) {
+    const [referrer, referee] = await Promise.all([
+      ReferralService.loadParty(referral.referrer),
+      ReferralService.loadParty(referral.referee),
+    ]);
+    const bookedAsParent = idOf(booking.parentId) === idOf(referral.referee.id);
+    const reason = referrer && referee
+      ? await ReferralService.abuseReason({
+        referrer,
+        referee,
+        deviceIds: [referral.signup?.deviceId],
+        addresses: bookedAsParent ? [booking.address] : [],
+      })
+      : 'not-eligible';
+
+    if (reason) {
+      const rejected = await Referral.findOneAndUpdate(
+        { _id: referral._id, status: 'pending' },
+        { $set: { status: 'rejected', rejectionReason: reason, rejectedAt: new Date(), qualifyingBookingId: booking._id } },
+        { new: true }
+      );
+      if (rejected) console.warn(`⚠️ Referral ${rejected.code} rejected on booking ${booking.bookingId}: ${reason}`);
+      return rejected;
+    }
+
+    const claimed = await Referral.findOneAndUpdate(
+      { _id: referral._id, status: 'pending' },
+      { $set: { status: 'rewarded', qualifyingBookingId: booking._id, rewardedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    try {
+      if (!claimed.rewards?.referrer?.transactionId) {
+        const paid = await ReferralService.payReward(
+          referrer,
+          referrerReward(),
+          `Referral reward: ${nameOf(referee.account) || 'your referral'} completed their first booking`
+        );
+        if (paid) await Referral.updateOne({ _id: claimed._id }, { $set: { 'rewards.referrer': paid } });
+      }
+      if (!claimed.rewards?.referee?.transactionId) {
+        const paid = await ReferralService.payReward(referee, refereeReward(), `Welcome reward for joining with code ${claimed.code}`);
+        if (paid) await Referral.updateOne({ _id: claimed._id }, { $set: { 'rewards.referee': paid } });
+      }
+    } catch (error) {
+      // Back to pending so the next settled booking pays what is missing
+      await Referral.updateOne({ _id: claimed._id }, { $set: { status: 'pending', rewardedAt: null } });
+      throw error;
+    }
+
+    console.log(`🤝 Referral ${claimed.code} rewarded on booking ${booking.bookingId}`);
+    return Referral.findById(claimed._id);
+  }
+
+  /**
+   * Wallet credit for a parent, bonus earnings for a provider
+   * @returns {{ accountType, amount, transactionId }|null} null when there is nothing to pay
+   */
+  static async payReward({ kind, account }, amount, description) {
+    const value = roundMoney(amount);
+    if (!(value > 0)) return null;
+
+    const accountType = accountTypeOf(kind, account);
+    if (accountType === 'parent') {
+      const transaction = await WalletService.credit(account._id, { amount: value, description });
+      return { accountType, amount: value, transactionId: transaction._id };
+    }
+
+    const transaction = await Transaction.create({
+      userId: account._id,
+      type: 'referral-bonus',
+      amount: value,
+      status: 'completed',
+      description,
+    });
+    await LedgerService.recordReferralBonus(accountType, account._id, transaction);
+    return { accountType, amount: value, transactionId: transaction._id };
+  }
+
+  /**
+   * Names and phone numbers of the accounts on either side of referrals,
+   * keyed by "kind:id"
+   */
+  static async partiesOf(referrals) {
+    const parties = referrals.flatMap((referral) => [referral.referrer, referral.referee]);
+    const found = new Map();
+    await Promise.all(Object.entries(MODELS).map(async ([kind, Model]) => {
+      const ids = [...new Set(parties.filter((party) => party.kind === kind).map((party) => idOf(party.id)))];
+      if (!ids.length) return;
+      const accounts = await Model.find({ _id: { $in: ids } }).select('name ownerName centerName phoneNumber role');
+      accounts.forEach((account) => found.set(`${kind}:${account._id}`, {
+        kind,
+        id: account._id,
+        accountType: accountTypeOf(kind, account),
+        name: nameOf(account),
+        phoneNumber: account.phoneNumber,
+      }));
+    }));
+    return found;
+  }
+
+  /**
+   * An account's code, what a referral earns and the people it referred
+   */
+  static async summaryFor(kind, account) {
+    const code = await ReferralService.codeFor(kind, account);
+    const referrals = await Referral.find({ 'referrer.kind': kind, 'referrer.id': account._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+    const parties = await ReferralService.partiesOf(referrals);
+
+    const count = (status) => referrals.filter((referral) => referral.status === status).length;
+
+    return {
+      code,
+      rewards: { referrer: referrerReward(), referee: refereeReward() },
+      stats: {
+        invited: referrals.length,
+        pending: count('pending'),
+        rewarded: count('rewarded'),
+        rejected: count('rejected'),
+        earned: roundMoney(referrals.reduce((sum, referral) => sum + (referral.rewards?.referrer?.amount || 0), 0)),
+      },
+      referrals: referrals.map((referral) => ({
+        // First name only; the referrer does not see the referee's details
+        name: (parties.get(partyKey(referral.referee))?.name || '').split(' ')[0],
+        status: referral.status,
+        reward: referral.rewards?.referrer?.amount || 0,
+        joinedAt: referral.createdAt,
+        rewardedAt: referral.rewardedAt,
+      })),
+    };
+  }
+
+  /**
+   * Referrals for the admin report, with totals, rejections by reason and
+   * the top referrers over the same period
+   * @param {object} filters - { status, from, to, page, limit }
+   */
+  static async report({ status, from, to, page = 1, limit = 50 } = {}) {
+    const period = {};
+    if (from || to) {
+      period.createdAt = {};
+      if (from) period.createdAt.$gte = new Date(from);
+      if (to) period.createdAt.$lte = new Date(to);
+    }
+    const filter = { ...period };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [referrals, total, byStatus, byReason, topReferrers] = await Promise.all([
+      Referral.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      Referral.countDocuments(filter),
+      Referral.aggregate([
+        { $match: period },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            referrerRewards: { $sum: { $ifNull: ['$rewards.referrer.amount', 0] } },
+            refereeRewards: { $sum: { $ifNull: ['$rewards.referee.amount', 0] } },
+          },
+        },
+      ]),
+      Referral.aggregate([
+        { $match: { ...period, status: 'rejected' } },
+        { $group: { _id: '$rejectionReason', count: { $sum: 1 } } },
+      ]),
+      Referral.aggregate([
+        { $match: period },
+        {
+          $group: {
+            _id: { kind: '$referrer.kind', id: '$referrer.id' },
+            invited: { $sum: 1 },
+            rewarded: { $sum: { $cond: [{ $eq: ['$status', 'rewarded'] }, 1, 0] } },
+            rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+          },
+        },
+        { $sort: { rewarded: -1, invited: -1 } },
+        { $limit: 10 },
+      ]),
+    ]);
+
+    const parties = await ReferralService.partiesOf([
+      ...referrals,
+      ...topReferrers.map((row) => ({ referrer: row._id, referee: row._id })),
+    ]);
+    const describe = (party) => parties.get(partyKey(party)) || { kind: party.kind, id: party.id };
+
+    const totals = { referrals: 0, pending: 0, rewarded: 0, rejected: 0, rewardsPaid: 0 };
+    byStatus.forEach((row) => {
+      totals.referrals += row.count;
+      totals[row._id] = row.count;
+      totals.rewardsPaid += row.referrerRewards + row.refereeRewards;
+    });
+    totals.rewardsPaid = roundMoney(totals.rewardsPaid);
+
+    return {
+      totals,
+      rejectedByReason: Object.fromEntries(byReason.map((row) => [row._id || 'unknown', row.count])),
+      topReferrers: topReferrers.map((row) => ({
+        ...describe(row._id),
+        invited: row.invited,
+        rewarded: row.rewarded,
+        rejected: row.rejected,
+      })),
+      referrals: referrals.map((referral) => ({
+        id: referral._id,
+        code: referral.code,
+        status: referral.status,
+        rejectionReason: referral.rejectionReason,
+        referrer: describe(referral.referrer),
+        referee: describe(referral.referee),
+        signup: referral.signup,
+        qualifyingBookingId: referral.qualifyingBookingId,
+        rewards: referral.rewards,
+        createdAt: referral.createdAt,
+        rewardedAt: referral.rewardedAt,
+        rejectedAt: referral.rejectedAt,
+      })),
+      total,
+    };
+  }
+}
+
+ReferralService.referrerReward = referrerReward;
+ReferralService.refereeReward = refereeReward;
+
+module.exports = ReferralService;
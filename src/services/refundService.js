@@ -0,0 +1,345 @@
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const PaymentGateway = require('./paymentGateway');
+const LedgerService = require('./ledgerService');
+const { ServiceError } = require('../utils/errors');
+
+// Refunds that have taken, or may still take, money out of the payment
+const OUTSTANDING_STATUSES = ['pending', 'processing', 'processed'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const sumOf = (refunds) => roundMoney(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+
+// Rounding slack when comparing sums of refunds with the booking total
+const MONEY_EPSILON = 0.005;
+
+/**
+ * Reserve part of a booking's payment for a refund about to be created
+ * @returns {boolean} false when that would refund more than was paid
+ */
+const claimRefundAmount = async (booking, amount) => {
+  // Bookings refunded before claims were tracked start from what their refunds already took
+  const current = await Booking.findById(booking._id).select('payment.refundClaimedAmount');
+  if (current?.payment?.refundClaimedAmount === undefined) {
+    const { refundedAmount } = await RefundService.refundable(booking);
+    await Booking.updateOne(
+      { _id: booking._id, 'payment.refundClaimedAmount': { $exists: false } },
+      { $set: { 'payment.refundClaimedAmount': refundedAmount } }
+    );
+  }
+
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      $expr: {
+        $lte: [
+          { $add: ['$payment.refundClaimedAmount', amount] },
+          { $add: ['$totalAmount', MONEY_EPSILON] },
+        ],
+      },
+    },
+    { $inc: { 'payment.refundClaimedAmount': amount } },
+    { new: true }
+  );
+  return !!claimed;
+};
+
+// Give back the reservation of a refund that failed or was never created
+const releaseRefundAmount = (bookingId, amount) =>
+  Booking.updateOne({ _id: bookingId }, { $inc: { 'payment.refundClaimedAmount': -amount } });
+
+// Refund record plus the parent's transaction, not yet sent anywhere
+const createRefund = async (booking, { amount, type, reason, source, actor, destination }) => {
+  const toWallet = destination === 'wallet';
+  const transaction = await Transaction.create({
+    userId: booking.parentId?._id || booking.parentId,
+    type: toWallet ? 'wallet-refund' : 'refund',
+    amount,
+    status: 'pending',
+    description: `Refund${toWallet ? ' to wallet' : ''} for booking ${booking.bookingId}${reason ? `: ${reason}` : ''}`,
+    bookingId: booking._id,
+  });
+
+  return Refund.create({
+    refundId: Refund.generateRefundId(),
+    bookingId: booking._id,
+    userId: transaction.userId,
+    transactionId: transaction._id,
+    amount,
+    type,
+    reason,
+    source,
+    destination,
+    gateway: toWallet ? 'wallet' : PaymentGateway.adapterName,
+    paymentId: toWallet ? undefined : booking.payment.transactionId,
+    initiatedBy: actor,
+  });
+};
+
+/**
+ * Refunds of booking payments
+ *
+ * Every refund is a Refund record plus a 'refund' Transaction for the parent.
+ * It is sent to the gateway straight away; the gateway either processes it
+ * immediately or later (status 'processing', settled by sync() or the
+ * gateway's notification). Failed refunds stay on record and can be retried.
+ * Refunds to the parent's wallet ('wallet-refund' transactions) are
+ * processed at once. Whatever was paid from the wallet always goes back to
+ * it, since the gateway can only return what it took.
+ * booking.payment.refundedAmount only counts processed refunds, and the
+ * payment becomes 'refunded' once all of it has been returned. Every refund
+ * first reserves its amount in booking.payment.refundClaimedAmount, which can
+ * never exceed the booking total, and gives it back if it fails.
+ */
+class RefundService {
+  /**
+   * How much of a booking's payment can still be refunded
+   * @param {object} booking - Booking document
+   * @param {object} options
+   * @param {*} options.excludeRefundId - Refund to leave out (when retrying it)
+   */
+  static async refundable(booking, { excludeRefundId } = {}) {
+    const paidAmount = ['paid', 'refunded'].includes(booking.payment?.status) ? booking.totalAmount : 0;
+    // What the gateway took; the rest came from the wallet or was paid in cash
+    const paidOnline = booking.payment?.method === 'online' && booking.payment?.transactionId
+      ? roundMoney(paidAmount - (booking.payment.walletAmount || 0))
+      : 0;
+
+    const filter = { bookingId: booking._id, status: { $in: OUTSTANDING_STATUSES } };
+    if (excludeRefundId) filter._id = { $ne: excludeRefundId };
+    const refunds = await Refund.find(filter).select('amount destination');
+    const refundedAmount = sumOf(refunds);
+    const refundableAmount = Math.max(0, roundMoney(paidAmount - refundedAmount));
+    const toSource = sumOf(refunds.filter((refund) => refund.destination !== 'wallet'));
+
+    return {
+      paidAmount,
+      refundedAmount,
+      refundableAmount,
+      // How much of it can go back through the gateway
+      sourceRefundableAmount: Math.max(0, Math.min(refundableAmount, roundMoney(paidOnline - toSource))),
+    };
+  }
+
+  /**
+   * Refund a booking's payment, in full or in part. With destination
+   * 'source' the gateway returns what it can and the rest (the part paid
+   * from the wallet) is credited to the wallet.
+   * @param {object} booking - Booking document
+   * @param {object} options
+   * @param {number} options.amount - Rupees; defaults to everything still refundable
+   * @param {string} options.reason
+   * @param {string} options.source - 'cancellation' or 'admin'
+   * @param {object} options.actor - { id, role } who asked for it
+   * @param {string} options.destination - 'source' (default) or 'wallet'
+   * @returns {object[]} The refund records, the wallet one first
+   *                     (failed gateway refunds throw a 502 carrying theirs)
+   */
+  static async issue(booking, { amount, reason = '', source = 'admin', actor, destination = 'source' }) {
+    if (!['source', 'wallet'].includes(destination)) {
+      throw new ServiceError('Refund destination must be source or wallet');
+    }
+
+    const { refundableAmount, sourceRefundableAmount } = await RefundService.refundable(booking);
+    const requested = amount === undefined || amount === null ? refundableAmount : roundMoney(Number(amount));
+
+    if (!(requested > 0)) {
+      throw new ServiceError(refundableAmount > 0 ? 'Refund amount must be positive' : 'Nothing left to refund on this booking');
+    }
+    if (requested > refundableAmount) {
+      throw new ServiceError(`Only ₹${refundableAmount} can still be refunded on this booking`);
+    }
+
+    const toSource = destination === 'wallet' ? 0 : Math.min(requested, sourceRefundableAmount);
+    const toWallet = roundMoney(requested - toSource);
+    if (destination === 'source' && toWallet > 0 && !(booking.payment?.walletAmount > 0)) {
+      throw new ServiceError('This payment can only be refunded to the wallet');
+    }
+
+    const type = requested === refundableAmount ? 'full' : 'partial';
+
+    // Another refund of this booking may have been issued since refundable() was read
+    if (!(await claimRefundAmount(booking, requested))) {
+      const { refundableAmount: left } = await RefundService.refundable(booking);
+      throw new ServiceError(`Only ₹${left} can still be refunded on this booking`, 409);
+    }
+
+    const refunds = [];
+    let created = 0;
+    try {
+      if (toWallet > 0) {
+        const refund = await createRefund(booking, { amount: toWallet, type, reason, source, actor, destination: 'wallet' });
+        created += toWallet;
+        refunds.push(await RefundService.applyGatewayStatus(refund, 'processed'));
+      }
+      if (toSource > 0) {
+        const refund = await createRefund(booking, { amount: toSource, type, reason, source, actor, destination: 'source' });
+        created += toSource;
+        refunds.push(await RefundService.submit(refund, booking));
+      }
+    } finally {
+      // Refunds that exist give their part back themselves if they fail
+      const unused = roundMoney(requested - created);
+      if (unused > 0) await releaseRefundAmount(booking._id, unused);
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Send a pending refund to the gateway
+   */
+  static async submit(refund, booking) {
+    refund.attempts += 1;
+
+    let gatewayRefund;
+    try {
+      gatewayRefund = await PaymentGateway.refund(refund.paymentId, {
+        amount: refund.amount,
+        receipt: refund.refundId,
+        notes: {
+          bookingId: refund.bookingId.toString(),
+          bookingRef: booking.bookingId,
+          refundId: refund.refundId,
+        },
+      });
+    } catch (error) {
+      refund.status = 'failed';
+      refund.failureReason = error.message;
+      await refund.save();
+      await Transaction.findByIdAndUpdate(refund.transactionId, { status: 'failed', updatedAt: new Date() });
+      await releaseRefundAmount(refund.bookingId, refund.amount);
+      console.error(`❌ Refund ${refund.refundId} failed:`, error.message);
+      throw new ServiceError(`Refund failed: ${error.message}`, 502, { refund });
+    }
+
+    refund.gatewayRefundId = gatewayRefund.id;
+    refund.status = 'processing';
+    refund.failureReason = undefined;
+    await refund.save();
+
+    console.log(`↩️ Refund ${refund.refundId} of ₹${refund.amount} sent for booking ${booking.bookingId} (${gatewayRefund.id})`);
+
+    return RefundService.applyGatewayStatus(refund, gatewayRefund.status);
+  }
+
+  /**
+   * Record the gateway's verdict on a refund. Safe to call repeatedly.
+   * @param {object} refund - Refund document
+   * @param {string} status - 'pending', 'processed' or 'failed'
+   */
+  static async applyGatewayStatus(refund, status, failureReason) {
+    if (status === 'processed') {
+      const processed = await Refund.findOneAndUpdate(
+        { _id: refund._id, status: { $ne: 'processed' } },
+        { $set: { status: 'processed', processedAt: new Date() }, $unset: { failureReason: 1 } },
+        { new: true }
+      );
+      // Already recorded
+      if (!processed) return Refund.findById(refund._id);
+
+      await Transaction.findByIdAndUpdate(processed.transactionId, { status: 'completed', updatedAt: new Date() });
+
+      const booking = await Booking.findByIdAndUpdate(
+        processed.bookingId,
+        { $inc: { 'payment.refundedAmount': processed.amount }, $set: { 'payment.refundedAt': new Date() } },
+        { new: true }
+      );
+      if (booking) {
+        await LedgerService.recordRefund(processed, booking);
+        if (booking.payment.refundedAmount >= booking.totalAmount) {
+          await Booking.updateOne({ _id: booking._id }, { $set: { 'payment.status': 'refunded' } });
+        }
+      }
+
+      console.log(`✅ Refund ${processed.refundId} processed`);
+      return processed;
+    }
+
+    if (status === 'failed') {
+      const failed = await Refund.findOneAndUpdate(
+        { _id: refund._id, status: { $in: ['pending', 'processing'] } },
+        { $set: { status: 'failed', failureReason: failureReason || 'Rejected by the payment gateway' } },
+        { new: true }
+      );
+      if (!failed) return Refund.findById(refund._id);
+      await Transaction.findByIdAndUpdate(failed.transactionId, { status: 'failed', updatedAt: new Date() });
+      await releaseRefundAmount(failed.bookingId, failed.amount);
+      return failed;
+    }
+
+    return refund;
+  }
+
+  /**
+   * Send a failed refund to the gateway again
+   */
+  static async retry(refund) {
+    if (refund.status !== 'failed') {
+      throw new ServiceError(`Only failed refunds can be retried (this one is ${refund.status})`);
+    }
+
+    const booking = await Booking.findById(refund.bookingId);
+    if (!booking) throw new ServiceError('Booking not found', 404);
+
+    const { sourceRefundableAmount } = await RefundService.refundable(booking, { excludeRefundId: refund._id });
+    if (refund.amount > sourceRefundableAmount) {
+      throw new ServiceError(`Only ₹${sourceRefundableAmount} can still be refunded on this booking`);
+    }
+
+    // Only one retry of a failed refund goes ahead
+    const retried = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'failed' },
+      { $set: { status: 'pending' } },
+      { new: true }
+    );
+    if (!retried) {
+      throw new ServiceError('This refund is already being retried', 409);
+    }
+    if (!(await claimRefundAmount(booking, retried.amount))) {
+      await Refund.updateOne({ _id: retried._id, status: 'pending' }, { $set: { status: 'failed' } });
+      throw new ServiceError('This booking has been refunded in the meantime', 409);
+    }
+    await Transaction.findByIdAndUpdate(retried.transactionId, { status: 'pending', updatedAt: new Date() });
+
+    return RefundService.submit(retried, booking);
+  }
+
+  /**
+   * Ask the gateway for the current state of a processing refund
+   */
+  static async sync(refund) {
+    if (refund.status !== 'processing' || !refund.gatewayRefundId) return refund;
+    const gatewayRefund = await PaymentGateway.fetchRefund(refund.paymentId, refund.gatewayRefundId);
+    return RefundService.applyGatewayStatus(refund, gatewayRefund.status);
+  }
+
+  /**
+   * Refunds for the admin list
+   */
+  static async list({ status, bookingId, source, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (bookingId) filter.bookingId = bookingId;
+    if (source) filter.source = source;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [refunds, total] = await Promise.all([
+      Refund.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('bookingId', 'bookingId date totalAmount payment status')
+        .populate('userId', 'name phoneNumber'),
+      Refund.countDocuments(filter),
+    ]);
+
+    return { refunds, total };
+  }
+}
+
+RefundService.OUTSTANDING_STATUSES = OUTSTANDING_STATUSES;
+
+module.exports = RefundService;
@@ -0,0 +1,197 @@
+const User = require('../models/User');
+const PricingService = require('./pricingService');
+const SchedulingService = require('./schedulingService');
+const NotificationService = require('./notificationService');
+const OtpService = require('./otpService');
+const PaymentService = require('./paymentService');
+const { ServiceError } = require('../utils/errors');
+const { toCalendarDate } = require('../utils/time');
+
+// Bookings that have not started can be moved
+const RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+
+const pendingRequestOf = (booking) =>
+  (booking.rescheduleRequests || []).find((request) => request.status === 'pending');
+
+// Discounts (promo codes) the booking was priced with carry over to the new time
+const discountsOf = (booking) => (booking.pricing?.lineItems || [])
+  .filter((item) => item.type === 'discount')
+  .map((item) => ({ code: item.code, label: item.label, amount: -item.amount }));
+
+/**
+ * Re-check the slot and price it for the booking
+ */
+const checkSlot = async (booking, nanny, { date, startTime, endTime }) => {
+  const slot = await SchedulingService.assertBookable(nanny, {
+    date,
+    startTime,
+    endTime,
+    excludeBookingId: booking._id,
+  });
+  const quote = await PricingService.quoteForNanny({
+    nanny,
+    date,
+    startTime,
+    endTime,
+    numberOfChildren: booking.numberOfChildren,
+    pincode: booking.address?.pincode,
+    discounts: discountsOf(booking),
+  });
+  quote.promoCode = booking.pricing?.promoCode;
+
+  // A paid booking keeps its payment, so it cannot become more expensive
+  if (booking.payment?.status === 'paid' && quote.total > booking.totalAmount) {
+    throw new ServiceError(
+      `The new time costs ₹${quote.total} but ₹${booking.totalAmount} was paid. Please cancel and book again instead.`
+    );
+  }
+
+  return { slot, quote };
+};
+
+class RescheduleService {
+  static pendingRequest(booking) {
+    return pendingRequestOf(booking) || null;
+  }
+
+  /**
+   * Propose a new date/time for a booking
+   * @param {object} booking - Booking document
+   * @param {object} principal - Parent or nanny of the booking
+   * @param {object} proposal - { date, startTime, endTime, reason }
+   */
+  static async request(booking, principal, { date, startTime, endTime, reason }) {
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      throw new ServiceError(`Cannot reschedule a ${booking.status} booking`);
+    }
+    if (pendingRequestOf(booking)) {
+      throw new ServiceError('There is already a pending reschedule request for this booking', 409);
+    }
+
+    const nanny = await User.findById(booking.nannyId);
+    const { slot, quote } = await checkSlot(booking, nanny, { date, startTime, endTime });
+
+    booking.rescheduleRequests.push({
+      requestedBy: { id: principal.id, role: principal.role },
+      reason: reason || '',
+      date: new Date(toCalendarDate(date)),
+      startTime,
+      endTime,
+      startAt: slot.startAt,
+      endAt: slot.endAt,
+      quotedTotal: booking.payment?.status === 'paid' ? booking.totalAmount : quote.total,
+    });
+    await booking.save();
+
+    const request = pendingRequestOf(booking);
+    const recipientId = principal.role === 'parent' ? booking.nannyId : booking.parentId;
+    NotificationService.notifyRescheduleRequested(booking, request, principal.account?.name, recipientId)
+      .catch(err => console.error('Notification error:', err));
+
+    console.log(`🗓️ Reschedule requested for booking ${booking.bookingId} by ${principal.role}`);
+
+    return request;
+  }
+
+  /**
+   * Accept or decline the pending request. Only the other party may answer.
+   * Accepting re-checks availability and the price before moving the booking.
+   * @param {string} action - 'accept' or 'decline'
+   */
+  static async respond(booking, principal, action, reason) {
+    const request = pendingRequestOf(booking);
+    if (!request) {
+      throw new ServiceError('No pending reschedule request for this booking', 404);
+    }
+    if (request.requestedBy.role === principal.role) {
+      throw new ServiceError('The other party has to respond to this request', 403);
+    }
+
+    request.respondedAt = new Date();
+    request.responseReason = reason || '';
+
+    if (action === 'decline') {
+      request.status = 'declined';
+      await booking.save();
+    } else {
+      if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+        throw new ServiceError(`Cannot reschedule a ${booking.status} booking`);
+      }
+
+      const nanny = await User.findById(booking.nannyId);
+      const previousTotal = booking.totalAmount;
+      // Held until the booking is saved at its new time, so no other booking takes the slot
+      await SchedulingService.withNannyLock(booking.nannyId, async () => {
+        const { slot, quote } = await checkSlot(booking, nanny, {
+          date: toCalendarDate(request.date),
+          startTime: request.startTime,
+          endTime: request.endTime,
+        });
+
+        request.status = 'accepted';
+        request.previous = {
+          date: booking.date,
+          startTime: booking.startTime,
+          endTime: booking.endTime,
+          totalAmount: booking.totalAmount,
+        };
+
+        booking.date = request.date;
+        booking.startTime = request.startTime;
+        booking.endTime = request.endTime;
+        booking.startAt = slot.startAt;
+        booking.endAt = slot.endAt;
+        booking.totalHours = quote.totalHours;
+        // Paid bookings keep the price that was paid
+        if (booking.payment?.status !== 'paid') {
+          booking.hourlyRate = quote.hourlyRate;
+          booking.totalAmount = quote.total;
+          booking.pricing = PricingService.toBookingPricing(quote);
+        }
+        if (booking.seriesId) {
+          booking.isSeriesException = true;
+        }
+        // A completion OTP or QR issued for the old time is no longer valid
+        booking.completionVerification = { otpVerified: false };
+        await booking.save();
+      });
+      await OtpService.invalidate({ purpose: 'booking-completion', subject: booking._id });
+
+      if (booking.totalAmount !== previousTotal) {
+        await PaymentService.repriced(booking);
+      }
+    }
+
+    NotificationService.notifyRescheduleAnswered(booking, request)
+      .catch(err => console.error('Notification error:', err));
+
+    console.log(`🗓️ Reschedule ${request.status} for booking ${booking.bookingId}`);
+
+    return request;
+  }
+
+  /**
+   * Withdraw the caller's own pending request
+   */
+  static async withdraw(booking, principal) {
+    const request = pendingRequestOf(booking);
+    if (!request) {
+      throw new ServiceError('No pending reschedule request for this booking', 404);
+    }
+    if (request.requestedBy.role !== principal.role) {
+      throw new ServiceError('Only the requester can withdraw this request', 403);
+    }
+
+    request.status = 'withdrawn';
+    request.respondedAt = new Date();
+    await booking.save();
+
+    const recipientId = principal.role === 'parent' ? booking.nannyId : booking.parentId;
+    NotificationService.notifyRescheduleWithdrawn(booking, recipientId)
+      .catch(err => console.error('Notification error:', err));
+
+    return request;
+  }
+}
+
+module.exports = RescheduleService;
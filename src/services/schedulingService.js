@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const ScheduleLock = require('../models/ScheduleLock');
+const { ServiceError } = require('../utils/errors');
+const {
+  MINUTES_PER_DAY,
+  MS_PER_MINUTE,
+  toMinuteRange,
+  toCalendarDate,
+  addDays,
+  daysBetween,
+  zonedTimestamp,
+  minutesSinceDayStart,
+  formatMinutes,
+  dayOfWeek,
+} = require('../utils/time');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Bookings in these states occupy the nanny's time
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in-progress'];
+
+const MAX_RANGE_DAYS = 31;
+const DAY_MS = MINUTES_PER_DAY * MS_PER_MINUTE;
+
+const DUPLICATE_KEY = 11000;
+
+// How long a nanny's schedule lock is held at most, and how long to wait for it
+const LOCK_TTL_MS = 30 * 1000;
+const LOCK_WAIT_MS = 3 * 1000;
+const LOCK_RETRY_MS = 100;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Take the nanny's schedule lock, or a lock whose holder let it expire
+ * @returns {string|null} Owner token, null while someone else holds it
+ */
+const acquireLock = async (nannyId, owner) => {
+  const now = new Date();
+  try {
+    await ScheduleLock.findOneAndUpdate(
+      { _id: nannyId, expiresAt: { $lte: now } },
+      { $set: { owner, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+      { upsert: true }
+    );
+    return owner;
+  } catch (error) {
+    // The lock exists and has not expired
+    if (error.code === DUPLICATE_KEY) return null;
+    throw error;
+  }
+};
+
+/**
+ * Sort intervals ({ startAt, endAt }) and merge the ones that touch or overlap
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .filter((interval) => interval.endAt > interval.startAt)
+    .sort((a, b) => a.startAt - b.startAt);
+
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.startAt <= last.endAt) {
+      if (interval.endAt > last.endAt) last.endAt = interval.endAt;
+    } else {
+      merged.push({ startAt: interval.startAt, endAt: interval.endAt });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Remove the blocked intervals from the free ones
+ */
+const subtractIntervals = (free, blocked) => {
+  const blocks = mergeIntervals(blocked);
+  return free.flatMap((interval) => {
+    let pieces = [{ startAt: interval.startAt, endAt: interval.endAt }];
+    blocks.forEach((block) => {
+      pieces = pieces.flatMap((piece) => {
+        if (block.endAt <= piece.startAt || block.startAt >= piece.endAt) return [piece];
+        const remaining = [];
+        if (block.startAt > piece.startAt) remaining.push({ startAt: piece.startAt, endAt: block.startAt });
+        if (block.endAt < piece.endAt) remaining.push({ startAt: block.endAt, endAt: piece.endAt });
+        return remaining;
+      });
+    });
+    return pieces;
+  });
+};
+
+class SchedulingService {
+  /**
+   * Turn a booking date and start/end strings into real timestamps
+   * @returns {{ calendarDate: string, startAt: Date, endAt: Date, minutes: number }}
+   */
+  static resolveSlot(date, startTime, endTime) {
+    const calendarDate = toCalendarDate(date);
+    if (!calendarDate) {
+      throw new ServiceError('A valid date is required');
+    }
+
+    const range = toMinuteRange(startTime, endTime);
+    if (!range) {
+      throw new ServiceError('Invalid start or end time');
+    }
+
+    return {
+      calendarDate,
+      startAt: zonedTimestamp(calendarDate, range.start),
+      endAt: zonedTimestamp(calendarDate, range.end),
+      minutes: range.minutes,
+    };
+  }
+
+  /**
+   * Time window occupied by a booking
+   * Bookings created before startAt/endAt were stored fall back to date + times.
+   */
+  static bookingWindow(booking) {
+    if (booking.startAt && booking.endAt) {
+      return { startAt: booking.startAt, endAt: booking.endAt };
+    }
+    try {
+      const slot = SchedulingService.resolveSlot(booking.date, booking.startTime, booking.endTime);
+      return { startAt: slot.startAt, endAt: slot.endAt };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Active bookings of a nanny that overlap [from, to)
+   * @param {object} options - { excludeBookingId }
+   */
+  static async findBookingsBetween(nannyId, from, to, { excludeBookingId } = {}) {
+    const query = {
+      nannyId,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      $or: [
+        { startAt: { $lt: to }, endAt: { $gt: from } },
+        // Older bookings only have a date; overnight ones may start the day before
+        { startAt: { $exists: false }, date: { $gte: new Date(from.getTime() - 2 * DAY_MS), $lt: to } },
+      ],
+    };
+    if (excludeBookingId) {
+      query._id = { $ne: excludeBookingId };
+    }
+
+    const bookings = await Booking.find(query);
+    return bookings.filter((booking) => {
+      const window = SchedulingService.bookingWindow(booking);
+      return window && window.startAt < to && window.endAt > from;
+    });
+  }
+
+  /**
+   * Working windows from the nanny's weekly schedule for calendar dates
+   * [fromDate, toDate], with time off removed. A day marked available without
+   * hours counts as the whole day; an end before the start runs past midnight.
+   */
+  static workingWindows(nanny, fromDate, toDate) {
+    const availability = nanny.nannyProfile?.availability || {};
+    const windows = [];
+
+    // Start a day early so overnight shifts from the previous day are included
+    for (let day = addDays(fromDate, -1); day <= toDate; day = addDays(day, 1)) {
+      const schedule = availability[WEEKDAYS[dayOfWeek(day)]];
+      if (!schedule || schedule.available === false) continue;
+
+      const range = toMinuteRange(schedule.startTime || '00:00', schedule.endTime || '00:00');
+      if (!range) continue;
+
+      windows.push({
+        startAt: zonedTimestamp(day, range.start),
+        endAt: zonedTimestamp(day, range.end),
+      });
+    }
+
+    const timeOff = (nanny.nannyProfile?.timeOff || []).map((entry) => ({
+      startAt: entry.startAt,
+      endAt: entry.endAt,
+    }));
+
+    return subtractIntervals(mergeIntervals(windows), timeOff);
+  }
+
+  /**
+   * Whether [startAt, endAt) lies entirely inside the nanny's working hours
+   */
+  static isWithinSchedule(nanny, startAt, endAt) {
+    const windows = SchedulingService.workingWindows(nanny, toCalendarDate(startAt), toCalendarDate(endAt));
+    return windows.some((window) => window.startAt <= startAt && window.endAt >= endAt);
+  }
+
+  /**
+   * Validate that a nanny can take a booking and return its slot
+   * Throws a ServiceError when the slot is in the past, outside the nanny's
+   * schedule or overlaps another booking.
+   * @param {object} nanny - User document of the nanny
+   * @param {object} params - { date, startTime, endTime, excludeBookingId }
+   */
+  static async assertBookable(nanny, { date, startTime, endTime, excludeBookingId }) {
+    const slot = SchedulingService.resolveSlot(date, startTime, endTime);
+
+    if (slot.startAt <= new Date()) {
+      throw new ServiceError('The selected time has already passed');
+    }
+
+    if (!SchedulingService.isWithinSchedule(nanny, slot.startAt, slot.endAt)) {
+      throw new ServiceError('This nanny is not available at the selected time. Please check their schedule.');
+    }
+
+    const conflicts = await SchedulingService.findBookingsBetween(nanny._id, slot.startAt, slot.endAt, { excludeBookingId });
+    if (conflicts.length > 0) {
+      throw new ServiceError('This nanny is already booked for the selected time slot. Please choose a different time.');
+    }
+
+    return slot;
+  }
+
+  /**
+   * Run fn while holding the nanny's schedule lock. Everything that checks a
+   * slot with assertBookable() and then writes the booking must do both
+   * inside this, or two requests can book the same time.
+   * @throws {ServiceError} 409 when the lock stays busy
+   */
+  static async withNannyLock(nannyId, fn) {
+    const key = nannyId.toString();
+    const owner = crypto.randomUUID();
+    const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+    while (!(await acquireLock(key, owner))) {
+      if (Date.now() >= giveUpAt) {
+        throw new ServiceError('This nanny\'s schedule is being updated. Please try again.', 409);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await ScheduleLock.deleteOne({ _id: key, owner })
+        .catch(err => console.error('Schedule lock release error:', err));
+    }
+  }
+
+  /**
+   * Bookable windows per day for calendar dates [fromDate, toDate]
+   * @param {object} nanny - User document of the nanny
+   * @param {string} fromDate - "YYYY-MM-DD"
+   * @param {string} toDate - "YYYY-MM-DD"
+   * @param {object} options - { minMinutes } shortest window worth returning
+   */
+  static async availableSlots(nanny, fromDate, toDate, { minMinutes = 60 } = {}) {
+    const from = toCalendarDate(fromDate);
+    const to = toCalendarDate(toDate || fromDate);
+    if (!from || !to || to < from) {
+      throw new ServiceError('Invalid date range');
+    }
+
+    if (daysBetween(from, to) + 1 > MAX_RANGE_DAYS) {
+      throw new ServiceError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    const rangeStart = zonedTimestamp(from, 0);
+    const rangeEnd = zonedTimestamp(addDays(to, 1), 0);
+    const bookings = await SchedulingService.findBookingsBetween(nanny._id, rangeStart, rangeEnd);
+
+    const busy = bookings
+      .map((booking) => SchedulingService.bookingWindow(booking))
+      .filter(Boolean);
+    // Nothing before now can be booked
+    busy.push({ startAt: new Date(0), endAt: new Date() });
+
+    const free = subtractIntervals(SchedulingService.workingWindows(nanny, from, to), busy)
+      .filter((window) => (window.endAt - window.startAt) / MS_PER_MINUTE >= minMinutes);
+
+    const days = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+      const dayStart = zonedTimestamp(day, 0);
+      const nextDayStart = zonedTimestamp(addDays(day, 1), 0);
+
+      // Windows running past midnight are split per day; a booking may still
+      // span both pieces since assertBookable checks the merged schedule
+      const slots = free
+        .filter((window) => window.startAt < nextDayStart && window.endAt > dayStart)
+        .map((window) => {
+          const startAt = window.startAt > dayStart ? window.startAt : dayStart;
+          const endAt = window.endAt < nextDayStart ? window.endAt : nextDayStart;
+          return {
+            startAt,
+            endAt,
+            startTime: formatMinutes(minutesSinceDayStart(day, startAt)),
+            endTime: formatMinutes(minutesSinceDayStart(day, endAt)),
+            minutes: Math.round((endAt - startAt) / MS_PER_MINUTE),
+          };
+        });
+
+      days.push({ date: day, dayOfWeek: WEEKDAYS[dayOfWeek(day)], slots });
+    }
+
+    return days;
+  }
+}
+
+module.exports = SchedulingService;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const DaycareProvider = require('../models/DaycareProvider');
+const ElderCareProvider = require('../models/ElderCareProvider');
+const TokenService = require('./tokenService');
+const { ServiceError } = require('../utils/errors');
+
+const ACCOUNT_MODELS = {
+  user: User,
+  daycare: DaycareProvider,
+  eldercare: ElderCareProvider,
+};
+
+const toPublic = (session, currentSessionId) => ({
+  id: session._id,
+  deviceId: session.deviceId,
+  deviceName: session.deviceName,
+  platform: session.platform,
+  appVersion: session.appVersion,
+  ip: session.ip,
+  lastSeenAt: session.lastSeenAt,
+  signedInAt: session.createdAt,
+  current: !!currentSessionId && session._id.toString() === currentSessionId.toString(),
+});
+
+// A signed-out device must stop getting pushes, including through the account's own fcmToken
+const forgetPushTokens = async (kind, id, tokens) => {
+  const stale = tokens.filter(Boolean);
+  if (!stale.length) return;
+  await ACCOUNT_MODELS[kind].updateOne({ _id: id, fcmToken: { $in: stale } }, { fcmToken: '' });
+};
+
+/**
+ * Signed-in devices
+ *
+ * Lists an account's sessions (see TokenService) and signs devices out:
+ * one at a time, all but the current one, or all of them when the PIN
+ * changes or the account is deactivated or deleted. Push notifications go
+ * to the FCM token of every signed-in device.
+ */
+class SessionService {
+  /**
+   * Active sessions of an account, most recently used first
+   * @param {string} currentSessionId - Marked current: true
+   */
+  static async list(kind, id, currentSessionId) {
+    const sessions = await Session.find({ principalKind: kind, principalId: id, revokedAt: null })
+      .sort({ lastSeenAt: -1 });
+    return sessions.map(session => toPublic(session, currentSessionId));
+  }
+
+  /**
+   * Sign out one device of an account
+   */
+  static async revoke(kind, id, sessionId) {
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await TokenService.revokeSession(kind, id, sessionId)
+      : null;
+    if (!session) {
+      throw new ServiceError('Session not found', 404);
+    }
+    await forgetPushTokens(kind, id, [session.fcmToken]);
+  }
+
+  /**
+   * Sign out every device of an account, or every one but `except`
+   * @param {object} options - { except: session ID, reason }
+   * @returns {number} Sessions signed out
+   */
+  static async revokeAll(kind, id, { except, reason } = {}) {
+    const signedIn = await Session.find({ principalKind: kind, principalId: id, revokedAt: null })
+      .select('fcmToken');
+    const leaving = signedIn.filter(s => !except || s._id.toString() !== except.toString());
+
+    const count = await TokenService.revokeAllForPrincipal(kind, id, { except, reason });
+    await forgetPushTokens(kind, id, leaving.map(s => s.fcmToken));
+    return count;
+  }
+
+  /**
+   * Store the FCM token of the device a request came from
+   */
+  static async registerFcmToken(sessionId, fcmToken) {
+    if (!sessionId) return;
+    // A token belongs to one device; an earlier account's session on it must not keep it
+    await Session.updateMany({ fcmToken, _id: { $ne: sessionId } }, { fcmToken: '' });
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { fcmToken });
+  }
+
+  static async unregisterFcmToken(sessionId) {
+    if (!sessionId) return;
+    await Session.updateOne({ _id: sessionId }, { fcmToken: '' });
+  }
+
+  /**
+   * FCM tokens of the signed-in devices of some accounts
+   * @param {string} kind - 'user', 'daycare' or 'eldercare'
+   * @param {array} ids - Account IDs
+   * @returns {Map<string, string[]>} Account ID → tokens
+   */
+  static async fcmTokensByAccount(kind, ids) {
+    const sessions = await Session.find({
+      principalKind: kind,
+      principalId: { $in: ids },
+      revokedAt: null,
+      fcmToken: { $ne: '' },
+    }).select('principalId fcmToken');
+
+    const tokens = new Map();
+    for (const session of sessions) {
+      const key = session.principalId.toString();
+      tokens.set(key, [...(tokens.get(key) || []), session.fcmToken]);
+    }
+    return tokens;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,141 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const LedgerService = require('./ledgerService');
+const CommissionService = require('./commissionService');
+const ReferralService = require('./referralService');
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Undo a claim whose Transactions or ledger entry could not be written, so
+ * the settlement can be retried. The Transactions are kept as failed (ledger
+ * entries already posted may point at them) and the retry completes them again.
+ */
+const releaseClaim = async (booking, transactions) => {
+  const ids = transactions.filter(Boolean).map((transaction) => transaction._id);
+  if (ids.length > 0) {
+    await Transaction.updateMany({ _id: { $in: ids } }, { status: 'failed', updatedAt: new Date() });
+  }
+  await Booking.updateOne({ _id: booking._id }, { $set: { 'settlement.status': 'pending', 'settlement.settledAt': null } });
+};
+
+/**
+ * Create a completed settlement Transaction of a type, or complete the one a
+ * failed attempt left behind
+ */
+const completeTransaction = async (booking, type, fields) => {
+  const retried = await Transaction.findOneAndUpdate(
+    { bookingId: booking._id, type, status: 'failed' },
+    { $set: { ...fields, status: 'completed', updatedAt: new Date() } },
+    { new: true }
+  );
+  return retried || Transaction.create({ ...fields, type, status: 'completed', bookingId: booking._id });
+};
+
+class SettlementService {
+  /**
+   * Credit the nanny for a completed booking. Safe to call any number of
+   * times: the booking is claimed atomically and the earning Transaction is
+   * unique per booking, so the nanny is credited exactly once.
+   * Online bookings that are not paid yet wait for the payment. For cash
+   * bookings the cash the nanny collected is also taken off their balance.
+   * @returns {{ settled: boolean, reason?: string, amount?: number, booking }}
+   */
+  static async settleBooking(booking) {
+    if (booking.status !== 'completed') {
+      return { settled: false, reason: 'not-completed', booking };
+    }
+    if (booking.settlement?.status === 'settled') {
+      return { settled: false, reason: 'already-settled', booking };
+    }
+
+    if (booking.payment?.status !== 'paid') {
+      const waiting = await Booking.findOneAndUpdate(
+        { _id: booking._id, 'settlement.status': { $ne: 'settled' } },
+        { $set: { 'settlement.status': 'awaiting-payment' } },
+        { new: true }
+      );
+      return { settled: false, reason: 'awaiting-payment', booking: waiting || booking };
+    }
+
+    // What the nanny earns: the service amount less commission and its GST
+    const split = await CommissionService.splitFor(booking);
+    const amount = split.providerEarning;
+    const now = new Date();
+
+    // Claim the booking; a concurrent or repeated call gets null here
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'completed', 'settlement.status': { $ne: 'settled' } },
+      {
+        $set: {
+          'settlement.status': 'settled',
+          'settlement.nannyEarning': amount,
+          'settlement.split': split,
+          'settlement.settledAt': now,
+        },
+      },
+      { new: true }
+    ).populate('parentId', 'name');
+
+    if (!claimed) {
+      return { settled: false, reason: 'already-settled', booking };
+    }
+
+    const nannyId = claimed.nannyId?._id || claimed.nannyId;
+
+    let transaction;
+    let cashTransaction;
+    try {
+      transaction = await completeTransaction(claimed, 'earning', {
+        userId: nannyId,
+        amount,
+        description: `Booking completed with ${claimed.parentId?.name || 'Parent'}`,
+        split: {
+          grossAmount: split.grossAmount,
+          commissionPercent: split.commissionPercent,
+          commission: split.commission,
+          commissionTax: split.commissionTax,
+          platformFee: split.platformFee,
+        },
+      });
+
+      const cashCollected = LedgerService.cashCollectedFor(claimed);
+      if (cashCollected > 0) {
+        cashTransaction = await completeTransaction(claimed, 'cash-collected', {
+          userId: nannyId,
+          amount: cashCollected,
+          description: `Cash collected from ${claimed.parentId?.name || 'Parent'}`,
+        });
+      }
+    } catch (error) {
+      // Completed before settlements were tracked; already credited back then
+      if (error.code === DUPLICATE_KEY && !transaction) {
+        return { settled: false, reason: 'already-settled', booking: claimed };
+      }
+      await releaseClaim(claimed, [transaction]);
+      throw error;
+    }
+
+    try {
+      await LedgerService.recordSettlement(claimed, split, transaction._id, cashTransaction?._id);
+    } catch (error) {
+      // Entries already posted are kept; posting is idempotent per booking
+      await releaseClaim(claimed, [transaction, cashTransaction]);
+      throw error;
+    }
+    await User.findByIdAndUpdate(nannyId, { $inc: { 'nannyProfile.totalJobsCompleted': 1 } });
+
+    await Booking.updateOne({ _id: claimed._id }, { $set: { 'settlement.transactionId': transaction._id } });
+    claimed.settlement.transactionId = transaction._id;
+
+    // First settled booking of a referred parent or nanny rewards the referral
+    ReferralService.onBookingSettled(claimed).catch(err => console.error('Referral reward error:', err));
+
+    console.log(`💰 Booking ${claimed.bookingId} settled: ₹${amount} credited to nanny ${nannyId}, ₹${split.platformRevenue} platform revenue`);
+
+    return { settled: true, amount, booking: claimed };
+  }
+}
+
+module.exports = SettlementService;
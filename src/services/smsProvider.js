@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { sms } = require('../config/sms');
+
+/**
+ * SMS provider adapters
+ *
+ * The rest of the server sends SMS only through SmsProvider and gets the
+ * result back in one shape:
+ *   { id, status: 'sent' | 'delivered' | 'failed', providerStatus, error }
+ * Delivery reports posted by the provider are read with parseReports() into
+ * a list of the same shape.
+ *
+ * SMS_PROVIDER=console logs messages and SMS_PROVIDER=file appends them to
+ * SMS_FILE_PATH; both treat a message as delivered at once and need no
+ * account, for local development and tests.
+ */
+
+const MSG91_API = 'https://api.msg91.com/api/v2/sendsms';
+const TWILIO_API = 'https://api.twilio.com/2010-04-01';
+
+// Digits only, as both providers take them
+const digitsOf = (to) => String(to).replace(/\D/g, '');
+
+const statusCallbackUrl = (adapterName) => (sms.publicUrl && sms.statusToken
+  ? `${sms.publicUrl.replace(/\/$/, '')}/api/sms/status/${adapterName}?token=${encodeURIComponent(sms.statusToken)}`
+  : undefined);
+
+// MSG91 delivery report codes; anything else is still on its way
+const MSG91_STATUSES = {
+  1: 'delivered',
+  2: 'failed',
+  9: 'failed', // NDNC
+  16: 'failed', // rejected
+  17: 'failed', // blocked number
+  25: 'failed', // rejected by DLT scrubbing
+  26: 'failed',
+};
+
+const msg91Adapter = {
+  name: 'msg91',
+
+  async send({ to, text, dltTemplateId }) {
+    if (!sms.msg91AuthKey) throw new Error('MSG91_AUTH_KEY is not set');
+
+    const response = await fetch(MSG91_API, {
+      method: 'POST',
+      headers: { authkey: sms.msg91AuthKey, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sender: sms.senderId,
+        route: '4',
+        // Numbers already carry their country code
+        country: '0',
+        DLT_TE_ID: dltTemplateId,
+        sms: [{ message: text, to: [digitsOf(to)] }],
+      }),
+      signal: AbortSignal.timeout(15000),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.type !== 'success') {
+      throw new Error(data.message || `MSG91 responded with ${response.status}`);
+    }
+    // MSG91 answers with the request ID its delivery reports refer to
+    return { id: data.message, status: 'sent', providerStatus: 'submitted', error: null };
+  },
+
+  // Posted as a JSON array, or as form field "data" holding one
+  parseReports(body) {
+    let reports = body?.data ?? body;
+    if (typeof reports === 'string') reports = JSON.parse(reports);
+
+    return [].concat(reports || []).flatMap((report) => (report.report || report.numbers || []).map((entry) => ({
+      id: report.requestId,
+      status: MSG91_STATUSES[entry.status] || 'sent',
+      providerStatus: entry.desc || String(entry.status),
+      error: MSG91_STATUSES[entry.status] === 'failed' ? entry.desc || `Status ${entry.status}` : null,
+    })));
+  },
+};
+
+const TWILIO_STATUSES = {
+  accepted: 'sent',
+  queued: 'sent',
+  sending: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+};
+
+const twilioAdapter = {
+  name: 'twilio',
+
+  async send({ to, text }) {
+    if (!sms.twilioAccountSid || !sms.twilioAuthToken || !sms.twilioFrom) {
+      throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM must be set');
+    }
+
+    const form = new URLSearchParams({ To: `+${digitsOf(to)}`, Body: text });
+    form.set(sms.twilioFrom.startsWith('MG') ? 'MessagingServiceSid' : 'From', sms.twilioFrom);
+    const callback = statusCallbackUrl('twilio');
+    if (callback) form.set('StatusCallback', callback);
+
+    const credentials = Buffer.from(`${sms.twilioAccountSid}:${sms.twilioAuthToken}`).toString('base64');
+    const response = await fetch(`${TWILIO_API}/Accounts/${sms.twilioAccountSid}/Messages.json`, {
+      method: 'POST',
+      headers: { Authorization: `Basic ${credentials}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form,
+      signal: AbortSignal.timeout(15000),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `Twilio responded with ${response.status}`);
+    }
+    return {
+      id: data.sid,
+      status: TWILIO_STATUSES[data.status] || 'sent',
+      providerStatus: data.status,
+      error: data.error_message || null,
+    };
+  },
+
+  // StatusCallback form: MessageSid, MessageStatus, ErrorCode
+  parseReports(body) {
+    if (!body?.MessageSid) return [];
+    return [{
+      id: body.MessageSid,
+      status: TWILIO_STATUSES[body.MessageStatus] || 'sent',
+      providerStatus: body.MessageStatus,
+      error: body.ErrorCode ? `Error ${body.ErrorCode}` : null,
+    }];
+  },
+};
+
+const localId = (prefix) => `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+const consoleAdapter = {
+  name: 'console',
+  local: true,
+
+  async send({ to, text }) {
+    console.log(`📱 SMS to ${to}: ${text}`);
+    return { id: localId('console'), status: 'delivered', providerStatus: 'logged', error: null };
+  },
+
+  parseReports() {
+    return [];
+  },
+};
+
+const fileAdapter = {
+  name: 'file',
+  local: true,
+
+  async send({ to, text, dltTemplateId, purpose }) {
+    const id = localId('file');
+    await fs.promises.mkdir(path.dirname(path.resolve(sms.filePath)), { recursive: true });
+    await fs.promises.appendFile(
+      sms.filePath,
+      `${JSON.stringify({ id, to, text, dltTemplateId, purpose, sentAt: new Date().toISOString() })}\n`
+    );
+    return { id, status: 'delivered', providerStatus: 'written', error: null };
+  },
+
+  parseReports() {
+    return [];
+  },
+};
+
+const adapters = {
+  msg91: msg91Adapter,
+  twilio: twilioAdapter,
+  console: consoleAdapter,
+  file: fileAdapter,
+};
+
+let current = adapters[sms.provider] || consoleAdapter;
+
+if (current.local && process.env.NODE_ENV === 'production') {
+  console.warn(`⚠️ SMS_PROVIDER is '${current.name}': OTPs are not being sent to phones`);
+}
+
+class SmsProvider {
+  /**
+   * Replace the active adapter (an object with send() and parseReports())
+   */
+  static use(adapter) {
+    current = typeof adapter === 'string' ? adapters[adapter] : adapter;
+    if (!current) throw new Error(`Unknown SMS provider: ${adapter}`);
+    return current;
+  }
+
+  // Adapter in use ('msg91', 'twilio', 'console', 'file' or a custom name)
+  static get adapterName() {
+    return current.name;
+  }
+
+  // Whether messages stay on this machine instead of reaching a phone
+  static get isLocal() {
+    return Boolean(current.local);
+  }
+
+  /**
+   * Send one SMS
+   * @param {object} options - { to (+91XXXXXXXXXX), text, dltTemplateId, purpose }
+   */
+  static send(options) {
+    return current.send(options);
+  }
+
+  /**
+   * Delivery reports posted by a provider
+   * @param {string} adapterName - Provider the reports came from
+   */
+  static parseReports(adapterName, body) {
+    const adapter = adapters[adapterName];
+    if (!adapter) throw new Error(`Unknown SMS provider: ${adapterName}`);
+    return adapter.parseReports(body);
+  }
+}
+
+SmsProvider.adapters = adapters;
+
+module.exports = SmsProvider;
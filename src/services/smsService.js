@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const SmsMessage = require('../models/SmsMessage');
+const SmsProvider = require('./smsProvider');
+const { sms } = require('../config/sms');
+const { ServiceError } = require('../utils/errors');
+
+/**
+ * SMS templates by purpose. The text must match the template registered on
+ * DLT word for word, with the variables in the same places.
+ */
+const TEMPLATES = {
+  login: {
+    dltTemplate: 'login',
+    text: ({ code, minutes }) =>
+      `${code} is your WeCare verification code. It is valid for ${minutes} minutes. Do not share it with anyone.`,
+  },
+  'booking-completion': {
+    dltTemplate: 'bookingCompletion',
+    text: ({ code, bookingId, minutes }) =>
+      `${code} is the code to confirm that WeCare booking ${bookingId} is complete. `
+      + `Share it with your caregiver only once the service is done. Valid for ${minutes} minutes.`,
+  },
+  'phone-change': {
+    dltTemplate: 'phoneChange',
+    text: ({ code, minutes }) =>
+      `${code} is your WeCare code to change your registered mobile number. It is valid for ${minutes} minutes. `
+      + 'If you did not ask for this, contact WeCare support.',
+  },
+  'pin-reset': {
+    dltTemplate: 'pinReset',
+    text: ({ code, minutes }) =>
+      `${code} is your WeCare code to reset your security PIN. It is valid for ${minutes} minutes. `
+      + 'Do not share it with anyone.',
+  },
+};
+// Provider logins use the same registered template as user logins
+TEMPLATES['provider-login'] = TEMPLATES.login;
+
+// A later report never moves a message back, e.g. 'sent' arriving after 'delivered'
+const EARLIER_STATUSES = {
+  sent: ['queued'],
+  delivered: ['queued', 'sent'],
+  failed: ['queued', 'sent'],
+};
+
+const MASK = '******';
+
+// +91 unless the number already has a country code
+const toE164 = (phoneNumber, countryCode = '+91') => {
+  const raw = String(phoneNumber || '').trim();
+  if (raw.startsWith('+')) return `+${raw.replace(/\D/g, '')}`;
+  const digits = raw.replace(/\D/g, '');
+  const prefix = String(countryCode || '+91').replace(/\D/g, '');
+  return digits.length > 10 && digits.startsWith(prefix) ? `+${digits}` : `+${prefix}${digits}`;
+};
+
+const statusFields = (result, now = new Date()) => ({
+  status: result.status,
+  providerStatus: result.providerStatus,
+  ...(result.error && { error: result.error }),
+  ...(result.status === 'delivered' && { deliveredAt: now }),
+  ...(result.status === 'failed' && { failedAt: now }),
+});
+
+/**
+ * Sending OTPs by SMS
+ *
+ * Every OTP (see otpService.js) is sent through sendOtp(): the text comes
+ * from the purpose's DLT template, the message goes out through the
+ * configured SmsProvider, and an SmsMessage follows its delivery (updated by
+ * the provider's delivery reports).
+ */
+class SmsService {
+  static toE164(phoneNumber, countryCode) {
+    return toE164(phoneNumber, countryCode);
+  }
+
+  /**
+   * Send an OTP
+   * @param {object} options
+   * @param {string} options.phoneNumber
+   * @param {string} options.countryCode - Default +91
+   * @param {string} options.code - The OTP
+   * @param {string} options.purpose - login, provider-login, booking-completion, phone-change or pin-reset
+   * @param {number} options.expiresInMinutes
+   * @param {object} options.booking - Booking the OTP is about, if any
+   * @returns {{ sms, devCode }} devCode is the OTP itself, only when developing against a local sink
+   */
+  static async sendOtp({ phoneNumber, countryCode, code, purpose, expiresInMinutes, booking = null }) {
+    const template = TEMPLATES[purpose];
+    if (!template) throw new Error(`No SMS template for ${purpose}`);
+
+    const to = toE164(phoneNumber, countryCode);
+    if (!/^\+\d{8,15}$/.test(to)) throw new ServiceError('A valid phone number is needed to send the OTP');
+    const variables = { minutes: expiresInMinutes, bookingId: booking?.bookingId };
+    const dltTemplateId = sms.dltTemplates[template.dltTemplate];
+
+    const message = await SmsMessage.create({
+      to,
+      purpose,
+      text: template.text({ ...variables, code: MASK }),
+      dltTemplateId,
+      provider: SmsProvider.adapterName,
+      bookingId: booking?._id,
+    });
+
+    let result;
+    try {
+      result = await SmsProvider.send({ to, text: template.text({ ...variables, code }), dltTemplateId, purpose });
+    } catch (error) {
+      result = { status: 'failed', providerStatus: 'error', error: error.message };
+    }
+
+    Object.assign(message, statusFields(result), { providerMessageId: result.id, sentAt: new Date() });
+    await message.save();
+
+    if (message.status === 'failed') {
+      console.error(`📱 ${purpose} OTP to ${to} failed via ${message.provider}: ${message.error}`);
+      throw new ServiceError('Could not send the OTP. Please try again.', 502);
+    }
+
+    console.log(`📱 ${purpose} OTP sent to ${to} via ${message.provider}`);
+    return {
+      sms: message,
+      devCode: SmsProvider.isLocal && process.env.NODE_ENV === 'development' ? code : undefined,
+    };
+  }
+
+  /**
+   * ?token= of a delivery report; reports are refused while SMS_STATUS_TOKEN is unset
+   */
+  static statusTokenValid(token) {
+    if (!sms.statusToken || typeof token !== 'string') return false;
+    const expected = Buffer.from(sms.statusToken);
+    const given = Buffer.from(token);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Apply delivery reports posted by a provider
+   * @returns {number} Messages updated
+   */
+  static async recordReports(adapterName, body) {
+    const reports = SmsProvider.parseReports(adapterName, body);
+
+    let updated = 0;
+    for (const report of reports) {
+      if (!report.id || !EARLIER_STATUSES[report.status]) continue;
+      const result = await SmsMessage.updateOne(
+        { provider: adapterName, providerMessageId: report.id, status: { $in: EARLIER_STATUSES[report.status] } },
+        { $set: statusFields(report) }
+      );
+      updated += result.modifiedCount;
+    }
+    return updated;
+  }
+
+  /**
+   * Sent messages for the admin panel, newest first
+   */
+  static async list({ status, purpose, phoneNumber, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (purpose) filter.purpose = purpose;
+    if (phoneNumber) filter.to = toE164(phoneNumber);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [messages, total] = await Promise.all([
+      SmsMessage.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      SmsMessage.countDocuments(filter),
+    ]);
+
+    return { messages, total };
+  }
+}
+
+SmsService.TEMPLATES = TEMPLATES;
+
+module.exports = SmsService;
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { ServiceError } = require('../utils/errors');
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 30 * 24 * 60 * 60; // 30 days
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET not set in environment variables');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// lastSeenAt is only written when it is older than this, not on every request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Device details the app sent with this request; missing ones leave the session's as they are
+const deviceFields = (device = {}) => {
+  const fields = {};
+  for (const key of ['deviceId', 'deviceName', 'platform', 'appVersion', 'fcmToken']) {
+    if (typeof device[key] === 'string' && device[key].trim()) {
+      fields[key] = key === 'platform' ? device[key].trim().toLowerCase() : device[key].trim();
+    }
+  }
+  return fields;
+};
+
+/**
+ * Token Service for issuing and validating access/refresh tokens
+ *
+ * A principal is { id, kind, role } where kind is the collection the account
+ * lives in ('user', 'daycare', 'eldercare') and role is what policies check
+ * ('parent', 'nanny', 'admin', 'daycare', 'eldercare').
+ *
+ * Every login starts a Session (one per device) holding the family of
+ * refresh tokens it rotates through. Access tokens carry the session ID, so
+ * revoking a session signs that device out at once.
+ */
+class TokenService {
+
+  /**
+   * Sign a short-lived access token for a principal
+   * @param {object} principal - { id, kind, role }
+   * @param {string} sessionId - Session the token belongs to
+   */
+  static signAccessToken(principal, sessionId) {
+    return jwt.sign(
+      { kind: principal.kind, role: principal.role, ...(sessionId && { sid: sessionId.toString() }) },
+      getSecret(),
+      { subject: principal.id.toString(), expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Refuse a deactivated account: a user who deactivated (or was deactivated
+   * by an admin), or a provider switched off with isActive
+   * @throws {ServiceError} 403
+   */
+  static assertActive(account) {
+    if (account.isDeactivated === true || account.isActive === false) {
+      throw new ServiceError('This account has been deactivated. Please contact support.', 403);
+    }
+  }
+
+  /**
+   * Verify an access token and return its payload ({ sub, kind, role, sid })
+   * Throws jsonwebtoken errors when the token is invalid or expired
+   */
+  static verifyAccessToken(token) {
+    return jwt.verify(token, getSecret());
+  }
+
+  /**
+   * Issue a new access + refresh token pair after a successful login
+   * (starting a session) or a refresh (continuing the session of meta.family)
+   * A deactivated account gets no session, whichever login it came through.
+   * @param {object} principal - { id, kind, role, account }
+   * @param {object} meta - { ip, userAgent, family, device: { deviceId, deviceName, platform, appVersion, fcmToken } }
+   * @throws {ServiceError} 403 when the account is deactivated
+   */
+  static async issueTokens(principal, meta = {}) {
+    if (principal.account) {
+      this.assertActive(principal.account);
+    }
+
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const family = meta.family || crypto.randomUUID();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL * 1000);
+    const device = deviceFields(meta.device);
+
+    const session = await Session.findOneAndUpdate(
+      { family },
+      {
+        $set: {
+          ...device,
+          ip: meta.ip || '',
+          userAgent: meta.userAgent || '',
+          lastSeenAt: now,
+          expiresAt,
+        },
+        $setOnInsert: { principalId: principal.id, principalKind: principal.kind },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    if (device.fcmToken) {
+      // The device may still have a session of another account that signed in on it before
+      await Session.updateMany({ fcmToken: device.fcmToken, _id: { $ne: session._id } }, { fcmToken: '' });
+    }
+
+    await RefreshToken.create({
+      tokenHash: hashToken(refreshToken),
+      principalId: principal.id,
+      principalKind: principal.kind,
+      family,
+      expiresAt,
+      createdByIp: meta.ip || '',
+      userAgent: meta.userAgent || '',
+    });
+
+    return {
+      accessToken: this.signAccessToken(principal, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      refreshExpiresIn: REFRESH_TOKEN_TTL,
+      sessionId: session._id,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotation)
+   * Returns null when the token is unknown, expired or revoked.
+   * Presenting an already-rotated token revokes its whole family, and so
+   * does refreshing for a deactivated account (which then throws a 403).
+   * @param {string} refreshToken - Opaque refresh token from the client
+   * @param {function} resolvePrincipal - async (kind, id) => principal | null
+   * @param {object} meta - { ip, userAgent }
+   */
+  static async rotateRefreshToken(refreshToken, resolvePrincipal, meta = {}) {
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Claim the token before issuing, so two refreshes with it cannot both succeed
+    const record = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { revokedAt: now, rotatedAt: now },
+      { new: true }
+    );
+    if (!record) {
+      const used = await RefreshToken.findOne({ tokenHash });
+      // A rotated token is being replayed - assume it leaked and kill the chain
+      if (used && (used.rotatedAt || used.replacedByHash)) {
+        console.warn(`⚠️ Refresh token reuse detected for ${used.principalKind} ${used.principalId}`);
+        await this.revokeFamily(used.family, 'token-reuse');
+      }
+      return null;
+    }
+
+    let principal;
+    try {
+      principal = await resolvePrincipal(record.principalKind, record.principalId);
+    } catch (error) {
+      if (error instanceof ServiceError) await this.revokeFamily(record.family, 'deactivated');
+      throw error;
+    }
+    if (!principal) {
+      await this.revokeFamily(record.family, 'deleted');
+      return null;
+    }
+
+    const tokens = await this.issueTokens(principal, { ...meta, family: record.family });
+    await RefreshToken.updateOne({ _id: record._id }, { replacedByHash: hashToken(tokens.refreshToken) });
+
+    return { principal, tokens };
+  }
+
+  /**
+   * Sign out the device a refresh token belongs to (logout)
+   */
+  static async revokeRefreshToken(refreshToken) {
+    const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), revokedAt: null });
+    if (!record) {
+      return false;
+    }
+    await this.revokeFamily(record.family, 'logout');
+    return true;
+  }
+
+  /**
+   * Revoke every refresh token produced from the same login, and its session
+   */
+  static async revokeFamily(family, reason = 'logout') {
+    const now = new Date();
+    await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: now });
+    await Session.updateOne({ family, revokedAt: null }, { revokedAt: now, revokedReason: reason });
+  }
+
+  /**
+   * Sign out one session of an account
+   * @returns {object|null} The session, null when the account has no such active session
+   */
+  static async revokeSession(kind, id, sessionId, reason = 'signed-out') {
+    const session = await Session.findOne({ _id: sessionId, principalKind: kind, principalId: id, revokedAt: null });
+    if (!session) {
+      return null;
+    }
+    await this.revokeFamily(session.family, reason);
+    return session;
+  }
+
+  /**
+   * Revoke all refresh tokens and sessions of an account (logout everywhere)
+   * @param {object} options - { except: session ID to keep signed in, reason }
+   * @returns {number} Sessions signed out
+   */
+  static async revokeAllForPrincipal(kind, id, { except, reason = 'signed-out' } = {}) {
+    const now = new Date();
+    const kept = except ? await Session.findById(except).select('family') : null;
+
+    await RefreshToken.updateMany(
+      { principalKind: kind, principalId: id, revokedAt: null, ...(kept && { family: { $ne: kept.family } }) },
+      { revokedAt: now }
+    );
+    const result = await Session.updateMany(
+      { principalKind: kind, principalId: id, revokedAt: null, ...(kept && { _id: { $ne: kept._id } }) },
+      { revokedAt: now, revokedReason: reason }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * The session an access token was issued for, when it is still signed in.
+   * Also records that the device was seen.
+   * @returns {object|null}
+   */
+  static async activeSession(sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return null;
+    }
+    const session = await Session.findById(sessionId).select('revokedAt lastSeenAt');
+    if (!session || session.revokedAt) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (!session.lastSeenAt || now - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(now) })
+        .catch(err => console.error('Session lastSeen error:', err));
+    }
+    return session;
+  }
+}
+
+module.exports = TokenService;
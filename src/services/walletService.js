@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const LedgerService = require('./ledgerService');
+const PaymentGateway = require('./paymentGateway');
+const { ServiceError } = require('../utils/errors');
+
+const WALLET_TYPES = ['wallet-topup', 'wallet-credit', 'wallet-payment', 'wallet-refund'];
+
+// Money taken out of the wallet; everything else adds to it
+const DEBIT_TYPES = ['wallet-payment'];
+
+const MIN_TOPUP = 100;
+
+// Top-ups may not take the balance above this
+const maxBalance = () => parseFloat(process.env.WALLET_MAX_BALANCE ?? '10000');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value?._id || value).toString();
+
+/**
+ * Parent wallet
+ *
+ * The balance is the parent-wallet:<id> ledger account: top-ups through
+ * Razorpay, refunds to the wallet and promotional credit add to it,
+ * bookings paid from it take it out. The parent's 'wallet-*' transactions
+ * are its history.
+ *
+ * A booking can be paid from the wallet in full or in part. The wallet part
+ * is taken when it is applied (a 'wallet-payment' transaction, pending until
+ * the rest is paid online) and given back if the booking is cancelled or
+ * switched to cash before that.
+ */
+class WalletService {
+  static async balance(parentId) {
+    return LedgerService.walletBalance(parentId);
+  }
+
+  static async summary(parentId) {
+    return {
+      balance: await WalletService.balance(parentId),
+      maxBalance: maxBalance(),
+      minTopUp: MIN_TOPUP,
+    };
+  }
+
+  /**
+   * Start a top-up: a pending 'wallet-topup' transaction and the gateway
+   * order the app pays through checkout
+   * @returns {{ transaction, order }}
+   */
+  static async createTopUp(parentId, amount) {
+    const value = roundMoney(Number(amount));
+    if (!(value >= MIN_TOPUP)) {
+      throw new ServiceError(`Minimum top-up amount is ₹${MIN_TOPUP}`);
+    }
+
+    const balance = await WalletService.balance(parentId);
+    if (balance + value > maxBalance()) {
+      throw new ServiceError(`Wallet balance cannot exceed ₹${maxBalance()}`);
+    }
+
+    const transaction = await Transaction.create({
+      userId: parentId,
+      type: 'wallet-topup',
+      amount: value,
+      status: 'pending',
+      description: 'Wallet top-up',
+    });
+
+    let order;
+    try {
+      order = await PaymentGateway.createOrder({
+        amount: value,
+        receipt: `topup_${transaction._id}`,
+        notes: {
+          purpose: 'wallet-topup',
+          transactionId: transaction._id.toString(),
+          parentId: idOf(parentId),
+        },
+      });
+    } catch (error) {
+      transaction.status = 'failed';
+      await transaction.save();
+      throw new ServiceError(`Could not create the payment order: ${error.message}`, 502);
+    }
+
+    transaction.gatewayPayment = { orderId: order.id };
+    await transaction.save();
+
+    console.log(`👛 Wallet top-up of ₹${value} started for parent ${idOf(parentId)}: ${order.id}`);
+    return { transaction, order };
+  }
+
+  /**
+   * Top-up a gateway payment or order belongs to: the transactionId note set
+   * when the order was created, else the stored order ID
+   */
+  static async findTopUp({ notes, orderId }) {
+    if (notes?.purpose === 'wallet-topup' && mongoose.isValidObjectId(notes.transactionId)) {
+      const transaction = await Transaction.findOne({ _id: notes.transactionId, type: 'wallet-topup' });
+      if (transaction) return transaction;
+    }
+    if (orderId) {
+      return Transaction.findOne({ type: 'wallet-topup', 'gatewayPayment.orderId': orderId });
+    }
+    return null;
+  }
+
+  /**
+   * Credit a paid top-up. Reached from checkout and the webhook; only acts
+   * the first time.
+   * @returns {{ transaction, alreadyCredited: boolean }}
+   */
+  static async completeTopUp(transaction, { paymentId }) {
+    const completed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, type: 'wallet-topup', status: { $in: ['pending', 'failed'] } },
+      { $set: { status: 'completed', 'gatewayPayment.paymentId': paymentId, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!completed) {
+      return { transaction: await Transaction.findById(transaction._id), alreadyCredited: true };
+    }
+
+    await LedgerService.recordWalletTopUp(completed);
+    console.log(`👛 Wallet top-up of ₹${completed.amount} credited: ${paymentId}`);
+    return { transaction: completed, alreadyCredited: false };
+  }
+
+  /**
+   * Promotional credit
+   * @param {object} options - { amount, description }
+   * @returns {object} The 'wallet-credit' transaction
+   */
+  static async credit(parentId, { amount, description }) {
+    const value = roundMoney(Number(amount));
+    if (!(value > 0)) {
+      throw new ServiceError('Credit amount must be positive');
+    }
+
+    const parent = mongoose.isValidObjectId(parentId) ? await User.findById(parentId) : null;
+    if (!parent || parent.role !== 'parent') {
+      throw new ServiceError('Parent not found', 404);
+    }
+
+    const transaction = await Transaction.create({
+      userId: parent._id,
+      type: 'wallet-credit',
+      amount: value,
+      status: 'completed',
+      description: description || 'Promotional credit',
+    });
+    await LedgerService.recordWalletCredit(transaction);
+
+    console.log(`🎁 ₹${value} credited to the wallet of parent ${parent._id}`);
+    return transaction;
+  }
+
+  /**
+   * Put wallet money towards an unpaid booking: as much of it as the
+   * balance covers. A booking covered in full is paid straight away.
+   * Applying again returns the existing wallet payment.
+   * @returns {{ booking, walletAmount, amountDue }}
+   */
+  static async applyToBooking(booking) {
+    if (['paid', 'refunded'].includes(booking.payment?.status)) {
+      throw new ServiceError('This booking is already paid', 409);
+    }
+    if (['cancelled', 'rejected'].includes(booking.status)) {
+      throw new ServiceError(`A ${booking.status} booking cannot be paid`);
+    }
+
+    const due = (current) => ({
+      booking: current,
+      walletAmount: current.payment?.walletAmount || 0,
+      amountDue: roundMoney(current.totalAmount - (current.payment?.walletAmount || 0)),
+    });
+
+    if (booking.payment?.walletTransactionId) {
+      // Posting again completes one that was interrupted
+      const held = await Transaction.findById(booking.payment.walletTransactionId);
+      if (held?.status === 'pending') await LedgerService.recordWalletPayment(held);
+      return due(booking);
+    }
+
+    const parentId = idOf(booking.parentId);
+    const balance = await WalletService.balance(parentId);
+    const walletAmount = roundMoney(Math.min(balance, booking.totalAmount));
+    if (!(walletAmount > 0)) return due(booking);
+
+    const transaction = await Transaction.create({
+      userId: parentId,
+      type: 'wallet-payment',
+      amount: walletAmount,
+      status: 'pending',
+      description: `Paid towards booking ${booking.bookingId}`,
+      bookingId: booking._id,
+    });
+
+    // One wallet payment per booking
+    const claimed = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: { $nin: ['cancelled', 'rejected'] },
+        'payment.status': 'pending',
+        'payment.walletTransactionId': null,
+      },
+      { $set: { 'payment.walletAmount': walletAmount, 'payment.walletTransactionId': transaction._id } },
+      { new: true }
+    );
+    if (!claimed) {
+      await Transaction.updateOne({ _id: transaction._id }, { status: 'cancelled', updatedAt: new Date() });
+      throw new ServiceError('This booking was just updated by someone else. Please refresh and try again.', 409);
+    }
+
+    await LedgerService.recordWalletPayment(transaction);
+
+    // Two bookings racing for the same money: give this one back
+    if (await WalletService.balance(parentId) < 0) {
+      await WalletService.releaseBookingHold(claimed);
+      throw new ServiceError('Insufficient wallet balance', 409);
+    }
+
+    console.log(`👛 ₹${walletAmount} from wallet applied to booking ${claimed.bookingId}`);
+
+    if (walletAmount >= claimed.totalAmount) {
+      // Required lazily: settling a booking can credit a referral reward to the wallet
+      const PaymentService = require('./paymentService');
+      const { booking: paid } = await PaymentService.markBookingPaidFromWallet(claimed);
+      return due(paid);
+    }
+    return due(claimed);
+  }
+
+  /**
+   * Give back the wallet part of a booking that was never paid
+   * @returns {object} The booking
+   */
+  static async releaseBookingHold(booking) {
+    const transactionId = booking.payment?.walletTransactionId;
+    if (!transactionId) return booking;
+
+    const released = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'payment.status': 'pending', 'payment.walletTransactionId': transactionId },
+      { $set: { 'payment.walletAmount': 0 }, $unset: { 'payment.walletTransactionId': 1 } },
+      { new: true }
+    );
+    if (!released) return Booking.findById(booking._id);
+
+    const transaction = await Transaction.findByIdAndUpdate(
+      transactionId,
+      { status: 'cancelled', updatedAt: new Date() },
+      { new: true }
+    );
+    // Both are idempotent, so an interrupted payment nets to zero
+    await LedgerService.recordWalletPayment(transaction);
+    await LedgerService.recordWalletRelease(transaction);
+
+    console.log(`👛 ₹${transaction.amount} returned to wallet from booking ${released.bookingId}`);
+    return released;
+  }
+
+  /**
+   * Wallet history, newest first
+   */
+  static async transactions(parentId, { page = 1, limit = 50 } = {}) {
+    const query = { userId: parentId, type: { $in: WALLET_TYPES } };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [transactions, total] = await Promise.all([
+      Transaction.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('bookingId', 'bookingId'),
+      Transaction.countDocuments(query),
+    ]);
+
+    return { transactions, total };
+  }
+}
+
+WalletService.WALLET_TYPES = WALLET_TYPES;
+WalletService.DEBIT_TYPES = DEBIT_TYPES;
+WalletService.MIN_TOPUP = MIN_TOPUP;
+WalletService.maxBalance = maxBalance;
+
+module.exports = WalletService;
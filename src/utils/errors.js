@@ -0,0 +1,37 @@
+/**
+ * Error thrown by services for problems the client can fix
+ * (bad input, missing records, invalid state). Routes turn it
+ * into a JSON response with the given HTTP status.
+ */
+class ServiceError extends Error {
+  /**
+   * @param {string} message - Shown to the client
+   * @param {number} status - HTTP status
+   * @param {object} data - Optional details returned as `data`
+   */
+  constructor(message, status = 400, data = undefined) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Send a ServiceError as the standard error response
+ * @returns {boolean} true when the error was handled
+ */
+const sendServiceError = (res, error) => {
+  if (!(error instanceof ServiceError)) return false;
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...(error.data !== undefined && { data: error.data }),
+  });
+  return true;
+};
+
+module.exports = {
+  ServiceError,
+  sendServiceError,
+};
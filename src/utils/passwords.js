@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+/**
+ * Hashing for secrets people type: security PINs and admin passwords.
+ *
+ * Stored as "scrypt$N$r$p$salt$hash" (salt and hash in base64), so the cost
+ * can be raised later without breaking hashes already stored.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const PREFIX = 'scrypt';
+
+const isHashed = (stored) => typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+
+/**
+ * Hash a secret with a fresh random salt
+ * @returns {Promise<string>}
+ */
+const hashSecret = async (secret) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(secret), salt, KEY_LENGTH, COST);
+  return [PREFIX, COST.N, COST.r, COST.p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Check a secret against a stored hash. Values saved before hashing was
+ * introduced are plain text; they still match, and needsRehash tells the
+ * caller to store a hash instead.
+ * @returns {Promise<{ valid: boolean, needsRehash: boolean }>}
+ */
+const verifySecret = async (secret, stored) => {
+  if (!stored || secret === undefined || secret === null) return { valid: false, needsRehash: false };
+
+  if (!isHashed(stored)) {
+    const left = Buffer.from(String(secret));
+    const right = Buffer.from(String(stored));
+    const valid = left.length === right.length && crypto.timingSafeEqual(left, right);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const cost = { N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10) };
+  const actual = await scrypt(String(secret), Buffer.from(salt, 'base64'), expected.length, cost);
+  const valid = crypto.timingSafeEqual(actual, expected);
+  return { valid, needsRehash: valid && (cost.N !== COST.N || cost.r !== COST.r || cost.p !== COST.p) };
+};
+
+module.exports = { hashSecret, verifySecret, isHashed };
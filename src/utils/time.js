@@ -0,0 +1,130 @@
+/**
+ * Time helpers for booking slots
+ *
+ * Booking times are stored as strings ("2:00 PM" or "14:00") next to a
+ * calendar date. These helpers turn them into minutes since midnight and
+ * into real timestamps. All services run in India, so calendar dates are
+ * interpreted in IST regardless of the server's own timezone.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+const TIMEZONE_OFFSET_MINUTES = 330; // IST (UTC+05:30)
+
+/**
+ * Parse "2:30 PM", "02:30pm", "14:30" or "14" into minutes since midnight
+ * @returns {number|null} null when the string is not a valid time
+ */
+const parseTimeToMinutes = (timeStr) => {
+  if (typeof timeStr !== 'string') return null;
+  const match = timeStr.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridian = match[3] ? match[3].toUpperCase() : null;
+
+  if (minutes > 59) return null;
+  if (meridian) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridian === 'PM' && hours !== 12) hours += 12;
+    if (meridian === 'AM' && hours === 12) hours = 0;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes since midnight as "2:30 PM"
+ */
+const formatMinutes = (totalMinutes) => {
+  const normalized = ((totalMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours24 = Math.floor(normalized / 60);
+  const minutes = normalized % 60;
+  const meridian = hours24 >= 12 ? 'PM' : 'AM';
+  const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+  return `${hours12}:${String(minutes).padStart(2, '0')} ${meridian}`;
+};
+
+/**
+ * Resolve a start/end pair into a minute range
+ * An end at or before the start means the slot runs past midnight.
+ * @returns {{ start: number, end: number, minutes: number }|null}
+ */
+const toMinuteRange = (startTime, endTime) => {
+  const start = parseTimeToMinutes(startTime);
+  let end = parseTimeToMinutes(endTime);
+  if (start === null || end === null) return null;
+  if (end <= start) end += MINUTES_PER_DAY;
+  return { start, end, minutes: end - start };
+};
+
+/**
+ * Calendar date ("YYYY-MM-DD") of a booking date in IST
+ * "YYYY-MM-DD" strings are read as calendar dates, not UTC instants.
+ * @returns {string|null}
+ */
+const toCalendarDate = (date) => {
+  if (typeof date === 'string') {
+    const match = date.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  const time = new Date(date).getTime();
+  if (Number.isNaN(time)) return null;
+  return new Date(time + TIMEZONE_OFFSET_MINUTES * MS_PER_MINUTE).toISOString().slice(0, 10);
+};
+
+const calendarDateToUTC = (calendarDate) => {
+  const [year, month, day] = calendarDate.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+/**
+ * Shift a calendar date by a number of days
+ */
+const addDays = (calendarDate, days) =>
+  new Date(calendarDateToUTC(calendarDate) + days * MINUTES_PER_DAY * MS_PER_MINUTE).toISOString().slice(0, 10);
+
+/**
+ * Whole days from one calendar date to another
+ */
+const daysBetween = (fromDate, toDate) =>
+  Math.round((calendarDateToUTC(toDate) - calendarDateToUTC(fromDate)) / (MINUTES_PER_DAY * MS_PER_MINUTE));
+
+/**
+ * Real timestamp for minutes after midnight (IST) of a calendar date
+ * Minutes may exceed a day for slots that run past midnight.
+ */
+const zonedTimestamp = (calendarDate, minutes) =>
+  new Date(calendarDateToUTC(calendarDate) + (minutes - TIMEZONE_OFFSET_MINUTES) * MS_PER_MINUTE);
+
+/**
+ * Minutes after midnight (IST) of a calendar date for a timestamp
+ */
+const minutesSinceDayStart = (calendarDate, timestamp) =>
+  Math.round((new Date(timestamp).getTime() - zonedTimestamp(calendarDate, 0).getTime()) / MS_PER_MINUTE);
+
+/**
+ * Day of week (0 = Sunday) for a booking date
+ */
+const dayOfWeek = (date) => {
+  const calendarDate = toCalendarDate(date);
+  if (!calendarDate) return null;
+  return new Date(calendarDateToUTC(calendarDate)).getUTCDay();
+};
+
+module.exports = {
+  MINUTES_PER_DAY,
+  MS_PER_MINUTE,
+  parseTimeToMinutes,
+  formatMinutes,
+  toMinuteRange,
+  toCalendarDate,
+  addDays,
+  daysBetween,
+  zonedTimestamp,
+  minutesSinceDayStart,
+  dayOfWeek,
+};
@@ -0,0 +1,215 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../src/models/Booking');
+const Refund = require('../src/models/Refund');
+const Transaction = require('../src/models/Transaction');
+const PaymentGateway = require('../src/services/paymentGateway');
+const PaymentService = require('../src/services/paymentService');
+const RefundService = require('../src/services/refundService');
+const LedgerService = require('../src/services/ledgerService');
+const InvoiceService = require('../src/services/invoiceService');
+const { ServiceError } = require('../src/utils/errors');
+
+// Database calls are replaced per test; the gateway is the in-memory fake adapter
+
+const BOOKING_ID = '64b0000000000000000000b1';
+
+const unpaidBooking = (fields = {}) => ({
+  _id: BOOKING_ID,
+  bookingId: 'WC12345678001',
+  parentId: '64b000000000000000000001',
+  nannyId: '64b000000000000000000002',
+  status: 'confirmed',
+  totalAmount: 1000,
+  payment: { status: 'pending', method: 'online', walletAmount: 0 },
+  ...fields,
+});
+
+beforeEach(() => {
+  PaymentGateway.use('fake');
+  PaymentGateway.adapters.fake.reset();
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('orders', () => {
+  it('are created for the amount due, less the wallet part', async () => {
+    const booking = unpaidBooking({ payment: { status: 'pending', walletAmount: 250 } });
+    const amount = PaymentService.amountDue(booking);
+
+    const order = await PaymentGateway.createOrder({ amount, receipt: `receipt_${booking.bookingId}` });
+
+    assert.equal(amount, 750);
+    assert.match(order.id, /^order_fake_/);
+    assert.equal(order.amount, 750);
+    assert.equal(order.currency, 'INR');
+    assert.equal(order.receipt, 'receipt_WC12345678001');
+  });
+
+  it('list the payments made against them', async () => {
+    const order = await PaymentGateway.createOrder({ amount: 1000, receipt: 'r1' });
+    PaymentGateway.adapters.fake.recordPayment({ id: 'pay_failed', orderId: order.id, amount: 1000, status: 'failed' });
+    PaymentGateway.adapters.fake.recordPayment({ id: 'pay_ok', orderId: order.id, amount: 1000 });
+    PaymentGateway.adapters.fake.recordPayment({ id: 'pay_other', orderId: 'order_other', amount: 1000 });
+
+    const payments = await PaymentGateway.fetchOrderPayments(order.id);
+
+    assert.deepEqual(payments.map((payment) => [payment.id, payment.status]), [
+      ['pay_failed', 'failed'],
+      ['pay_ok', 'captured'],
+    ]);
+  });
+});
+
+describe('capture', () => {
+  it('reports an authorized payment as not captured yet', async () => {
+    PaymentGateway.adapters.fake.recordPayment({ id: 'pay_auth', orderId: 'order_1', amount: 1000, status: 'authorized' });
+
+    const payment = await PaymentGateway.fetchPayment('pay_auth');
+
+    assert.equal(payment.status, 'authorized');
+  });
+
+  it('marks the booking paid when the captured amount is the amount due', async () => {
+    PaymentGateway.adapters.fake.recordPayment({ id: 'pay_1', orderId: 'order_1', amount: 1000 });
+    const booking = unpaidBooking();
+    const paid = unpaidBooking({ payment: { status: 'paid', method: 'online', transactionId: 'pay_1' } });
+
+    mock.method(Booking, 'findById', async () => booking);
+    const update = mock.method(Booking, 'findOneAndUpdate', async () => paid);
+    const ledger = mock.method(LedgerService, 'recordBookingPayment', async () => null);
+    mock.method(InvoiceService, 'issueFor', async () => null);
+
+    // No amount given: it is looked up at the gateway
+    const result = await PaymentService.markBookingPaid(booking, { paymentId: 'pay_1', orderId: 'order_1' });
+
+    assert.equal(result.alreadyPaid, false);
+    assert.equal(result.amountMismatch, false);
+    assert.equal(result.booking, paid);
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter['payment.status'], { $nin: ['paid', 'refunded'] });
+    assert.equal(filter.totalAmount, 1000);
+    assert.equal(changes.$set['payment.status'], 'paid');
+    assert.equal(changes.$set['payment.transactionId'], 'pay_1');
+    assert.equal(changes.$set['payment.razorpayOrderId'], 'order_1');
+    assert.equal(ledger.mock.callCount(), 1);
+  });
+
+  it('flags a payment for a different amount for review instead', async () => {
+    PaymentGateway.adapters.fake.recordPayment({ id: 'pay_short', orderId: 'order_1', amount: 1 });
+    const booking = unpaidBooking();
+
+    mock.method(Booking, 'findById', async () => booking);
+    const review = mock.method(Booking, 'updateOne', async () => ({}));
+    const update = mock.method(Booking, 'findOneAndUpdate', async () => {
+      throw new Error('must not be marked paid');
+    });
+
+    const result = await PaymentService.markBookingPaid(booking, { paymentId: 'pay_short', orderId: 'order_1' });
+
+    assert.equal(result.amountMismatch, true);
+    assert.equal(update.mock.callCount(), 0);
+    const flagged = review.mock.calls[0].arguments[1].$set['payment.review'];
+    assert.equal(flagged.reason, 'amount-mismatch');
+    assert.equal(flagged.amount, 1);
+    assert.equal(flagged.expected, 1000);
+  });
+
+  it('does nothing for a booking that is already paid', async () => {
+    const booking = unpaidBooking({ payment: { status: 'paid', transactionId: 'pay_1' } });
+
+    mock.method(Booking, 'findById', async () => booking);
+    mock.method(Booking, 'findOneAndUpdate', async () => null);
+    const ledger = mock.method(LedgerService, 'recordBookingPayment', async () => null);
+
+    const result = await PaymentService.markBookingPaid(booking, { paymentId: 'pay_1', orderId: 'order_1', amount: 1000 });
+
+    assert.equal(result.alreadyPaid, true);
+    assert.equal(ledger.mock.callCount(), 0);
+  });
+});
+
+describe('refunds', () => {
+  const pendingRefund = () => ({
+    _id: '64b0000000000000000000c1',
+    refundId: 'RF0001',
+    bookingId: BOOKING_ID,
+    transactionId: '64b0000000000000000000d1',
+    paymentId: 'pay_1',
+    amount: 400,
+    attempts: 0,
+    status: 'pending',
+    async save() {
+      return this;
+    },
+  });
+
+  it('are sent to the gateway and recorded once processed', async () => {
+    const refund = pendingRefund();
+    const booking = unpaidBooking({ payment: { status: 'paid', transactionId: 'pay_1', refundedAmount: 400 } });
+
+    mock.method(Refund, 'findOneAndUpdate', async () => ({ ...refund, status: 'processed' }));
+    const transaction = mock.method(Transaction, 'findByIdAndUpdate', async () => ({}));
+    mock.method(Booking, 'findByIdAndUpdate', async () => booking);
+    const ledger = mock.method(LedgerService, 'recordRefund', async () => null);
+    const fullyRefunded = mock.method(Booking, 'updateOne', async () => ({}));
+
+    const processed = await RefundService.submit(refund, booking);
+
+    assert.equal(processed.status, 'processed');
+    assert.equal(refund.attempts, 1);
+    assert.match(refund.gatewayRefundId, /^rfnd_fake_/);
+    const atGateway = await PaymentGateway.fetchRefund('pay_1', refund.gatewayRefundId);
+    assert.equal(atGateway.amount, 400);
+    assert.equal(atGateway.status, 'processed');
+
+    assert.equal(transaction.mock.calls[0].arguments[1].status, 'completed');
+    assert.equal(ledger.mock.callCount(), 1);
+    // 400 of 1000 refunded: the payment stays paid
+    assert.equal(fullyRefunded.mock.callCount(), 0);
+  });
+
+  it('give their reserved amount back when the gateway refuses them', async () => {
+    PaymentGateway.use({
+      name: 'failing',
+      async refund() {
+        throw new Error('The balance is too low');
+      },
+    });
+    const refund = pendingRefund();
+
+    const transaction = mock.method(Transaction, 'findByIdAndUpdate', async () => ({}));
+    const release = mock.method(Booking, 'updateOne', async () => ({}));
+
+    await assert.rejects(RefundService.submit(refund, unpaidBooking()), (error) => {
+      assert.ok(error instanceof ServiceError);
+      assert.equal(error.status, 502);
+      return true;
+    });
+
+    assert.equal(refund.status, 'failed');
+    assert.equal(refund.failureReason, 'The balance is too low');
+    assert.equal(transaction.mock.calls[0].arguments[1].status, 'failed');
+    assert.deepEqual(release.mock.calls[0].arguments, [
+      { _id: BOOKING_ID },
+      { $inc: { 'payment.refundClaimedAmount': -400 } },
+    ]);
+  });
+});
+
+describe('PaymentGateway.use', () => {
+  it('rejects unknown adapters', () => {
+    assert.throws(() => PaymentGateway.use('paypal'), /Unknown payment gateway/);
+  });
+
+  it('reports the adapter in use', () => {
+    PaymentGateway.use('fake');
+    assert.equal(PaymentGateway.adapterName, 'fake');
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { can } = require('../src/policies');
+
+const PARENT_ID = '64b000000000000000000001';
+const NANNY_ID = '64b000000000000000000002';
+const OTHER_ID = '64b000000000000000000003';
+
+const parent = { id: PARENT_ID, kind: 'user', role: 'parent' };
+const nanny = { id: NANNY_ID, kind: 'user', role: 'nanny' };
+const admin = { id: OTHER_ID, kind: 'user', role: 'admin' };
+const otherParent = { id: OTHER_ID, kind: 'user', role: 'parent' };
+const otherNanny = { id: OTHER_ID, kind: 'user', role: 'nanny' };
+
+const booking = { parentId: PARENT_ID, nannyId: NANNY_ID };
+// As loaded with .populate('parentId').populate('nannyId')
+const populated = { parentId: { _id: PARENT_ID, name: 'Asha' }, nannyId: { _id: NANNY_ID, name: 'Meera' } };
+
+describe('booking:read', () => {
+  it('allows the parent and the nanny of the booking', () => {
+    assert.equal(can(parent, 'booking:read', booking), true);
+    assert.equal(can(nanny, 'booking:read', booking), true);
+  });
+
+  it('allows an admin', () => {
+    assert.equal(can(admin, 'booking:read', booking), true);
+  });
+
+  it('denies other parents and nannies', () => {
+    assert.equal(can(otherParent, 'booking:read', booking), false);
+    assert.equal(can(otherNanny, 'booking:read', booking), false);
+  });
+
+  it('does not let the same id act in another role', () => {
+    // The nanny's id in the parent's place
+    assert.equal(can({ ...nanny, role: 'parent' }, 'booking:read', { parentId: OTHER_ID, nannyId: NANNY_ID }), false);
+  });
+
+  it('works on populated bookings', () => {
+    assert.equal(can(parent, 'booking:read', populated), true);
+    assert.equal(can(nanny, 'booking:read', populated), true);
+    assert.equal(can(otherParent, 'booking:read', populated), false);
+  });
+
+  it('denies anonymous callers', () => {
+    assert.equal(can(null, 'booking:read', booking), false);
+    assert.equal(can(undefined, 'booking:read', booking), false);
+  });
+});
+
+describe('booking:share-qr', () => {
+  it('allows only the parent of the booking', () => {
+    assert.equal(can(parent, 'booking:share-qr', booking), true);
+    assert.equal(can(parent, 'booking:share-qr', populated), true);
+  });
+
+  it('denies the nanny, who has to scan the code', () => {
+    assert.equal(can(nanny, 'booking:share-qr', booking), false);
+  });
+
+  it('denies admins and other parents', () => {
+    assert.equal(can(admin, 'booking:share-qr', booking), false);
+    assert.equal(can(otherParent, 'booking:share-qr', booking), false);
+  });
+});
+
+describe('can', () => {
+  it('denies unknown actions', () => {
+    assert.equal(can(admin, 'booking:teleport', booking), false);
+  });
+});